@@ -15,6 +15,7 @@ import Home from './pages/Home'
 import MovieDetails from './pages/MovieDetails'
 import Movies from './pages/Movies'
 import MyBookings from './pages/MyBookings'
+import ExchangeBooking from './pages/ExchangeBooking'
 import SeatLayout from './pages/SeatLayout'
 import UpcomingMovieDetails from './pages/UpcomingMovieDetails'
 import Dashboard from './pages/admin/Dashboard'
@@ -23,8 +24,16 @@ import ListBookings from './pages/admin/ListBookings'
 import ListShows from './pages/admin/ListShows'
 import ShowDetails from './pages/admin/ShowDetails'
 import RecycleBin from './pages/admin/RecycleBin'
+import Screens from './pages/admin/Screens'
+import Theaters from './pages/admin/Theaters'
+import Coupons from './pages/admin/Coupons'
+import RefundPolicies from './pages/admin/RefundPolicies'
+import CheckIn from './pages/admin/CheckIn'
+import Emails from './pages/admin/Emails'
+import Reviews from './pages/admin/Reviews'
 import ReviewYourBooking from './pages/ReviewYourBooking'
 import PaymentSuccess from './pages/PaymentSuccess'
+import SplitPayment from './pages/SplitPayment'
 import NotFound from './pages/NotFound'
 
 const App = () => {
@@ -46,6 +55,7 @@ const App = () => {
     else if (p === '/my-bookings') title = 'My Bookings'
     else if (p.startsWith('/review-booking')) title = 'Review Booking'
     else if (p.startsWith('/payment-success')) title = 'Payment Successful'
+    else if (p.startsWith('/split/')) title = 'Group Booking'
     else if (p.startsWith('/admin')) title = 'Admin'
     document.title = title ? `${title} · MovieMint` : 'MovieMint — Book Movie Tickets'
   }, [location.pathname])
@@ -68,8 +78,10 @@ const App = () => {
         <Route path="/review-booking" element={<ReviewYourBooking />} />
         <Route path='/review-booking/:bookingId' element={<ReviewYourBooking />} />
         <Route path='/my-bookings' element={<MyBookings />} />
+        <Route path='/my-bookings/:bookingId/exchange' element={<ExchangeBooking />} />
         <Route path='/loading/:nextUrl' element={<Loading />} />
         <Route path="/payment-success" element={<PaymentSuccess />} />
+        <Route path="/split/:token" element={<SplitPayment />} />
 
         <Route path='/favorite' element={<Favorite />} />
         <Route path='/admin/*' element={user ? <Layout /> : (
@@ -82,6 +94,13 @@ const App = () => {
           <Route path="list-bookings" element={<ListBookings />} />
           <Route path="show-details" element={<ShowDetails />} />
           <Route path="recycle-bin" element={<RecycleBin />} />
+          <Route path="theaters" element={<Theaters />} />
+          <Route path="coupons" element={<Coupons />} />
+          <Route path="refund-policies" element={<RefundPolicies />} />
+          <Route path="check-in" element={<CheckIn />} />
+          <Route path="emails" element={<Emails />} />
+          <Route path="reviews" element={<Reviews />} />
+          <Route path="screens" element={<Screens />} />
         </Route>
         <Route path='*' element={<NotFound />} />
       </Routes>
@@ -1,6 +1,7 @@
 // src/assets/seedTheaters.js
-// Theater catalog. Cities in the app are derived from this list, so adding a
-// city here (with a few theaters) makes it selectable across the site.
+// Starter theater catalog used by /api/seed/seed-theaters (and
+// scripts/expandCitiesShows.js). The live theater/city list is managed from the
+// admin Theaters page and served by /api/theater/cities.
 // `experience` is shown as an amenity; `defaultFormat` is display metadata —
 // each show's real format/experience is assigned when shows are generated.
 
@@ -1,40 +1,160 @@
-// components/AgeGate.jsx - Age verification modal for adult-rated (18+) titles
-import React from "react";
+// components/AgeGate.jsx - Age check for restricted (A) titles: date-of-birth attestation for signed-in users
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+import { certificationLabel, minimumAge } from "../lib/certification";
 
-const AgeGate = ({ open, certificate = "A · 18+", onConfirm, onCancel }) => {
-  if (!open) return null;
+/**
+ * Signed-in users confirm their date of birth once; it is stored on their
+ * profile and checked by the server when they book. Users who already gave
+ * it pass (or are stopped) straight away. Signed-out visitors just confirm
+ * their age to browse — booking still needs the attested date of birth.
+ */
+const AgeGate = ({ open, certification = "A", onConfirm, onCancel }) => {
+  const { axios, getToken, user } = useAppContext();
+  const minAge = minimumAge(certification) || 18;
+  const label = certificationLabel(certification);
+
+  const [status, setStatus] = useState("checking"); // checking | ask | underage | guest
+  const [dateOfBirth, setDateOfBirth] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    if (!user) {
+      setStatus("guest");
+      return;
+    }
+    let cancelled = false;
+    setStatus("checking");
+    (async () => {
+      try {
+        const { data } = await axios.get("/api/user/age", {
+          headers: { Authorization: `Bearer ${await getToken()}` },
+        });
+        if (cancelled) return;
+        if (data.success && data.age != null) {
+          if (data.age >= minAge) onConfirm();
+          else setStatus("underage");
+        } else setStatus("ask");
+      } catch (e) {
+        console.error("age check error:", e);
+        if (!cancelled) setStatus("ask");
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, user]);
+
+  if (!open || status === "checking") return null;
+
+  const submitDateOfBirth = async () => {
+    if (!dateOfBirth) return toast.error("Enter your date of birth");
+    try {
+      setSaving(true);
+      const { data } = await axios.post(
+        "/api/user/age",
+        { dateOfBirth },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (!data.success) return toast.error(data.message || "Could not save date of birth");
+      if (data.age >= minAge) onConfirm();
+      else setStatus("underage");
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not save date of birth");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
 
   return (
     <div className="fixed inset-0 z-[120] flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-black/80 backdrop-blur-md" />
       <div className="relative w-full max-w-md rounded-2xl border border-white/10 bg-[rgb(var(--surface-rgb)/0.98)] backdrop-blur-xl p-7 text-center shadow-2xl">
         <div className="mx-auto flex h-16 w-16 items-center justify-center rounded-full bg-red-500/15 border border-red-500/30 text-red-400 font-bold text-lg mb-4">
-          18+
+          {minAge}+
         </div>
         <h2 className="text-xl font-semibold">Age verification</h2>
-        <p className="text-sm text-gray-400 mt-2 leading-relaxed">
-          This title is rated{" "}
-          <span className="text-red-400 font-semibold">{certificate}</span> and may
-          contain content suitable only for adults. Please confirm your age to continue.
-        </p>
-
-        <div className="mt-6 flex flex-col sm:flex-row gap-3">
-          <button
-            onClick={onCancel}
-            className="flex-1 px-4 py-2.5 rounded-full border border-white/15 text-sm hover:bg-white/5 transition cursor-pointer"
-          >
-            I'm under 18
-          </button>
-          <button
-            onClick={onConfirm}
-            className="flex-1 px-4 py-2.5 rounded-full bg-primary text-black font-semibold text-sm hover:bg-primary-dull transition cursor-pointer"
-          >
-            I am 18 or older
-          </button>
-        </div>
-        <p className="text-[11px] text-gray-500 mt-4">
-          By continuing you confirm you meet the minimum age requirement.
-        </p>
+
+        {status === "underage" ? (
+          <>
+            <p className="text-sm text-gray-400 mt-2 leading-relaxed">
+              This title is rated <span className="text-red-400 font-semibold">{label}</span>. Based on the date of
+              birth on your profile you can't watch or book it.
+            </p>
+            <button
+              onClick={onCancel}
+              className="mt-6 w-full px-4 py-2.5 rounded-full bg-primary text-black font-semibold text-sm hover:bg-primary-dull transition cursor-pointer"
+            >
+              Go back
+            </button>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-400 mt-2 leading-relaxed">
+              This title is rated{" "}
+              <span className="text-red-400 font-semibold">{label}</span> and may
+              contain content suitable only for adults. Please confirm your age to continue.
+            </p>
+
+            {status === "ask" ? (
+              <>
+                <label className="block text-left text-xs text-gray-400 mt-5">
+                  Date of birth
+                  <input
+                    type="date"
+                    max={today}
+                    value={dateOfBirth}
+                    onChange={(e) => setDateOfBirth(e.target.value)}
+                    className="mt-1 w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-primary"
+                  />
+                </label>
+                <div className="mt-5 flex flex-col sm:flex-row gap-3">
+                  <button
+                    onClick={onCancel}
+                    className="flex-1 px-4 py-2.5 rounded-full border border-white/15 text-sm hover:bg-white/5 transition cursor-pointer"
+                  >
+                    Go back
+                  </button>
+                  <button
+                    onClick={submitDateOfBirth}
+                    disabled={saving}
+                    className="flex-1 px-4 py-2.5 rounded-full bg-primary text-black font-semibold text-sm hover:bg-primary-dull transition cursor-pointer disabled:opacity-50"
+                  >
+                    {saving ? "Saving…" : "Confirm"}
+                  </button>
+                </div>
+                <p className="text-[11px] text-gray-500 mt-4">
+                  Your date of birth is saved to your profile and can't be changed later. Theaters may ask for ID.
+                </p>
+              </>
+            ) : (
+              <>
+                <div className="mt-6 flex flex-col sm:flex-row gap-3">
+                  <button
+                    onClick={onCancel}
+                    className="flex-1 px-4 py-2.5 rounded-full border border-white/15 text-sm hover:bg-white/5 transition cursor-pointer"
+                  >
+                    I'm under {minAge}
+                  </button>
+                  <button
+                    onClick={onConfirm}
+                    className="flex-1 px-4 py-2.5 rounded-full bg-primary text-black font-semibold text-sm hover:bg-primary-dull transition cursor-pointer"
+                  >
+                    I am {minAge} or older
+                  </button>
+                </div>
+                <p className="text-[11px] text-gray-500 mt-4">
+                  You'll be asked for your date of birth when you book.
+                </p>
+              </>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,153 @@
+// components/CancelSeatsModal.jsx - Cancel a paid booking or some of its seats, with a refund preview from the policy
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+
+/**
+ * Cancelling some seats refunds their share of the booking (zone price,
+ * coupon and fee prorated) and keeps the rest; picking every seat cancels
+ * the whole booking, snacks included. Single-seat and split-payment
+ * bookings can only be cancelled whole. The preview comes from the server's
+ * refund policy for the show. `onDone` runs after either.
+ */
+const CancelSeatsModal = ({ booking, onClose, onDone }) => {
+  const currency = import.meta.env.VITE_CURRENCY || "₹";
+  const { axios, getToken } = useAppContext();
+  const seats = booking?.seats || [];
+  const wholeOnly = seats.length < 2 || !!booking?.splitPayment;
+
+  const [picked, setPicked] = useState([]);
+  const [quote, setQuote] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    setPicked(wholeOnly ? booking?.seats || [] : []);
+    setQuote(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [booking]);
+
+  useEffect(() => {
+    if (!booking || !picked.length) {
+      setQuote(null);
+      return;
+    }
+    let cancelled = false;
+    (async () => {
+      try {
+        const { data } = await axios.get(`/api/booking/cancel/${booking._id}/quote`, {
+          params: picked.length < seats.length ? { seats: picked.join(",") } : {},
+          headers: { Authorization: `Bearer ${await getToken()}` },
+        });
+        if (!cancelled) setQuote(data.success ? data.quote : null);
+      } catch (e) {
+        console.error("refund quote error:", e);
+        if (!cancelled) setQuote(null);
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [booking, picked]);
+
+  if (!booking) return null;
+
+  const everySeat = picked.length === seats.length;
+  const closed = quote && !quote.allowed;
+
+  const toggleSeat = (seat) =>
+    setPicked((prev) => (prev.includes(seat) ? prev.filter((s) => s !== seat) : [...prev, seat]));
+
+  const submit = async () => {
+    if (!picked.length) return toast.error("Pick the seats to cancel");
+    try {
+      setWorking(true);
+      const headers = { headers: { Authorization: `Bearer ${await getToken()}` } };
+      const { data } = everySeat
+        ? await axios.post(`/api/booking/cancel/${booking._id}`, {}, headers)
+        : await axios.post(`/api/booking/cancel/${booking._id}/seats`, { seats: picked }, headers);
+      if (!data.success) return toast.error(data.message || "Could not cancel");
+      toast.success(data.message);
+      onDone?.();
+      onClose();
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Cancellation failed");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[110] flex items-center justify-center p-4" onClick={(e) => e.stopPropagation()}>
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative w-full max-w-md rounded-2xl border border-white/10 bg-[rgb(var(--surface-rgb)/0.98)] p-6 shadow-2xl">
+        <h2 className="text-lg font-semibold">{wholeOnly ? "Cancel booking" : "Cancel seats"}</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          {booking.show?.movie?.title || "Movie"} · {wholeOnly ? "all seats are cancelled together." : "pick the seats you no longer need."}
+        </p>
+
+        <div className="mt-4 flex flex-wrap gap-2">
+          {seats.map((seat) => (
+            <button
+              key={seat}
+              disabled={wholeOnly}
+              onClick={() => toggleSeat(seat)}
+              className={`px-3 py-1 rounded-lg border text-xs cursor-pointer transition ${picked.includes(seat)
+                ? "bg-red-500/15 border-red-500/40 text-red-300"
+                : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                }`}
+            >
+              {seat}
+            </button>
+          ))}
+        </div>
+
+        {quote && (
+          <div className="mt-4 rounded-xl border border-white/10 bg-white/[0.03] p-3 text-sm space-y-1">
+            {closed ? (
+              <p className="text-red-300">{quote.message}</p>
+            ) : (
+              <>
+                <div className="flex justify-between text-gray-300"><span>Paid for {everySeat ? "this booking" : "these seats"}</span><span>{currency} {quote.paid}</span></div>
+                <div className="flex justify-between font-semibold text-white">
+                  <span>Refund ({quote.percent}%)</span><span>{currency} {quote.refundAmount}</span>
+                </div>
+                {quote.retainedAmount > 0 && (
+                  <div className="flex justify-between text-gray-400 text-xs"><span>Not refunded</span><span>{currency} {quote.retainedAmount}</span></div>
+                )}
+                <p className="text-[11px] text-gray-500 pt-1">
+                  {quote.policy.name}
+                  {!quote.policy.refundPlatformFee && " · booking fee is non-refundable"}
+                  {everySeat && !quote.policy.refundSnacks && " · snacks are non-refundable"}
+                  {quote.nextChangeAt && ` · drops to ${quote.nextPercent}% after ${new Date(quote.nextChangeAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}`}
+                </p>
+              </>
+            )}
+          </div>
+        )}
+
+        <p className="text-[11px] text-gray-500 mt-4">
+          {everySeat
+            ? `The whole booking${booking.snacks?.length ? " (snacks included)" : ""} is cancelled and its seats released.`
+            : "Each cancelled seat counts at its price, less its share of any coupon, plus its booking fee. Snacks stay with the booking."}
+        </p>
+
+        <div className="mt-5 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-full text-xs border border-white/15 hover:bg-white/5 cursor-pointer"
+          >
+            Keep my seats
+          </button>
+          <button
+            onClick={submit}
+            disabled={working || !picked.length || closed}
+            className="px-4 py-2 rounded-full text-xs font-semibold bg-red-500/80 text-white hover:bg-red-500 cursor-pointer disabled:opacity-50"
+          >
+            {working ? "Cancelling…" : everySeat ? "Cancel booking" : `Cancel ${picked.length || ""} seat${picked.length === 1 ? "" : "s"}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CancelSeatsModal;
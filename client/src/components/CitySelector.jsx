@@ -2,10 +2,9 @@
 import React, { useEffect, useRef, useState } from "react";
 import { MapPinIcon, ChevronDown } from "lucide-react";
 import { useAppContext } from "../context/AppContext";
-import { CITIES } from "../lib/cities";
 
 const CitySelector = ({ onDark = false }) => {
-  const { city, setCity } = useAppContext();
+  const { city, setCity, cities } = useAppContext();
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
 
@@ -37,7 +36,7 @@ const CitySelector = ({ onDark = false }) => {
 
       {open && (
         <div className="absolute right-0 mt-2 w-44 rounded-xl border border-white/10 bg-[rgb(var(--surface-rgb)/0.97)] backdrop-blur-xl shadow-2xl p-1 z-[80]">
-          {CITIES.map((c) => (
+          {cities.map((c) => (
             <button
               key={c}
               onClick={() => pick(c)}
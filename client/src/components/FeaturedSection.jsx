@@ -5,7 +5,6 @@ import { useNavigate } from "react-router-dom";
 import MovieCard from "./MovieCard";
 // MovieCardSkeleton is no longer conditionally mounted here; MovieCard handles loading internally.
 import { useAppContext } from "../context/AppContext";
-import { movieInCity } from "../lib/cities";
 
 /**
  * FeaturedSection
@@ -15,7 +14,7 @@ import { movieInCity } from "../lib/cities";
  */
 const FeaturedSection = () => {
   const navigate = useNavigate();
-  const { shows = [], loadingShows = false, axios, city } = useAppContext();
+  const { shows = [], loadingShows = false, axios } = useAppContext();
 
   // local runtime cache: { [movieId]: minutes | null (fetched but missing) }
   const [runtimeCache, setRuntimeCache] = useState({});
@@ -122,8 +121,8 @@ const FeaturedSection = () => {
   const SLOTS = 4;
   const slotsArray = Array.from({ length: SLOTS });
 
-  // Curate the featured row to the selected city (matches the Movies page).
-  const cityShows = (shows || []).filter((s) => movieInCity(getMovieId(s), city));
+  // `shows` already holds only movies playing in the selected city.
+  const cityShows = shows || [];
 
   return (
     <section className="px-6 md:px-16 lg:px-24 xl:px-44 pt-24 pb-20">
@@ -1,31 +1,60 @@
-// components/FoodAddon.jsx - Optional snacks & beverages (pay at counter) on the seat page
+// components/FoodAddon.jsx - Optional snacks & beverages from the show theater's menu on the seat page
 import React, { useEffect, useMemo, useState } from "react";
 import { Popcorn, Plus, Minus, ChevronDown, Lock } from "lucide-react";
+import { useAppContext } from "../context/AppContext";
 
-const ITEMS = [
-  { id: "combo", name: "Large Popcorn + Pepsi", price: 350, emoji: "🍿" },
-  { id: "nachos", name: "Loaded Nachos", price: 280, emoji: "🧀" },
-  { id: "coke", name: "Soft Drink (500ml)", price: 150, emoji: "🥤" },
-  { id: "samosa", name: "Cheese Garlic Bread", price: 220, emoji: "🧄" },
-];
-
-const FoodAddon = ({ currency = "₹", disabled = false, onTotalChange }) => {
+const FoodAddon = ({ showId, currency = "₹", disabled = false, onTotalChange }) => {
+  const { axios } = useAppContext();
   const [open, setOpen] = useState(false);
   const [qty, setQty] = useState({});
+  const [items, setItems] = useState([]);
+  const [maxQty, setMaxQty] = useState(10);
 
-  const total = useMemo(
-    () => ITEMS.reduce((s, it) => s + (qty[it.id] || 0) * it.price, 0),
-    [qty]
-  );
-  const count = useMemo(
-    () => Object.values(qty).reduce((a, b) => a + b, 0),
-    [qty]
+  // Menu of the show's theater (prices shown here are re-computed by the server).
+  useEffect(() => {
+    setQty({});
+    setItems([]);
+    if (!showId) return;
+    let cancelled = false;
+    axios
+      .get(`/api/menu/show/${showId}`)
+      .then(({ data }) => {
+        if (cancelled || !data?.success) return;
+        setItems(data.items || []);
+        if (data.maxQtyPerItem) setMaxQty(data.maxQtyPerItem);
+      })
+      .catch((e) => console.error("menu fetch error:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [axios, showId]);
+
+  const lines = useMemo(
+    () => items
+      .filter((it) => qty[it._id] > 0)
+      .map((it) => ({
+        itemId: it._id,
+        name: it.name,
+        emoji: it.emoji,
+        unitPrice: it.price,
+        quantity: qty[it._id],
+        total: it.price * qty[it._id],
+      })),
+    [items, qty]
   );
+  const total = useMemo(() => lines.reduce((s, l) => s + l.total, 0), [lines]);
+  const count = useMemo(() => lines.reduce((s, l) => s + l.quantity, 0), [lines]);
 
-  // Report total/count up to the parent (seat page) for the grand total.
+  // Report the order up to the parent (seat page): total/count for the grand
+  // total, lines for display and { itemId, quantity } pairs for the server.
   useEffect(() => {
-    onTotalChange?.({ total, count });
-  }, [total, count, onTotalChange]);
+    onTotalChange?.({
+      total,
+      count,
+      lines,
+      items: lines.map((l) => ({ itemId: l.itemId, quantity: l.quantity })),
+    });
+  }, [total, count, lines, onTotalChange]);
 
   // Reset snacks if seats get cleared (add-on becomes locked).
   useEffect(() => {
@@ -36,7 +65,9 @@ const FoodAddon = ({ currency = "₹", disabled = false, onTotalChange }) => {
   }, [disabled]);
 
   const set = (id, delta) =>
-    setQty((q) => ({ ...q, [id]: Math.max(0, (q[id] || 0) + delta) }));
+    setQty((q) => ({ ...q, [id]: Math.min(maxQty, Math.max(0, (q[id] || 0) + delta)) }));
+
+  if (!items.length) return null;
 
   return (
     <div
@@ -80,31 +111,31 @@ const FoodAddon = ({ currency = "₹", disabled = false, onTotalChange }) => {
 
       {open && !disabled && (
         <div className="px-5 pb-5 grid grid-cols-1 sm:grid-cols-2 gap-3">
-          {ITEMS.map((it) => (
+          {items.map((it) => (
             <div
-              key={it.id}
+              key={it._id}
               className="flex items-center justify-between gap-3 rounded-xl border border-white/10 bg-white/[0.03] p-3"
             >
               <div className="flex items-center gap-3 min-w-0">
                 <span className="text-2xl">{it.emoji}</span>
                 <div className="min-w-0">
                   <p className="text-sm font-medium truncate">{it.name}</p>
-                  <p className="text-xs text-gray-400">{currency} {it.price}</p>
+                  <p className="text-xs text-gray-400">{currency} {it.price}{it.description ? ` · ${it.description}` : ""}</p>
                 </div>
               </div>
-              {qty[it.id] ? (
+              {qty[it._id] ? (
                 <div className="flex items-center gap-2 shrink-0">
-                  <button onClick={() => set(it.id, -1)} className="h-7 w-7 rounded-full bg-white/10 border border-white/15 flex items-center justify-center cursor-pointer hover:border-primary/50">
+                  <button onClick={() => set(it._id, -1)} className="h-7 w-7 rounded-full bg-white/10 border border-white/15 flex items-center justify-center cursor-pointer hover:border-primary/50">
                     <Minus className="w-3.5 h-3.5" />
                   </button>
-                  <span className="w-5 text-center text-sm font-semibold">{qty[it.id]}</span>
-                  <button onClick={() => set(it.id, 1)} className="h-7 w-7 rounded-full bg-primary text-black flex items-center justify-center cursor-pointer hover:bg-primary-dull">
+                  <span className="w-5 text-center text-sm font-semibold">{qty[it._id]}</span>
+                  <button onClick={() => set(it._id, 1)} disabled={qty[it._id] >= maxQty} className="h-7 w-7 rounded-full bg-primary text-black flex items-center justify-center cursor-pointer hover:bg-primary-dull disabled:opacity-40 disabled:cursor-not-allowed">
                     <Plus className="w-3.5 h-3.5" />
                   </button>
                 </div>
               ) : (
                 <button
-                  onClick={() => set(it.id, 1)}
+                  onClick={() => set(it._id, 1)}
                   className="shrink-0 px-4 py-1.5 rounded-full text-xs font-semibold bg-primary/15 text-primary border border-primary/30 hover:bg-primary/25 transition cursor-pointer"
                 >
                   Add
@@ -1,83 +1,157 @@
-// components/MovieReviews.jsx - Ratings summary + sample audience reviews
-import React from "react";
-import { StarIcon, ThumbsUp } from "lucide-react";
-
-// A pool of spoiler-free audience reviews; each movie deterministically shows a
-// different set of 4 so the section feels genuine instead of identical everywhere.
-const NAMES = [
-  "Aarav S.", "Priya M.", "Rohan K.", "Neha T.", "Vikram R.", "Ananya P.",
-  "Karan D.", "Sneha V.", "Arjun N.", "Diya K.", "Rahul B.", "Meera J.",
-  "Aditya G.", "Ishaan M.", "Riya S.", "Sahil A.",
-];
+// components/MovieReviews.jsx - Audience rating summary, reviews from verified ticket holders, and the review form
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { FlagIcon, StarIcon, ThumbsUp, Trash2Icon } from "lucide-react";
+import { useAppContext } from "../context/AppContext";
 
-const TEXTS = [
-  "Absolute blockbuster — the visuals and sound design were next level.",
-  "Gripping from start to finish. The performances really carried it.",
-  "Great popcorn entertainer. Went with friends and everyone loved it.",
-  "One of the best I've seen this year. Goosebumps in the final act.",
-  "Solid direction and a tight screenplay. Time just flew by.",
-  "A bit slow in the middle, but the payoff was completely worth it.",
-  "The cinematography alone is worth the ticket. Stunning on the big screen.",
-  "Emotional, thrilling, and beautifully shot. Loved every minute.",
-  "Background score gave me chills. Watch it in a good theatre.",
-  "Well-paced and engaging — the cast had brilliant chemistry.",
-  "Didn't expect to enjoy it this much. Pleasant surprise!",
-  "Worth the IMAX upgrade. Immersive all the way through.",
-  "Strong first half, even stronger climax. Highly recommend.",
-  "A proper big-screen film. Don't wait for OTT on this one.",
+const SORTS = [
+  { key: "recent", label: "Newest" },
+  { key: "helpful", label: "Most helpful" },
+  { key: "rating", label: "Highest rated" },
 ];
 
-const hashStr = (s) => {
-  let h = 0;
-  const str = String(s || "");
-  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
-  return h;
-};
+const REPORT_REASONS = [
+  { key: "spoiler", label: "Spoiler" },
+  { key: "offensive", label: "Offensive" },
+  { key: "spam", label: "Spam" },
+  { key: "other", label: "Other" },
+];
 
-// Build 4 deterministic, distinct reviews for a given movie.
-const buildReviews = (movieId, score) => {
-  let h = hashStr(movieId) || 7;
-  const rand = () => {
-    h = (h * 1664525 + 1013904223) >>> 0;
-    return h / 4294967296;
-  };
-  const base = Math.max(3, Math.min(5, Math.round(score / 2) || 4));
-  const usedT = new Set();
-  const usedN = new Set();
-  const out = [];
-  let guard = 0;
-  while (out.length < 4 && guard++ < 200) {
-    const ti = Math.floor(rand() * TEXTS.length);
-    const ni = Math.floor(rand() * NAMES.length);
-    if (usedT.has(ti) || usedN.has(ni)) continue;
-    usedT.add(ti);
-    usedN.add(ni);
-    // Slight per-review variation around the movie's overall score.
-    const jitter = rand() < 0.4 ? -1 : 0;
-    out.push({ name: NAMES[ni], text: TEXTS[ti], rating: Math.max(3, Math.min(5, base + jitter)) });
-  }
-  return out;
-};
+const MAX_TEXT = 1000;
 
-const Stars = ({ value, size = "w-3.5 h-3.5" }) => (
+const Stars = ({ value, size = "w-3.5 h-3.5", onPick }) => (
   <span className="inline-flex items-center gap-0.5 shrink-0">
-    {Array.from({ length: 5 }).map((_, i) => (
-      <StarIcon
-        key={i}
-        className={`${size} ${i < value ? "text-amber-400 fill-amber-400" : "text-gray-600"}`}
-      />
-    ))}
+    {Array.from({ length: 5 }).map((_, i) =>
+      onPick ? (
+        <button key={i} type="button" onClick={() => onPick(i + 1)} className="cursor-pointer" aria-label={`${i + 1} star${i ? "s" : ""}`}>
+          <StarIcon className={`${size} ${i < value ? "text-amber-400 fill-amber-400" : "text-gray-600 hover:text-amber-300"}`} />
+        </button>
+      ) : (
+        <StarIcon key={i} className={`${size} ${i < value ? "text-amber-400 fill-amber-400" : "text-gray-600"}`} />
+      )
+    )}
   </span>
 );
 
-const MovieReviews = ({ movie }) => {
-  const score = Number(movie?.vote_average || 0);
-  const liked = Math.min(99, Math.round((score / 10) * 100));
-  const votes = movie?.vote_count ? Number(movie.vote_count).toLocaleString() : "2,480";
-  const reviews = React.useMemo(
-    () => buildReviews(movie?._id || movie?.id || movie?.title, score),
-    [movie?._id, movie?.id, movie?.title, score]
-  );
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+const MovieReviews = ({ movie, movieId, onSummary }) => {
+  const { axios, getToken, user } = useAppContext();
+  const tmdbScore = Number(movie?.vote_average || 0);
+  const tmdbVotes = Number(movie?.vote_count || 0);
+
+  const [sort, setSort] = useState("recent");
+  const [page, setPage] = useState(1);
+  const [summary, setSummary] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [myReview, setMyReview] = useState(null);
+  const [canReview, setCanReview] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const [draft, setDraft] = useState({ rating: 0, text: "" });
+  const [editing, setEditing] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [reportingId, setReportingId] = useState(null);
+
+  const authHeaders = async () => (user ? { headers: { Authorization: `Bearer ${await getToken()}` } } : {});
+
+  const fetchReviews = async (nextPage = 1) => {
+    if (!movieId) return;
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`/api/review/movie/${movieId}`, {
+        ...(await authHeaders()),
+        params: { sort, page: nextPage },
+      });
+      if (!data.success) return;
+      setSummary(data.summary);
+      onSummary?.(data.summary);
+      setReviews((prev) => (nextPage === 1 ? data.reviews : [...prev, ...data.reviews]));
+      setPage(nextPage);
+      setHasMore(data.hasMore);
+      setMyReview(data.myReview);
+      setCanReview(data.canReview);
+    } catch (e) {
+      console.error("reviews fetch error:", e);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReviews(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [movieId, sort, user]);
+
+  const startEdit = () => {
+    setDraft({ rating: myReview?.rating || 0, text: myReview?.text || "" });
+    setEditing(true);
+  };
+
+  const submitReview = async () => {
+    if (!draft.rating) return toast.error("Pick a star rating");
+    try {
+      setBusy(true);
+      const { data } = await axios.post(`/api/review/movie/${movieId}`, draft, await authHeaders());
+      if (data.success) {
+        toast.success(data.message);
+        setEditing(false);
+        await fetchReviews(1);
+      } else toast.error(data.message || "Failed to save review");
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Failed to save review");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteReview = async () => {
+    if (!myReview || !window.confirm("Delete your review?")) return;
+    try {
+      setBusy(true);
+      const { data } = await axios.delete(`/api/review/${myReview._id}`, await authHeaders());
+      if (data.success) {
+        toast.success(data.message);
+        setEditing(false);
+        await fetchReviews(1);
+      } else toast.error(data.message || "Failed to delete review");
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Failed to delete review");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleHelpful = async (r) => {
+    if (!user) return toast("Sign in to vote");
+    try {
+      const { data } = await axios.post(`/api/review/${r._id}/helpful`, {}, await authHeaders());
+      if (!data.success) return toast.error(data.message || "Failed to record vote");
+      setReviews((prev) =>
+        prev.map((x) => (x._id === r._id ? { ...x, helpfulCount: data.helpfulCount, votedHelpful: data.votedHelpful } : x))
+      );
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Failed to record vote");
+    }
+  };
+
+  const report = async (r, reason) => {
+    setReportingId(null);
+    try {
+      const { data } = await axios.post(`/api/review/${r._id}/report`, { reason }, await authHeaders());
+      if (!data.success) return toast.error(data.message || "Failed to report review");
+      toast.success(data.message);
+      setReviews((prev) => prev.map((x) => (x._id === r._id ? { ...x, reported: true } : x)));
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Failed to report review");
+    }
+  };
+
+  const count = summary?.count || 0;
+  const maxBucket = Math.max(1, ...Object.values(summary?.distribution || {}));
+  const showForm = canReview && (editing || !myReview);
 
   return (
     <section className="px-6 md:px-16 lg:px-40 xl:px-44 mt-20">
@@ -86,37 +160,201 @@ const MovieReviews = ({ movie }) => {
       </p>
 
       <div className="flex flex-col lg:flex-row gap-6">
-        {/* Summary card */}
-        <div className="lg:w-64 shrink-0 rounded-2xl border border-white/10 bg-white/[0.03] p-6 flex flex-col items-center justify-center text-center">
-          <div className="flex items-end gap-1">
-            <span className="text-5xl font-bold text-white">{score.toFixed(1)}</span>
-            <span className="text-gray-400 mb-1.5">/10</span>
-          </div>
-          <div className="mt-2">
-            <Stars value={Math.round(score / 2)} size="w-5 h-5" />
-          </div>
-          <p className="mt-3 inline-flex items-center gap-1.5 text-sm text-primary">
-            <ThumbsUp className="w-4 h-4" /> {liked}% liked it
-          </p>
-          <p className="text-xs text-gray-500 mt-1">{votes} ratings</p>
+        {/* Summary card — MovieMint audience rating, with TMDB for reference */}
+        <div className="lg:w-72 shrink-0 rounded-2xl border border-white/10 bg-white/[0.03] p-6">
+          {count > 0 ? (
+            <>
+              <div className="flex items-end gap-1">
+                <span className="text-5xl font-bold text-white">{summary.average.toFixed(1)}</span>
+                <span className="text-gray-400 mb-1.5">/5</span>
+              </div>
+              <div className="mt-2">
+                <Stars value={Math.round(summary.average)} size="w-5 h-5" />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {count.toLocaleString()} audience review{count === 1 ? "" : "s"}
+              </p>
+
+              <div className="mt-4 space-y-1.5">
+                {[5, 4, 3, 2, 1].map((star) => {
+                  const n = summary.distribution[star] || 0;
+                  return (
+                    <div key={star} className="flex items-center gap-2 text-xs text-gray-400">
+                      <span className="w-3 text-right">{star}</span>
+                      <StarIcon className="w-3 h-3 text-amber-400 fill-amber-400" />
+                      <div className="flex-1 h-1.5 rounded-full bg-white/10 overflow-hidden">
+                        <div className="h-full rounded-full bg-amber-400" style={{ width: `${(n / maxBucket) * 100}%` }} />
+                      </div>
+                      <span className="w-8 text-right">{n}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">
+              {isLoading ? "Loading ratings…" : "No audience reviews yet."}
+            </p>
+          )}
+
+          {tmdbScore > 0 && (
+            <p className="mt-5 pt-4 border-t border-white/10 text-xs text-gray-400">
+              TMDB <span className="font-semibold text-white">{tmdbScore.toFixed(1)}</span>/10
+              {tmdbVotes > 0 && <> · {tmdbVotes.toLocaleString()} votes</>}
+            </p>
+          )}
         </div>
 
-        {/* Reviews list */}
-        <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-4">
-          {reviews.map((r) => (
-            <div key={r.name} className="rounded-2xl border border-white/10 bg-white/[0.03] p-5">
-              <div className="flex items-center gap-3">
-                <div className="flex h-9 w-9 shrink-0 items-center justify-center rounded-full bg-primary/15 text-primary text-sm font-semibold">
-                  {r.name.charAt(0)}
+        <div className="flex-1 min-w-0 space-y-4">
+          {/* Write / edit — only for people who watched it with a MovieMint ticket */}
+          {showForm && (
+            <div className="rounded-2xl border border-primary/25 bg-primary/[0.04] p-5">
+              <p className="text-sm font-medium">{myReview ? "Edit your review" : "You watched this — how was it?"}</p>
+              <div className="mt-2">
+                <Stars value={draft.rating} size="w-6 h-6" onPick={(rating) => setDraft((d) => ({ ...d, rating }))} />
+              </div>
+              <textarea
+                value={draft.text}
+                onChange={(e) => setDraft((d) => ({ ...d, text: e.target.value.slice(0, MAX_TEXT) }))}
+                rows={3}
+                placeholder="Share what you liked (no spoilers, please)"
+                className="mt-3 w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm outline-none resize-none"
+              />
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-[11px] text-gray-500">{draft.text.length}/{MAX_TEXT}</span>
+                <div className="flex items-center gap-2">
+                  {editing && (
+                    <button onClick={() => setEditing(false)} className="px-4 py-1.5 rounded-full text-xs text-gray-300 hover:bg-white/10 cursor-pointer">
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    onClick={submitReview}
+                    disabled={busy}
+                    className="px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-primary hover:bg-primary-dull text-black disabled:opacity-40 disabled:cursor-not-allowed transition"
+                  >
+                    {myReview ? "Save" : "Post review"}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Own review (shown even while hidden by moderation) */}
+          {myReview && !editing && (
+            <div className="rounded-2xl border border-primary/25 bg-white/[0.03] p-5">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium">Your review</span>
+                  <Stars value={myReview.rating} />
+                  {myReview.status === "hidden" && (
+                    <span className="px-2 py-0.5 rounded-full text-[11px] border bg-amber-500/10 text-amber-300 border-amber-500/30">
+                      Hidden by moderators
+                    </span>
+                  )}
                 </div>
-                <div className="min-w-0">
-                  <div className="text-sm font-medium truncate">{r.name}</div>
-                  <Stars value={r.rating} />
+                <div className="flex items-center gap-1.5">
+                  {canReview && (
+                    <button onClick={startEdit} className="px-3 py-1 rounded-full text-xs text-gray-300 hover:bg-white/10 cursor-pointer">
+                      Edit
+                    </button>
+                  )}
+                  <button onClick={deleteReview} disabled={busy} className="p-1.5 rounded-lg text-gray-400 hover:bg-white/10 cursor-pointer" aria-label="Delete your review">
+                    <Trash2Icon className="w-3.5 h-3.5" />
+                  </button>
                 </div>
               </div>
-              <p className="text-sm text-gray-300 mt-3 leading-relaxed">{r.text}</p>
+              {myReview.text && <p className="text-sm text-gray-300 mt-3 leading-relaxed">{myReview.text}</p>}
+            </div>
+          )}
+
+          {count > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {SORTS.map((s) => (
+                <button
+                  key={s.key}
+                  onClick={() => setSort(s.key)}
+                  className={`px-3 py-1 rounded-full border text-xs cursor-pointer transition ${sort === s.key
+                    ? "bg-primary/20 border-primary/40 text-primary"
+                    : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                    }`}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {!isLoading && reviews.length === 0 && !showForm && (
+            <p className="text-sm text-gray-400">
+              Reviews come from people who watched the movie with a MovieMint ticket. Be the first after your show!
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {reviews.filter((r) => !r.isMine).map((r) => (
+              <div key={r._id} className="rounded-2xl border border-white/10 bg-white/[0.03] p-5 flex flex-col">
+                <div className="flex items-center gap-3">
+                  {r.image ? (
+                    <img src={r.image} alt="" className="h-9 w-9 shrink-0 rounded-full object-cover" />
+                  ) : (
+                    <div className="flex h-9 w-9 shrink-0 items-center justify-center rounded-full bg-primary/15 text-primary text-sm font-semibold">
+                      {r.name.charAt(0)}
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium truncate">{r.name}</div>
+                    <div className="flex items-center gap-2">
+                      <Stars value={r.rating} />
+                      <span className="text-[11px] text-gray-500">{formatDate(r.createdAt)}</span>
+                    </div>
+                  </div>
+                </div>
+                {r.text && <p className="text-sm text-gray-300 mt-3 leading-relaxed">{r.text}</p>}
+
+                <div className="flex items-center gap-3 mt-auto pt-3 text-xs text-gray-400">
+                  <button
+                    onClick={() => toggleHelpful(r)}
+                    className={`inline-flex items-center gap-1.5 cursor-pointer hover:text-white ${r.votedHelpful ? "text-primary" : ""}`}
+                  >
+                    <ThumbsUp className={`w-3.5 h-3.5 ${r.votedHelpful ? "fill-primary" : ""}`} />
+                    Helpful{r.helpfulCount > 0 && ` (${r.helpfulCount})`}
+                  </button>
+                  {user && (r.reported ? (
+                    <span className="inline-flex items-center gap-1.5 text-gray-500"><FlagIcon className="w-3.5 h-3.5" /> Reported</span>
+                  ) : reportingId === r._id ? (
+                    <span className="inline-flex flex-wrap items-center gap-1">
+                      {REPORT_REASONS.map((reason) => (
+                        <button
+                          key={reason.key}
+                          onClick={() => report(r, reason.key)}
+                          className="px-2 py-0.5 rounded-full border border-white/10 bg-white/5 hover:bg-white/10 cursor-pointer"
+                        >
+                          {reason.label}
+                        </button>
+                      ))}
+                    </span>
+                  ) : (
+                    <button onClick={() => setReportingId(r._id)} className="inline-flex items-center gap-1.5 cursor-pointer hover:text-white">
+                      <FlagIcon className="w-3.5 h-3.5" /> Report
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {hasMore && (
+            <div className="flex justify-center">
+              <button
+                onClick={() => fetchReviews(page + 1)}
+                disabled={isLoading}
+                className="px-6 py-2 text-xs rounded-full border border-white/10 bg-white/5 hover:bg-white/10 cursor-pointer disabled:opacity-40"
+              >
+                {isLoading ? "Loading…" : "Load more reviews"}
+              </button>
             </div>
-          ))}
+          )}
         </div>
       </div>
     </section>
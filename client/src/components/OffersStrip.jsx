@@ -1,40 +1,56 @@
-// components/OffersStrip.jsx - Horizontally scrollable promotional offers (home page)
-import React from "react";
+// components/OffersStrip.jsx - Horizontally scrollable offers built from the live public coupons (home page)
+import React, { useEffect, useState } from "react";
 import HScroller from "./HScroller";
 import { TicketPercent, CreditCard, Popcorn, CalendarHeart } from "lucide-react";
+import { useAppContext } from "../context/AppContext";
 
-const OFFERS = [
-  {
-    icon: TicketPercent,
-    title: "50% OFF on Tuesdays",
-    sub: "Use code MOVIE50 · up to ₹150 off",
-    from: "from-violet-500/20",
-    to: "to-fuchsia-500/10",
-  },
-  {
-    icon: CreditCard,
-    title: "Extra ₹50 off with UPI",
-    sub: "On every ticket, all shows",
-    from: "from-emerald-500/20",
-    to: "to-teal-500/10",
-  },
-  {
-    icon: Popcorn,
-    title: "Free combo upgrade",
-    sub: "On 4 tickets & above",
-    from: "from-amber-500/20",
-    to: "to-orange-500/10",
-  },
-  {
-    icon: CalendarHeart,
-    title: "Weekend Family Pack",
-    sub: "Flat 20% for 4+ seats",
-    from: "from-sky-500/20",
-    to: "to-blue-500/10",
-  },
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Cards cycle through these so neighbouring offers look different.
+const STYLES = [
+  { icon: TicketPercent, from: "from-violet-500/20", to: "to-fuchsia-500/10" },
+  { icon: CreditCard, from: "from-emerald-500/20", to: "to-teal-500/10" },
+  { icon: Popcorn, from: "from-amber-500/20", to: "to-orange-500/10" },
+  { icon: CalendarHeart, from: "from-sky-500/20", to: "to-blue-500/10" },
 ];
 
+const currency = import.meta.env.VITE_CURRENCY || "₹";
+
+const titleFor = (c) => {
+  if (c.label) return c.label;
+  const off = c.type === "percent" ? `${c.value}% OFF` : `Flat ${currency}${c.value} OFF`;
+  return c.applicableWeekdays?.length
+    ? `${off} on ${c.applicableWeekdays.map((d) => WEEKDAYS[d]).join(" & ")}`
+    : off;
+};
+
+const subFor = (c) => {
+  const parts = [`Use code ${c.code}`];
+  if (c.type === "percent" && c.maxDiscount) parts.push(`up to ${currency}${c.maxDiscount} off`);
+  if (c.minSubtotal) parts.push(`min ${currency}${c.minSubtotal}`);
+  if (c.applicableFormats?.length) parts.push(c.applicableFormats.join("/"));
+  return parts.join(" · ");
+};
+
 const OffersStrip = () => {
+  const { axios } = useAppContext();
+  const [coupons, setCoupons] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get("/api/coupon/public")
+      .then(({ data }) => {
+        if (!cancelled && data.success) setCoupons(data.coupons || []);
+      })
+      .catch((e) => console.error("offers fetch error:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [axios]);
+
+  if (coupons.length === 0) return null;
+
   return (
     <section className="px-6 md:px-16 lg:px-24 xl:px-44 pt-16">
       <div className="flex items-center justify-between mb-5">
@@ -42,18 +58,26 @@ const OffersStrip = () => {
       </div>
       <HScroller>
         <div className="flex gap-4 w-max pb-2 px-1">
-          {OFFERS.map((o) => (
-            <div
-              key={o.title}
-              className={`shrink-0 w-72 rounded-2xl border border-white/10 bg-gradient-to-br ${o.from} ${o.to} p-5 backdrop-blur-sm hover:border-primary/40 transition`}
-            >
-              <div className="flex h-11 w-11 items-center justify-center rounded-xl bg-white/10 border border-white/15 mb-4">
-                <o.icon className="w-5 h-5 text-primary" />
+          {coupons.map((c, i) => {
+            const s = STYLES[i % STYLES.length];
+            return (
+              <div
+                key={c._id || c.code}
+                className={`shrink-0 w-72 rounded-2xl border border-white/10 bg-gradient-to-br ${s.from} ${s.to} p-5 backdrop-blur-sm hover:border-primary/40 transition`}
+              >
+                <div className="flex h-11 w-11 items-center justify-center rounded-xl bg-white/10 border border-white/15 mb-4">
+                  <s.icon className="w-5 h-5 text-primary" />
+                </div>
+                <p className="font-semibold">{titleFor(c)}</p>
+                <p className="text-xs text-gray-300 mt-1">{subFor(c)}</p>
+                {c.validTo && (
+                  <p className="text-[11px] text-gray-400 mt-2">
+                    Valid till {new Date(c.validTo).toLocaleDateString(undefined, { day: "numeric", month: "short" })}
+                  </p>
+                )}
               </div>
-              <p className="font-semibold">{o.title}</p>
-              <p className="text-xs text-gray-300 mt-1">{o.sub}</p>
-            </div>
-          ))}
+            );
+          })}
         </div>
       </HScroller>
     </section>
@@ -14,6 +14,7 @@ const isHiddenRoute = (pathname) =>
   /^\/movies\/[^/]+\/[^/]+/.test(pathname) || // seat layout
   pathname.startsWith("/review-booking") ||
   pathname.startsWith("/payment-success") ||
+  pathname.startsWith("/split/") ||
   pathname.startsWith("/loading");
 
 const fmt = (ms) => {
@@ -4,19 +4,24 @@
 // - Stadium tiers: every row is raised so back seats see over the front ones.
 // - Realistic seats (cushion + backrest + armrests), coloured by zone.
 // - Click any seat to instantly move your viewpoint there (and pick it).
+// - Follows the screen's seat map: aisles widen the row, "gap" positions have no seat.
 import React, { Suspense, useMemo } from "react";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, PerspectiveCamera, useTexture, Text } from "@react-three/drei";
 import ErrorBoundary from "./ErrorBoundary";
 
 const SEAT_DX = 0.78;   // horizontal spacing between seats
+const AISLE_DX = 0.7;   // extra width of an aisle
 const ROW_DZ = 1.25;    // depth between rows (legroom)
 const RISE = 0.34;      // stadium rise per row — back rows sit higher
 const FRONT_Z = -6.5;   // z of the front row
 const EYE = 1.02;       // seated eye height above the seat base
 const SCREEN = { z: -13, y: 4.4, w: 19, h: 8 };
 
-const seatX = (c, cols) => (c - (cols - 1) / 2) * SEAT_DX;
+// Aisles are "after column N" (1-based); seat index c is past every aisle with N <= c.
+const seatX = (c, cols, aisles = []) =>
+    (c - (cols - 1) / 2) * SEAT_DX +
+    (aisles.filter((a) => a <= c).length - aisles.length / 2) * AISLE_DX;
 const seatZ = (r) => FRONT_Z + r * ROW_DZ;
 const seatBaseY = (r) => 0.5 + r * RISE;
 
@@ -94,11 +99,11 @@ function Seat({ position, color, status, onSelect }) {
     );
 }
 
-function Scene({ rows, cols, rowIndex, colIndex, screenImage, screenLabel, rowColors, seatStatus, onPickSeat }) {
+function Scene({ rows, cols, aisles, rowIndex, colIndex, screenImage, screenLabel, rowColors, seatStatus, onPickSeat }) {
     // Eye position at the chosen seat.
     const eye = useMemo(
-        () => [seatX(colIndex, cols), seatBaseY(rowIndex) + EYE, seatZ(rowIndex)],
-        [colIndex, cols, rowIndex]
+        () => [seatX(colIndex, cols, aisles), seatBaseY(rowIndex) + EYE, seatZ(rowIndex)],
+        [colIndex, cols, aisles, rowIndex]
     );
 
     // Look toward the centre of the screen.
@@ -173,11 +178,12 @@ function Scene({ rows, cols, rowIndex, colIndex, screenImage, screenLabel, rowCo
                 Array.from({ length: cols }).map((_, c) => {
                     if (r === rowIndex && c === colIndex) return null;
                     const status = seatStatus?.[r]?.[c] || "available";
+                    if (status === "gap") return null;
                     const zoneColor = (rowColors && rowColors[r]) || "#2a2336";
                     return (
                         <Seat
                             key={`${r}-${c}`}
-                            position={[seatX(c, cols), seatBaseY(r), seatZ(r)]}
+                            position={[seatX(c, cols, aisles), seatBaseY(r), seatZ(r)]}
                             color={zoneColor}
                             status={status}
                             onSelect={onPickSeat ? () => onPickSeat(r, c) : undefined}
@@ -194,6 +200,7 @@ export default function SeatViewPreview({
     colIndex = 0,
     rows = 8,
     cols = 10,
+    aisles = [],
     screenImage = null,
     screenLabel = null,
     rowColors = null,
@@ -208,6 +215,7 @@ export default function SeatViewPreview({
                 <Scene
                     rows={rows}
                     cols={cols}
+                    aisles={aisles}
                     rowIndex={rowIndex}
                     colIndex={colIndex}
                     screenImage={screenImage}
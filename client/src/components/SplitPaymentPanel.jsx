@@ -0,0 +1,197 @@
+// components/SplitPaymentPanel.jsx - "Split with friends" on the review page: assign seats, share invite links, track who paid
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { CopyIcon, UsersIcon } from "lucide-react";
+import { useAppContext } from "../context/AppContext";
+
+const CURRENCY = import.meta.env.VITE_CURRENCY || "₹";
+
+const STATUS_CHIP = {
+  pending: "bg-amber-500/10 text-amber-300 border-amber-500/30",
+  paid: "bg-emerald-400/10 text-emerald-300 border-emerald-400/30",
+  expired: "bg-white/5 text-gray-400 border-white/10",
+  refunded: "bg-sky-400/10 text-sky-300 border-sky-400/30",
+};
+
+/**
+ * The host keeps at least one seat (and the snacks); every seat given to a
+ * friend becomes a share with its own pay link, optionally emailed to them.
+ * `onSplit` receives the server's { expiresAt, paymentLink } — the host's
+ * own pay link then points at their share.
+ */
+const SplitPaymentPanel = ({ bookingId, seats = [], isSplit = false, couponCode = "", onSplit }) => {
+  const { axios, getToken } = useAppContext();
+
+  const [open, setOpen] = useState(false);
+  const [invites, setInvites] = useState({}); // seat -> email ("" = link only)
+  const [shares, setShares] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchShares = async () => {
+    try {
+      const { data } = await axios.get(`/api/booking/${bookingId}/split`, await authHeaders());
+      if (data.success) setShares(data.shares || []);
+    } catch (e) {
+      console.error("shares fetch error:", e);
+    }
+  };
+
+  useEffect(() => {
+    if (!bookingId || !isSplit) return;
+    fetchShares();
+    const t = setInterval(fetchShares, 15000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bookingId, isSplit]);
+
+  if (!bookingId || seats.length < 2) return null;
+
+  const toggleSeat = (seat) =>
+    setInvites((prev) => {
+      const next = { ...prev };
+      if (seat in next) delete next[seat];
+      else next[seat] = "";
+      return next;
+    });
+
+  const createInvites = async () => {
+    const picked = Object.entries(invites).map(([seat, email]) => ({ seat, email }));
+    if (!picked.length) return toast.error("Pick the seats your friends will pay for");
+    if (picked.length >= seats.length) return toast.error("Keep at least one seat for yourself");
+    try {
+      setSaving(true);
+      const { data } = await axios.post(`/api/booking/${bookingId}/split`, { invites: picked }, await authHeaders());
+      if (!data.success) return toast.error(data.message || "Could not split payment");
+      toast.success(data.message);
+      setShares(data.shares || []);
+      setOpen(false);
+      onSplit?.({ expiresAt: data.expiresAt, paymentLink: data.paymentLink });
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not split payment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      toast.success("Invite link copied");
+    } catch {
+      window.prompt("Copy this invite link:", link);
+    }
+  };
+
+  if (isSplit || shares.length) {
+    const paid = shares.filter((s) => s.status === "paid").length;
+    return (
+      <div className="mt-5 rounded-xl border border-white/10 bg-white/[0.03] p-4 max-w-md">
+        <div className="flex items-center justify-between">
+          <div className="text-[11px] uppercase tracking-[0.18em] text-gray-400 flex items-center gap-1.5">
+            <UsersIcon className="w-3.5 h-3.5" /> Split payment
+          </div>
+          <span className="text-xs text-gray-400">{paid} of {shares.length} paid</span>
+        </div>
+        <ul className="mt-2 divide-y divide-white/5">
+          {shares.map((s) => (
+            <li key={s._id} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <div className="min-w-0">
+                <p className="text-gray-200">
+                  {s.seats.join(", ")} <span className="text-gray-500 text-xs">· {CURRENCY} {s.amount}</span>
+                </p>
+                <p className="text-[11px] text-gray-500 truncate">{s.isHost ? "You" : s.email || "Shared by link"}</p>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <span className={`px-2 py-0.5 rounded-full text-[11px] border capitalize ${STATUS_CHIP[s.status] || STATUS_CHIP.expired}`}>{s.status}</span>
+                {!s.isHost && s.status === "pending" && s.link && (
+                  <button
+                    onClick={() => copyLink(s.link)}
+                    className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer"
+                    title="Copy invite link"
+                    aria-label={`Copy invite link for ${s.seats.join(", ")}`}
+                  >
+                    <CopyIcon className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+        <p className="text-[11px] text-gray-500 mt-2">
+          Seats are confirmed as each share is paid. Unpaid seats are released when the hold ends.
+        </p>
+      </div>
+    );
+  }
+
+  if (couponCode) return null;
+
+  return (
+    <div className="mt-5 rounded-xl border border-white/10 bg-white/[0.03] p-4 max-w-md">
+      {!open ? (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-300">Booking for friends? Let each of them pay for their own seat.</p>
+          <button
+            onClick={() => setOpen(true)}
+            className="shrink-0 inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-white/10 border border-white/15 text-gray-100 hover:bg-primary hover:text-black transition cursor-pointer"
+          >
+            <UsersIcon className="w-3.5 h-3.5" /> Split with friends
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="text-[11px] uppercase tracking-[0.18em] text-gray-400">Who pays for which seat?</div>
+          <ul className="mt-2 space-y-2">
+            {seats.map((seat) => {
+              const isFriend = seat in invites;
+              return (
+                <li key={seat} className="flex items-center gap-2">
+                  <button
+                    onClick={() => toggleSeat(seat)}
+                    className={`w-24 shrink-0 px-2 py-1 rounded-lg border text-xs cursor-pointer transition ${isFriend
+                      ? "bg-primary/20 border-primary/40 text-primary"
+                      : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                      }`}
+                  >
+                    {seat} · {isFriend ? "Friend" : "Me"}
+                  </button>
+                  {isFriend && (
+                    <input
+                      type="email"
+                      value={invites[seat]}
+                      onChange={(e) => setInvites((prev) => ({ ...prev, [seat]: e.target.value }))}
+                      placeholder="Friend's email (optional)"
+                      className="flex-1 min-w-0 px-3 py-1 rounded-lg bg-white/5 border border-white/15 text-xs text-gray-100 placeholder:text-gray-500 outline-none focus:border-primary/50"
+                    />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          <p className="text-[11px] text-gray-500 mt-3">
+            You pay for the seats marked "Me" plus any snacks. Friends get a link (emailed if you add an address) to pay for their seat.
+          </p>
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={() => { setOpen(false); setInvites({}); }}
+              className="px-3 py-1.5 rounded-lg text-xs border border-white/15 hover:bg-white/5 cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={createInvites}
+              disabled={saving}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-primary text-black hover:bg-primary-dull cursor-pointer disabled:opacity-50"
+            >
+              {saving ? "Creating…" : "Create invites"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SplitPaymentPanel;
@@ -0,0 +1,143 @@
+// components/TicketTransfers.jsx - Ticket transfers on My Bookings: offers to accept/decline, sent offers to withdraw
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { SendIcon } from "lucide-react";
+import AgeGate from "./AgeGate";
+import { useAppContext } from "../context/AppContext";
+import { dateFormat } from "../lib/dateFormat";
+
+/**
+ * Lists pending transfers sent to the signed-in user (accept / decline) and
+ * the ones they sent that are still waiting (withdraw). `refreshKey` reloads
+ * the list after a new transfer is sent; `onChange` runs after anything that
+ * moves tickets so the bookings list can refresh.
+ */
+const TicketTransfers = ({ refreshKey = 0, onChange }) => {
+  const { axios, getToken, user, image_base_url } = useAppContext();
+
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [ageGate, setAgeGate] = useState(null); // { transferId, certification }
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchTransfers = async () => {
+    try {
+      const { data } = await axios.get("/api/transfer", await authHeaders());
+      if (data.success) {
+        setIncoming(data.incoming || []);
+        setOutgoing((data.outgoing || []).filter((t) => t.status === "pending"));
+      }
+    } catch (e) {
+      console.error("transfers fetch error:", e);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchTransfers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, refreshKey]);
+
+  const respond = async (transferId, action) => {
+    try {
+      setBusyId(transferId);
+      const { data } = await axios.post(`/api/transfer/${transferId}/${action}`, {}, await authHeaders());
+      if (data.success) {
+        toast.success(data.message);
+        await fetchTransfers();
+        if (action === "accept") onChange?.();
+      } else {
+        toast.error(data.message || "Something went wrong");
+      }
+    } catch (e) {
+      const body = e?.response?.data;
+      // Restricted (A) titles: confirm a date of birth, then accept again.
+      if (action === "accept" && body?.code === "AGE_REQUIRED") {
+        setAgeGate({ transferId, certification: body.certification || "A" });
+        return;
+      }
+      toast.error(body?.message || "Something went wrong");
+      await fetchTransfers();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!incoming.length && !outgoing.length) return null;
+
+  return (
+    <div className="mb-6 max-w-4xl space-y-3">
+      <AgeGate
+        open={!!ageGate}
+        certification={ageGate?.certification}
+        onConfirm={() => {
+          const { transferId } = ageGate;
+          setAgeGate(null);
+          respond(transferId, "accept");
+        }}
+        onCancel={() => setAgeGate(null)}
+      />
+
+      {incoming.map((t) => (
+        <div key={t._id} className="flex flex-col sm:flex-row sm:items-center gap-4 rounded-2xl border border-primary/30 bg-primary/[0.06] p-4">
+          {t.show?.movie?.poster_path && (
+            <img src={image_base_url + t.show.movie.poster_path} alt={t.show.movie.title} className="w-14 h-20 rounded-lg object-cover ring-1 ring-white/15" />
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="text-[11px] uppercase tracking-[0.18em] text-primary flex items-center gap-1.5">
+              <SendIcon className="w-3.5 h-3.5" /> Tickets for you
+            </p>
+            <p className="font-semibold mt-1">
+              {t.fromName || "Someone"} is sending you {t.seats.length > 1 ? `${t.seats.length} seats` : "a seat"} for {t.show?.movie?.title || "a movie"}
+            </p>
+            <p className="text-sm text-gray-400">
+              {t.show?.theater?.name}{t.show?.showDateTime ? ` · ${dateFormat(t.show.showDateTime)}` : ""} · Seats {t.seats.join(", ")}
+            </p>
+          </div>
+          <div className="flex gap-2 shrink-0">
+            <button
+              onClick={() => respond(t._id, "decline")}
+              disabled={busyId === t._id}
+              className="px-4 py-1.5 rounded-full text-xs font-medium border border-white/15 text-gray-300 hover:bg-white/10 transition cursor-pointer disabled:opacity-60"
+            >
+              Decline
+            </button>
+            <button
+              onClick={() => respond(t._id, "accept")}
+              disabled={busyId === t._id}
+              className="px-4 py-1.5 rounded-full text-xs font-semibold bg-primary text-black hover:bg-primary-dull transition cursor-pointer disabled:opacity-60"
+            >
+              {busyId === t._id ? "Working…" : "Accept"}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {outgoing.length > 0 && (
+        <div className="rounded-2xl border border-white/10 bg-white/[0.03] p-4">
+          <p className="text-[11px] uppercase tracking-[0.18em] text-gray-400">Waiting for the recipient</p>
+          <ul className="mt-2 divide-y divide-white/5">
+            {outgoing.map((t) => (
+              <li key={t._id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                <span className="text-gray-300 min-w-0 truncate">
+                  {t.show?.movie?.title || "Movie"} · {t.seats.join(", ")}
+                  <span className="text-gray-500 text-xs ml-2">to {t.toEmail}</span>
+                </span>
+                <button
+                  onClick={() => respond(t._id, "cancel")}
+                  disabled={busyId === t._id}
+                  className="shrink-0 px-3 py-1 rounded-full text-xs border border-white/15 text-gray-300 hover:bg-white/10 transition cursor-pointer disabled:opacity-60"
+                >
+                  Withdraw
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TicketTransfers;
@@ -0,0 +1,114 @@
+// components/TransferTicketModal.jsx - Send some or all seats of a confirmed booking to another MovieMint user
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+
+/**
+ * The recipient must already have a MovieMint account with that email. The
+ * tickets stay with the sender until the recipient accepts; `onSent` runs
+ * once the offer is created.
+ */
+const TransferTicketModal = ({ booking, onClose, onSent }) => {
+  const { axios, getToken } = useAppContext();
+  const seats = booking?.seats || [];
+
+  const [email, setEmail] = useState("");
+  const [picked, setPicked] = useState(seats);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    setEmail("");
+    setPicked(booking?.seats || []);
+  }, [booking]);
+
+  if (!booking) return null;
+
+  const toggleSeat = (seat) =>
+    setPicked((prev) => (prev.includes(seat) ? prev.filter((s) => s !== seat) : [...prev, seat]));
+
+  const send = async () => {
+    if (!email.trim()) return toast.error("Enter the recipient's email");
+    if (!picked.length) return toast.error("Pick at least one seat");
+    try {
+      setSending(true);
+      const { data } = await axios.post(
+        "/api/transfer",
+        { bookingId: booking._id, email: email.trim(), seats: picked },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (!data.success) return toast.error(data.message || "Could not send transfer");
+      toast.success(data.message);
+      onSent?.();
+      onClose();
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not send transfer");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[110] flex items-center justify-center p-4" onClick={(e) => e.stopPropagation()}>
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative w-full max-w-md rounded-2xl border border-white/10 bg-[rgb(var(--surface-rgb)/0.98)] p-6 shadow-2xl">
+        <h2 className="text-lg font-semibold">Transfer tickets</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          {booking.show?.movie?.title || "Movie"} · the recipient gets a fresh e-ticket and your copy of these seats stops working.
+        </p>
+
+        <label className="block text-xs text-gray-400 mt-5">
+          Recipient's MovieMint email
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="friend@example.com"
+            className="mt-1 w-full px-3 py-2 rounded-lg bg-white/5 border border-white/15 text-sm text-gray-100 placeholder:text-gray-500 outline-none focus:border-primary/50"
+          />
+        </label>
+
+        {seats.length > 1 && (
+          <>
+            <div className="text-xs text-gray-400 mt-4">Seats to transfer</div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {seats.map((seat) => (
+                <button
+                  key={seat}
+                  onClick={() => toggleSeat(seat)}
+                  className={`px-3 py-1 rounded-lg border text-xs cursor-pointer transition ${picked.includes(seat)
+                    ? "bg-primary/20 border-primary/40 text-primary"
+                    : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                    }`}
+                >
+                  {seat}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        <p className="text-[11px] text-gray-500 mt-4">
+          Transferred tickets can't be cancelled for a refund by the recipient. You can withdraw the offer until it's accepted.
+        </p>
+
+        <div className="mt-5 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-full text-xs border border-white/15 hover:bg-white/5 cursor-pointer"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={send}
+            disabled={sending}
+            className="px-4 py-2 rounded-full text-xs font-semibold bg-primary text-black hover:bg-primary-dull cursor-pointer disabled:opacity-50"
+          >
+            {sending ? "Sending…" : `Send ${picked.length} seat${picked.length === 1 ? "" : "s"}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransferTicketModal;
@@ -0,0 +1,77 @@
+// components/WalletButtons.jsx - "Add to Apple Wallet" / "Save to Google Wallet" for a confirmed booking
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { WalletIcon } from "lucide-react";
+import { useAppContext } from "../context/AppContext";
+
+// Which wallets the server is set up for — asked once per page load.
+let providersRequest = null;
+
+/**
+ * Wallet buttons for one booking. Renders nothing when the server has no
+ * wallet credentials. Apple passes open through a short-lived signed link
+ * (Safari only adds a pass it navigates to); Google opens its save page.
+ */
+const WalletButtons = ({ bookingId, className = "" }) => {
+  const { axios, getToken } = useAppContext();
+  const [providers, setProviders] = useState({ apple: false, google: false });
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    if (!providersRequest) {
+      providersRequest = axios
+        .get("/api/wallet/providers")
+        .then(({ data }) => (data.success ? data : { apple: false, google: false }))
+        .catch(() => {
+          providersRequest = null;
+          return { apple: false, google: false };
+        });
+    }
+    let active = true;
+    providersRequest.then((p) => active && setProviders({ apple: !!p.apple, google: !!p.google }));
+    return () => {
+      active = false;
+    };
+  }, [axios]);
+
+  const addToWallet = async (wallet) => {
+    try {
+      setBusy(wallet);
+      const { data } = await axios.post(`/api/booking/${bookingId}/wallet/${wallet}`, {}, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (!data.success) return toast.error(data.message || "Could not create the pass");
+      if (wallet === "apple") window.location.href = data.url;
+      // Opened after an await, so a popup blocker may stop it; then go there directly.
+      else if (!window.open(data.url, "_blank", "noopener,noreferrer")) window.location.href = data.url;
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not create the pass");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  if (!providers.apple && !providers.google) return null;
+
+  const buttonCls =
+    "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-medium bg-black text-white border border-white/20 hover:bg-white/10 transition cursor-pointer disabled:opacity-50";
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 ${className}`} onClick={(e) => e.stopPropagation()}>
+      {providers.apple && (
+        <button onClick={() => addToWallet("apple")} disabled={!!busy} className={buttonCls}>
+          <WalletIcon className="w-3.5 h-3.5" />
+          {busy === "apple" ? "Preparing…" : "Add to Apple Wallet"}
+        </button>
+      )}
+      {providers.google && (
+        <button onClick={() => addToWallet("google")} disabled={!!busy} className={buttonCls}>
+          <WalletIcon className="w-3.5 h-3.5" />
+          {busy === "google" ? "Preparing…" : "Save to Google Wallet"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WalletButtons;
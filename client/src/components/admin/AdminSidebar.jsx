@@ -1,5 +1,5 @@
 // components/admin/AdminSidebar.jsx - Admin panel sidebar with navigation links
-import { LayoutDashboardIcon, ListIcon, ListCollapseIcon, TicketIcon, Trash2Icon } from 'lucide-react'
+import { Building2Icon, LayoutDashboardIcon, ListIcon, ListCollapseIcon, MailIcon, MessageSquareTextIcon, MonitorIcon, ReceiptTextIcon, ScanLineIcon, TicketIcon, TicketPercentIcon, Trash2Icon } from 'lucide-react'
 import React from 'react'
 import { NavLink } from 'react-router-dom'
 
@@ -9,6 +9,13 @@ const AdminSidebar = () => {
     { name: 'List Shows', path: '/admin/list-shows', icon: ListIcon },
     { name: 'Show Details', path: '/admin/show-details', icon: ListCollapseIcon },
     { name: 'List Bookings', path: '/admin/list-bookings', icon: TicketIcon },
+    { name: 'Theaters', path: '/admin/theaters', icon: Building2Icon },
+    { name: 'Coupons', path: '/admin/coupons', icon: TicketPercentIcon },
+    { name: 'Refund Policies', path: '/admin/refund-policies', icon: ReceiptTextIcon },
+    { name: 'Check-in', path: '/admin/check-in', icon: ScanLineIcon },
+    { name: 'Emails', path: '/admin/emails', icon: MailIcon },
+    { name: 'Reviews', path: '/admin/reviews', icon: MessageSquareTextIcon },
+    { name: 'Screens', path: '/admin/screens', icon: MonitorIcon },
     { name: 'Recycle Bin', path: '/admin/recycle-bin', icon: Trash2Icon },
   ]
 
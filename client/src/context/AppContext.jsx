@@ -4,7 +4,7 @@ import axios from "axios";
 import { useAuth, useUser } from "@clerk/clerk-react";
 import { useLocation, useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
-import { CITIES, normalizeCity } from "../lib/cities";
+import { normalizeCity } from "../lib/cities";
 
 export const AppContext = createContext();
 
@@ -15,6 +15,7 @@ export const AppProvider = ({ children }) => {
     const [showsError, setShowsError] = useState(false);
     const [favoriteMovies, setFavoriteMovies] = useState([]);
     const [myBookings, setMyBookings] = useState([]);
+    const [cities, setCities] = useState([]);
     const [city, setCityState] = useState(() => {
         try {
             return normalizeCity(localStorage.getItem("city"));
@@ -24,7 +25,7 @@ export const AppProvider = ({ children }) => {
     });
 
     const setCity = (c) => {
-        const next = normalizeCity(c);
+        const next = normalizeCity(c, cities);
         setCityState(next);
         try {
             localStorage.setItem("city", next);
@@ -33,11 +34,28 @@ export const AppProvider = ({ children }) => {
         }
     };
 
+    // Cities with active theaters (managed from the admin Theaters page).
+    const fetchCities = async () => {
+        try {
+            const { data } = await axios.get("/api/theater/cities");
+            if (data.success && Array.isArray(data.cities)) setCities(data.cities);
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    // Once the list is known, move off a saved city that no longer has cinemas.
+    useEffect(() => {
+        if (!cities.length) return;
+        setCityState((c) => normalizeCity(c, cities));
+    }, [cities]);
+
     // Auto-detect the user's city from their location on first visit only.
     // If they've already picked a city we never override it, and if detection
     // fails (denied / offline / unsupported city) we simply keep the default
     // so they can choose manually from the city selector.
     useEffect(() => {
+        if (!cities.length) return;
         let alreadyChosen = null;
         try { alreadyChosen = localStorage.getItem("city"); } catch { /* ignore */ }
         if (alreadyChosen) return;
@@ -55,7 +73,7 @@ export const AppProvider = ({ children }) => {
                     const candidates = [data.city, data.locality, data.principalSubdivision]
                         .filter(Boolean)
                         .map((s) => String(s).toLowerCase());
-                    const match = CITIES.find((c) =>
+                    const match = cities.find((c) =>
                         candidates.some((x) => x.includes(c.toLowerCase()) || c.toLowerCase().includes(x))
                     );
                     if (!cancelled && match) {
@@ -68,8 +86,7 @@ export const AppProvider = ({ children }) => {
             { timeout: 8000, maximumAge: 600000 }
         );
         return () => { cancelled = true; };
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []);
+    }, [cities]);
 
     const image_base_url = import.meta.env.VITE_TMDB_IMAGE_BASE_URL;
 
@@ -98,11 +115,12 @@ export const AppProvider = ({ children }) => {
         }
     };
 
+    // Movies with real upcoming shows in the selected city.
     const fetchShows = async () => {
         setLoadingShows(true);
         setShowsError(false);
         try {
-            const { data } = await axios.get("/api/show/all");
+            const { data } = await axios.get("/api/show/all", { params: { city } });
             if (data.success) {
                 setShows(Array.isArray(data.shows) ? data.shows : []);
             } else {
@@ -167,9 +185,14 @@ export const AppProvider = ({ children }) => {
     }, [myBookings]);
 
     useEffect(() => {
-        fetchShows();
+        fetchCities();
     }, []);
 
+    useEffect(() => {
+        fetchShows();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [city]);
+
     useEffect(() => {
         if (user) {
             fetchIsAdmin();
@@ -199,6 +222,8 @@ export const AppProvider = ({ children }) => {
         image_base_url,
         city,
         setCity,
+        cities,
+        refetchCities: fetchCities,
     };
 
     return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
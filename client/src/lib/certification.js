@@ -0,0 +1,20 @@
+// lib/certification.js - Content certificate (U … A) labels and the age each one is meant for
+
+const CERTIFICATIONS = {
+  "U": { minAge: 0, label: "U" },
+  "U/A 7+": { minAge: 7, label: "U/A · 7+" },
+  "U/A 13+": { minAge: 13, label: "U/A · 13+" },
+  "U/A 16+": { minAge: 16, label: "U/A · 16+" },
+  "A": { minAge: 18, label: "A · 18+" },
+};
+
+// The movie's certificate; TMDB's adult flag counts as A for movies not rated yet.
+export const certificationFor = (movie) => movie?.certification || (movie?.adult ? "A" : "");
+
+export const certificationLabel = (code) => CERTIFICATIONS[code]?.label || "Not rated";
+
+export const minimumAge = (code) => CERTIFICATIONS[code]?.minAge || 0;
+
+// Only A restricts admission (U/A ratings advise parental guidance); the
+// server checks the same rule when booking.
+export const isRestricted = (code) => code === "A";
@@ -30,7 +30,7 @@ export const partOfDay = (date) => {
 
 // Seat-fill -> availability bucket (used for the green/amber/red chip dot).
 // ratio is occupied / capacity (0..1). Returns { label, dot, text }.
-export const availabilityFromRatio = (ratio) => {
+const availabilityFromRatio = (ratio) => {
   if (ratio == null || Number.isNaN(ratio)) {
     return { label: "Available", dot: "bg-emerald-400", text: "text-emerald-400" };
   }
@@ -40,21 +40,18 @@ export const availabilityFromRatio = (ratio) => {
   return { label: "Available", dot: "bg-emerald-400", text: "text-emerald-400" };
 };
 
-// Stable pseudo seat-pressure (0..1) derived from a show id, so the
-// availability colours look varied but don't flicker between renders.
-export const seatPressure = (id) => {
-  const s = String(id || "");
-  let h = 0;
-  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) >>> 0;
-  return (h % 100) / 100;
+// Availability bucket for a showtime slot from the server's real counts
+// (capacity, availableSeats). Adds soldOut so the chip can be disabled.
+export const slotAvailability = (slot) => {
+  const capacity = Number(slot?.capacity);
+  const available = Number(slot?.availableSeats);
+  if (!Number.isFinite(capacity) || capacity <= 0 || !Number.isFinite(available)) {
+    return { ...availabilityFromRatio(null), soldOut: false, seatsLeft: null };
+  }
+  const avail = availabilityFromRatio(1 - available / capacity);
+  return { ...avail, soldOut: available <= 0, seatsLeft: available };
 };
 
-// Languages a movie can be shown in (dubbed/original). Most shows are in the
-// original language; some are offered in other languages for wider reach.
-const LANG_POOL = ["English", "English", "English", "Hindi", "Hindi", "Tamil", "Telugu"];
-export const langFor = (id) => {
-  const s = String(id || "");
-  let h = 0;
-  for (let i = 0; i < s.length; i++) h = (h * 37 + s.charCodeAt(i)) >>> 0;
-  return LANG_POOL[h % LANG_POOL.length];
-};
+// "Hindi", or "English · Hindi subs" for a subtitled show.
+export const languageLabel = (language, subtitles) =>
+  subtitles ? `${language || "English"} · ${subtitles} subs` : language || "English";
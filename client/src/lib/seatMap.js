@@ -0,0 +1,22 @@
+// lib/seatMap.js - Helpers for the screen seat maps served by /api/show/seat-map/:showId
+
+export const ROW_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+
+// Zones in front-to-back order, each with a row list (uncovered rows are
+// already grouped into a "STANDARD" zone by the server).
+export const orderedZones = (map) => {
+  if (!map) return [];
+  const idx = (row) => map.rows.indexOf(row);
+  return (map.zones || [])
+    .map((z) => ({ ...z, rows: z.rows.filter((r) => idx(r) !== -1).sort((a, b) => idx(a) - idx(b)) }))
+    .filter((z) => z.rows.length)
+    .sort((a, b) => idx(a.rows[0]) - idx(b.rows[0]));
+};
+
+// Lookup sets for fast per-seat checks while rendering.
+export const seatSets = (map) => ({
+  gaps: new Set(map?.gaps || []),
+  blocked: new Set(map?.blockedSeats || []),
+  wheelchair: new Set(map?.wheelchairSeats || []),
+  aisles: new Set(map?.aisles || []),
+});
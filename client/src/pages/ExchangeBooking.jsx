@@ -0,0 +1,344 @@
+// pages/ExchangeBooking.jsx - Move a confirmed booking to another showtime or other seats of the same movie
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ArrowLeftIcon, ClockIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import BlurCircle from "../components/BlurCircle";
+import HScroller from "../components/HScroller";
+import Loading from "../components/Loading";
+import isoTimeFormat from "../lib/isoTimeFormat";
+import { formatScreen, languageLabel } from "../lib/screenLabel";
+import { orderedZones, seatSets } from "../lib/seatMap";
+import { useAppContext } from "../context/AppContext";
+
+/**
+ * Exchange flow: pick another showtime (same movie; same theater when the
+ * booking has snacks) and as many seats as the booking has. The server
+ * prices the change — a higher total is paid through Stripe Checkout and a
+ * lower one is refunded under the refund policy — and the ticket is
+ * re-issued for the new show and seats.
+ */
+const ExchangeBooking = () => {
+  const { bookingId } = useParams();
+  const navigate = useNavigate();
+  const { axios, getToken, user, image_base_url } = useAppContext();
+  const currency = import.meta.env.VITE_CURRENCY || "₹";
+
+  const [booking, setBooking] = useState(null);
+  const [dateTime, setDateTime] = useState({});
+  const [date, setDate] = useState("");
+  const [slot, setSlot] = useState(null);
+  const [seatMap, setSeatMap] = useState(null);
+  const [occupied, setOccupied] = useState([]);
+  const [held, setHeld] = useState([]);
+  const [picked, setPicked] = useState([]);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+  const [working, setWorking] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  /* ---------------- booking + the movie's showtimes ---------------- */
+  useEffect(() => {
+    if (!user) return;
+    (async () => {
+      try {
+        const { data } = await axios.get(`/api/booking/${bookingId}`, await authHeaders());
+        if (!data?.success) {
+          toast.error(data?.message || "Booking not found");
+          return navigate("/my-bookings");
+        }
+        const b = data.booking;
+        setBooking(b);
+
+        const movieId = b.show?.movie?._id;
+        const { data: shows } = await axios.get(`/api/show/${movieId}`);
+        if (shows?.success) setDateTime(shows.dateTime || {});
+        const current = b.show?.showDateTime ? new Date(b.show.showDateTime).toISOString().split("T")[0] : "";
+        setDate(current);
+      } catch (e) {
+        console.error("ExchangeBooking load error:", e);
+        toast.error(e?.response?.data?.message || "Failed to load booking");
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bookingId, user]);
+
+  const currentShowId = String(booking?.show?._id || "");
+  const seatCount = booking?.seats?.length || 0;
+  const snacksTheater = booking?.snacks?.length ? String(booking.show?.theater?._id || "") : "";
+
+  // Future, visible showtimes per date (only the booking's theater when it has snacks).
+  const slotsByDate = useMemo(() => {
+    const now = Date.now();
+    const out = {};
+    Object.entries(dateTime).forEach(([d, slots]) => {
+      const list = (slots || [])
+        .filter((s) => !s.hidden && new Date(s.time).getTime() > now)
+        .filter((s) => !snacksTheater || String(s.theaterId) === snacksTheater)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+      if (list.length) out[d] = list;
+    });
+    return out;
+  }, [dateTime, snacksTheater]);
+  const dates = Object.keys(slotsByDate).sort();
+
+  // Start on the booking's own show, so changing just the seats is one click away.
+  useEffect(() => {
+    if (slot || !currentShowId) return;
+    const mine = (slotsByDate[date] || []).find((s) => String(s.showId) === currentShowId);
+    if (mine) setSlot(mine);
+  }, [slotsByDate, date, currentShowId, slot]);
+
+  /* ---------------- seat map + availability of the picked show ---------------- */
+  useEffect(() => {
+    setSeatMap(null);
+    setPicked([]);
+    setQuote(null);
+    if (!slot?.showId) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const [{ data: map }, { data: seats }] = await Promise.all([
+          axios.get(`/api/show/seat-map/${slot.showId}`),
+          axios.get(`/api/booking/seats/${slot.showId}`),
+        ]);
+        if (cancelled) return;
+        if (map?.success) setSeatMap(map.seatMap);
+        if (seats?.success) {
+          setOccupied(seats.occupiedSeats || []);
+          setHeld((seats.heldSeats || []).map((h) => h.seat));
+        }
+      } catch (e) {
+        console.error("ExchangeBooking seats error:", e);
+        if (!cancelled) toast.error("Failed to load seats");
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [slot]);
+
+  /* ---------------- price of the change ---------------- */
+  useEffect(() => {
+    setQuote(null);
+    setQuoteError("");
+    if (!slot?.showId || picked.length !== seatCount) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const { data } = await axios.get(`/api/booking/${bookingId}/exchange`, {
+          params: { showId: slot.showId, seats: picked.join(",") },
+          ...(await authHeaders()),
+        });
+        if (cancelled) return;
+        if (data.success) setQuote(data.quote);
+        else setQuoteError(data.message);
+      } catch (e) {
+        if (!cancelled) setQuoteError(e?.response?.data?.message || "Couldn't price this change");
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [slot, picked, seatCount]);
+
+  const layout = useMemo(() => ({
+    rows: seatMap?.rows || [],
+    columns: seatMap?.columns || 0,
+    sections: orderedZones(seatMap),
+    ...seatSets(seatMap),
+  }), [seatMap]);
+
+  const onCurrentShow = String(slot?.showId || "") === currentShowId;
+  const ownSeats = new Set(onCurrentShow ? booking?.seats || [] : []);
+
+  const toggleSeat = (seatId) => {
+    setPicked((prev) => {
+      if (prev.includes(seatId)) return prev.filter((s) => s !== seatId);
+      if (prev.length >= seatCount) {
+        toast(`Your booking has ${seatCount} seat${seatCount === 1 ? "" : "s"} — unselect one first`);
+        return prev;
+      }
+      return [...prev, seatId];
+    });
+  };
+
+  const renderRow = (rowLabel) => (
+    <div key={rowLabel} className="flex items-center gap-1.5 mb-1.5">
+      <span className="w-5 text-[10px] text-gray-500">{rowLabel}</span>
+      {Array.from({ length: layout.columns }, (_, i) => {
+        const col = i + 1;
+        const seatId = `${rowLabel}${col}`;
+        const aisle = layout.aisles.has(col) && col < layout.columns ? <div key={`${seatId}-aisle`} className="w-3" /> : null;
+        if (layout.gaps.has(seatId)) return <React.Fragment key={seatId}><div className="h-8 w-8" />{aisle}</React.Fragment>;
+
+        const mine = ownSeats.has(seatId);
+        const selected = picked.includes(seatId);
+        const unavailable = !mine && (layout.blocked.has(seatId) || occupied.includes(seatId) || held.includes(seatId));
+        return (
+          <React.Fragment key={seatId}>
+            <button
+              disabled={unavailable}
+              onClick={() => toggleSeat(seatId)}
+              title={mine ? `Your current seat • ${seatId}` : seatId}
+              className={`h-8 w-8 rounded-t-[10px] rounded-b-md border text-[10px] font-medium transition cursor-pointer
+                ${selected ? "bg-gradient-to-b from-primary to-primary-dull text-black border-primary" : ""}
+                ${!selected && mine ? "border-cyan-300 text-cyan-200 bg-cyan-500/15" : ""}
+                ${!selected && !mine && unavailable ? "bg-neutral-600/60 text-gray-500 border-white/10 cursor-not-allowed" : ""}
+                ${!selected && !mine && !unavailable ? "bg-white/10 text-gray-200 border-white/15 hover:border-primary/60" : ""}`}
+            >
+              {seatId}
+            </button>
+            {aisle}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+
+  const submit = async () => {
+    if (!quote) return;
+    try {
+      setWorking(true);
+      const { data } = await axios.post(
+        `/api/booking/${bookingId}/exchange`,
+        { showId: slot.showId, seats: picked },
+        await authHeaders()
+      );
+      if (!data.success) return toast.error(data.message || "Could not change the booking");
+      if (data.paymentLink) {
+        window.location.href = data.paymentLink;
+        return;
+      }
+      toast.success(data.message);
+      navigate("/my-bookings");
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not change the booking");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!booking) return <Loading />;
+
+  const movie = booking.show?.movie || {};
+  const difference = quote?.difference ?? 0;
+
+  return (
+    <div className="relative flex flex-col items-center px-6 md:px-16 lg:px-32 pt-30 md:pt-40 pb-40 min-h-[80vh]">
+      <BlurCircle top="100px" left="100px" />
+
+      <div className="w-full max-w-4xl mb-3">
+        <button
+          onClick={() => navigate("/my-bookings")}
+          className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full text-sm bg-white/5 border border-white/10 text-gray-200 hover:border-primary/40 hover:text-white transition cursor-pointer"
+        >
+          <ArrowLeftIcon className="w-4 h-4" /> My bookings
+        </button>
+      </div>
+
+      <div className="w-full max-w-4xl mb-5 rounded-2xl border border-white/10 bg-white/[0.03] p-5 flex items-center gap-4">
+        {movie.poster_path && (
+          <img src={image_base_url + movie.poster_path} alt={movie.title} className="w-16 h-24 object-cover rounded-xl ring-1 ring-white/15" />
+        )}
+        <div>
+          <h1 className="text-xl font-semibold">Change your booking</h1>
+          <p className="text-sm text-gray-300 mt-1">{movie.title}</p>
+          <p className="text-xs text-gray-500 mt-0.5">
+            Now: {booking.show?.theater?.name} · {new Date(booking.show?.showDateTime).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })} · {booking.seats.join(", ")}
+          </p>
+          {snacksTheater && <p className="text-[11px] text-gray-500 mt-1">Your snacks stay with {booking.show?.theater?.name}, so only its showtimes are listed.</p>}
+        </div>
+      </div>
+
+      {/* dates + showtimes */}
+      <div className="w-full max-w-4xl rounded-2xl border border-white/10 bg-white/[0.03] p-5">
+        <p className="text-[11px] uppercase tracking-[0.24em] text-gray-400 mb-3 flex items-center gap-2"><ClockIcon className="w-3.5 h-3.5 text-primary" /> Showtimes</p>
+        {!dates.length ? (
+          <p className="text-sm text-gray-400">No other showtimes available.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {dates.map((d) => (
+                <button
+                  key={d}
+                  onClick={() => { setDate(d); setSlot(null); }}
+                  className={`px-3 py-1.5 rounded-lg border text-xs cursor-pointer transition ${d === date ? "bg-primary/20 border-primary/40 text-primary" : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"}`}
+                >
+                  {new Date(`${d}T00:00:00`).toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" })}
+                </button>
+              ))}
+            </div>
+            <HScroller contentClassName="pb-1">
+              <div className="flex gap-3 w-max px-1">
+                {(slotsByDate[date] || []).map((s) => {
+                  const active = String(s.showId) === String(slot?.showId);
+                  return (
+                    <button
+                      key={s.showId}
+                      onClick={() => setSlot(s)}
+                      className={`shrink-0 flex flex-col items-start gap-0.5 px-4 py-2.5 rounded-xl border transition cursor-pointer ${active ? "bg-gradient-to-b from-primary to-primary-dull text-black border-primary" : "border-white/12 bg-white/5 hover:border-primary/50 hover:bg-primary/10"}`}
+                    >
+                      <span className="text-sm font-semibold">{isoTimeFormat(s.time)}{String(s.showId) === currentShowId ? " · current" : ""}</span>
+                      <span className={`text-[10px] ${active ? "text-black/70" : "text-gray-400"}`}>{s.theaterName} · {formatScreen(s.experience, s.format)} · {languageLabel(s.language, s.subtitles)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </HScroller>
+          </>
+        )}
+      </div>
+
+      {/* seats */}
+      {slot && (
+        <div className="w-full max-w-4xl mt-6 flex flex-col items-center">
+          <p className="text-sm text-gray-300 mb-4">Pick {seatCount} seat{seatCount === 1 ? "" : "s"} ({picked.length}/{seatCount})</p>
+          {!seatMap ? (
+            <p className="text-sm text-gray-400">Loading seat map…</p>
+          ) : (
+            <div className="overflow-x-auto max-w-full space-y-6">
+              {layout.sections.map((sec) => (
+                <div key={sec.key} className="flex flex-col items-center">
+                  <div className="text-xs font-semibold mb-2" style={{ color: sec.color }}>{sec.label}: {currency} {sec.price}</div>
+                  {sec.rows.map(renderRow)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* summary bar */}
+      {picked.length === seatCount && seatCount > 0 && (
+        <div className="fixed bottom-0 left-0 w-full z-40">
+          <div className="mx-auto max-w-4xl m-4 rounded-2xl border border-primary/25 bg-black/80 backdrop-blur-xl px-5 py-4 flex items-center justify-between gap-4">
+            <div className="min-w-0 text-sm">
+              <div className="text-primary font-medium truncate">{picked.join(", ")}</div>
+              {quoteError ? (
+                <div className="text-xs text-red-300">{quoteError}</div>
+              ) : quote ? (
+                <div className="text-xs text-gray-400">
+                  Total {currency}{quote.before.amount} → {currency}{quote.after.amount}
+                  {difference > 0 && <> · you pay <span className="text-white">{currency}{difference}</span></>}
+                  {difference < 0 && <> · refund <span className="text-white">{currency}{quote.refundAmount}</span> ({quote.refundPercent}% under {quote.policy})</>}
+                  {difference === 0 && " · no price difference"}
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">Pricing the change…</div>
+              )}
+            </div>
+            <button
+              onClick={submit}
+              disabled={!quote || working}
+              className="shrink-0 px-6 py-2.5 rounded-xl bg-gradient-to-b from-primary to-primary-dull text-black font-semibold text-sm cursor-pointer disabled:opacity-50"
+            >
+              {working ? "Working…" : difference > 0 ? `Pay ${currency}${difference} & change` : "Confirm change"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeBooking;
@@ -11,8 +11,9 @@ import MovieDetailSkeleton from "../components/MovieDetailSkeleton";
 import AgeGate from "../components/AgeGate";
 import HScroller from "../components/HScroller";
 import { useAppContext } from "../context/AppContext";
-import { formatScreen, partOfDay, PARTS_OF_DAY, availabilityFromRatio, seatPressure, langFor } from "../lib/screenLabel";
+import { formatScreen, partOfDay, PARTS_OF_DAY, slotAvailability, languageLabel } from "../lib/screenLabel";
 import { addRecent } from "../lib/recentlyViewed";
+import { certificationFor, certificationLabel, isRestricted } from "../lib/certification";
 import toast from "react-hot-toast";
 
 const MovieDetails = () => {
@@ -35,6 +36,7 @@ const MovieDetails = () => {
   });
   const [daySlots, setDaySlots] = useState([]);      // normalized slots for a single day
   const [myBooking, setMyBooking] = useState(null);  // user's existing paid booking for this movie
+  const [reviewSummary, setReviewSummary] = useState(null); // audience rating (reported by MovieReviews)
 
   const {
     shows,
@@ -201,7 +203,6 @@ const MovieDetails = () => {
      */
     const normalized = rawSlots.map((slot, idx) => {
       const id = slot.showId || slot._id || `${selectedDate}-${idx}`;
-      const realLang = slot.language && slot.language !== "English" ? slot.language : null;
       return {
         id,
         time: slot.time,
@@ -211,7 +212,10 @@ const MovieDetails = () => {
         theaterAddress: slot.theaterAddress || "",
         format: slot.format || slot.type || "2D",
         experience: slot.experience || slot.screenType || "Standard",
-        language: realLang || langFor(id),
+        language: slot.language || "English",
+        subtitles: slot.subtitles || "",
+        capacity: slot.capacity,
+        availableSeats: slot.availableSeats,
       };
     });
 
@@ -258,7 +262,8 @@ const MovieDetails = () => {
     return result;
   }, [daySlots, city, selectedLang]);
 
-  // Distinct languages available for the selected date/city (for the filter bar)
+  // Languages with shows on the selected date/city (for the filter bar),
+  // in the movie's order: original first, then dubs.
   const availableLanguages = React.useMemo(() => {
     const set = new Set(
       daySlots
@@ -266,8 +271,13 @@ const MovieDetails = () => {
         .map((s) => s.language)
         .filter(Boolean)
     );
-    return Array.from(set);
-  }, [daySlots, city]);
+    const order = show?.languages?.audio || [];
+    return Array.from(set).sort((a, b) => {
+      const ia = order.indexOf(a);
+      const ib = order.indexOf(b);
+      return (ia < 0 ? order.length : ia) - (ib < 0 ? order.length : ib);
+    });
+  }, [daySlots, city, show]);
 
   // Reset the language filter when the date or city changes.
   useEffect(() => {
@@ -282,6 +292,9 @@ const MovieDetails = () => {
     if (!selectedDate) {
       return toast("Please select a date first");
     }
+    if (slotAvailability(slot).soldOut) {
+      return toast("This show is sold out");
+    }
     const params = new URLSearchParams();
     if (slot.id) params.set("showId", slot.id);
     if (slot.time) params.set("time", slot.time);
@@ -304,6 +317,7 @@ const MovieDetails = () => {
   if (!show) return <MovieDetailSkeleton />;
 
   const movie = show.movie;
+  const certification = certificationFor(movie);
   const releaseYear = movie.release_date?.slice(0, 4) || "";
 
   /* --------------------------------------------------------------------------
@@ -312,10 +326,10 @@ const MovieDetails = () => {
 
   return (
     <div className="px-6 md:px-16 lg:px-40 pt-30 md:pt-50">
-      {/* 18+ age verification */}
+      {/* Age verification for restricted (A) titles */}
       <AgeGate
-        open={!!movie.adult && !ageVerified}
-        certificate="A · 18+"
+        open={isRestricted(certification) && !ageVerified}
+        certification={certification}
         onConfirm={() => {
           try { sessionStorage.setItem("ageVerified", "1"); } catch { /* ignore */ }
           setAgeVerified(true);
@@ -384,7 +398,7 @@ const MovieDetails = () => {
         <div className="relative flex flex-col gap-3">
           <BlurCircle top="-100px" left="-100px" />
           <p className="text-primary uppercase text-xs tracking-[0.24em]">
-            {movie.original_language?.toUpperCase() || "ENGLISH"}
+            {(show.languages?.audio || [movie.original_language || "English"]).join(" · ").toUpperCase()}
           </p>
           <h1 className="text-4xl md:text-5xl font-semibold max-w-2xl text-balance tracking-tight bg-gradient-to-r from-white via-white to-primary/70 bg-clip-text text-transparent">
             {movie.title}
@@ -394,8 +408,15 @@ const MovieDetails = () => {
             <div className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full bg-white/5 border border-primary/25 backdrop-blur-sm">
               <StarIcon className="w-4 h-4 text-primary fill-primary" />
               <span className="font-medium text-white">{movie.vote_average.toFixed(1)}</span>
-              <span className="text-gray-400">User Rating</span>
+              <span className="text-gray-400">TMDB</span>
             </div>
+            {reviewSummary?.count > 0 && (
+              <div className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full bg-white/5 border border-amber-400/25 backdrop-blur-sm">
+                <StarIcon className="w-4 h-4 text-amber-400 fill-amber-400" />
+                <span className="font-medium text-white">{reviewSummary.average.toFixed(1)}/5</span>
+                <span className="text-gray-400">Audience ({reviewSummary.count.toLocaleString()})</span>
+              </div>
+            )}
             <span className="text-gray-500">•</span>
             <span>{releaseYear}</span>
           </div>
@@ -407,14 +428,24 @@ const MovieDetails = () => {
           {/* Info chips — certificate / runtime / language / genres */}
           <div className="flex flex-wrap items-center gap-2 mt-3">
             <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-primary/15 border border-primary/30 text-violet-200">
-              {movie.adult ? "A · 18+" : "U/A · 13+"}
+              {certificationLabel(certification)}
             </span>
             <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/12 text-gray-200">
               {timeFormat(movie.runtime)}
             </span>
             <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/12 text-gray-200">
-              {(movie.original_language || "en").toUpperCase()}
+              {show.languages?.original || (movie.original_language || "en").toUpperCase()}
             </span>
+            {show.languages?.audio?.length > 1 && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/12 text-gray-200">
+                Dubbed: {show.languages.audio.slice(1).join(", ")}
+              </span>
+            )}
+            {show.languages?.subtitles?.length > 0 && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-white/5 border border-white/12 text-gray-200">
+                Subtitles: {show.languages.subtitles.join(", ")}
+              </span>
+            )}
             {movie.genres?.slice(0, 3).map((genre) => (
               <span
                 key={genre.id || genre.name}
@@ -643,27 +674,34 @@ const MovieDetails = () => {
                                     hour: "numeric",
                                     minute: "2-digit",
                                   });
-                              const avail = availabilityFromRatio(seatPressure(slot.id));
+                              const avail = slotAvailability(slot);
+                              const seatsNote = avail.soldOut
+                                ? "Sold out"
+                                : avail.seatsLeft != null && avail.label !== "Available"
+                                  ? `${avail.label} · ${avail.seatsLeft} seat${avail.seatsLeft === 1 ? "" : "s"} left`
+                                  : avail.label;
 
                               return (
                                 <button
                                   key={slot.id}
                                   onClick={() => handleTimeClick(slot)}
-                                  title={`${formatScreen(slot.experience, slot.format)} • ${slot.language} • ${avail.label}`}
-                                  className="
+                                  disabled={avail.soldOut}
+                                  title={`${formatScreen(slot.experience, slot.format)} • ${languageLabel(slot.language, slot.subtitles)} • ${seatsNote}`}
+                                  className={`
                                     group/slot relative flex flex-col items-center justify-center
                                     min-w-[5.2rem] px-3 py-2
                                     rounded-xl border
                                     bg-gradient-to-b from-white/[0.08] to-white/[0.02]
                                     border-white/15
-                                    text-gray-100
                                     transition-all duration-300
+                                    ${avail.soldOut
+                                      ? "text-gray-500 opacity-60 cursor-not-allowed"
+                                      : `text-gray-100 cursor-pointer
                                     hover:-translate-y-0.5
                                     hover:border-primary
                                     hover:shadow-[0_10px_30px_-12px_rgba(168,85,247,0.85)]
-                                    hover:from-primary/25 hover:to-primary/5
-                                    cursor-pointer
-                                  "
+                                    hover:from-primary/25 hover:to-primary/5`}
+                                  `}
                                 >
                                   <span className="flex items-center gap-1.5 text-sm font-semibold tracking-tight">
                                     <span className={`h-1.5 w-1.5 rounded-full ${avail.dot}`} />
@@ -673,8 +711,13 @@ const MovieDetails = () => {
                                     {formatScreen(slot.experience, slot.format)}
                                   </span>
                                   <span className="text-[10px] text-gray-400">
-                                    {slot.language}
+                                    {languageLabel(slot.language, slot.subtitles)}
                                   </span>
+                                  {avail.label !== "Available" && (
+                                    <span className={`text-[9px] font-semibold uppercase tracking-wide mt-0.5 ${avail.text}`}>
+                                      {avail.label}
+                                    </span>
+                                  )}
                                 </button>
                               );
                             })}
@@ -691,7 +734,7 @@ const MovieDetails = () => {
       </section>
 
       {/* RATINGS & REVIEWS */}
-      <MovieReviews movie={movie} />
+      <MovieReviews movie={movie} movieId={id} onSummary={setReviewSummary} />
 
       {/* YOU MAY ALSO LIKE */}
       <p className="text-xl font-semibold mt-20 mb-8 tracking-tight bg-gradient-to-r from-white to-primary/70 bg-clip-text text-transparent w-max">You May Also Like</p>
@@ -6,7 +6,6 @@ import BlurCircle from "../components/BlurCircle";
 import EmptyState from "../components/EmptyState";
 import { useAppContext } from "../context/AppContext";
 import MovieCardSkeleton from "../components/MovieCardSkeleton";
-import { movieInCity } from "../lib/cities";
 import { genreNames } from "../lib/genres";
 
 const Movies = () => {
@@ -67,7 +66,7 @@ const Movies = () => {
   const baseList =
     tab === "now"
       ? Array.isArray(shows)
-        ? shows.filter((m) => movieInCity(m._id || m.id, city))
+        ? shows
         : []
       : Array.isArray(upcoming)
         ? upcoming.filter((m) => (m.release_date || "") > today)
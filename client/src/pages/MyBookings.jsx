@@ -1,23 +1,40 @@
 // pages/MyBookings.jsx - User's booking history with status indicators and ticket downloads
 import { useEffect, useMemo, useRef, useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
 import BlurCircle from "../components/BlurCircle";
 import Loading from "../components/Loading";
 import MyBookingSkeleton from "../components/MyBookingSkeleton";
+import CancelSeatsModal from "../components/CancelSeatsModal";
+import TicketTransfers from "../components/TicketTransfers";
+import TransferTicketModal from "../components/TransferTicketModal";
+import WalletButtons from "../components/WalletButtons";
 import { useAppContext } from "../context/AppContext";
 import { makeIcs, downloadIcs } from "../lib/calendar";
-import toast from "react-hot-toast";
+import { languageLabel } from "../lib/screenLabel";
 
 /* constants */
 const TEMP_HOLD_PREFIX = "tempHold:";
 const TEN_MINUTES_MS = 10 * 60 * 1000;
 
+// Refund progress for a cancelled paid ticket or seats (status comes from Stripe
+// webhooks). Cancellations the refund policy gave nothing back for say so.
+const refundLabel = (item) => {
+  const refundDue = item.cancellationTerms ? item.cancellationTerms.refundAmount : item.amount;
+  if (refundDue === 0) return "No refund";
+  switch (item.refundStatus) {
+    case "succeeded": return "Refunded";
+    case "failed":
+    case "canceled": return "Refund failed · contact support";
+    default: return "Refund in progress";
+  }
+};
+
 const MyBookings = () => {
   const currency = import.meta.env.VITE_CURRENCY || "₹";
   const { axios, getToken, user, image_base_url, refetchMyBookings } = useAppContext();
   const navigate = useNavigate();
-  const API_BASE =
-    import.meta.env.VITE_API_BASE_URL || "http://localhost:3000";
+  const [searchParams, setSearchParams] = useSearchParams();
   const [bookings, setBookings] = useState([]);
   const [filterType, setFilterType] = useState("ALL");
   const [runtimeMap, setRuntimeMap] = useState({});
@@ -62,31 +79,9 @@ const MyBookings = () => {
     }
   };
 
-  const [cancellingId, setCancellingId] = useState(null);
-  const cancelTicket = async (item) => {
-    const bid = item._id || item.id;
-    if (!bid) return;
-    if (!window.confirm("Cancel this ticket? Your seats will be released and the amount refunded to your original payment method.")) return;
-    try {
-      setCancellingId(bid);
-      const { data } = await axios.post(
-        `/api/booking/cancel/${bid}`,
-        {},
-        { headers: { Authorization: `Bearer ${await getToken()}` } }
-      );
-      if (data?.success) {
-        toast.success(data.message || "Ticket cancelled");
-        await getMyBookings();
-        refetchMyBookings && refetchMyBookings();
-      } else {
-        toast.error(data?.message || "Could not cancel this ticket");
-      }
-    } catch (e) {
-      toast.error(e?.response?.data?.message || "Cancellation failed");
-    } finally {
-      setCancellingId(null);
-    }
-  };
+  const [transferFor, setTransferFor] = useState(null); // booking being transferred
+  const [cancelSeatsFor, setCancelSeatsFor] = useState(null); // booking being cancelled (refund preview + seat picker)
+  const [transfersKey, setTransfersKey] = useState(0); // bump to reload the transfers panel
 
   const formatShowTime = (showTime, showDateTime) => {
     const t = showTime || showDateTime;
@@ -123,21 +118,6 @@ const MyBookings = () => {
     item.theaterName ||
     "—";
 
-  // Build human-readable ticket text so scanning the QR actually shows the booking.
-  const buildTicketQR = (item) => {
-    const seats = (item.seats || item.bookedSeats || []).join(", ") || "-";
-    return [
-      "🎬 MovieMint e-Ticket",
-      `Movie: ${safeTitle(item)}`,
-      `Cinema: ${resolveTheaterName(item)}`,
-      `Date: ${formatShowDate(item)}`,
-      `Time: ${resolveShowTime(item)}`,
-      `Seats: ${seats}`,
-      `Amount: ${currency} ${resolveAmount(item)}`,
-      `Booking ID: ${(item._id || item.id || "").toString().toUpperCase()}`,
-    ].join("\n");
-  };
-
   const resolveAmount = (item) =>
     item.amount ??
     item.total ??
@@ -291,6 +271,67 @@ const MyBookings = () => {
   }, []);
 
 
+  // Back from paying an exchange's price difference: apply it (the webhook may already have).
+  useEffect(() => {
+    const exchangeId = searchParams.get("exchange");
+    if (!exchangeId || !user) return;
+    setSearchParams({}, { replace: true });
+    (async () => {
+      try {
+        const { data } = await axios.post(`/api/booking/exchange/${exchangeId}/confirm`, {}, {
+          headers: { Authorization: `Bearer ${await getToken()}` },
+        });
+        if (data.success) toast.success(data.message);
+        else toast.error(data.message || "Could not change the booking");
+      } catch (e) {
+        toast.error(e?.response?.data?.message || "Could not change the booking");
+      } finally {
+        getMyBookings();
+        refetchMyBookings && refetchMyBookings();
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, searchParams]);
+
+  // Tickets download with the user's session (they aren't public files).
+  const downloadTicket = async (item) => {
+    try {
+      const { data } = await axios.get(`/api/booking/${item._id}/ticket`, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `MovieMint-ticket-${String(item._id).slice(-8).toUpperCase()}.pdf`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      let message = "Could not download the ticket";
+      try {
+        message = JSON.parse(await e?.response?.data?.text())?.message || message;
+      } catch {
+        // not a JSON error body
+      }
+      toast.error(message);
+    }
+  };
+
+  // Short-lived signed link to the ticket PDF, e.g. for a friend in the group.
+  const copyTicketLink = async (item) => {
+    try {
+      const { data } = await axios.post(`/api/booking/${item._id}/ticket/link`, {}, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      if (!data.success) return toast.error(data.message || "Could not create a link");
+      await navigator.clipboard.writeText(data.url);
+      const until = new Date(data.expiresAt).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" });
+      toast.success(`Download link copied — it works until ${until}`);
+    } catch (e) {
+      toast.error(e?.response?.data?.message || "Could not create a link");
+    }
+  };
+
   useEffect(() => {
     if (user) getMyBookings();
     else {
@@ -605,6 +646,26 @@ const MyBookings = () => {
         <BlurCircle top="100px" left="100px" />
         <div><BlurCircle bottom="0px" left="600px" /></div>
         <h1 className="text-shade text-2xl font-semibold mb-4">My Bookings</h1>
+        <TicketTransfers
+          refreshKey={transfersKey}
+          onChange={() => {
+            getMyBookings();
+            refetchMyBookings && refetchMyBookings();
+          }}
+        />
+        <CancelSeatsModal
+          booking={cancelSeatsFor}
+          onClose={() => setCancelSeatsFor(null)}
+          onDone={() => {
+            getMyBookings();
+            refetchMyBookings && refetchMyBookings();
+          }}
+        />
+        <TransferTicketModal
+          booking={transferFor}
+          onClose={() => setTransferFor(null)}
+          onSent={() => setTransfersKey((k) => k + 1)}
+        />
         <div className="flex gap-3 mb-6">
           {["ALL", "PAID", "PENDING"].map((t) => (
             <button
@@ -653,20 +714,27 @@ const MyBookings = () => {
               const isExpired = remaining <= 0;
               const isPaid = !!item.isPaid;
 
-              // Show-time gating: cancellation closes 15 min before showtime.
+              // Show-time gating: the refund policy's own cutoff is checked in the cancel dialog.
               const showStartMs = (() => {
                 const raw = item.show?.showDateTime || item.show?.showTime || item.showDateTime || item.time;
                 const t = raw ? new Date(raw).getTime() : NaN;
                 return isNaN(t) ? null : t;
               })();
-              const CANCEL_CUTOFF_MS = 15 * 60 * 1000;
               const showtimePassed = !!showStartMs && Date.now() >= showStartMs;
               const canCancel =
                 item.isPaid &&
                 item.status !== "cancelled" &&
+                !item.transferredFrom &&
+                !item.__expired &&
+                !!showStartMs &&
+                !showtimePassed;
+              const canExchange = canCancel && item.status === "confirmed" && !item.splitPayment;
+              const canTransfer =
+                item.isPaid &&
+                item.status === "confirmed" &&
                 !item.__expired &&
                 !!showStartMs &&
-                Date.now() < showStartMs - CANCEL_CUTOFF_MS;
+                !showtimePassed;
 
               return (
                 <div
@@ -712,6 +780,12 @@ const MyBookings = () => {
                           <div className="text-sm text-gray-300">
                             {resolveShowTime(item)}
                           </div>
+
+                          {item.show?.language && (
+                            <div className="text-xs text-gray-400 mt-1">
+                              {languageLabel(item.show.language, item.show.subtitles)}
+                            </div>
+                          )}
                         </div>
 
 
@@ -719,19 +793,64 @@ const MyBookings = () => {
                           <div className="text-xs text-gray-400">Seats</div>
                           <div className="font-medium mt-1">{(item.seats || item.bookedSeats || []).join(", ") || "—"}</div>
                         </div>
+
+                        {Array.isArray(item.seatCancellations) && item.seatCancellations.length > 0 && (
+                          <div className="mt-3">
+                            <div className="text-xs text-gray-400">Cancelled seats</div>
+                            <ul className="mt-1 space-y-0.5 text-sm text-gray-400">
+                              {item.seatCancellations.map((c) => (
+                                <li key={c._id} className="flex justify-between gap-4">
+                                  <span className="line-through">{c.seats.join(", ")}</span>
+                                  <span>
+                                    {currency} {c.amount} · {refundLabel(c)}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+
+                        {Array.isArray(item.snacks) && item.snacks.length > 0 && (
+                          <div className="mt-3">
+                            <div className="text-xs text-gray-400">Snacks &amp; beverages</div>
+                            <ul className="mt-1 space-y-0.5 text-sm text-gray-300">
+                              {item.snacks.map((s) => (
+                                <li key={s.item || s.name} className="flex justify-between gap-4">
+                                  <span>{s.emoji} {s.name} × {s.quantity}</span>
+                                  <span className="text-gray-400">{currency} {s.total}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
                       </div>
 
                       {item.status === "cancelled" ? (
                         <div className="inline-flex items-center gap-1 mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-white/10 text-gray-300 border border-white/15">
-                          ✕ CANCELLED · Refunded
+                          ✕ CANCELLED{item.isPaid && ` · ${refundLabel(item)}`}
                         </div>
                       ) : item.isPaid ? (
                         <div className="inline-flex items-center gap-1 mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-primary/20 text-primary border border-primary/30">
                           ✓ PAID
                         </div>
                       ) : (
-                        <div className="inline-block mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-amber-500/20 text-amber-400">
-                          PENDING PAYMENT
+                        <>
+                          <div className="inline-block mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-amber-500/20 text-amber-400">
+                            PENDING PAYMENT
+                          </div>
+                          {item.paymentError && (
+                            <div className="mt-1 text-xs text-red-300">Last payment attempt failed: {item.paymentError}</div>
+                          )}
+                        </>
+                      )}
+                      {item.transferredFrom && item.status !== "cancelled" && (
+                        <div className="inline-block mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-white/10 text-gray-300 border border-white/15">
+                          ↪ Transferred to you
+                        </div>
+                      )}
+                      {item.exchangeCount > 0 && item.status !== "cancelled" && (
+                        <div className="inline-block mt-2 ml-2 px-3 py-1 rounded-full text-xs font-semibold bg-primary/20 text-primary border border-primary/40">
+                          ⇄ Changed
                         </div>
                       )}
                       {item.__expired && (
@@ -746,12 +865,13 @@ const MyBookings = () => {
                       )}
                       {item.isPaid && !item.__expired && item.status !== "cancelled" && (
                         <div className="mt-3 flex items-center gap-3">
-                          <img
-                            src={`https://api.qrserver.com/v1/create-qr-code/?size=200x200&margin=1&ecc=M&data=${encodeURIComponent(buildTicketQR(item))}`}
-                            alt="Ticket QR"
-                            className="w-16 h-16 rounded-md bg-white p-1 shrink-0"
-                            loading="lazy"
-                          />
+                          {item.ticketQr && (
+                            <img
+                              src={item.ticketQr}
+                              alt="Ticket QR"
+                              className="w-24 h-24 rounded-md bg-white p-1 shrink-0"
+                            />
+                          )}
                           <div className="text-xs leading-relaxed">
                             <div className="text-primary font-semibold">Ticket confirmed</div>
                             <div className="text-gray-400">Scan at the entry gate</div>
@@ -789,15 +909,30 @@ const MyBookings = () => {
                         <div className="flex flex-col items-end gap-2 mt-3">
                           {/* DOWNLOAD TICKET */}
                           {item.isPaid && item.ticketUrl && !item.__expired && (
-                            <a
-                              href={`${API_BASE}${item.ticketUrl}`}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              onClick={(e) => e.stopPropagation()}
-                              className="px-4 py-1.5 rounded-full text-xs font-medium bg-primary/15 text-primary border border-primary/30 hover:bg-primary/25 transition"
-                            >
-                              Download Ticket
-                            </a>
+                            <div className="flex items-center gap-2">
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  downloadTicket(item);
+                                }}
+                                className="px-4 py-1.5 rounded-full text-xs font-medium bg-primary/15 text-primary border border-primary/30 hover:bg-primary/25 transition cursor-pointer"
+                              >
+                                Download Ticket
+                              </button>
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  copyTicketLink(item);
+                                }}
+                                title="Copy a download link that works for 30 minutes"
+                                className="px-3 py-1.5 rounded-full text-xs font-medium bg-white/5 text-gray-300 border border-white/15 hover:bg-white/10 transition cursor-pointer"
+                              >
+                                Copy link
+                              </button>
+                            </div>
+                          )}
+                          {item.isPaid && item.status === "confirmed" && !item.__expired && !showtimePassed && (
+                            <WalletButtons bookingId={item._id} className="justify-end" />
                           )}
 
                           {/* ADD TO CALENDAR */}
@@ -841,27 +976,47 @@ const MyBookings = () => {
                             Book again
                           </button>
 
-                          {/* CANCEL TICKET (paid, more than 15 min before showtime) */}
+                          {/* CHANGE SHOWTIME / SEATS (same movie; the difference is charged or refunded) */}
+                          {canExchange && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); navigate(`/my-bookings/${item._id}/exchange`); }}
+                              className="px-4 py-1.5 rounded-full text-xs font-medium bg-white/5 border border-white/10 text-gray-200 hover:border-primary/40 transition cursor-pointer"
+                            >
+                              Change show / seats
+                            </button>
+                          )}
+
+                          {/* TRANSFER TO ANOTHER USER (confirmed, before showtime) */}
+                          {canTransfer && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); setTransferFor(item); }}
+                              className="px-4 py-1.5 rounded-full text-xs font-medium bg-white/5 border border-white/10 text-gray-200 hover:border-primary/40 transition cursor-pointer"
+                            >
+                              Transfer
+                            </button>
+                          )}
+
+                          {/* CANCEL TICKET (paid, before showtime — the dialog previews the refund) */}
                           {canCancel && (
                             <button
-                              onClick={(e) => { e.stopPropagation(); cancelTicket(item); }}
-                              disabled={cancellingId === (item._id || item.id)}
-                              className="px-4 py-1.5 rounded-full text-xs font-medium bg-white/5 border border-white/15 text-gray-300 hover:bg-white/10 hover:text-white transition cursor-pointer disabled:opacity-60"
+                              onClick={(e) => { e.stopPropagation(); setCancelSeatsFor(item); }}
+                              className="px-4 py-1.5 rounded-full text-xs font-medium bg-white/5 border border-white/15 text-gray-300 hover:bg-white/10 hover:text-white transition cursor-pointer"
                             >
-                              {cancellingId === (item._id || item.id) ? "Cancelling…" : "Cancel & refund"}
+                              Cancel & refund
                             </button>
                           )}
 
-                          {/* Cancellation window closed (within 15 min) but show not over yet */}
-                          {item.isPaid && item.status !== "cancelled" && !item.__expired && !canCancel && (
-                            <div className="text-[11px] text-gray-400 mt-1 text-right">
-                              {showtimePassed ? "⏰ Showtime passed" : "Cancellation closed (under 15 min to showtime)"}
-                            </div>
+                          {item.isPaid && item.status !== "cancelled" && !item.__expired && showtimePassed && (
+                            <div className="text-[11px] text-gray-400 mt-1 text-right">⏰ Showtime passed</div>
                           )}
 
                           {item.status === "cancelled" && (
-                            <div className="text-xs text-gray-400 mt-2">
-                              Cancelled — refund processed
+                            <div className="text-xs text-gray-400 mt-2 text-right">
+                              {item.cancellationTerms
+                                ? item.cancellationTerms.refundAmount > 0
+                                  ? `Cancelled — ${item.cancellationTerms.percent}% refunded (${currency} ${item.cancellationTerms.refundAmount})`
+                                  : `Cancelled — no refund under ${item.cancellationTerms.policy}`
+                                : "Cancelled — refund processed"}
                             </div>
                           )}
 
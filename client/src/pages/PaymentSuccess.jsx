@@ -1,14 +1,17 @@
 // pages/PaymentSuccess.jsx - Finalizes booking after Stripe payment redirect
 import { useAuth } from "@clerk/clerk-react";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
+import { CheckCircle2Icon } from "lucide-react";
 import Loading from "../components/Loading";
+import WalletButtons from "../components/WalletButtons";
 
 const PaymentSuccess = () => {
     const navigate = useNavigate();
     const [params] = useSearchParams();
     const bookingId = params.get("bookingId");
     const { getToken } = useAuth();
+    const [confirmed, setConfirmed] = useState(false);
 
     useEffect(() => {
         if (!bookingId) {
@@ -17,10 +20,11 @@ const PaymentSuccess = () => {
         }
 
         const finalize = async () => {
+            let ok = false;
             try {
                 const token = await getToken();
                 // 🔥 THIS IS THE FIX (SERVER CONFIRM)
-                await fetch("/api/booking/confirm-booking", {
+                const res = await fetch("/api/booking/confirm-booking", {
                     method: "POST",
                     headers: {
                         "Content-Type": "application/json",
@@ -28,6 +32,7 @@ const PaymentSuccess = () => {
                     },
                     body: JSON.stringify({ bookingId }),
                 });
+                ok = !!(await res.json().catch(() => null))?.success;
             } catch (e) {
                 console.error("confirm booking failed", e);
             }
@@ -50,13 +55,34 @@ const PaymentSuccess = () => {
                 new CustomEvent("PAYMENT_SUCCESS", { detail: { bookingId } })
             );
 
-            navigate("/my-bookings");
+            // Confirmed: stay here to offer wallet passes
+            if (ok) setConfirmed(true);
+            else navigate("/my-bookings");
         };
 
         finalize();
     }, [bookingId, navigate]);
 
-    return <Loading text="Finalizing your booking..." />;
+    if (!confirmed) return <Loading text="Finalizing your booking..." />;
+
+    return (
+        <div className="min-h-[80vh] flex items-center justify-center px-6">
+            <div className="flex flex-col items-center gap-4 text-center bg-primary/8 border border-primary/20 rounded-lg p-8 max-w-md">
+                <CheckCircle2Icon className="w-12 h-12 text-primary" />
+                <h1 className="text-2xl font-semibold">Booking confirmed</h1>
+                <p className="text-sm text-gray-400">
+                    Your ticket is ready in My Bookings. Add it to your phone's wallet to have it at the door.
+                </p>
+                <WalletButtons bookingId={bookingId} className="justify-center" />
+                <button
+                    onClick={() => navigate("/my-bookings")}
+                    className="mt-2 px-6 py-2 text-sm bg-primary hover:bg-primary-dull transition rounded-full font-medium cursor-pointer"
+                >
+                    Go to My Bookings
+                </button>
+            </div>
+        </div>
+    );
 };
 
 export default PaymentSuccess;
\ No newline at end of file
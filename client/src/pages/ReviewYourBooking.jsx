@@ -7,6 +7,7 @@ import { useAppContext } from "../context/AppContext";
 import isoTimeFormat from "../lib/isoTimeFormat";
 import { ArrowLeftIcon, ArrowRightIcon } from "lucide-react";
 import BlurCircle from "../components/BlurCircle";
+import SplitPaymentPanel from "../components/SplitPaymentPanel";
 
 /**
  * ReviewYourBooking (styling updated: vertically centered)
@@ -158,7 +159,7 @@ const ReviewYourBooking = () => {
 
     // start/refresh countdown whenever booking.expiresAt changes
     useEffect(() => {
-        const expires = incomingBooking?.expiresAt || booking?.expiresAt;
+        const expires = booking?.expiresAt || incomingBooking?.expiresAt;
         if (!expires) {
             setTimeLeft(null);
             if (timerRef.current) {
@@ -198,6 +199,22 @@ const ReviewYourBooking = () => {
             window.removeEventListener("TEMP_HOLD_RELEASED", onReleased);
     }, [booking]);
 
+    // Split payment extends the hold and points the host's pay link at their
+    // share — keep the local temp hold (seat layout, My Bookings) in step.
+    const handleSplit = ({ expiresAt, paymentLink }) => {
+        const id = booking?.bookingId || booking?._id;
+        setBooking((prev) => ({ ...prev, splitPayment: true, expiresAt, paymentLink }));
+        Object.keys(localStorage).forEach((key) => {
+            if (!key.startsWith("tempHold:")) return;
+            try {
+                const parsed = JSON.parse(localStorage.getItem(key));
+                if (parsed?.bookingId !== id) return;
+                localStorage.setItem(key, JSON.stringify({ ...parsed, expiresAt: new Date(expiresAt).getTime(), paymentLink }));
+            } catch { /* ignore malformed entries */ }
+        });
+        window.dispatchEvent(new Event("tempHoldChanged"));
+    };
+
     const handlePayNow = async () => {
         if (!booking?.paymentLink) {
             toast.error("Payment link not available");
@@ -392,13 +409,25 @@ const ReviewYourBooking = () => {
                                             <div className="text-[11px] uppercase tracking-[0.18em] text-gray-400 mb-2">Price details</div>
                                             <Row label={`Ticket(s) (${seatCount} × ${CURRENCY} ${(ticketsGross / seatCount).toFixed(2)})`} val={ticketsGross} />
                                             {disc > 0 && <Row label={`Coupon ${booking.couponCode ? `(${booking.couponCode})` : ""}`} val={disc} accent />}
-                                            {snacks > 0 && <Row label="Snacks & beverages" val={snacks} />}
+                                            {Array.isArray(booking.snacks) && booking.snacks.length > 0
+                                                ? booking.snacks.map((s) => (
+                                                    <Row key={s.item || s.itemId || s.name} label={`${s.emoji || ""} ${s.name} × ${s.quantity}`.trim()} val={s.total} />
+                                                ))
+                                                : snacks > 0 && <Row label="Snacks & beverages" val={snacks} />}
                                             <Row label="Booking fee (incl. GST)" val={fee} />
                                             <div className="my-2 border-t border-white/10" />
                                             <Row label="Amount payable" val={total} bold />
                                         </div>
                                     );
                                 })()}
+
+                                <SplitPaymentPanel
+                                    bookingId={booking.bookingId || booking._id}
+                                    seats={booking.seats || []}
+                                    isSplit={!!booking.splitPayment}
+                                    couponCode={booking.couponCode || ""}
+                                    onSplit={handleSplit}
+                                />
                             </div>
 
                             {/* bottom row inside card: timer + pay button */}
@@ -415,7 +444,7 @@ const ReviewYourBooking = () => {
                                         disabled={payLoading}
                                         className={`group inline-flex items-center gap-2 px-7 py-3 rounded-full cursor-pointer text-black font-semibold transition-all ${payLoading ? "opacity-80 cursor-wait bg-primary" : "bg-gradient-to-b from-primary to-primary-dull shadow-[0_14px_36px_-10px_rgba(168,85,247,0.9)] hover:scale-[1.03] hover:shadow-[0_18px_44px_-10px_rgba(168,85,247,1)]"}`}
                                     >
-                                        {payLoading ? "Preparing…" : "Pay now"}
+                                        {payLoading ? "Preparing…" : booking.splitPayment ? "Pay my share" : "Pay now"}
                                         {!payLoading && <ArrowRightIcon className="w-4 h-4 transition-transform group-hover:translate-x-0.5" />}
                                     </button>
                                 </div>
@@ -4,10 +4,12 @@ import { useNavigate, useParams, useLocation } from "react-router-dom";
 import { ArrowRightIcon, ArrowLeftIcon, ClockIcon } from "lucide-react";
 import { useClerk } from "@clerk/clerk-react";
 import isoTimeFormat from "../lib/isoTimeFormat";
-import { formatScreen, seatPressure } from "../lib/screenLabel";
-import { platformFeeFor, applyCoupon } from "../lib/pricing";
+import { formatScreen, languageLabel } from "../lib/screenLabel";
+import { platformFeeFor } from "../lib/pricing";
+import { orderedZones, seatSets } from "../lib/seatMap";
 import BlurCircle from "../components/BlurCircle";
 import ErrorBoundary from "../components/ErrorBoundary";
+import AgeGate from "../components/AgeGate";
 import FoodAddon from "../components/FoodAddon";
 import HScroller from "../components/HScroller";
 import toast from "react-hot-toast";
@@ -39,71 +41,6 @@ const LS = {
   TEMP_HOLD: (movieId, date, showId) => `tempHold:${movieId}:${date}:${showId}`,
 };
 
-const rowsAlphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
-
-// ... (unchanged helper functions getExperienceLayout, formatMs) ...
-const getExperienceLayout = (experience, basePrice) => {
-  const bp = Number.isFinite(Number(basePrice)) ? Number(basePrice) : 0;
-  const sliceRows = (start, count) => rowsAlphabet.slice(start, start + count);
-  const colors = {
-    executive: "bg-[#8D8278]",
-    club: "bg-[#C49A6C]",
-    royale: "bg-[#CDA0A0]",
-    insignia: "bg-[#D4A290]",
-    prime: "bg-[#E3C078]",
-  };
-
-  const laser = {
-    seatsPerRow: 12,
-    sections: [
-      { key: "executive", label: "EXECUTIVE", price: bp + 0, rows: sliceRows(0, 2), colorClass: colors.executive },
-      { key: "club", label: "CLUB", price: bp + 50, rows: sliceRows(2, 8), colorClass: colors.club },
-      { key: "royale", label: "ROYALE", price: bp + 100, rows: sliceRows(10, 2), colorClass: colors.royale },
-    ],
-  };
-
-  if (!experience) return laser;
-  const exp = experience.toLowerCase();
-
-  if (exp.includes("imax")) {
-    return {
-      seatsPerRow: 12,
-      sections: [
-        { key: "executive", label: "EXECUTIVE", price: bp + 0, rows: sliceRows(0, 2), colorClass: colors.executive },
-        { key: "club", label: "CLUB", price: bp + 50, rows: sliceRows(2, 6), colorClass: colors.club },
-        { key: "royale", label: "ROYALE", price: bp + 100, rows: sliceRows(8, 4), colorClass: colors.royale },
-      ],
-    };
-  }
-
-  if (exp.includes("dolby")) {
-    return {
-      seatsPerRow: 12,
-      sections: [
-        { key: "executive", label: "EXECUTIVE", price: bp + 0, rows: sliceRows(0, 2), colorClass: colors.executive },
-        { key: "club", label: "CLUB", price: bp + 50, rows: sliceRows(2, 6), colorClass: colors.club },
-        { key: "royale", label: "ROYALE", price: bp + 100, rows: sliceRows(8, 4), colorClass: colors.royale },
-      ],
-    };
-  }
-
-  if (exp.includes("insignia")) {
-    return {
-      seatsPerRow: 10,
-      sections: [{ key: "insignia", label: "INSIGNIA", price: bp + 120, rows: sliceRows(0, 6), colorClass: colors.insignia }],
-    };
-  }
-
-  if (exp.includes("4dx") || exp.includes("4dx-3d")) {
-    return {
-      seatsPerRow: 10,
-      sections: [{ key: "prime", label: "PRIME", price: bp + 150, rows: sliceRows(0, 6), colorClass: colors.prime }],
-    };
-  }
-
-  return laser;
-};
-
 const formatMs = (ms) => {
   if (ms == null || ms <= 0) return "00:00";
   const s = Math.floor(ms / 1000);
@@ -125,6 +62,7 @@ const SeatLayout = () => {
   // stable hooks
   const [showData, setShowData] = useState(null);
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
+  const [seatMap, setSeatMap] = useState(null);
 
   const [serverOccupied, setServerOccupied] = useState([]);
   const [selectedSeats, setSelectedSeats] = useState([]);
@@ -135,10 +73,11 @@ const SeatLayout = () => {
   const [serverHeldSeats, setServerHeldSeats] = useState([]);
   const [holdTimeLeft, setHoldTimeLeft] = useState(null);
   const [navLoading, setNavLoading] = useState(false);
+  const [ageGateFor, setAgeGateFor] = useState(""); // certificate that needs a date of birth before booking
 
   const [cardHiddenLocal, setCardHiddenLocal] = useState(false); // hides the UI card only (no release)
   const [actionLoading, setActionLoading] = useState({ active: false, message: "" });
-  const [foodSummary, setFoodSummary] = useState({ total: 0, count: 0 });
+  const [foodSummary, setFoodSummary] = useState({ total: 0, count: 0, lines: [], items: [] });
 
   const query = useMemo(() => new URLSearchParams(search), [search]);
   const queryShowId = query.get("showId");
@@ -326,6 +265,27 @@ const SeatLayout = () => {
   }, [selectedTimeSlot, user])
 
 
+  /* seat map of the selected show's screen */
+  useEffect(() => {
+    setSeatMap(null);
+    const showId = selectedTimeSlot?.showId;
+    if (!showId) return;
+
+    let cancelled = false;
+    axios.get(`/api/show/seat-map/${showId}`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        if (data?.success) setSeatMap(data.seatMap);
+        else toast.error(data?.message || "Failed to load seat map");
+      })
+      .catch((err) => {
+        console.error("fetchSeatMap error:", err);
+        if (!cancelled) toast.error("Failed to load seat map");
+      });
+    return () => { cancelled = true; };
+    // eslint-disable-next-line
+  }, [selectedTimeSlot]);
+
   /* SSE/polling for live updates */
   useEffect(() => {
     if (sseRef.current) {
@@ -446,8 +406,8 @@ const SeatLayout = () => {
     if (serverHeldSeats.includes(seatId))
       return toast("This seat is currently held");
 
-    if (syntheticOccupied.has(seatId) && !selectedSeats.includes(seatId))
-      return toast("This seat is already booked");
+    if (layout.blocked.has(seatId) || layout.gaps.has(seatId))
+      return toast("This seat is not available");
 
     if (tempHold && tempHold.seats.includes(seatId)) return toast("This seat is currently held (pending payment)");
     setSelectedSeats((prev) => {
@@ -502,7 +462,7 @@ const SeatLayout = () => {
         {
           showId: resolvedShowId,
           selectedSeats,
-          addonAmount: foodSummary.total || 0,
+          snacks: foodSummary.items || [],
           couponCode: appliedCoupon?.code || "",
         },
         {
@@ -548,6 +508,8 @@ const SeatLayout = () => {
           0
         ),
         addonAmount: foodSummary.total || 0,
+        snacks: foodSummary.lines || [],
+        couponCode: appliedCoupon?.code || "",
         expiresAt: new Date(data.expiresAt).getTime(),
         paymentLink: data.paymentLink,
       };
@@ -613,7 +575,13 @@ const SeatLayout = () => {
     } catch (err) {
       console.error("bookTickets error:", err);
       setNavLoading(false);
-      toast.error("Could not open review page");
+      // Restricted (A) titles: the server wants an attested date of birth first.
+      const body = err?.response?.data;
+      if (body?.code === "AGE_REQUIRED") {
+        setAgeGateFor(body.certification || "A");
+        return;
+      }
+      toast.error(body?.message || "Could not open review page");
     }
   };
 
@@ -659,9 +627,50 @@ const SeatLayout = () => {
     }
   };
 
+  /* ---------- coupon (validated on the server against the current selection) ---------- */
+  const validateCoupon = async (code, seats) => {
+    const { data } = await axios.post("/api/coupon/validate", {
+      code,
+      showId: selectedTimeSlot?.showId,
+      selectedSeats: seats,
+    });
+    return data;
+  };
+
+  // The discount depends on the seats picked, so re-check whenever they change.
+  useEffect(() => {
+    const code = appliedCoupon?.code;
+    if (!code) return;
+    if (!selectedTimeSlot?.showId || !selectedSeats.length) {
+      setAppliedCoupon((c) => (c ? { ...c, discount: 0 } : c));
+      return;
+    }
+
+    let cancelled = false;
+    validateCoupon(code, selectedSeats)
+      .then((data) => {
+        if (cancelled) return;
+        if (data?.valid) {
+          setAppliedCoupon((c) => (c ? { ...c, discount: data.discount } : c));
+        } else {
+          setAppliedCoupon(null);
+          toast.error(data?.message || `Coupon ${code} no longer applies`);
+        }
+      })
+      .catch((err) => console.error("coupon revalidate error:", err));
+    return () => { cancelled = true; };
+    // eslint-disable-next-line
+  }, [selectedSeats, selectedTimeSlot, appliedCoupon?.code]);
+
   /* ---------- layout helpers ---------- */
   const basePrice = selectedTimeSlot?.showPrice ?? selectedTimeSlot?.price ?? 0;
-  const layout = useMemo(() => getExperienceLayout(selectedTimeSlot?.experience || selectedTimeSlot?.screenType || "Laser", basePrice), [selectedTimeSlot, basePrice]);
+  // Seat map from the show's screen: zones (with server-resolved prices), aisles, gaps, blocked & wheelchair seats.
+  const layout = useMemo(() => ({
+    rows: seatMap?.rows || [],
+    columns: seatMap?.columns || 0,
+    sections: orderedZones(seatMap),
+    ...seatSets(seatMap),
+  }), [seatMap]);
   const rowToSection = useMemo(() => { const map = {}; (layout.sections || []).forEach((sec) => sec.rows.forEach((r) => (map[r] = sec))); return map; }, [layout]);
 
   const getSeatPrice = (seatId) => {
@@ -678,7 +687,7 @@ const SeatLayout = () => {
   }, [selectedSeats, rowToSection]);
 
   // ---- 3D "view from seat" geometry ----
-  const allRowsFlat = useMemo(() => layout.sections.flatMap((s) => s.rows), [layout]);
+  const allRowsFlat = layout.rows;
 
   // Seats the signed-in user has already booked for THIS show (highlight as "yours").
   const myBookedSeats = useMemo(
@@ -686,33 +695,6 @@ const SeatLayout = () => {
     [bookedSeatsByShow, selectedTimeSlot]
   );
 
-  // Synthetic occupancy so the seat map visually matches the show's "fill" level
-  // (Available / Filling fast / Almost full) shown on the showtime. Deterministic
-  // per show, capped so a few seats always remain bookable.
-  const syntheticOccupied = useMemo(() => {
-    const showId = selectedTimeSlot?.showId;
-    if (!showId) return new Set();
-    const ratio = Math.min(0.9, seatPressure(showId));
-    if (ratio <= 0.02) return new Set();
-    const cols = layout.seatsPerRow || 12;
-    const seatIds = [];
-    allRowsFlat.forEach((r) => {
-      for (let i = 1; i <= cols; i++) seatIds.push(`${r}${i}`);
-    });
-    const target = Math.floor(ratio * seatIds.length);
-    if (target <= 0) return new Set();
-    // Seeded shuffle from the show id (stable across renders).
-    let h = 0;
-    const s = String(showId);
-    for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) >>> 0;
-    const rand = () => { h = (h * 1664525 + 1013904223) >>> 0; return h / 4294967296; };
-    for (let i = seatIds.length - 1; i > 0; i--) {
-      const j = Math.floor(rand() * (i + 1));
-      [seatIds[i], seatIds[j]] = [seatIds[j], seatIds[i]];
-    }
-    return new Set(seatIds.slice(0, target));
-  }, [selectedTimeSlot, layout, allRowsFlat]);
-
   const previewMeta = useMemo(() => {
     if (!previewSeat) return null;
     const letter = previewSeat.match(/^[A-Za-z]+/)?.[0]?.toUpperCase();
@@ -720,18 +702,14 @@ const SeatLayout = () => {
     const rowIndex = Math.max(0, allRowsFlat.indexOf(letter));
     const colIndex = Math.max(0, (Number.isFinite(num) ? num : 1) - 1);
     const rows = allRowsFlat.length || 8;
-    const cols = layout.seatsPerRow || 12;
+    const cols = layout.columns || 12;
     const ratio = rows > 1 ? rowIndex / (rows - 1) : 0.5;
     let hint = "Balanced view — a solid pick.";
     if (ratio < 0.25) hint = "Very close to the screen — large & immersive, you'll look up a little.";
     else if (ratio > 0.75) hint = "Towards the back — the whole screen is in view, but smaller.";
     else if (ratio >= 0.4 && ratio <= 0.6) hint = "Sweet spot — best overall view in the house. 👌";
-    // Per-row zone colours (extract hex from each section's colorClass).
-    const rowColors = allRowsFlat.map((r) => {
-      const sec = rowToSection[r];
-      const m = sec?.colorClass?.match(/#([0-9A-Fa-f]{6})/);
-      return m ? `#${m[1]}` : "#2a2336";
-    });
+    // Per-row zone colours.
+    const rowColors = allRowsFlat.map((r) => rowToSection[r]?.color || "#2a2336");
     // The movie still shown on the screen.
     const mv = showData?.movie || {};
     const screenImage = mv.backdrop_path
@@ -739,22 +717,23 @@ const SeatLayout = () => {
       : mv.poster_path
         ? image_base_url + mv.poster_path
         : null;
-    // Per-seat status grid for the 3D view (occupied / selected / available).
+    // Per-seat status grid for the 3D view (gap / occupied / selected / available).
     const seatStatus = allRowsFlat.map((label) =>
       Array.from({ length: cols }).map((_, ci) => {
         const sid = `${label}${ci + 1}`;
+        if (layout.gaps.has(sid)) return "gap";
         if (selectedSeats.includes(sid)) return "selected";
         if (
+          layout.blocked.has(sid) ||
           serverConfirmedOccupied.includes(sid) ||
           serverHeldSeats.includes(sid) ||
-          syntheticOccupied.has(sid) ||
           (tempHold && tempHold.seats?.includes(sid))
         ) return "occupied";
         return "available";
       })
     );
-    return { rowIndex, colIndex, rows, cols, hint, rowColors, screenImage, screenLabel: mv.title || "", seatStatus };
-  }, [previewSeat, allRowsFlat, layout, rowToSection, showData, image_base_url, serverConfirmedOccupied, serverHeldSeats, syntheticOccupied, tempHold, selectedSeats]);
+    return { rowIndex, colIndex, rows, cols, aisles: seatMap?.aisles || [], hint, rowColors, screenImage, screenLabel: mv.title || "", seatStatus };
+  }, [previewSeat, allRowsFlat, layout, seatMap, rowToSection, showData, image_base_url, serverConfirmedOccupied, serverHeldSeats, tempHold, selectedSeats]);
 
   // Click a seat inside the 3D view → instantly move the viewpoint there (and pick it).
   const pickSeatFrom3D = (r, c) => {
@@ -762,9 +741,10 @@ const SeatLayout = () => {
     if (!label) return;
     const seatId = `${label}${c + 1}`;
     if (
+      layout.gaps.has(seatId) ||
+      layout.blocked.has(seatId) ||
       serverConfirmedOccupied.includes(seatId) ||
       serverHeldSeats.includes(seatId) ||
-      (syntheticOccupied.has(seatId) && !selectedSeats.includes(seatId)) ||
       (tempHold && tempHold.seats?.includes(seatId))
     ) {
       toast("That seat isn't available");
@@ -776,14 +756,25 @@ const SeatLayout = () => {
 
   const renderRow = (rowLabel) => {
     const seats = [];
-    const seatsPerRow = layout.seatsPerRow || 12;
-    const center = Math.ceil(seatsPerRow / 2);
 
-    for (let i = 1; i <= seatsPerRow; i++) {
+    for (let i = 1; i <= layout.columns; i++) {
       const seatId = `${rowLabel}${i}`;
+      const aisle = layout.aisles.has(i) && i < layout.columns
+        ? <div key={`${rowLabel}-aisle-${i}`} className="w-3" />
+        : null;
+
+      // No seat at this position — keep the spacing so columns stay aligned.
+      if (layout.gaps.has(seatId)) {
+        seats.push(<div key={seatId} aria-hidden className="h-9 w-9" />);
+        if (aisle) seats.push(aisle);
+        continue;
+      }
+
       const selected = selectedSeats.includes(seatId);
       const mine = myBookedSeats.has(seatId);
-      const serverOcc = !selected && !mine && (serverConfirmedOccupied.includes(seatId) || syntheticOccupied.has(seatId));
+      const blocked = layout.blocked.has(seatId);
+      const wheelchair = layout.wheelchair.has(seatId);
+      const serverOcc = !selected && !mine && (blocked || serverConfirmedOccupied.includes(seatId));
       const localHeld =
         (tempHold && tempHold.seats.includes(seatId)) ||
         serverHeldSeats.includes(seatId);
@@ -792,7 +783,9 @@ const SeatLayout = () => {
       const secPrice = sec ? sec.price : basePrice;
       const tooltipText = mine
         ? `Your booked seat • ${seatId}`
-        : `${secLabel} • ${currency} ${secPrice} • ${seatId}`;
+        : blocked
+          ? `Not available • ${seatId}`
+          : `${secLabel} • ${currency} ${secPrice} • ${seatId}${wheelchair ? " • Wheelchair accessible" : ""}`;
 
       seats.push(
         <div key={seatId} className="relative group">
@@ -819,7 +812,11 @@ const SeatLayout = () => {
             ) : seatId}
           </button>
 
-          <div aria-hidden className={`absolute -bottom-1 left-1/2 -translate-x-1/2 w-9 h-1 rounded ${sec ? sec.colorClass : "bg-primary"} opacity-30`} />
+          <div aria-hidden className={`absolute -bottom-1 left-1/2 -translate-x-1/2 w-9 h-1 rounded ${sec ? "" : "bg-primary"} opacity-30`} style={sec ? { backgroundColor: sec.color } : undefined} />
+
+          {wheelchair && !serverOcc && (
+            <span aria-hidden className="absolute -bottom-2 -left-1 h-3.5 w-3.5 rounded-full bg-sky-500 text-[8px] leading-[14px] text-center text-white pointer-events-none">♿</span>
+          )}
 
           {/* Hover eye → preview the view from this seat (only for seats you can actually pick) */}
           {!serverOcc && !localHeld && !mine && (
@@ -845,7 +842,7 @@ const SeatLayout = () => {
         </div>
       );
 
-      if (i === center) seats.push(<div key={`${rowLabel}-aisle-${i}`} className="w-3" />);
+      if (aisle) seats.push(aisle);
     }
 
     return <div key={rowLabel} className="flex justify-center items-center gap-2 mt-2">{seats}</div>;
@@ -897,24 +894,41 @@ const SeatLayout = () => {
 
   // ---- Final price breakdown (tickets − coupon + booking fee + snacks) ----
   const ticketsSubtotal = selectedBreakdown.total;
-  const couponResult = appliedCoupon?.code ? applyCoupon(appliedCoupon.code, ticketsSubtotal) : { discount: 0, valid: false };
-  const discount = couponResult.valid ? couponResult.discount : 0;
+  const discount = Math.min(ticketsSubtotal, Number(appliedCoupon?.discount) || 0);
   const platformFee = platformFeeFor(selectedSeats.length);
   const grandTotal = Math.max(0, ticketsSubtotal - discount) + platformFee + foodSummary.total;
 
-  const handleApplyCoupon = () => {
-    const res = applyCoupon(couponInput, ticketsSubtotal);
-    if (res.valid) {
-      setAppliedCoupon({ code: res.code });
-      toast.success(`Coupon ${res.code} applied — you saved ${currency}${res.discount}`);
-    } else {
-      setAppliedCoupon(null);
-      toast.error("Invalid or not-applicable coupon");
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code) return;
+    if (!selectedSeats.length) return toast("Select seats first");
+    try {
+      const res = await validateCoupon(code, selectedSeats);
+      if (res?.valid) {
+        setAppliedCoupon({ code: res.code, discount: res.discount, label: res.label });
+        toast.success(`Coupon ${res.code} applied — you saved ${currency}${res.discount}`);
+      } else {
+        setAppliedCoupon(null);
+        toast.error(res?.message || "Invalid or not-applicable coupon");
+      }
+    } catch (err) {
+      console.error("applyCoupon error:", err);
+      toast.error(err?.response?.data?.message || "Couldn't check the coupon");
     }
   };
 
   return (
     <div className="flex flex-col items-center px-6 md:px-16 lg:px-32 py-30 md:pt-44">
+      <AgeGate
+        open={!!ageGateFor}
+        certification={ageGateFor}
+        onConfirm={() => {
+          setAgeGateFor("");
+          toast.success("Thanks — you can book now");
+        }}
+        onCancel={() => setAgeGateFor("")}
+      />
+
       {/* Back button */}
       <div className="w-full max-w-4xl mb-3">
         <button
@@ -944,7 +958,7 @@ const SeatLayout = () => {
             {selectedTimeSlot ? (
               <>
                 <div className="text-lg font-semibold text-primary">{isoTimeFormat(selectedTimeSlot.time)}</div>
-                <div className="text-sm text-gray-400 mt-1">{formatScreen(selectedTimeSlot.experience, selectedTimeSlot.format)} • {selectedTimeSlot.language || "English"}</div>
+                <div className="text-sm text-gray-400 mt-1">{formatScreen(selectedTimeSlot.experience, selectedTimeSlot.format)} • {languageLabel(selectedTimeSlot.language, selectedTimeSlot.subtitles)}</div>
                 {basePrice > 0 && <div className="text-xs text-gray-500 mt-1">Base: {currency} {basePrice}</div>}
               </>
             ) : <div className="text-sm text-gray-400">Select a timing</div>}
@@ -986,7 +1000,7 @@ const SeatLayout = () => {
                   {entries.flat().sort((a, b) => new Date(a.time) - new Date(b.time)).map((slot) => (
                     <button key={slot.showId || slot._id || slot.time} onClick={() => setSelectedTimeSlot(slot)} className="shrink-0 flex flex-col items-start gap-0.5 px-4 py-2.5 rounded-xl border border-white/12 bg-white/5 hover:border-primary/50 hover:bg-primary/10 transition cursor-pointer">
                       <span className="text-sm font-semibold">{isoTimeFormat(slot.time)}</span>
-                      <span className="text-[10px] text-gray-400">{formatScreen(slot.experience || slot.screenType, slot.format)} • {slot.language || "English"}</span>
+                      <span className="text-[10px] text-gray-400">{formatScreen(slot.experience || slot.screenType, slot.format)} • {languageLabel(slot.language, slot.subtitles)}</span>
                     </button>
                   ))}
                   </div>
@@ -1014,7 +1028,7 @@ const SeatLayout = () => {
                     return (
                     <button key={slot.showId || slot._id || slot.time} onClick={() => setSelectedTimeSlot(slot)} className={`shrink-0 flex flex-col items-start gap-0.5 px-4 py-2.5 rounded-xl border transition cursor-pointer ${active ? "bg-gradient-to-b from-primary to-primary-dull text-black border-primary shadow-[0_10px_25px_-10px_rgba(168,85,247,0.9)]" : "border-white/12 bg-white/5 hover:border-primary/50 hover:bg-primary/10"}`}>
                       <span className="text-sm font-semibold">{isoTimeFormat(slot.time)}</span>
-                      <span className={`text-[10px] ${active ? "text-black/70" : "text-gray-400"}`}>{formatScreen(slot.experience || slot.screenType, slot.format)} • {slot.language || "English"}</span>
+                      <span className={`text-[10px] ${active ? "text-black/70" : "text-gray-400"}`}>{formatScreen(slot.experience || slot.screenType, slot.format)} • {languageLabel(slot.language, slot.subtitles)}</span>
                     </button>
                     );
                   })}
@@ -1037,7 +1051,7 @@ const SeatLayout = () => {
             {/* Zones (price tiers) */}
             {layout.sections.map((sec) => (
               <div key={sec.key} className="flex items-center gap-2">
-                <span className={`h-5 w-5 rounded-t-[7px] rounded-b-[3px] ${sec.colorClass} shadow-inner shadow-black/40`} />
+                <span className="h-5 w-5 rounded-t-[7px] rounded-b-[3px] shadow-inner shadow-black/40" style={{ backgroundColor: sec.color }} />
                 <div className="leading-tight">
                   <div className="text-[11px] font-semibold tracking-wide text-gray-200">{sec.label}</div>
                   <div className="text-[10px] text-gray-400">{currency}{sec.price}</div>
@@ -1066,6 +1080,12 @@ const SeatLayout = () => {
               <span className="h-4 w-4 rounded-t-[6px] rounded-b-[2px] bg-gradient-to-b from-primary to-primary-dull border border-primary" />
               <span className="text-[11px] text-gray-300">Selected</span>
             </div>
+            {layout.wheelchair.size > 0 && (
+              <div className="flex items-center gap-1.5">
+                <span className="h-4 w-4 rounded-full bg-sky-500 text-[9px] leading-4 text-center text-white">♿</span>
+                <span className="text-[11px] text-gray-300">Wheelchair</span>
+              </div>
+            )}
             {myBookedSeats.size > 0 && (
               <div className="flex items-center gap-1.5">
                 <span className="h-4 w-4 rounded-t-[6px] rounded-b-[2px] bg-gradient-to-b from-cyan-400 to-cyan-600 border border-cyan-300 flex items-center justify-center">
@@ -1086,6 +1106,9 @@ const SeatLayout = () => {
 
         {/* seat layout */}
         <div className="w-full max-w-4xl space-y-8">
+          {selectedTimeSlot && !seatMap && (
+            <p className="text-center text-sm text-gray-400">Loading seat map…</p>
+          )}
           {layout.sections.map((sec) => (
             <div key={sec.key} className="flex flex-col items-center">
               <div className="mb-2 text-center"><div className="text-sm font-semibold">{sec.label}: {currency} {sec.price}</div></div>
@@ -1096,6 +1119,7 @@ const SeatLayout = () => {
 
         {/* Food & beverages add-on */}
         <FoodAddon
+          showId={selectedTimeSlot?.showId}
           currency={currency}
           disabled={!selectedSeats.length}
           onTotalChange={setFoodSummary}
@@ -1208,6 +1232,7 @@ const SeatLayout = () => {
                       colIndex={previewMeta.colIndex}
                       rows={previewMeta.rows}
                       cols={previewMeta.cols}
+                      aisles={previewMeta.aisles}
                       screenImage={previewMeta.screenImage}
                       screenLabel={previewMeta.screenLabel}
                       rowColors={previewMeta.rowColors}
@@ -0,0 +1,237 @@
+// pages/SplitPayment.jsx - Invite page for one share of a split group booking: details, pay, group status
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { useClerk } from "@clerk/clerk-react";
+import { ArrowRightIcon, CheckCircle2Icon, ClockIcon, UsersIcon } from "lucide-react";
+import AgeGate from "../components/AgeGate";
+import BlurCircle from "../components/BlurCircle";
+import Loading from "../components/Loading";
+import { useAppContext } from "../context/AppContext";
+import { dateFormat } from "../lib/dateFormat";
+import { languageLabel } from "../lib/screenLabel";
+
+const CURRENCY = import.meta.env.VITE_CURRENCY || "₹";
+
+const STATUS_CHIP = {
+  pending: "bg-amber-500/10 text-amber-300 border-amber-500/30",
+  paid: "bg-emerald-400/10 text-emerald-300 border-emerald-400/30",
+  expired: "bg-white/5 text-gray-400 border-white/10",
+  refunded: "bg-sky-400/10 text-sky-300 border-sky-400/30",
+};
+
+const formatCountdown = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Anyone with the link can open and pay for the share — the token is the
+ * credential, so invited friends don't need an account. Restricted (A)
+ * titles are the exception: the payer signs in and confirms their date of
+ * birth first. After Stripe redirects back (?paid=1) the page asks the
+ * server to confirm the payment.
+ */
+const SplitPayment = () => {
+  const { token } = useParams();
+  const [params, setParams] = useSearchParams();
+  const { axios, getToken, user, image_base_url } = useAppContext();
+  const { openSignIn } = useClerk();
+
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [paying, setPaying] = useState(false);
+  const [ageGateFor, setAgeGateFor] = useState(""); // certificate that needs a date of birth before paying
+  const [now, setNow] = useState(Date.now());
+
+  const authHeaders = async () => (user ? { headers: { Authorization: `Bearer ${await getToken()}` } } : {});
+
+  const fetchShare = async () => {
+    try {
+      const { data } = await axios.get(`/api/booking/share/${token}`, await authHeaders());
+      if (data.success) setData(data);
+      else setData(null);
+    } catch (e) {
+      console.error("share fetch error:", e);
+      setData(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      // Back from Stripe: confirm first so the page shows the seat as paid.
+      if (params.get("paid")) {
+        try {
+          const { data } = await axios.post(`/api/booking/share/${token}/confirm`, {}, await authHeaders());
+          if (data.success) toast.success(data.message);
+        } catch (e) {
+          toast.error(e?.response?.data?.message || "We couldn't confirm your payment yet");
+        }
+        setParams({}, { replace: true });
+      }
+      await fetchShare();
+    };
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, user]);
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  const pay = async () => {
+    try {
+      setPaying(true);
+      const { data } = await axios.post(`/api/booking/share/${token}/pay`, {}, await authHeaders());
+      if (data.success && data.url) window.location.href = data.url;
+      else toast.error(data.message || "Could not start payment");
+    } catch (e) {
+      const body = e?.response?.data;
+      // Restricted (A) titles: sign in, then confirm a date of birth, then pay again.
+      if (body?.code === "SIGN_IN_REQUIRED") {
+        toast(body.message);
+        openSignIn();
+        return;
+      }
+      if (body?.code === "AGE_REQUIRED") {
+        setAgeGateFor(body.certification || "A");
+        return;
+      }
+      toast.error(body?.message || "Could not start payment");
+      await fetchShare();
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  if (isLoading) return <Loading />;
+
+  if (!data) {
+    return (
+      <div className="min-h-[80vh] flex flex-col items-center justify-center text-center px-6">
+        <h1 className="text-shade text-2xl font-semibold mx-auto">Invite not found</h1>
+        <p className="mt-2 text-sm text-gray-400 max-w-sm">This link is invalid or no longer exists. Ask your friend to share it again.</p>
+        <Link to="/movies" className="mt-6 px-6 py-2.5 rounded-full text-sm font-medium bg-primary hover:bg-primary-dull text-black transition">
+          Browse movies
+        </Link>
+      </div>
+    );
+  }
+
+  const { share, booking, show, group } = data;
+  const movie = show?.movie || {};
+  const msLeft = new Date(booking.expiresAt).getTime() - now;
+  const canPay = share.status === "pending" && booking.status === "pending" && msLeft > 0;
+  const isHost = share.isHost;
+  const paidCount = group.filter((g) => g.status === "paid").length;
+
+  return (
+    <div className="relative min-h-screen px-6 md:px-16 lg:px-40 pt-32 pb-20 overflow-hidden">
+      <BlurCircle top="-80px" left="-80px" />
+      <BlurCircle bottom="0" right="-40px" />
+
+      <AgeGate
+        open={!!ageGateFor}
+        certification={ageGateFor}
+        onConfirm={() => {
+          setAgeGateFor("");
+          pay();
+        }}
+        onCancel={() => setAgeGateFor("")}
+      />
+
+      <div className="relative max-w-3xl mx-auto">
+        <p className="text-sm text-gray-400 flex items-center gap-2">
+          <UsersIcon className="w-4 h-4 text-primary" /> Group booking
+        </p>
+        <h1 className="text-shade text-3xl md:text-4xl font-bold mt-1">
+          {isHost ? "Your share of the group booking" : `${booking.hostName} saved you a seat`}
+        </h1>
+
+        <div className="mt-6 rounded-2xl border border-primary/20 bg-gradient-to-br from-[#1b1426] via-[#100b16] to-black p-5 md:p-6 flex flex-col sm:flex-row gap-5">
+          {movie.poster_path && (
+            <img src={image_base_url + movie.poster_path} alt={movie.title} className="w-32 rounded-xl object-cover ring-1 ring-primary/25 self-start" />
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="text-xl font-semibold">{movie.title || "Movie"}</p>
+            <p className="text-sm text-gray-300 mt-1">{show?.theater?.name}{show?.theater?.city ? `, ${show.theater.city}` : ""}</p>
+            {show?.showDateTime && <p className="text-sm text-gray-400">{dateFormat(show.showDateTime)}</p>}
+            {show?.language && <p className="text-xs text-gray-500 mt-0.5">{languageLabel(show.language, show.subtitles)}</p>}
+
+            <div className="mt-4 flex flex-wrap items-center gap-1.5">
+              <span className="text-xs text-gray-400 mr-1">{share.seats.length > 1 ? "Your seats" : "Your seat"}</span>
+              {share.seats.map((s) => (
+                <span key={s} className="px-2 py-0.5 rounded-md text-xs font-semibold bg-primary/15 text-violet-200 border border-primary/30">{s}</span>
+              ))}
+            </div>
+
+            <div className="mt-4 max-w-xs text-sm space-y-1">
+              <div className="flex justify-between text-gray-300"><span>Ticket{share.seats.length > 1 ? "s" : ""}</span><span>{CURRENCY} {share.seatsAmount}</span></div>
+              {(booking.snacks || []).map((s) => (
+                <div key={s.item || s.name} className="flex justify-between text-gray-300"><span>{`${s.emoji || ""} ${s.name} × ${s.quantity}`.trim()}</span><span>{CURRENCY} {s.total}</span></div>
+              ))}
+              <div className="flex justify-between text-gray-300"><span>Booking fee</span><span>{CURRENCY} {share.platformFee}</span></div>
+              <div className="flex justify-between font-semibold text-white border-t border-white/10 pt-1"><span>Your share</span><span>{CURRENCY} {share.amount}</span></div>
+            </div>
+
+            <div className="mt-5">
+              {share.status === "paid" ? (
+                <p className="inline-flex items-center gap-2 text-emerald-300 text-sm">
+                  <CheckCircle2Icon className="w-4 h-4" />
+                  {isHost ? "You've paid your share." : `Paid — your seat is confirmed. ${booking.hostName} has the group ticket.`}
+                </p>
+              ) : share.status === "refunded" ? (
+                <p className="text-sm text-sky-300">Your payment arrived after the hold ended and has been refunded.</p>
+              ) : canPay ? (
+                <div className="flex flex-wrap items-center gap-4">
+                  <button
+                    onClick={pay}
+                    disabled={paying}
+                    className="inline-flex items-center gap-2 px-6 py-2.5 rounded-full bg-gradient-to-b from-primary to-primary-dull text-black font-semibold text-sm cursor-pointer disabled:opacity-60"
+                  >
+                    {paying ? "Preparing…" : `Pay ${CURRENCY} ${share.amount}`}
+                    {!paying && <ArrowRightIcon className="w-4 h-4" />}
+                  </button>
+                  <span className="inline-flex items-center gap-1.5 text-xs text-orange-300">
+                    <ClockIcon className="w-3.5 h-3.5" /> Seat held for {formatCountdown(msLeft)}
+                  </span>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-400">The seat hold for this group has ended — unpaid seats were released.</p>
+              )}
+              {share.paymentError && share.status === "pending" && (
+                <p className="text-xs text-red-400 mt-2">Last attempt failed: {share.paymentError}</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 rounded-2xl border border-white/10 bg-white/[0.02] p-5">
+          <div className="flex items-center justify-between">
+            <p className="font-medium">The group</p>
+            <p className="text-xs text-gray-400">{paidCount} of {group.length} paid</p>
+          </div>
+          <ul className="mt-3 divide-y divide-white/5">
+            {group.map((g, i) => (
+              <li key={i} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-gray-300">
+                  {g.seats.join(", ")}
+                  <span className="text-xs text-gray-500 ml-2">{g.isYou ? "You" : g.isHost ? booking.hostName : "Friend"}</span>
+                </span>
+                <span className={`px-2 py-0.5 rounded-full text-[11px] border capitalize ${STATUS_CHIP[g.status] || STATUS_CHIP.expired}`}>{g.status}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-[11px] text-gray-500 mt-3">
+            Each seat is confirmed as soon as it's paid. Seats still unpaid when the hold ends are released; the paid ones stay booked.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitPayment;
@@ -0,0 +1,266 @@
+// pages/admin/CheckIn.jsx - Door scanner: pick a show, scan ticket QR codes (camera or pasted), admit seats once
+import React, { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { CameraIcon, CameraOffIcon, RefreshCwIcon, ScanLineIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+// The same code seen again within this window is the camera re-reading it, not a second scan.
+const RESCAN_MS = 4000;
+
+const RESULT_STYLES = {
+  admitted: { label: "Admit", cls: "bg-emerald-400/10 border-emerald-400/40 text-emerald-300" },
+  partial: { label: "Admit some", cls: "bg-amber-400/10 border-amber-400/40 text-amber-300" },
+  duplicate: { label: "Already admitted", cls: "bg-amber-400/10 border-amber-400/40 text-amber-300" },
+  wrong_show: { label: "Wrong show", cls: "bg-red-400/10 border-red-400/40 text-red-300" },
+  void: { label: "Do not admit", cls: "bg-red-400/10 border-red-400/40 text-red-300" },
+  invalid: { label: "Invalid ticket", cls: "bg-red-400/10 border-red-400/40 text-red-300" },
+};
+
+const todayISO = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" }) : "—";
+
+const CheckIn = () => {
+  const { axios, getToken, user } = useAppContext();
+
+  const [date, setDate] = useState(todayISO());
+  const [shows, setShows] = useState([]);
+  const [showId, setShowId] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ code: "", at: 0 });
+  const busyRef = useRef(false);
+
+  const cameraSupported = typeof window !== "undefined" && "BarcodeDetector" in window && !!navigator.mediaDevices?.getUserMedia;
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchShows = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get(`/api/admin/check-in/shows?date=${date}`, await authHeaders());
+      if (data.success) {
+        setShows(data.shows || []);
+        setShowId((current) => (data.shows || []).some((s) => s._id === current) ? current : "");
+      } else toast.error(data.message || "Failed to load shows");
+    } catch (e) {
+      console.error("check-in shows fetch error:", e);
+      toast.error("Failed to load shows");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchShows();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, date]);
+
+  const submit = async (raw) => {
+    const value = String(raw || "").trim();
+    if (!value) return;
+    if (!showId) return toast.error("Pick the show you're admitting for");
+    if (busyRef.current) return;
+    try {
+      busyRef.current = true;
+      setBusy(true);
+      const { data } = await axios.post("/api/admin/check-in", { code: value, showId }, await authHeaders());
+      if (data.success) {
+        setOutcome(data);
+        setCode("");
+        fetchShows();
+      } else toast.error(data.message || "Check-in failed");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Check-in failed");
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+    }
+  };
+
+  // Keeps the latest submit (it closes over showId) for the camera loop.
+  const submitRef = useRef(submit);
+  submitRef.current = submit;
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  const startCamera = async () => {
+    if (!showId) return toast.error("Pick the show you're admitting for");
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+      streamRef.current = stream;
+      setScanning(true);
+    } catch (e) {
+      console.error("camera error:", e);
+      toast.error("Couldn't open the camera — paste the code instead");
+    }
+  };
+
+  // Reads frames while the camera is on.
+  useEffect(() => {
+    if (!scanning || !videoRef.current) return;
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play().catch(() => {});
+
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    let stopped = false;
+    let timer;
+    const tick = async () => {
+      if (stopped) return;
+      try {
+        if (video.readyState >= 2 && !busyRef.current) {
+          const [found] = await detector.detect(video);
+          const value = found?.rawValue;
+          const last = lastScanRef.current;
+          if (value && !(value === last.code && Date.now() - last.at < RESCAN_MS)) {
+            lastScanRef.current = { code: value, at: Date.now() };
+            await submitRef.current(value);
+          }
+        }
+      } catch (e) {
+        console.error("scan error:", e);
+      }
+      timer = setTimeout(tick, 250);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [scanning]);
+
+  // Release the camera when leaving the page.
+  useEffect(() => () => streamRef.current?.getTracks().forEach((t) => t.stop()), []);
+
+  const selected = shows.find((s) => s._id === showId);
+  const style = outcome ? RESULT_STYLES[outcome.result] || RESULT_STYLES.invalid : null;
+  const ticket = outcome?.ticket;
+  const inputCls = "bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none";
+
+  return (
+    <div className="w-full">
+      <Title text1="Door" text2="Check-in" />
+
+      <div className="flex flex-wrap items-end gap-3 mt-4 text-xs">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-400">Date</span>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputCls} />
+        </label>
+        <label className="flex flex-col gap-1 min-w-72">
+          <span className="text-gray-400">Show</span>
+          <select value={showId} onChange={(e) => { setShowId(e.target.value); setOutcome(null); }} className={inputCls}>
+            <option value="" className="bg-neutral-900">{isLoading ? "Loading…" : shows.length ? "Pick a show" : "No shows that day"}</option>
+            {shows.map((s) => (
+              <option key={s._id} value={s._id} className="bg-neutral-900">
+                {formatTime(s.showDateTime)} · {s.movie} · {s.theater}{s.screenName ? ` (${s.screenName})` : ""} · {s.format}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={fetchShows}
+          className="p-2 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer"
+          aria-label="Refresh shows"
+          title="Refresh"
+        >
+          <RefreshCwIcon className="w-4 h-4" />
+        </button>
+        {selected && (
+          <p className="text-sm text-gray-300 pb-1.5">
+            Admitted <span className="font-semibold text-white">{selected.admitted}</span> / {selected.sold} seats sold
+          </p>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-5 mt-5">
+        {/* scanner */}
+        <div className="rounded-2xl border border-white/10 bg-white/[0.02] p-4 space-y-3 text-xs">
+          <div className="flex items-center justify-between">
+            <p className="font-semibold text-sm">Scan</p>
+            {cameraSupported && (
+              <button
+                onClick={scanning ? stopCamera : startCamera}
+                className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 transition"
+              >
+                {scanning ? <CameraOffIcon className="w-3.5 h-3.5" /> : <CameraIcon className="w-3.5 h-3.5" />}
+                {scanning ? "Stop camera" : "Start camera"}
+              </button>
+            )}
+          </div>
+
+          {scanning ? (
+            <video ref={videoRef} muted playsInline className="w-full aspect-video rounded-xl bg-black object-cover" />
+          ) : (
+            <div className="w-full aspect-video rounded-xl border border-dashed border-white/10 flex flex-col items-center justify-center gap-2 text-gray-500">
+              <ScanLineIcon className="w-8 h-8" />
+              <p>{cameraSupported ? "Start the camera, or paste a code below" : "This browser can't scan with the camera — paste or type the code below"}</p>
+            </div>
+          )}
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submit(code);
+            }}
+            className="flex gap-2"
+          >
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="MM1.…"
+              className={`${inputCls} flex-1 font-mono`}
+              aria-label="Ticket code"
+            />
+            <button
+              type="submit"
+              disabled={busy || !code.trim()}
+              className="px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+            >
+              Check in
+            </button>
+          </form>
+        </div>
+
+        {/* last result */}
+        <div className={`rounded-2xl border p-4 space-y-2 ${style ? style.cls : "border-white/10 bg-white/[0.02]"}`}>
+          {!outcome ? (
+            <p className="text-sm text-gray-400">Scan a ticket to see whether to let it in.</p>
+          ) : (
+            <>
+              <p className="text-2xl font-bold">{style.label}</p>
+              <p className="text-sm">{outcome.message}</p>
+              {ticket && (
+                <div className="text-xs text-gray-300 space-y-1 pt-2 border-t border-white/10">
+                  {ticket.name && <p>Guest: <span className="text-white">{ticket.name}</span></p>}
+                  <p>Seats: <span className="text-white font-semibold">{(ticket.seats || []).join(", ")}</span></p>
+                  <p>{ticket.movie} · {ticket.theater} · {ticket.showDateTime ? new Date(ticket.showDateTime).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "—"}</p>
+                  {ticket.firstAdmittedAt && <p>First scanned at {formatTime(ticket.firstAdmittedAt)}</p>}
+                  <p className="text-gray-500">Booking {String(ticket.bookingId).slice(-8).toUpperCase()}</p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
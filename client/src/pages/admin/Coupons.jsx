@@ -0,0 +1,419 @@
+// pages/admin/Coupons.jsx - Create, edit, pause and expire coupons; redemption counts + discount totals per coupon
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { PauseIcon, PencilIcon, PlayIcon, PlusIcon, SaveIcon, TicketPercentIcon, TimerOffIcon, XIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const FORMATS = ["2D", "3D", "IMAX 2D", "4DX-3D"];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const STATE_STYLES = {
+  active: "bg-emerald-400/10 text-emerald-300 border-emerald-400/30",
+  scheduled: "bg-sky-400/10 text-sky-300 border-sky-400/30",
+  paused: "bg-white/5 text-gray-400 border-white/10",
+  expired: "bg-amber-500/10 text-amber-300 border-amber-500/30",
+  "used-up": "bg-amber-500/10 text-amber-300 border-amber-500/30",
+};
+
+// <input type="datetime-local"> value from an ISO date (local time).
+const toLocalInput = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const emptyForm = () => ({
+  _id: null,
+  code: "",
+  label: "",
+  type: "percent",
+  value: 10,
+  maxDiscount: "",
+  minSubtotal: 0,
+  validFrom: "",
+  validTo: "",
+  perUserLimit: 0,
+  usageLimit: 0,
+  applicableFormats: [],
+  applicableTheaters: [],
+  applicableMovies: [],
+  applicableWeekdays: [],
+  isPublic: true,
+});
+
+const toForm = (c) => ({
+  _id: c._id,
+  code: c.code,
+  label: c.label || "",
+  type: c.type,
+  value: c.value,
+  maxDiscount: c.maxDiscount ?? "",
+  minSubtotal: c.minSubtotal || 0,
+  validFrom: toLocalInput(c.validFrom),
+  validTo: toLocalInput(c.validTo),
+  perUserLimit: c.perUserLimit || 0,
+  usageLimit: c.usageLimit || 0,
+  applicableFormats: c.applicableFormats || [],
+  applicableTheaters: (c.applicableTheaters || []).map(String),
+  applicableMovies: (c.applicableMovies || []).map(String),
+  applicableWeekdays: c.applicableWeekdays || [],
+  isPublic: c.isPublic !== false,
+});
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+const Coupons = () => {
+  const currency = import.meta.env.VITE_CURRENCY || "₹";
+  const { axios, getToken, user } = useAppContext();
+
+  const [coupons, setCoupons] = useState([]);
+  const [theaters, setTheaters] = useState([]);
+  const [movies, setMovies] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchCoupons = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/coupons", await authHeaders());
+      if (data.success) setCoupons(data.coupons || []);
+      else toast.error(data.message || "Failed to load coupons");
+    } catch (e) {
+      console.error("coupons fetch error:", e);
+      toast.error("Failed to load coupons");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchTheaters = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/theaters", await authHeaders());
+      if (data.success) setTheaters(data.theaters || []);
+    } catch (e) {
+      console.error("theaters fetch error:", e);
+    }
+  };
+
+  // Movies now showing in any city (the site-wide list is scoped to the visitor's city).
+  const fetchMovies = async () => {
+    try {
+      const { data } = await axios.get("/api/show/all");
+      if (data.success) setMovies((data.shows || []).map((m) => ({ id: String(m._id), title: m.title })));
+    } catch (e) {
+      console.error("movies fetch error:", e);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchCoupons();
+      fetchTheaters();
+      fetchMovies();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  const totals = useMemo(
+    () => coupons.reduce(
+      (acc, c) => ({ redemptions: acc.redemptions + c.redemptions, discount: acc.discount + c.discountTotal }),
+      { redemptions: 0, discount: 0 }
+    ),
+    [coupons]
+  );
+
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const saveForm = async () => {
+    if (!form._id && !form.code.trim()) return toast.error("Enter a coupon code");
+    const payload = {
+      ...form,
+      validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : null,
+      validTo: form.validTo ? new Date(form.validTo).toISOString() : null,
+    };
+    try {
+      setBusy(true);
+      const { data } = form._id
+        ? await axios.put(`/api/admin/coupons/${form._id}`, payload, await authHeaders())
+        : await axios.post("/api/admin/coupons", payload, await authHeaders());
+      if (data.success) {
+        toast.success(data.message || "Coupon saved");
+        setForm(null);
+        await fetchCoupons();
+      } else toast.error(data.message || "Failed to save coupon");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to save coupon");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runAction = async (request) => {
+    try {
+      setBusy(true);
+      const { data } = await request();
+      if (data.success) {
+        toast.success(data.message);
+        await fetchCoupons();
+      } else toast.error(data.message || "Failed to update coupon");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to update coupon");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setActive = async (c, isActive) =>
+    runAction(async () => axios.patch(`/api/admin/coupons/${c._id}/active`, { isActive }, await authHeaders()));
+
+  const expire = async (c) => {
+    if (!window.confirm(`Expire ${c.code} now? It can't be applied after this.`)) return;
+    runAction(async () => axios.post(`/api/admin/coupons/${c._id}/expire`, {}, await authHeaders()));
+  };
+
+  const describe = (c) => {
+    const parts = [c.type === "percent" ? `${c.value}% off` : `${currency}${c.value} off`];
+    if (c.type === "percent" && c.maxDiscount) parts.push(`up to ${currency}${c.maxDiscount}`);
+    if (c.minSubtotal) parts.push(`min ${currency}${c.minSubtotal}`);
+    if (c.applicableWeekdays?.length) parts.push(c.applicableWeekdays.map((d) => WEEKDAYS[d]).join("/"));
+    if (c.applicableFormats?.length) parts.push(c.applicableFormats.join("/"));
+    return parts.join(" · ");
+  };
+
+  const inputCls = "bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none";
+  const chipCls = (on) => `px-3 py-1 rounded-full border text-xs cursor-pointer transition ${on
+    ? "bg-primary/20 border-primary/40 text-primary"
+    : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+    }`;
+
+  return (
+    <div className="w-full">
+      <Title text1="Manage" text2="Coupons" />
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        <p className="text-sm text-gray-400">
+          {totals.redemptions} redemption(s) · {currency}{totals.discount.toLocaleString()} discounted in total
+        </p>
+        <button
+          onClick={() => setForm(emptyForm())}
+          className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 transition"
+        >
+          <PlusIcon className="w-3.5 h-3.5" />
+          New Coupon
+        </button>
+      </div>
+
+      {/* create / edit form */}
+      {form && (
+        <div className="mt-5 rounded-2xl border border-white/10 bg-white/[0.02] p-4 space-y-4 text-xs">
+          <div className="flex items-center justify-between">
+            <p className="font-semibold text-sm">{form._id ? `Edit ${form.code}` : "New coupon"}</p>
+            <button onClick={() => setForm(null)} className="text-gray-400 hover:text-white cursor-pointer" aria-label="Close">
+              <XIcon className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Code</span>
+              <input
+                value={form.code}
+                disabled={!!form._id}
+                onChange={(e) => setField("code", e.target.value.toUpperCase())}
+                placeholder="MOVIE50"
+                className={`${inputCls} disabled:opacity-50`}
+              />
+            </label>
+            <label className="flex flex-col gap-1 md:col-span-3">
+              <span className="text-gray-400">Label (shown to users)</span>
+              <input value={form.label} onChange={(e) => setField("label", e.target.value)} placeholder="50% off up to ₹150" className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Type</span>
+              <select value={form.type} onChange={(e) => setField("type", e.target.value)} className={inputCls}>
+                <option value="percent" className="bg-neutral-900">Percent</option>
+                <option value="flat" className="bg-neutral-900">Flat amount</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">{form.type === "percent" ? "Percent off" : `Amount off (${currency})`}</span>
+              <input type="number" min={0} value={form.value} onChange={(e) => setField("value", e.target.value)} className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Max discount ({currency})</span>
+              <input
+                type="number"
+                min={0}
+                value={form.maxDiscount}
+                disabled={form.type !== "percent"}
+                onChange={(e) => setField("maxDiscount", e.target.value)}
+                placeholder="No cap"
+                className={`${inputCls} disabled:opacity-40`}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Min ticket subtotal ({currency})</span>
+              <input type="number" min={0} value={form.minSubtotal} onChange={(e) => setField("minSubtotal", e.target.value)} className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Valid from</span>
+              <input type="datetime-local" value={form.validFrom} onChange={(e) => setField("validFrom", e.target.value)} className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Valid to</span>
+              <input type="datetime-local" value={form.validTo} onChange={(e) => setField("validTo", e.target.value)} className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Uses per user (0 = unlimited)</span>
+              <input type="number" min={0} value={form.perUserLimit} onChange={(e) => setField("perUserLimit", e.target.value)} className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Total uses (0 = unlimited)</span>
+              <input type="number" min={0} value={form.usageLimit} onChange={(e) => setField("usageLimit", e.target.value)} className={inputCls} />
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="w-24 text-gray-400">Weekdays</span>
+              {WEEKDAYS.map((d, i) => (
+                <button key={d} type="button" onClick={() => setField("applicableWeekdays", toggle(form.applicableWeekdays, i))} className={chipCls(form.applicableWeekdays.includes(i))}>{d}</button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="w-24 text-gray-400">Formats</span>
+              {FORMATS.map((f) => (
+                <button key={f} type="button" onClick={() => setField("applicableFormats", toggle(form.applicableFormats, f))} className={chipCls(form.applicableFormats.includes(f))}>{f}</button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-start gap-2">
+              <span className="w-24 text-gray-400 pt-1">Theaters</span>
+              <select
+                multiple
+                value={form.applicableTheaters}
+                onChange={(e) => setField("applicableTheaters", Array.from(e.target.selectedOptions).map((o) => o.value))}
+                className={`${inputCls} h-28 min-w-64`}
+              >
+                {theaters.map((t) => <option key={t._id} value={t._id} className="bg-neutral-900">{t.name} — {t.city}</option>)}
+              </select>
+              <span className="w-24 text-gray-400 pt-1 md:ml-4">Movies</span>
+              <select
+                multiple
+                value={form.applicableMovies}
+                onChange={(e) => setField("applicableMovies", Array.from(e.target.selectedOptions).map((o) => o.value))}
+                className={`${inputCls} h-28 min-w-64`}
+              >
+                {movies.map((m) => <option key={m.id} value={m.id} className="bg-neutral-900">{m.title}</option>)}
+              </select>
+            </div>
+            <p className="text-[11px] text-gray-500">Leave a restriction empty to allow all. Ctrl/⌘-click to pick several theaters or movies.</p>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" className="accent-violet-400" checked={form.isPublic} onChange={(e) => setField("isPublic", e.target.checked)} />
+              <span className="text-gray-300">Show in the home page offers strip</span>
+            </label>
+          </div>
+
+          <button
+            onClick={saveForm}
+            disabled={busy}
+            className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+          >
+            <SaveIcon className="w-3.5 h-3.5" />
+            {form._id ? "Save Coupon" : "Create Coupon"}
+          </button>
+        </div>
+      )}
+
+      {/* list */}
+      <div className="w-full mt-5 rounded-2xl border border-white/10 bg-white/[0.02] backdrop-blur-sm p-4">
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-nowrap text-sm">
+            <thead>
+              <tr className="bg-white/[0.04] text-left text-white">
+                <th className="p-2 pl-4 font-medium">Coupon</th>
+                <th className="p-2 font-medium">Rules</th>
+                <th className="p-2 font-medium">Valid</th>
+                <th className="p-2 font-medium">Redemptions</th>
+                <th className="p-2 font-medium">Discount given</th>
+                <th className="p-2 font-medium">Status</th>
+                <th className="p-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr><td colSpan={7} className="p-4 text-center text-gray-400">Loading…</td></tr>
+              ) : coupons.length === 0 ? (
+                <tr><td colSpan={7} className="p-4 text-center text-gray-400">No coupons yet.</td></tr>
+              ) : (
+                coupons.map((c) => (
+                  <tr key={c._id} className="border-b border-white/5">
+                    <td className="p-2 pl-4">
+                      <div className="flex items-center gap-2">
+                        <TicketPercentIcon className="w-4 h-4 text-violet-300" />
+                        <div>
+                          <p className="font-semibold tracking-wide">{c.code}</p>
+                          <p className="text-[11px] text-gray-500">{c.label || "—"}{c.isPublic === false ? " · hidden" : ""}</p>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="p-2 text-xs text-gray-300">{describe(c)}</td>
+                    <td className="p-2 text-xs text-gray-400">
+                      {c.validFrom ? new Date(c.validFrom).toLocaleDateString() : "Now"} → {c.validTo ? new Date(c.validTo).toLocaleDateString() : "No end"}
+                    </td>
+                    <td className="p-2">
+                      {c.redemptions}
+                      {c.usageLimit > 0 && <span className="text-gray-500"> / {c.usageLimit}</span>}
+                      {c.pending > 0 && <span className="text-[11px] text-gray-500"> (+{c.pending} pending)</span>}
+                    </td>
+                    <td className="p-2">{currency}{(c.discountTotal || 0).toLocaleString()}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] border capitalize ${STATE_STYLES[c.state] || STATE_STYLES.paused}`}>
+                        {c.state.replace("-", " ")}
+                      </span>
+                    </td>
+                    <td className="p-2">
+                      <div className="flex items-center gap-1.5">
+                        <button onClick={() => setForm(toForm(c))} className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer" aria-label={`Edit ${c.code}`} title="Edit">
+                          <PencilIcon className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setActive(c, c.isActive === false)}
+                          disabled={busy}
+                          className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer disabled:opacity-40"
+                          aria-label={c.isActive === false ? `Resume ${c.code}` : `Pause ${c.code}`}
+                          title={c.isActive === false ? "Resume" : "Pause"}
+                        >
+                          {c.isActive === false ? <PlayIcon className="w-3.5 h-3.5" /> : <PauseIcon className="w-3.5 h-3.5" />}
+                        </button>
+                        {c.state !== "expired" && (
+                          <button
+                            onClick={() => expire(c)}
+                            disabled={busy}
+                            className="p-1.5 rounded-lg text-amber-300 hover:bg-amber-500/10 cursor-pointer disabled:opacity-40"
+                            aria-label={`Expire ${c.code}`}
+                            title="Expire now"
+                          >
+                            <TimerOffIcon className="w-3.5 h-3.5" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,129 @@
+// pages/admin/Emails.jsx - Preview every transactional email template (HTML and plain text) with sample data
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { MailIcon, PaperclipIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const Emails = () => {
+  const { axios, getToken, user } = useAppContext();
+
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [view, setView] = useState("html");
+  const [isLoading, setIsLoading] = useState(true);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchTemplates = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/emails", await authHeaders());
+      if (data.success) {
+        setTemplates(data.templates || []);
+        setSelected((current) => current || data.templates?.[0]?.name || "");
+      } else toast.error(data.message || "Failed to load email templates");
+    } catch (e) {
+      console.error("email templates fetch error:", e);
+      toast.error("Failed to load email templates");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchPreview = async (name) => {
+    try {
+      setPreview(null);
+      const { data } = await axios.get(`/api/admin/emails/${name}`, await authHeaders());
+      if (data.success) setPreview(data.preview);
+      else toast.error(data.message || "Failed to render preview");
+    } catch (e) {
+      console.error("email preview fetch error:", e);
+      toast.error(e?.response?.data?.message || "Failed to render preview");
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchTemplates();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  useEffect(() => {
+    if (user && selected) fetchPreview(selected);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, selected]);
+
+  const tabCls = (active) =>
+    `px-3 py-1 rounded-full border cursor-pointer transition ${active
+      ? "bg-violet-400/15 border-violet-400/30 text-violet-300"
+      : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+    }`;
+
+  return (
+    <div className="w-full">
+      <Title text1="Email" text2="Templates" />
+      <p className="text-xs text-gray-400 mt-2">Rendered with sample data, exactly as sent. Showtimes use the theater's time zone.</p>
+
+      <div className="flex flex-col lg:flex-row gap-4 mt-6">
+        <div className="flex flex-col gap-1 lg:w-64 shrink-0">
+          {isLoading ? (
+            <p className="text-sm text-gray-400">Loading…</p>
+          ) : (
+            templates.map((t) => (
+              <button
+                key={t.name}
+                onClick={() => setSelected(t.name)}
+                className={`text-left px-3 py-2 rounded-lg border transition cursor-pointer ${selected === t.name
+                  ? "bg-violet-400/10 border-violet-400/30"
+                  : "bg-white/5 border-white/10 hover:bg-white/10"
+                  }`}
+              >
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <MailIcon className="w-3.5 h-3.5 text-violet-300" />
+                  {t.name}
+                </p>
+                <p className="text-[11px] text-gray-400 mt-0.5">{t.description}</p>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="flex-1 min-w-0 flex flex-col gap-3">
+          {preview ? (
+            <>
+              <div className="text-xs bg-white/5 border border-white/10 rounded-lg p-3 flex flex-col gap-1">
+                <p><span className="text-gray-400">Subject: </span>{preview.subject}</p>
+                {preview.attachments.length > 0 && (
+                  <p className="flex items-center gap-1 text-gray-300">
+                    <PaperclipIcon className="w-3.5 h-3.5" />
+                    {preview.attachments.join(", ")}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2 text-xs">
+                <button onClick={() => setView("html")} className={tabCls(view === "html")}>HTML</button>
+                <button onClick={() => setView("text")} className={tabCls(view === "text")}>Plain text</button>
+              </div>
+              {view === "html" ? (
+                <iframe
+                  title={`${preview.name} preview`}
+                  srcDoc={preview.html}
+                  sandbox=""
+                  className="w-full h-[70vh] rounded-lg border border-white/10 bg-white"
+                />
+              ) : (
+                <pre className="w-full h-[70vh] overflow-auto whitespace-pre-wrap text-xs bg-white/5 border border-white/10 rounded-lg p-4 text-gray-200">
+                  {preview.text}
+                </pre>
+              )}
+            </>
+          ) : (
+            selected && <p className="text-sm text-gray-400">Rendering…</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Emails;
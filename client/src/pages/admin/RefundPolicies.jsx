@@ -0,0 +1,309 @@
+// pages/admin/RefundPolicies.jsx - Cancellation cutoff + refund tiers, chain-wide or per theater / format
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { PauseIcon, PencilIcon, PlayIcon, PlusIcon, ReceiptTextIcon, SaveIcon, Trash2Icon, XIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const FORMATS = ["2D", "3D", "IMAX 2D", "4DX-3D"];
+
+const emptyForm = () => ({
+  _id: null,
+  name: "",
+  theater: "",
+  format: "",
+  tiers: [
+    { hoursBefore: 24, percent: 100 },
+    { hoursBefore: 2, percent: 50 },
+  ],
+  cutoffMinutes: 15,
+  refundPlatformFee: false,
+  refundSnacks: true,
+});
+
+const toForm = (p) => ({
+  _id: p._id,
+  name: p.name,
+  theater: p.theater?._id ? String(p.theater._id) : "",
+  format: p.format || "",
+  tiers: (p.tiers || []).map((t) => ({ hoursBefore: t.hoursBefore, percent: t.percent })),
+  cutoffMinutes: p.cutoffMinutes ?? 15,
+  refundPlatformFee: !!p.refundPlatformFee,
+  refundSnacks: p.refundSnacks !== false,
+});
+
+// "100% until 24h before · 50% until 2h before · then nothing"
+const describeTiers = (tiers = []) => {
+  const sorted = [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+  const parts = sorted.map((t) => (t.hoursBefore > 0 ? `${t.percent}% until ${t.hoursBefore}h before` : `${t.percent}% after that`));
+  if (!sorted.length || sorted[sorted.length - 1].hoursBefore > 0) parts.push("then nothing");
+  return parts.join(" · ");
+};
+
+const RefundPolicies = () => {
+  const { axios, getToken, user } = useAppContext();
+
+  const [policies, setPolicies] = useState([]);
+  const [defaultPolicy, setDefaultPolicy] = useState(null);
+  const [theaters, setTheaters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchPolicies = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/refund-policies", await authHeaders());
+      if (data.success) {
+        setPolicies(data.policies || []);
+        setDefaultPolicy(data.defaultPolicy || null);
+      } else toast.error(data.message || "Failed to load refund policies");
+    } catch (e) {
+      console.error("refund policies fetch error:", e);
+      toast.error("Failed to load refund policies");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchTheaters = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/theaters", await authHeaders());
+      if (data.success) setTheaters(data.theaters || []);
+    } catch (e) {
+      console.error("theaters fetch error:", e);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchPolicies();
+      fetchTheaters();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const setTier = (index, key, value) =>
+    setForm((f) => ({ ...f, tiers: f.tiers.map((t, i) => (i === index ? { ...t, [key]: value } : t)) }));
+
+  const saveForm = async () => {
+    if (!form.name.trim()) return toast.error("Give the policy a name");
+    const payload = {
+      ...form,
+      theater: form.theater || null,
+      tiers: form.tiers.map((t) => ({ hoursBefore: Number(t.hoursBefore), percent: Number(t.percent) })),
+    };
+    try {
+      setBusy(true);
+      const { data } = form._id
+        ? await axios.put(`/api/admin/refund-policies/${form._id}`, payload, await authHeaders())
+        : await axios.post("/api/admin/refund-policies", payload, await authHeaders());
+      if (data.success) {
+        toast.success(data.message || "Refund policy saved");
+        setForm(null);
+        await fetchPolicies();
+      } else toast.error(data.message || "Failed to save refund policy");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to save refund policy");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setActive = async (p, isActive) => {
+    try {
+      setBusy(true);
+      const { data } = await axios.patch(`/api/admin/refund-policies/${p._id}/active`, { isActive }, await authHeaders());
+      if (data.success) {
+        toast.success(data.message);
+        await fetchPolicies();
+      } else toast.error(data.message || "Failed to update refund policy");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to update refund policy");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputCls = "bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none";
+
+  return (
+    <div className="w-full">
+      <Title text1="Refund" text2="Policies" />
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        <p className="text-sm text-gray-400 max-w-2xl">
+          The most specific active policy applies to a show: theater + format, then theater, then format, then chain-wide.
+          {defaultPolicy && ` With none, "${defaultPolicy.name}" applies: ${describeTiers(defaultPolicy.tiers)}, closing ${defaultPolicy.cutoffMinutes} min before the show.`}
+        </p>
+        <button
+          onClick={() => setForm(emptyForm())}
+          className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 transition"
+        >
+          <PlusIcon className="w-3.5 h-3.5" />
+          New Policy
+        </button>
+      </div>
+
+      {/* create / edit form */}
+      {form && (
+        <div className="mt-5 rounded-2xl border border-white/10 bg-white/[0.02] p-4 space-y-4 text-xs">
+          <div className="flex items-center justify-between">
+            <p className="font-semibold text-sm">{form._id ? `Edit ${form.name}` : "New refund policy"}</p>
+            <button onClick={() => setForm(null)} className="text-gray-400 hover:text-white cursor-pointer" aria-label="Close">
+              <XIcon className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-gray-400">Name (shown to users)</span>
+              <input value={form.name} onChange={(e) => setField("name", e.target.value)} placeholder="Flexible cancellation" className={inputCls} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Theater</span>
+              <select value={form.theater} onChange={(e) => setField("theater", e.target.value)} className={inputCls}>
+                <option value="" className="bg-neutral-900">All theaters</option>
+                {theaters.map((t) => <option key={t._id} value={t._id} className="bg-neutral-900">{t.name} — {t.city}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Format</span>
+              <select value={form.format} onChange={(e) => setField("format", e.target.value)} className={inputCls}>
+                <option value="" className="bg-neutral-900">All formats</option>
+                {FORMATS.map((f) => <option key={f} value={f} className="bg-neutral-900">{f}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">No cancellations in the last (min)</span>
+              <input type="number" min={0} value={form.cutoffMinutes} onChange={(e) => setField("cutoffMinutes", e.target.value)} className={inputCls} />
+            </label>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-gray-400">Refund tiers — cancelling at least this many hours before the show refunds this much</p>
+            {form.tiers.map((t, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <input type="number" min={0} step="0.5" value={t.hoursBefore} onChange={(e) => setTier(i, "hoursBefore", e.target.value)} className={`${inputCls} w-24`} aria-label="Hours before" />
+                <span className="text-gray-400">h before →</span>
+                <input type="number" min={0} max={100} value={t.percent} onChange={(e) => setTier(i, "percent", e.target.value)} className={`${inputCls} w-20`} aria-label="Refund percent" />
+                <span className="text-gray-400">%</span>
+                <button
+                  onClick={() => setField("tiers", form.tiers.filter((_, j) => j !== i))}
+                  disabled={form.tiers.length < 2}
+                  className="p-1.5 rounded-lg text-gray-400 hover:bg-white/10 cursor-pointer disabled:opacity-30"
+                  aria-label="Remove tier"
+                >
+                  <Trash2Icon className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setField("tiers", [...form.tiers, { hoursBefore: 0, percent: 0 }])}
+              className="text-violet-300 hover:underline cursor-pointer"
+            >
+              + Add tier
+            </button>
+            <p className="text-[11px] text-gray-500">Later than every tier, cancelling is still allowed (until the cutoff) but refunds nothing.</p>
+          </div>
+
+          <div className="flex flex-wrap gap-5">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" className="accent-violet-400" checked={form.refundPlatformFee} onChange={(e) => setField("refundPlatformFee", e.target.checked)} />
+              <span className="text-gray-300">Refund the booking fee</span>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" className="accent-violet-400" checked={form.refundSnacks} onChange={(e) => setField("refundSnacks", e.target.checked)} />
+              <span className="text-gray-300">Refund snacks</span>
+            </label>
+          </div>
+
+          <button
+            onClick={saveForm}
+            disabled={busy}
+            className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+          >
+            <SaveIcon className="w-3.5 h-3.5" />
+            {form._id ? "Save Policy" : "Create Policy"}
+          </button>
+        </div>
+      )}
+
+      {/* list */}
+      <div className="w-full mt-5 rounded-2xl border border-white/10 bg-white/[0.02] backdrop-blur-sm p-4">
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-nowrap text-sm">
+            <thead>
+              <tr className="bg-white/[0.04] text-left text-white">
+                <th className="p-2 pl-4 font-medium">Policy</th>
+                <th className="p-2 font-medium">Applies to</th>
+                <th className="p-2 font-medium">Refunds</th>
+                <th className="p-2 font-medium">Cutoff</th>
+                <th className="p-2 font-medium">Status</th>
+                <th className="p-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr><td colSpan={6} className="p-4 text-center text-gray-400">Loading…</td></tr>
+              ) : policies.length === 0 ? (
+                <tr><td colSpan={6} className="p-4 text-center text-gray-400">No policies yet — the built-in one applies everywhere.</td></tr>
+              ) : (
+                policies.map((p) => (
+                  <tr key={p._id} className="border-b border-white/5">
+                    <td className="p-2 pl-4">
+                      <div className="flex items-center gap-2">
+                        <ReceiptTextIcon className="w-4 h-4 text-violet-300" />
+                        <p className="font-semibold">{p.name}</p>
+                      </div>
+                    </td>
+                    <td className="p-2 text-xs text-gray-300">
+                      {p.theater ? `${p.theater.name}${p.theater.city ? `, ${p.theater.city}` : ""}` : "All theaters"} · {p.format || "All formats"}
+                    </td>
+                    <td className="p-2 text-xs text-gray-300">
+                      {describeTiers(p.tiers)}
+                      <p className="text-[11px] text-gray-500">
+                        Fee {p.refundPlatformFee ? "refunded" : "non-refundable"} · snacks {p.refundSnacks ? "refunded" : "non-refundable"}
+                      </p>
+                    </td>
+                    <td className="p-2 text-xs text-gray-400">{p.cutoffMinutes} min</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] border capitalize ${p.isActive
+                        ? "bg-emerald-400/10 text-emerald-300 border-emerald-400/30"
+                        : "bg-white/5 text-gray-400 border-white/10"
+                        }`}>
+                        {p.isActive ? "active" : "paused"}
+                      </span>
+                    </td>
+                    <td className="p-2">
+                      <div className="flex items-center gap-1.5">
+                        <button onClick={() => setForm(toForm(p))} className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer" aria-label={`Edit ${p.name}`} title="Edit">
+                          <PencilIcon className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setActive(p, !p.isActive)}
+                          disabled={busy}
+                          className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer disabled:opacity-40"
+                          aria-label={p.isActive ? `Pause ${p.name}` : `Resume ${p.name}`}
+                          title={p.isActive ? "Pause" : "Resume"}
+                        >
+                          {p.isActive ? <PauseIcon className="w-3.5 h-3.5" /> : <PlayIcon className="w-3.5 h-3.5" />}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefundPolicies;
@@ -0,0 +1,188 @@
+// pages/admin/Reviews.jsx - Review moderation queue: reported reviews first, hide / restore
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { EyeIcon, EyeOffIcon, FlagIcon, StarIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const FILTERS = [
+  { key: "reported", label: "Reported" },
+  { key: "hidden", label: "Hidden" },
+  { key: "all", label: "All" },
+];
+
+// "spoiler ×2 · spam" from a review's reports
+const reasonSummary = (reports = []) => {
+  const counts = reports.reduce((acc, r) => ({ ...acc, [r.reason]: (acc[r.reason] || 0) + 1 }), {});
+  return Object.entries(counts)
+    .map(([reason, n]) => (n > 1 ? `${reason} ×${n}` : reason))
+    .join(" · ");
+};
+
+const Reviews = () => {
+  const { axios, getToken, user } = useAppContext();
+
+  const [filter, setFilter] = useState("reported");
+  const [reviews, setReviews] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchReviews = async () => {
+    try {
+      setIsLoading(true);
+      const { data } = await axios.get("/api/admin/reviews", { ...(await authHeaders()), params: { filter } });
+      if (data.success) setReviews(data.reviews || []);
+      else toast.error(data.message || "Failed to load reviews");
+    } catch (e) {
+      console.error("reviews fetch error:", e);
+      toast.error("Failed to load reviews");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchReviews();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, filter]);
+
+  const setStatus = async (r, status) => {
+    let note = "";
+    if (status === "hidden") {
+      note = window.prompt("Reason for hiding (optional, shown to admins only):", reasonSummary(r.reports));
+      if (note === null) return;
+    }
+    try {
+      setBusy(true);
+      const { data } = await axios.patch(`/api/admin/reviews/${r._id}/status`, { status, note }, await authHeaders());
+      if (data.success) {
+        toast.success(data.message);
+        await fetchReviews();
+      } else toast.error(data.message || "Failed to update review");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to update review");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chipCls = (on) => `px-3 py-1 rounded-full border text-xs cursor-pointer transition ${on
+    ? "bg-primary/20 border-primary/40 text-primary"
+    : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+    }`;
+
+  return (
+    <div className="w-full">
+      <Title text1="Moderate" text2="Reviews" />
+
+      <div className="flex flex-wrap items-center gap-2 mt-4">
+        {FILTERS.map((f) => (
+          <button key={f.key} onClick={() => setFilter(f.key)} className={chipCls(filter === f.key)}>
+            {f.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="w-full mt-5 rounded-2xl border border-white/10 bg-white/[0.02] backdrop-blur-sm p-4">
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr className="bg-white/[0.04] text-left text-white text-nowrap">
+                <th className="p-2 pl-4 font-medium">Movie</th>
+                <th className="p-2 font-medium">Reviewer</th>
+                <th className="p-2 font-medium">Review</th>
+                <th className="p-2 font-medium">Reports</th>
+                <th className="p-2 font-medium">Status</th>
+                <th className="p-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr><td colSpan={6} className="p-4 text-center text-gray-400">Loading…</td></tr>
+              ) : reviews.length === 0 ? (
+                <tr><td colSpan={6} className="p-4 text-center text-gray-400">
+                  {filter === "reported" ? "No reported reviews. 🎉" : "No reviews here."}
+                </td></tr>
+              ) : (
+                reviews.map((r) => (
+                  <tr key={r._id} className="border-b border-white/5 align-top">
+                    <td className="p-2 pl-4 text-nowrap">{r.movieTitle || r.movie}</td>
+                    <td className="p-2 text-nowrap">
+                      <p>{r.userName || "—"}</p>
+                      <p className="text-[11px] text-gray-500">{new Date(r.createdAt).toLocaleDateString()}</p>
+                    </td>
+                    <td className="p-2 max-w-md">
+                      <span className="inline-flex items-center gap-1 text-amber-300 text-xs">
+                        <StarIcon className="w-3 h-3 fill-amber-400 text-amber-400" /> {r.rating}/5
+                      </span>
+                      <p className="text-xs text-gray-300 mt-1 whitespace-pre-line break-words">{r.text || <span className="text-gray-500">(rating only)</span>}</p>
+                    </td>
+                    <td className="p-2 text-xs text-nowrap">
+                      {r.reportCount > 0 ? (
+                        <span className="inline-flex items-center gap-1.5 text-amber-300">
+                          <FlagIcon className="w-3.5 h-3.5" /> {r.reportCount}
+                          <span className="text-gray-500">{reasonSummary(r.reports)}</span>
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">—</span>
+                      )}
+                    </td>
+                    <td className="p-2 text-nowrap">
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] border capitalize ${r.status === "hidden"
+                        ? "bg-amber-500/10 text-amber-300 border-amber-500/30"
+                        : "bg-emerald-400/10 text-emerald-300 border-emerald-400/30"
+                        }`}>
+                        {r.status}
+                      </span>
+                      {r.moderationNote && <p className="text-[11px] text-gray-500 mt-1">{r.moderationNote}</p>}
+                    </td>
+                    <td className="p-2">
+                      {r.status === "hidden" ? (
+                        <button
+                          onClick={() => setStatus(r, "visible")}
+                          disabled={busy}
+                          className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer disabled:opacity-40"
+                          title="Restore"
+                          aria-label="Restore review"
+                        >
+                          <EyeIcon className="w-3.5 h-3.5" />
+                        </button>
+                      ) : (
+                        <div className="flex items-center gap-1.5">
+                          <button
+                            onClick={() => setStatus(r, "hidden")}
+                            disabled={busy}
+                            className="p-1.5 rounded-lg text-amber-300 hover:bg-amber-500/10 cursor-pointer disabled:opacity-40"
+                            title="Hide"
+                            aria-label="Hide review"
+                          >
+                            <EyeOffIcon className="w-3.5 h-3.5" />
+                          </button>
+                          {r.reportCount > 0 && (
+                            <button
+                              onClick={() => setStatus(r, "visible")}
+                              disabled={busy}
+                              className="px-2 py-1 rounded-lg text-[11px] text-gray-300 hover:bg-white/10 cursor-pointer disabled:opacity-40"
+                              title="Keep the review and clear its reports"
+                            >
+                              Dismiss reports
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,514 @@
+// pages/admin/Screens.jsx - Seat-map editor for theater screens (rows, aisles, gaps, blocked seats, zones) with a live 3D preview
+import React, { Suspense, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { MonitorIcon, PlusIcon, SaveIcon, Trash2Icon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import ErrorBoundary from "../../components/ErrorBoundary";
+import { useAppContext } from "../../context/AppContext";
+import { ROW_LETTERS } from "../../lib/seatMap";
+
+// 3D preview is lazy-loaded so three.js only downloads when the editor is open.
+const SeatViewPreview = React.lazy(() => import("../../components/SeatViewPreview"));
+
+const EXPERIENCES = ["Laser", "IMAX", "Dolby Atmos", "Insignia", "4DX"];
+const MAX_COLUMNS = 40;
+
+// Paint tools: each click on a seat applies the active tool.
+const TOOLS = [
+  { key: "zone", label: "Zone", hint: "Click a seat to move its whole row into the active zone" },
+  { key: "aisle", label: "Aisle", hint: "Click a seat to toggle an aisle after its column" },
+  { key: "gap", label: "No seat", hint: "Click to remove / restore a seat position" },
+  { key: "blocked", label: "Disabled", hint: "Click to toggle a seat that exists but is not sold" },
+  { key: "wheelchair", label: "Wheelchair", hint: "Click to toggle a wheelchair-accessible spot" },
+];
+
+const TOOL_FIELD = { gap: "gaps", blocked: "blockedSeats", wheelchair: "wheelchairSeats" };
+
+const newDraft = () => ({
+  _id: null,
+  name: "",
+  experience: "Laser",
+  rows: ROW_LETTERS.slice(0, 10),
+  columns: 12,
+  aisles: [6],
+  gaps: [],
+  blockedSeats: [],
+  wheelchairSeats: [],
+  zones: [
+    { key: "executive", label: "EXECUTIVE", rows: ["A", "B"], priceDelta: 0, color: "#8D8278" },
+    { key: "club", label: "CLUB", rows: ["C", "D", "E", "F", "G", "H"], priceDelta: 50, color: "#C49A6C" },
+    { key: "royale", label: "ROYALE", rows: ["I", "J"], priceDelta: 100, color: "#CDA0A0" },
+  ],
+  isActive: true,
+});
+
+const toDraft = (screen) => ({
+  _id: screen._id,
+  name: screen.name,
+  experience: screen.experience || "Laser",
+  rows: screen.rows || [],
+  columns: screen.columns || 12,
+  aisles: screen.aisles || [],
+  gaps: screen.gaps || [],
+  blockedSeats: screen.blockedSeats || [],
+  wheelchairSeats: screen.wheelchairSeats || [],
+  zones: (screen.zones || []).map((z) => ({ ...z })),
+  isActive: screen.isActive !== false,
+});
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+// Drop seats / aisles / zone rows that fall outside a resized grid.
+const pruneToGrid = (draft) => {
+  const onGrid = (seatId) => {
+    const row = seatId[0];
+    const col = parseInt(seatId.slice(1), 10);
+    return draft.rows.includes(row) && col >= 1 && col <= draft.columns;
+  };
+  return {
+    ...draft,
+    aisles: draft.aisles.filter((a) => a < draft.columns),
+    gaps: draft.gaps.filter(onGrid),
+    blockedSeats: draft.blockedSeats.filter(onGrid),
+    wheelchairSeats: draft.wheelchairSeats.filter(onGrid),
+    zones: draft.zones.map((z) => ({ ...z, rows: z.rows.filter((r) => draft.rows.includes(r)) })),
+  };
+};
+
+const Screens = () => {
+  const currency = import.meta.env.VITE_CURRENCY || "₹";
+  const { axios, getToken, user } = useAppContext();
+
+  const [theaters, setTheaters] = useState([]);
+  const [theaterId, setTheaterId] = useState("");
+  const [screens, setScreens] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const [draft, setDraft] = useState(null);
+  const [tool, setTool] = useState("zone");
+  const [activeZone, setActiveZone] = useState("executive");
+  const [viewSeat, setViewSeat] = useState({ r: 5, c: 5 });
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchScreens = async (tid = theaterId) => {
+    try {
+      const { data } = await axios.get("/api/admin/screens", {
+        ...(await authHeaders()),
+        params: tid ? { theaterId: tid } : {},
+      });
+      if (data.success) {
+        setTheaters(data.theaters || []);
+        setScreens(tid ? data.screens || [] : []);
+        if (!tid && data.theaters?.length) setTheaterId(data.theaters[0]._id);
+      } else toast.error(data.message || "Failed to load screens");
+    } catch (e) {
+      console.error("screens fetch error:", e);
+      toast.error("Failed to load screens");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchScreens(theaterId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, theaterId]);
+
+  const openDraft = (next) => {
+    setDraft(next);
+    setActiveZone(next.zones[0]?.key || "");
+    setViewSeat({ r: Math.floor(next.rows.length / 2), c: Math.floor(next.columns / 2) });
+  };
+
+  const updateDraft = (patch) => setDraft((d) => pruneToGrid({ ...d, ...patch }));
+
+  /* ---------- grid painting ---------- */
+  const applyTool = (row, col) => {
+    const seatId = `${row}${col}`;
+    setDraft((d) => {
+      if (tool === "aisle") {
+        if (col >= d.columns) return d;
+        return { ...d, aisles: toggle(d.aisles, col).sort((a, b) => a - b) };
+      }
+      if (tool === "zone") {
+        if (!activeZone) return d;
+        return {
+          ...d,
+          zones: d.zones.map((z) => {
+            const rows = z.rows.filter((r) => r !== row);
+            return z.key === activeZone ? { ...z, rows: [...rows, row] } : { ...z, rows };
+          }),
+        };
+      }
+      const field = TOOL_FIELD[tool];
+      const next = { ...d, [field]: toggle(d[field], seatId) };
+      // A position with no seat can't also be disabled / wheelchair.
+      if (tool === "gap" && next.gaps.includes(seatId)) {
+        next.blockedSeats = next.blockedSeats.filter((s) => s !== seatId);
+        next.wheelchairSeats = next.wheelchairSeats.filter((s) => s !== seatId);
+      }
+      return next;
+    });
+  };
+
+  /* ---------- zones ---------- */
+  const addZone = () => {
+    const n = draft.zones.length + 1;
+    const key = `zone-${Date.now().toString(36)}`;
+    updateDraft({ zones: [...draft.zones, { key, label: `ZONE ${n}`, rows: [], priceDelta: 0, color: "#A78BFA" }] });
+    setActiveZone(key);
+  };
+
+  const editZone = (key, patch) =>
+    updateDraft({ zones: draft.zones.map((z) => (z.key === key ? { ...z, ...patch } : z)) });
+
+  const removeZone = (key) => {
+    const zones = draft.zones.filter((z) => z.key !== key);
+    updateDraft({ zones });
+    if (activeZone === key) setActiveZone(zones[0]?.key || "");
+  };
+
+  const rowZone = useMemo(() => {
+    const map = {};
+    (draft?.zones || []).forEach((z) => z.rows.forEach((r) => (map[r] = z)));
+    return map;
+  }, [draft]);
+
+  const sellableCount = useMemo(() => {
+    if (!draft) return 0;
+    const total = draft.rows.length * draft.columns;
+    const off = new Set([...draft.gaps, ...draft.blockedSeats]);
+    return total - off.size;
+  }, [draft]);
+
+  /* ---------- save / delete ---------- */
+  const saveDraft = async () => {
+    if (!draft.name.trim()) return toast.error("Give the screen a name");
+    try {
+      setBusy(true);
+      const payload = { ...draft, theaterId };
+      const { data } = draft._id
+        ? await axios.put(`/api/admin/screens/${draft._id}`, payload, await authHeaders())
+        : await axios.post("/api/admin/screens", payload, await authHeaders());
+      if (data.success) {
+        toast.success(data.message || "Screen saved");
+        setDraft(toDraft(data.screen));
+        await fetchScreens(theaterId);
+      } else toast.error(data.message || "Failed to save screen");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to save screen");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteDraft = async () => {
+    if (!draft?._id) return setDraft(null);
+    if (!window.confirm(`Delete screen "${draft.name}"? This cannot be undone.`)) return;
+    try {
+      setBusy(true);
+      const { data } = await axios.delete(`/api/admin/screens/${draft._id}`, await authHeaders());
+      if (data.success) {
+        toast.success("Screen deleted");
+        setDraft(null);
+        await fetchScreens(theaterId);
+      } else toast.error(data.message || "Failed to delete screen");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to delete screen");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /* ---------- live preview ---------- */
+  const preview = useMemo(() => {
+    if (!draft || !draft.rows.length) return null;
+    const gaps = new Set(draft.gaps);
+    const blocked = new Set(draft.blockedSeats);
+    const r = Math.min(viewSeat.r, draft.rows.length - 1);
+    const c = Math.min(viewSeat.c, draft.columns - 1);
+    return {
+      rowIndex: r,
+      colIndex: c,
+      rowColors: draft.rows.map((row) => rowZone[row]?.color || "#2a2336"),
+      seatStatus: draft.rows.map((row, ri) =>
+        Array.from({ length: draft.columns }).map((_, ci) => {
+          const sid = `${row}${ci + 1}`;
+          if (gaps.has(sid)) return "gap";
+          if (blocked.has(sid)) return "occupied";
+          return ri === r && ci === c ? "selected" : "available";
+        })
+      ),
+    };
+  }, [draft, rowZone, viewSeat]);
+
+  const selectedTheater = theaters.find((t) => t._id === theaterId);
+
+  return (
+    <div className="w-full">
+      <Title text1="Theater" text2="Screens" />
+
+      {/* theater picker + screen list */}
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <select
+          value={theaterId}
+          onChange={(e) => { setTheaterId(e.target.value); setDraft(null); }}
+          className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+        >
+          {theaters.map((t) => (
+            <option key={t._id} value={t._id} className="bg-neutral-900">{t.name} — {t.city}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => openDraft(newDraft())}
+          disabled={!theaterId}
+          className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+        >
+          <PlusIcon className="w-3.5 h-3.5" />
+          New Screen
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-4">
+        {isLoading ? (
+          <p className="text-sm text-gray-400">Loading screens…</p>
+        ) : screens.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            {selectedTheater ? `${selectedTheater.name} has no screens yet — its shows use the default layout.` : "No theaters found."}
+          </p>
+        ) : (
+          screens.map((s) => (
+            <button
+              key={s._id}
+              onClick={() => openDraft(toDraft(s))}
+              className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-xl text-xs border cursor-pointer transition ${draft?._id === s._id
+                ? "bg-primary/20 border-primary/40 text-primary"
+                : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                } ${s.isActive === false ? "opacity-50" : ""}`}
+            >
+              <MonitorIcon className="w-3.5 h-3.5" />
+              {s.name} · {s.experience}
+            </button>
+          ))
+        )}
+      </div>
+
+      {draft && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mt-6">
+          {/* ---------- editor ---------- */}
+          <div className="rounded-2xl border border-white/10 bg-white/[0.02] p-4 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+              <label className="flex flex-col gap-1 col-span-2">
+                <span className="text-gray-400">Name</span>
+                <input
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  placeholder="Audi 1"
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-gray-400">Experience</span>
+                <select
+                  value={draft.experience}
+                  onChange={(e) => updateDraft({ experience: e.target.value })}
+                  className="bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm outline-none"
+                >
+                  {EXPERIENCES.map((x) => <option key={x} value={x} className="bg-neutral-900">{x}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 mt-5">
+                <input
+                  type="checkbox"
+                  className="accent-violet-400"
+                  checked={draft.isActive}
+                  onChange={(e) => updateDraft({ isActive: e.target.checked })}
+                />
+                <span className="text-gray-300">Active</span>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-gray-400">Rows</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={ROW_LETTERS.length}
+                  value={draft.rows.length}
+                  onChange={(e) => {
+                    const n = Math.max(1, Math.min(ROW_LETTERS.length, Number(e.target.value) || 1));
+                    updateDraft({ rows: ROW_LETTERS.slice(0, n) });
+                  }}
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-gray-400">Seats per row</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_COLUMNS}
+                  value={draft.columns}
+                  onChange={(e) => updateDraft({ columns: Math.max(1, Math.min(MAX_COLUMNS, Number(e.target.value) || 1)) })}
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+                />
+              </label>
+              <div className="flex flex-col justify-end col-span-2 text-gray-400">
+                {sellableCount} sellable seat(s)
+              </div>
+            </div>
+
+            {/* zones */}
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-xs uppercase tracking-[0.2em] text-gray-500">Pricing zones</p>
+                <button onClick={addZone} className="text-xs text-violet-300 hover:underline cursor-pointer">+ Add zone</button>
+              </div>
+              {draft.zones.map((z) => (
+                <div
+                  key={z.key}
+                  onClick={() => { setActiveZone(z.key); setTool("zone"); }}
+                  className={`flex flex-wrap items-center gap-2 rounded-lg border px-2 py-1.5 text-xs cursor-pointer ${activeZone === z.key && tool === "zone" ? "border-primary/50 bg-primary/10" : "border-white/10"}`}
+                >
+                  <input
+                    type="color"
+                    value={z.color}
+                    onChange={(e) => editZone(z.key, { color: e.target.value })}
+                    className="h-6 w-6 bg-transparent cursor-pointer"
+                  />
+                  <input
+                    value={z.label}
+                    onChange={(e) => editZone(z.key, { label: e.target.value.toUpperCase() })}
+                    className="w-28 bg-white/5 border border-white/10 rounded px-2 py-1 outline-none"
+                  />
+                  <span className="text-gray-400">+{currency}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={z.priceDelta}
+                    onChange={(e) => editZone(z.key, { priceDelta: Math.max(0, Number(e.target.value) || 0) })}
+                    className="w-20 bg-white/5 border border-white/10 rounded px-2 py-1 outline-none"
+                  />
+                  <span className="text-gray-500">Rows: {z.rows.join(", ") || "—"}</span>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); removeZone(z.key); }}
+                    className="ml-auto text-gray-500 hover:text-amber-300 cursor-pointer"
+                    aria-label={`Remove ${z.label}`}
+                  >
+                    <Trash2Icon className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              ))}
+              <p className="text-[11px] text-gray-500">Rows outside every zone are sold at the base price.</p>
+            </div>
+
+            {/* tools */}
+            <div className="flex flex-wrap items-center gap-2">
+              {TOOLS.map((t) => (
+                <button
+                  key={t.key}
+                  onClick={() => setTool(t.key)}
+                  title={t.hint}
+                  className={`px-3 py-1 rounded-full text-xs border cursor-pointer transition ${tool === t.key
+                    ? "bg-primary/20 border-primary/40 text-primary"
+                    : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                    }`}
+                >
+                  {t.label}
+                </button>
+              ))}
+              <span className="text-[11px] text-gray-500">{TOOLS.find((t) => t.key === tool)?.hint}</span>
+            </div>
+
+            {/* grid */}
+            <div className="overflow-x-auto">
+              <div className="w-full h-1.5 rounded-full bg-gradient-to-r from-transparent via-primary to-transparent mb-1" />
+              <p className="text-center text-[10px] tracking-[0.4em] text-gray-500 mb-3">SCREEN</p>
+              <div className="flex flex-col items-center gap-1 min-w-max mx-auto">
+                {draft.rows.map((row, ri) => (
+                  <div key={row} className="flex items-center gap-1">
+                    <span className="w-4 text-[10px] text-gray-500">{row}</span>
+                    {Array.from({ length: draft.columns }).map((_, ci) => {
+                      const col = ci + 1;
+                      const sid = `${row}${col}`;
+                      const gap = draft.gaps.includes(sid);
+                      const blocked = draft.blockedSeats.includes(sid);
+                      const wheelchair = draft.wheelchairSeats.includes(sid);
+                      const zone = rowZone[row];
+                      return (
+                        <React.Fragment key={sid}>
+                          <button
+                            onClick={() => applyTool(row, col)}
+                            onDoubleClick={() => setViewSeat({ r: ri, c: ci })}
+                            title={`${sid}${zone ? ` · ${zone.label}` : ""} (double-click to preview)`}
+                            className={`h-6 w-6 rounded-t-[7px] rounded-b-[3px] text-[8px] cursor-pointer border transition
+                              ${gap ? "border-dashed border-white/15 bg-transparent" : "border-black/30"}
+                              ${blocked ? "opacity-30" : ""}
+                              ${viewSeat.r === ri && viewSeat.c === ci ? "ring-2 ring-primary" : ""}`}
+                            style={gap ? undefined : { backgroundColor: zone?.color || "#4b4558" }}
+                          >
+                            {wheelchair && !gap ? "♿" : blocked ? "×" : ""}
+                          </button>
+                          {draft.aisles.includes(col) && col < draft.columns && <span className="w-3" />}
+                        </React.Fragment>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3 pt-2">
+              <button
+                onClick={saveDraft}
+                disabled={busy}
+                className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+              >
+                <SaveIcon className="w-3.5 h-3.5" />
+                {draft._id ? "Save Screen" : "Create Screen"}
+              </button>
+              <button
+                onClick={deleteDraft}
+                disabled={busy}
+                className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-amber-500/15 text-amber-300 border border-amber-500/30 hover:bg-amber-500/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+              >
+                <Trash2Icon className="w-3.5 h-3.5" />
+                {draft._id ? "Delete" : "Discard"}
+              </button>
+            </div>
+          </div>
+
+          {/* ---------- live preview ---------- */}
+          <div className="rounded-2xl border border-white/10 bg-black/40 overflow-hidden relative min-h-[420px]">
+            {preview && (
+              <ErrorBoundary
+                fallback={<div className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">3D preview couldn't load.</div>}
+              >
+                <Suspense fallback={<div className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm">Loading 3D preview…</div>}>
+                  <SeatViewPreview
+                    rowIndex={preview.rowIndex}
+                    colIndex={preview.colIndex}
+                    rows={draft.rows.length}
+                    cols={draft.columns}
+                    aisles={draft.aisles}
+                    screenLabel={draft.name || "SCREEN"}
+                    rowColors={preview.rowColors}
+                    seatStatus={preview.seatStatus}
+                    onPickSeat={(r, c) => setViewSeat({ r, c })}
+                  />
+                </Suspense>
+              </ErrorBoundary>
+            )}
+            <div className="pointer-events-none absolute bottom-3 left-1/2 -translate-x-1/2 px-3.5 py-1.5 rounded-full bg-black/70 border border-white/15 text-xs text-gray-100 whitespace-nowrap">
+              Viewing from {draft.rows[preview?.rowIndex ?? 0]}{(preview?.colIndex ?? 0) + 1} · click a seat to move
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Screens;
@@ -20,6 +20,9 @@ const EXPERIENCE_OPTIONS = [
     { experience: "4DX", format: "4DX-3D" },
 ];
 
+// Content certificates an admin can pick (server enforces the same list)
+const CERTIFICATION_OPTIONS = ["U", "U/A 7+", "U/A 13+", "U/A 16+", "A"];
+
 // Drawer sizing config
 const DEFAULT_DRAWER_WIDTH = 580;
 const MIN_DRAWER_WIDTH = 360;
@@ -77,6 +80,15 @@ const ShowDetails = () => {
     const [formatPrices, setFormatPrices] = useState([]);
     const [savingFormatPrices, setSavingFormatPrices] = useState(false);
 
+    // Audio (original + dubs) and subtitle languages; drafts are comma-separated
+    const [languages, setLanguages] = useState({ audio: [], subtitles: [] });
+    const [languageDraft, setLanguageDraft] = useState({ audio: "", subtitles: "" });
+    const [savingLanguages, setSavingLanguages] = useState(false);
+
+    // Content certificate ("" = not rated yet)
+    const [certification, setCertification] = useState("");
+    const [savingCertification, setSavingCertification] = useState(false);
+
     // Add-show modal state
     const [isAddShowOpen, setIsAddShowOpen] = useState(false);
     const [creatingShows, setCreatingShows] = useState(false);
@@ -86,6 +98,8 @@ const ShowDetails = () => {
         timeInput: "",
         times: [],
         experience: "Laser",
+        language: "",
+        subtitles: "",
         price: "",
     });
 
@@ -210,6 +224,15 @@ const ShowDetails = () => {
                     return;
                 }
 
+                setCertification(data.movie?.certification || "");
+
+                const langs = data.languages || { audio: [], subtitles: [] };
+                setLanguages(langs);
+                setLanguageDraft({
+                    audio: langs.audio.join(", "),
+                    subtitles: langs.subtitles.join(", "),
+                });
+
                 const dateTime = data.dateTime || {};
                 const dates = Object.keys(dateTime).sort();
 
@@ -229,6 +252,8 @@ const ShowDetails = () => {
 
                         format: slot.format,
                         experience: slot.experience,
+                        language: slot.language || "English",
+                        subtitles: slot.subtitles || "",
                     }));
 
                     // Sort by show time ascending
@@ -364,6 +389,84 @@ const ShowDetails = () => {
         }
     };
 
+    /* ---------------------------------------------------------------------------
+     * Languages (original + dubs, subtitles) for selected movie
+     * ------------------------------------------------------------------------ */
+
+    const splitLanguages = (text) =>
+        text.split(",").map((l) => l.trim()).filter(Boolean);
+
+    const saveLanguages = async () => {
+        if (!selectedMovie) return;
+
+        const audioLanguages = splitLanguages(languageDraft.audio);
+        if (!audioLanguages.length) {
+            toast.error("Enter at least one audio language.");
+            return;
+        }
+
+        try {
+            setSavingLanguages(true);
+            const token = await getToken();
+
+            const { data } = await axios.patch(
+                `/api/show/admin/${selectedMovie._id}/languages`,
+                {
+                    audioLanguages,
+                    subtitleLanguages: splitLanguages(languageDraft.subtitles),
+                },
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+
+            if (!data.success) {
+                return toast.error(data.message || "Failed to update languages.");
+            }
+
+            toast.success(data.message || "Languages updated.");
+            await fetchSchedule(selectedMovie);
+        } catch (err) {
+            console.error("saveLanguages error:", err);
+            toast.error(err?.response?.data?.message || "Error updating languages.");
+        } finally {
+            setSavingLanguages(false);
+        }
+    };
+
+    /* ---------------------------------------------------------------------------
+     * Content certificate (set manually or import from TMDB)
+     * ------------------------------------------------------------------------ */
+
+    const saveCertification = async (value, { fromTmdb = false } = {}) => {
+        if (!selectedMovie) return;
+
+        try {
+            setSavingCertification(true);
+            const token = await getToken();
+            const headers = { headers: { Authorization: `Bearer ${token}` } };
+
+            const { data } = fromTmdb
+                ? await axios.post(`/api/show/admin/${selectedMovie._id}/certification/import`, {}, headers)
+                : await axios.patch(`/api/show/admin/${selectedMovie._id}/certification`, { certification: value }, headers);
+
+            if (!data.success) {
+                return toast.error(data.message || "Failed to update certificate.");
+            }
+
+            setCertification(data.certification || "");
+            setMovies((prev) =>
+                prev.map((m) =>
+                    m._id === selectedMovie._id ? { ...m, certification: data.certification } : m
+                )
+            );
+            toast.success(data.message || "Certificate updated.");
+        } catch (err) {
+            console.error("saveCertification error:", err);
+            toast.error(err?.response?.data?.message || "Error updating certificate.");
+        } finally {
+            setSavingCertification(false);
+        }
+    };
+
     /* ---------------------------------------------------------------------------
      * Movie selection / drawer
      * ------------------------------------------------------------------------ */
@@ -387,6 +490,7 @@ const ShowDetails = () => {
         setSchedule([]);
         setSelectedDayIndex(0);
         setFormatPrices([]);
+        setLanguages({ audio: [], subtitles: [] });
         setIsAddShowOpen(false);
     };
 
@@ -644,6 +748,8 @@ const ShowDetails = () => {
             timeInput: "",
             times: [],
             experience: EXPERIENCE_OPTIONS[0].experience,
+            language: languages.audio[0] || "",
+            subtitles: "",
             price: "",
         });
         setIsAddShowOpen(true);
@@ -733,6 +839,8 @@ const ShowDetails = () => {
                         showPrice: priceNum,
                         format,
                         experience,
+                        language: addShowForm.language,
+                        subtitles: addShowForm.subtitles,
                     },
                     { headers: { Authorization: `Bearer ${token}` } }
                 );
@@ -1027,6 +1135,107 @@ const ShowDetails = () => {
                                         )}
                                     </section>
 
+                                    {/* Certificate */}
+                                    <section className="space-y-3">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <div>
+                                                <p className="text-sm font-semibold text-white">
+                                                    Certificate
+                                                </p>
+                                                <p className="text-[11px] text-gray-500 mt-1 max-w-md">
+                                                    A-rated movies can only be booked by users whose
+                                                    date of birth shows they are 18+ on the show date.
+                                                </p>
+                                            </div>
+                                            <button
+                                                onClick={() => saveCertification("", { fromTmdb: true })}
+                                                disabled={savingCertification}
+                                                className={`
+                          text-[11px] px-3 py-1.5 rounded-md cursor-pointer border
+                          ${savingCertification
+                                                        ? "border-white/20 text-gray-400 cursor-not-allowed"
+                                                        : "border-violet-400 text-violet-300 hover:bg-violet-400/10"
+                                                    }
+                        `}
+                                            >
+                                                Import from TMDB
+                                            </button>
+                                        </div>
+
+                                        <div className="flex flex-wrap gap-2">
+                                            {CERTIFICATION_OPTIONS.map((code) => (
+                                                <button
+                                                    key={code}
+                                                    onClick={() => saveCertification(code)}
+                                                    disabled={savingCertification || certification === code}
+                                                    className={`px-3 py-1 rounded-full text-xs border transition cursor-pointer disabled:cursor-default ${certification === code
+                                                        ? "bg-violet-400/20 border-violet-400 text-violet-200"
+                                                        : "bg-white/5 border-white/15 text-gray-300 hover:bg-white/10"
+                                                        }`}
+                                                >
+                                                    {code}
+                                                </button>
+                                            ))}
+                                            {!certification && (
+                                                <span className="self-center text-[11px] text-amber-300">
+                                                    Not rated yet
+                                                </span>
+                                            )}
+                                        </div>
+                                    </section>
+
+                                    {/* Languages */}
+                                    <section className="space-y-3">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <div>
+                                                <p className="text-sm font-semibold text-white">
+                                                    Languages
+                                                </p>
+                                                <p className="text-[11px] text-gray-500 mt-1 max-w-md">
+                                                    Original language first, then dubs. Saving re-assigns
+                                                    languages on upcoming auto-generated shows nobody has
+                                                    booked yet.
+                                                </p>
+                                            </div>
+                                            <button
+                                                onClick={saveLanguages}
+                                                disabled={savingLanguages}
+                                                className={`
+                          text-[11px] px-3 py-1.5 rounded-md cursor-pointer border
+                          ${savingLanguages
+                                                        ? "border-white/20 text-gray-400 cursor-not-allowed"
+                                                        : "border-violet-400 text-violet-300 hover:bg-violet-400/10"
+                                                    }
+                        `}
+                                            >
+                                                {savingLanguages ? "Saving..." : "Save languages"}
+                                            </button>
+                                        </div>
+
+                                        <div className="grid grid-cols-2 gap-3 text-[11px]">
+                                            <label className="flex flex-col gap-1">
+                                                <span className="text-gray-400">Audio (e.g. English, Hindi, Tamil)</span>
+                                                <input
+                                                    value={languageDraft.audio}
+                                                    onChange={(e) =>
+                                                        setLanguageDraft((prev) => ({ ...prev, audio: e.target.value }))
+                                                    }
+                                                    className="bg-black/60 border border-white/15 rounded-lg px-2 py-1.5 text-xs text-gray-100 outline-none focus:border-primary"
+                                                />
+                                            </label>
+                                            <label className="flex flex-col gap-1">
+                                                <span className="text-gray-400">Subtitles (e.g. English)</span>
+                                                <input
+                                                    value={languageDraft.subtitles}
+                                                    onChange={(e) =>
+                                                        setLanguageDraft((prev) => ({ ...prev, subtitles: e.target.value }))
+                                                    }
+                                                    className="bg-black/60 border border-white/15 rounded-lg px-2 py-1.5 text-xs text-gray-100 outline-none focus:border-primary"
+                                                />
+                                            </label>
+                                        </div>
+                                    </section>
+
                                     {/* Date tabs */}
                                     <div>
                                         <p className="text-sm font-semibold mb-2">
@@ -1246,6 +1455,10 @@ const ShowDetails = () => {
                                                                                         <span className="text-[10px] text-gray-300">
                                                                                             {slot.format || "2D"}
                                                                                         </span>
+                                                                                        <span className="text-[10px] text-gray-300">
+                                                                                            {slot.language}
+                                                                                            {slot.subtitles && ` · ${slot.subtitles} subs`}
+                                                                                        </span>
                                                                                         <span className="text-[10px] text-gray-300 mt-0.5">
                                                                                             Price: {currency}{" "}
                                                                                             {slot.showPrice}
@@ -1467,6 +1680,49 @@ const ShowDetails = () => {
                                         </div>
                                     </div>
 
+                                    {/* Language + subtitles */}
+                                    <div className="flex gap-3">
+                                        <div className="flex-1 flex flex-col gap-1">
+                                            <label className="text-gray-300">Language</label>
+                                            <select
+                                                value={addShowForm.language}
+                                                onChange={(e) =>
+                                                    setAddShowForm((prev) => ({
+                                                        ...prev,
+                                                        language: e.target.value,
+                                                    }))
+                                                }
+                                                className="bg-black/70 border border-white/15 rounded-md px-2 py-1 outline-none text-gray-100 text-xs focus:border-primary"
+                                            >
+                                                {languages.audio.map((l, idx) => (
+                                                    <option key={l} value={l}>
+                                                        {idx === 0 ? `${l} (original)` : l}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="flex-1 flex flex-col gap-1">
+                                            <label className="text-gray-300">Subtitles</label>
+                                            <select
+                                                value={addShowForm.subtitles}
+                                                onChange={(e) =>
+                                                    setAddShowForm((prev) => ({
+                                                        ...prev,
+                                                        subtitles: e.target.value,
+                                                    }))
+                                                }
+                                                className="bg-black/70 border border-white/15 rounded-md px-2 py-1 outline-none text-gray-100 text-xs focus:border-primary"
+                                            >
+                                                <option value="">None</option>
+                                                {languages.subtitles.map((l) => (
+                                                    <option key={l} value={l}>
+                                                        {l}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+
                                     {/* Price */}
                                     <div className="flex flex-col gap-1">
                                         <label className="text-gray-300">
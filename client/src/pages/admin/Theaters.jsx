@@ -0,0 +1,346 @@
+// pages/admin/Theaters.jsx - Create, edit, deactivate and reactivate theaters (never deleted, so shows keep their reference)
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { Building2Icon, PencilIcon, PlusIcon, PowerIcon, SaveIcon, XIcon } from "lucide-react";
+import Title from "../../components/admin/Title";
+import { useAppContext } from "../../context/AppContext";
+
+const FORMATS = ["2D", "3D", "IMAX 2D", "4DX-3D"];
+
+const emptyForm = () => ({
+  _id: null,
+  name: "",
+  city: "",
+  address: "",
+  timezone: "",
+  amenities: "",
+  formats: ["2D"],
+  lat: "",
+  lng: "",
+});
+
+const toForm = (t) => ({
+  _id: t._id,
+  name: t.name || "",
+  city: t.city || "",
+  address: t.address || "",
+  timezone: t.timezone || "",
+  amenities: (t.amenities || []).join(", "),
+  formats: t.formats || [],
+  lat: t.geo?.lat ?? "",
+  lng: t.geo?.lng ?? "",
+});
+
+const Theaters = () => {
+  const { axios, getToken, user, refetchCities } = useAppContext();
+
+  const [theaters, setTheaters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [cityFilter, setCityFilter] = useState("All");
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = async () => ({ headers: { Authorization: `Bearer ${await getToken()}` } });
+
+  const fetchTheaters = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/theaters", await authHeaders());
+      if (data.success) setTheaters(data.theaters || []);
+      else toast.error(data.message || "Failed to load theaters");
+    } catch (e) {
+      console.error("theaters fetch error:", e);
+      toast.error("Failed to load theaters");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchTheaters();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  const cityOptions = useMemo(
+    () => Array.from(new Set(theaters.map((t) => t.city))).sort(),
+    [theaters]
+  );
+
+  const visible = useMemo(
+    () => (cityFilter === "All" ? theaters : theaters.filter((t) => t.city === cityFilter)),
+    [theaters, cityFilter]
+  );
+
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const toggleFormat = (fmt) =>
+    setForm((f) => ({
+      ...f,
+      formats: f.formats.includes(fmt) ? f.formats.filter((x) => x !== fmt) : [...f.formats, fmt],
+    }));
+
+  const saveForm = async () => {
+    if (!form.name.trim() || !form.city.trim()) return toast.error("Name and city are required");
+    const payload = {
+      name: form.name,
+      city: form.city,
+      address: form.address,
+      timezone: form.timezone,
+      amenities: form.amenities.split(",").map((a) => a.trim()).filter(Boolean),
+      formats: form.formats,
+      geo: form.lat === "" && form.lng === "" ? null : { lat: form.lat, lng: form.lng },
+    };
+    try {
+      setBusy(true);
+      const { data } = form._id
+        ? await axios.put(`/api/admin/theaters/${form._id}`, payload, await authHeaders())
+        : await axios.post("/api/admin/theaters", payload, await authHeaders());
+      if (data.success) {
+        toast.success(data.message || "Theater saved");
+        setForm(null);
+        await fetchTheaters();
+        refetchCities();
+      } else toast.error(data.message || "Failed to save theater");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to save theater");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setActive = async (theater, isActive) => {
+    if (!isActive && !window.confirm(`Deactivate "${theater.name}"? Its shows stop listing and selling until it is reactivated.`)) return;
+    try {
+      setBusy(true);
+      const { data } = await axios.patch(
+        `/api/admin/theaters/${theater._id}/active`,
+        { isActive },
+        await authHeaders()
+      );
+      if (data.success) {
+        toast.success(data.message);
+        await fetchTheaters();
+        refetchCities();
+      } else toast.error(data.message || "Failed to update theater");
+    } catch (e) {
+      console.error(e);
+      toast.error(e?.response?.data?.message || "Failed to update theater");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="w-full">
+      <Title text1="Manage" text2="Theaters" />
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        <select
+          value={cityFilter}
+          onChange={(e) => setCityFilter(e.target.value)}
+          className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+        >
+          <option value="All" className="bg-neutral-900">All cities</option>
+          {cityOptions.map((c) => <option key={c} value={c} className="bg-neutral-900">{c}</option>)}
+        </select>
+        <button
+          onClick={() => setForm(emptyForm())}
+          className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 transition"
+        >
+          <PlusIcon className="w-3.5 h-3.5" />
+          New Theater
+        </button>
+      </div>
+
+      {/* create / edit form */}
+      {form && (
+        <div className="mt-5 rounded-2xl border border-white/10 bg-white/[0.02] p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="font-semibold">{form._id ? "Edit theater" : "New theater"}</p>
+            <button onClick={() => setForm(null)} className="text-gray-400 hover:text-white cursor-pointer" aria-label="Close">
+              <XIcon className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs">
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">Name</span>
+              <input
+                value={form.name}
+                onChange={(e) => setField("name", e.target.value)}
+                placeholder="PVR Phoenix Palassio"
+                className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">City</span>
+              <input
+                value={form.city}
+                onChange={(e) => setField("city", e.target.value)}
+                list="theater-cities"
+                placeholder="Lucknow"
+                className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+              />
+              <datalist id="theater-cities">
+                {cityOptions.map((c) => <option key={c} value={c} />)}
+              </datalist>
+            </label>
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-gray-400">Address</span>
+              <input
+                value={form.address}
+                onChange={(e) => setField("address", e.target.value)}
+                placeholder="Area / street"
+                className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+              />
+            </label>
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-gray-400">Time zone (showtimes in emails; blank for the default)</span>
+              <input
+                value={form.timezone}
+                onChange={(e) => setField("timezone", e.target.value)}
+                placeholder="Asia/Kolkata"
+                className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+              />
+            </label>
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-gray-400">Amenities (comma separated)</span>
+              <input
+                value={form.amenities}
+                onChange={(e) => setField("amenities", e.target.value)}
+                placeholder="Recliners, Dolby Atmos, F&B"
+                className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+              />
+            </label>
+            <div className="flex flex-col gap-1">
+              <span className="text-gray-400">Formats</span>
+              <div className="flex flex-wrap gap-2">
+                {FORMATS.map((fmt) => (
+                  <button
+                    key={fmt}
+                    type="button"
+                    onClick={() => toggleFormat(fmt)}
+                    className={`px-3 py-1 rounded-full border cursor-pointer transition ${form.formats.includes(fmt)
+                      ? "bg-primary/20 border-primary/40 text-primary"
+                      : "bg-white/5 border-white/10 text-gray-300 hover:bg-white/10"
+                      }`}
+                  >
+                    {fmt}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="flex flex-col gap-1">
+                <span className="text-gray-400">Latitude</span>
+                <input
+                  type="number"
+                  step="any"
+                  value={form.lat}
+                  onChange={(e) => setField("lat", e.target.value)}
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-gray-400">Longitude</span>
+                <input
+                  type="number"
+                  step="any"
+                  value={form.lng}
+                  onChange={(e) => setField("lng", e.target.value)}
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm outline-none"
+                />
+              </label>
+            </div>
+          </div>
+
+          <button
+            onClick={saveForm}
+            disabled={busy}
+            className="inline-flex items-center gap-2 px-4 py-1.5 rounded-full text-xs font-semibold cursor-pointer bg-violet-400/15 text-violet-300 border border-violet-400/30 hover:bg-violet-400/25 disabled:opacity-40 disabled:cursor-not-allowed transition"
+          >
+            <SaveIcon className="w-3.5 h-3.5" />
+            {form._id ? "Save Theater" : "Create Theater"}
+          </button>
+        </div>
+      )}
+
+      {/* list */}
+      <div className="w-full mt-5 rounded-2xl border border-white/10 bg-white/[0.02] backdrop-blur-sm p-4">
+        <div className="mb-3 text-xs text-gray-400">{visible.length} theater(s)</div>
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-nowrap text-sm">
+            <thead>
+              <tr className="bg-white/[0.04] text-left text-white">
+                <th className="p-2 pl-4 font-medium">Theater</th>
+                <th className="p-2 font-medium">City</th>
+                <th className="p-2 font-medium">Formats</th>
+                <th className="p-2 font-medium">Screens</th>
+                <th className="p-2 font-medium">Upcoming shows</th>
+                <th className="p-2 font-medium">Status</th>
+                <th className="p-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr><td colSpan={7} className="p-4 text-center text-gray-400">Loading…</td></tr>
+              ) : visible.length === 0 ? (
+                <tr><td colSpan={7} className="p-4 text-center text-gray-400">No theaters yet.</td></tr>
+              ) : (
+                visible.map((t) => (
+                  <tr key={t._id} className={`border-b border-white/5 ${t.isActive === false ? "opacity-50" : ""}`}>
+                    <td className="p-2 pl-4">
+                      <div className="flex items-center gap-2">
+                        <Building2Icon className="w-4 h-4 text-violet-300" />
+                        <div>
+                          <p className="font-medium">{t.name}</p>
+                          <p className="text-[11px] text-gray-500">{t.address || "—"}</p>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="p-2">{t.city}</td>
+                    <td className="p-2 text-xs text-gray-300">{(t.formats || []).join(", ") || "—"}</td>
+                    <td className="p-2">{t.screenCount}</td>
+                    <td className="p-2">{t.upcomingShows}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] border ${t.isActive === false
+                        ? "bg-white/5 text-gray-400 border-white/10"
+                        : "bg-emerald-400/10 text-emerald-300 border-emerald-400/30"
+                        }`}>
+                        {t.isActive === false ? "Inactive" : "Active"}
+                      </span>
+                    </td>
+                    <td className="p-2">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => setForm(toForm(t))}
+                          className="p-1.5 rounded-lg text-gray-300 hover:bg-white/10 cursor-pointer"
+                          aria-label={`Edit ${t.name}`}
+                        >
+                          <PencilIcon className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setActive(t, t.isActive === false)}
+                          disabled={busy}
+                          className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-[11px] cursor-pointer border disabled:opacity-40 ${t.isActive === false
+                            ? "text-emerald-300 border-emerald-400/30 hover:bg-emerald-400/10"
+                            : "text-amber-300 border-amber-500/30 hover:bg-amber-500/10"
+                            }`}
+                        >
+                          <PowerIcon className="w-3 h-3" />
+                          {t.isActive === false ? "Reactivate" : "Deactivate"}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Theaters;
@@ -11,13 +11,15 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-// Sends an HTML email using the configured transporter
-const sendEmail = async ({ to, subject, body })=>{
+// Sends an HTML email (with an optional plain-text part and attachments) using the configured transporter
+const sendEmail = async ({ to, subject, body, text, attachments })=>{
     const response = await transporter.sendMail({
         from: process.env.SENDER_EMAIL,
         to,
         subject,
         html: body,
+        text,
+        attachments,
     })
     return response
 }
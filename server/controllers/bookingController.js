@@ -1,102 +1,46 @@
-// controllers/bookingController.js - Booking CRUD, seat holding, payment confirmation, and ticket download
+// controllers/bookingController.js - Booking CRUD, seat holding and payment confirmation (ticket downloads: ticketController.js)
 import mongoose from "mongoose";
 import { inngest } from "../inngest/index.js";
 import Booking from "../models/Booking.js";
+import BookingShare from "../models/BookingShare.js";
 import Show from "../models/Show.js";
-import Stripe from "stripe";
-import { generateTicketPdf } from "../utils/generateTicketPdf.js";
+import TicketTransfer from "../models/TicketTransfer.js";
+import User from "../models/User.js";
+import { isSellableSeat, priceForSeat, prorateBooking, resolveSeatMap } from "../services/seatMapService.js";
+import { activeHolds, expireStaleBookings, freeOccupiedSeats, holdSeats, releaseHolds } from "../services/holdService.js";
+import { evaluateCoupon, releaseCoupon, reserveCoupon } from "../services/couponService.js";
+import { priceSnackOrder } from "../services/menuService.js";
+import { createCheckoutSession, getCheckoutPayment, STRIPE_CURRENCY } from "../services/paymentService.js";
+import { refundBookingPayments } from "../services/exchangeService.js";
+import { confirmPaidBooking, reissueTicket } from "../services/confirmationService.js";
+import { queuePassUpdates } from "../services/walletService.js";
+import { ageOn, isRestricted, minimumAge } from "../services/certificationService.js";
+import { cancelPendingTransfers } from "../services/transferService.js";
+import { quoteRefund, shareRefundAmount } from "../services/refundPolicyService.js";
+import {
+    checkoutShare,
+    confirmPaidShare,
+    refundPaidShares,
+    releaseSplitBooking,
+    settleLapsedSplitBookings,
+    shareUrl,
+    splitBooking,
+} from "../services/splitPaymentService.js";
 import { clerkClient } from "@clerk/express";
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-// App prices are in Indian Rupees, so charge in INR (paise) unless overridden.
-const STRIPE_CURRENCY = (process.env.STRIPE_CURRENCY || "inr").toLowerCase();
-
 const MAX_SEATS_PER_BOOKING = 10;
 const VALID_SEAT_REGEX = /^[A-Z]\d{1,2}$/;
 
-// ----- Booking fee + coupons (mirrors client/src/lib/pricing.js) -----
+// ----- Booking fee (mirrors client/src/lib/pricing.js); coupons live in services/couponService.js -----
 const PLATFORM_FEE_PER_TICKET = 25;
-const COUPONS = {
-    MOVIE50: (t) => Math.min(150, Math.round(t * 0.5)),
-    FLAT100: (t) => (t >= 500 ? 100 : 0),
-    UPI50: () => 50,
-};
-const applyCouponServer = (code, ticketsSubtotal) => {
-    const c = String(code || "").toUpperCase().trim();
-    const fn = COUPONS[c];
-    if (!fn) return { code: "", discount: 0 };
-    const d = Math.max(0, Math.min(ticketsSubtotal, fn(ticketsSubtotal)));
-    return { code: d > 0 ? c : "", discount: d };
-};
 
 const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 10); // default 10 minutes
 
-// ----- Zone pricing (mirrors the client seat layout) -----
-const ALPHA = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
-const sliceRows = (start, count) => ALPHA.slice(start, start + count);
-
-const sectionsForExperience = (experience, bp) => {
-    const exp = (experience || "").toLowerCase();
-    const laser = [
-        { rows: sliceRows(0, 2), price: bp + 0 },
-        { rows: sliceRows(2, 8), price: bp + 50 },
-        { rows: sliceRows(10, 2), price: bp + 100 },
-    ];
-    if (!exp) return laser;
-    if (exp.includes("imax") || exp.includes("dolby")) {
-        return [
-            { rows: sliceRows(0, 2), price: bp + 0 },
-            { rows: sliceRows(2, 6), price: bp + 50 },
-            { rows: sliceRows(8, 4), price: bp + 100 },
-        ];
-    }
-    if (exp.includes("insignia")) return [{ rows: sliceRows(0, 6), price: bp + 120 }];
-    if (exp.includes("4dx")) return [{ rows: sliceRows(0, 6), price: bp + 150 }];
-    return laser;
-};
-
-const priceForSeat = (experience, bp, seatId) => {
-    const row = String(seatId).match(/^[A-Za-z]+/)?.[0]?.toUpperCase();
-    const sections = sectionsForExperience(experience, bp);
-    for (const s of sections) if (s.rows.includes(row)) return s.price;
-    return bp;
-};
-
-// Helper: clean expired held seats on a show (server-side) and persist when changed
-const cleanupExpiredHeldSeats = async (showDoc) => {
-    const now = Date.now();
-    if (!showDoc || !showDoc.heldSeats) return;
-    let changed = false;
-    for (const seat of Object.keys(showDoc.heldSeats)) {
-        try {
-            const entry = showDoc.heldSeats[seat];
-            if (!entry || !entry.expiresAt) {
-                delete showDoc.heldSeats[seat];
-                changed = true;
-                continue;
-            }
-            if (new Date(entry.expiresAt).getTime() <= now) {
-                delete showDoc.heldSeats[seat];
-                changed = true;
-            }
-        } catch (e) {
-            // defense: remove problematic entry
-            delete showDoc.heldSeats[seat];
-            changed = true;
-        }
-    }
-    if (changed) {
-        showDoc.markModified("heldSeats");
-        await showDoc.save();
-    }
-};
-
 // POST /api/booking/create
 export const createBooking = async (req, res) => {
     try {
         const { userId } = req.auth();
-        const { showId, selectedSeats = [], addonAmount = 0, couponCode = "" } = req.body;
+        const { showId, selectedSeats = [], snacks, couponCode = "" } = req.body;
         const { origin } = req.headers;
         const clerkUser = await clerkClient.users.getUser(userId);
 
@@ -116,25 +60,45 @@ export const createBooking = async (req, res) => {
             return res.status(400).json({ success: false, message: "Invalid seat format" });
         }
 
-        // load show and cleanup expired held seats
-        const showData = await Show.findById(showId).populate("movie");
-        if (!showData) return res.json({ success: false, message: "Show not found" });
+        if (new Set(selectedSeats).size !== selectedSeats.length) {
+            return res.status(400).json({ success: false, message: "Duplicate seats in selection" });
+        }
 
-        // Remove expired held seats first, persist if changed
-        await cleanupExpiredHeldSeats(showData);
+        const showData = await Show.findById(showId).populate("movie").populate("theater", "isActive");
+        if (!showData) return res.json({ success: false, message: "Show not found" });
+        if (showData.theater?.isActive === false) {
+            return res.json({ success: false, message: "This theater is not accepting bookings" });
+        }
 
-        // check availability
-        const now = Date.now();
+        // Restricted (A) titles need an attested date of birth showing the
+        // user is old enough on the day of the show.
+        const certification = showData.movie?.certification;
+        if (isRestricted(certification)) {
+            const profile = await User.findById(userId).select("dateOfBirth").lean();
+            if (!profile?.dateOfBirth) {
+                return res.status(403).json({
+                    success: false,
+                    code: "AGE_REQUIRED",
+                    certification,
+                    message: `This movie is rated ${certification}. Confirm your date of birth to book it.`,
+                });
+            }
+            if (ageOn(profile.dateOfBirth, showData.showDateTime) < minimumAge(certification)) {
+                return res.status(403).json({
+                    success: false,
+                    code: "UNDERAGE",
+                    certification,
+                    message: `This movie is rated ${certification} — you must be ${minimumAge(certification)} or older to book it.`,
+                });
+            }
+        }
 
+        // Quick pre-check for a friendly message; holdSeats below is what
+        // actually guarantees no two bookings get the same seat.
         for (const seat of selectedSeats) {
             if (showData.occupiedSeats?.[seat]) {
                 return res.json({ success: false, message: "Seat already booked" });
             }
-
-            const held = showData.heldSeats?.[seat];
-            if (held && new Date(held.expiresAt).getTime() > now) {
-                return res.json({ success: false, message: "Seat temporarily held" });
-            }
         }
 
         // compute amount (you had showPrice earlier)
@@ -146,118 +110,149 @@ export const createBooking = async (req, res) => {
                 message: "Invalid show price. Cannot proceed to payment."
             });
         }
+        // Seats must exist on this screen's seat map and be sellable
+        const seatMap = await resolveSeatMap(showData);
+        if (!selectedSeats.every((seat) => isSellableSeat(seatMap, seat))) {
+            return res.status(400).json({ success: false, message: "Selected seat is not available on this screen" });
+        }
+
         // Per-seat zone pricing (matches the seat layout the user saw)
         const seatsAmount = selectedSeats.reduce(
-            (acc, seat) => acc + priceForSeat(showData.experience, bp, seat),
+            (acc, seat) => acc + priceForSeat(seatMap, bp, seat),
             0
         );
 
-        // Optional snacks & beverages add-on (validated, capped)
-        const snacksAmount = Math.max(0, Math.min(10000, Number(addonAmount) || 0));
+        // Optional snacks & beverages, priced from the theater's menu (never from the client)
+        const snackOrder = await priceSnackOrder({ theaterId: showData.theater?._id, items: snacks });
+        if (snackOrder.error) return res.status(400).json({ success: false, message: snackOrder.error });
+        const snacksAmount = snackOrder.total;
 
         // Coupon discount (on tickets) + per-ticket booking fee.
-        const { code: appliedCoupon, discount } = applyCouponServer(couponCode, seatsAmount);
+        let coupon = null;
+        let appliedCoupon = "";
+        let discount = 0;
+        if (String(couponCode || "").trim()) {
+            const result = await evaluateCoupon({ code: couponCode, userId, show: showData, subtotal: seatsAmount });
+            if (!result.valid) return res.json({ success: false, message: result.message });
+            ({ coupon, code: appliedCoupon, discount } = result);
+        }
         const platformFee = PLATFORM_FEE_PER_TICKET * selectedSeats.length;
         const ticketsNet = Math.max(0, seatsAmount - discount);
         const totalAmount = ticketsNet + platformFee + snacksAmount;
 
-        // create booking (pending)
+        // Hold the seats first (all-or-nothing) under a pre-allocated booking
+        // id, so the booking is only created once the seats are ours.
         const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000); // e.g., 10 minutes
-        const booking = await Booking.create({
-            user: userId,
-            userSnapshot: {
-                name:
-                    clerkUser.fullName ||
-                    `${clerkUser.firstName || ""} ${clerkUser.lastName || ""}`.trim(),
-                email: clerkUser.emailAddresses?.[0]?.emailAddress || "",
-            },
+        const bookingId = new mongoose.Types.ObjectId();
 
-            show: showId,
-            amount: totalAmount,
-            seatsAmount,
-            addonAmount: snacksAmount,
-            platformFee,
-            discount,
-            couponCode: appliedCoupon,
+        const held = await holdSeats({
+            showId,
             seats: selectedSeats,
-            status: "pending",
+            bookingId,
+            userId,
             expiresAt,
         });
+        if (!held) {
+            return res.json({ success: false, message: "Seat temporarily held" });
+        }
+
+        // Reserve the coupon use under the same booking id (counts toward its limits).
+        if (coupon) {
+            let reserved = false;
+            try {
+                reserved = await reserveCoupon({ coupon, userId, bookingId, discount });
+            } finally {
+                if (!reserved) await releaseHolds(bookingId);
+            }
+            if (!reserved) {
+                return res.json({ success: false, message: "This coupon is no longer available" });
+            }
+        }
 
-        // mark seats as HELD on Show (heldSeats map)
-        if (!showData.heldSeats) showData.heldSeats = {}; // ensure object
-        selectedSeats.forEach((seat) => {
-            showData.heldSeats[seat] = {
-                bookingId: booking._id.toString(),
+        // create booking (pending)
+        let booking;
+        try {
+            booking = await Booking.create({
+                _id: bookingId,
                 user: userId,
-                expiresAt: expiresAt.toISOString(),
-            };
-        });
-        showData.markModified("heldSeats");
-        await showData.save();
+                userSnapshot: {
+                    name:
+                        clerkUser.fullName ||
+                        `${clerkUser.firstName || ""} ${clerkUser.lastName || ""}`.trim(),
+                    email: clerkUser.emailAddresses?.[0]?.emailAddress || "",
+                },
+
+                show: showId,
+                amount: totalAmount,
+                seatsAmount,
+                addonAmount: snacksAmount,
+                snacks: snackOrder.lines,
+                platformFee,
+                discount,
+                couponCode: appliedCoupon,
+                seats: selectedSeats,
+                status: "pending",
+                expiresAt,
+            });
+        } catch (createErr) {
+            await releaseHolds(bookingId);
+            await releaseCoupon(bookingId);
+            throw createErr;
+        }
 
-        // Stripe: create checkout session if stripe configured
+        // Stripe Checkout session (mocked locally when STRIPE_MOCK_PAYMENTS=true)
         let paymentLink = null;
 
         try {
-            if (stripe) {
-                const line_items = [
-                    {
-                        price_data: {
-                            currency: STRIPE_CURRENCY,
-                            product_data: {
-                                name: showData.movie?.title || "Ticket",
-                                description: discount > 0 ? `Tickets (coupon ${appliedCoupon} applied)` : "Movie tickets",
-                            },
-                            unit_amount: Math.round(ticketsNet * 100),
+            const line_items = [
+                {
+                    price_data: {
+                        currency: STRIPE_CURRENCY,
+                        product_data: {
+                            name: showData.movie?.title || "Ticket",
+                            description: discount > 0 ? `Tickets (coupon ${appliedCoupon} applied)` : "Movie tickets",
                         },
-                        quantity: 1,
+                        unit_amount: Math.round(ticketsNet * 100),
                     },
-                    {
-                        price_data: {
-                            currency: STRIPE_CURRENCY,
-                            product_data: { name: "Booking fee" },
-                            unit_amount: Math.round(platformFee * 100),
-                        },
-                        quantity: 1,
+                    quantity: 1,
+                },
+                {
+                    price_data: {
+                        currency: STRIPE_CURRENCY,
+                        product_data: { name: "Booking fee" },
+                        unit_amount: Math.round(platformFee * 100),
                     },
-                ];
-
-                if (snacksAmount > 0) {
-                    line_items.push({
-                        price_data: {
-                            currency: STRIPE_CURRENCY,
-                            product_data: { name: "Snacks & Beverages" },
-                            unit_amount: Math.round(snacksAmount * 100),
-                        },
-                        quantity: 1,
-                    });
-                }
-
-                const session = await stripe.checkout.sessions.create({
-                    success_url: `${origin}/payment-success?bookingId=${booking._id}`,
-                    cancel_url: `${origin}/my-bookings`,
-                    line_items,
-                    mode: "payment",
-                    metadata: {
-                        bookingId: booking._id.toString(),
+                    quantity: 1,
+                },
+            ];
+
+            for (const snack of snackOrder.lines) {
+                line_items.push({
+                    price_data: {
+                        currency: STRIPE_CURRENCY,
+                        product_data: { name: snack.name },
+                        unit_amount: Math.round(snack.unitPrice * 100),
                     },
-                })
-                paymentLink = session.url;
-                booking.paymentLink = session.url;
-                await booking.save();
+                    quantity: snack.quantity,
+                });
             }
+
+            const session = await createCheckoutSession({
+                bookingId: booking._id,
+                lineItems: line_items,
+                successUrl: `${origin}/payment-success?bookingId=${booking._id}`,
+                cancelUrl: `${origin}/my-bookings`,
+            });
+            paymentLink = session.url;
+            booking.paymentLink = session.url;
+            booking.stripeSessionId = session.id;
+            await booking.save();
         } catch (stripeErr) {
             console.error("Stripe create session error:", stripeErr?.message || stripeErr);
             // Clean up: delete booking and release held seats if Stripe fails
             await Booking.deleteOne({ _id: booking._id });
-            for (const seat of selectedSeats) {
-                if (showData.heldSeats?.[seat]?.bookingId === booking._id.toString()) {
-                    delete showData.heldSeats[seat];
-                }
-            }
-            showData.markModified("heldSeats");
-            await showData.save();
+            await releaseHolds(booking._id);
+            await releaseCoupon(booking._id);
             return res.status(500).json({ success: false, message: "Payment session creation failed" });
         }
 
@@ -293,31 +288,12 @@ export const getSeatsForShow = async (req, res) => {
         if (!showData)
             return res.json({ success: false, message: "Show not found" });
 
-        // ✅ clean expired holds (your existing logic)
-        await cleanupExpiredHeldSeats(showData);
-
         const occupiedSeats = showData.occupiedSeats
             ? Object.keys(showData.occupiedSeats)
             : [];
 
-        const now = Date.now();
-        const heldMap = showData.heldSeats || {};
-
         // ✅ ONLY ACTIVE HOLDS
-        const heldSeats = Object.keys(heldMap)
-            .filter(seat => {
-                const h = heldMap[seat];
-                return h?.expiresAt && new Date(h.expiresAt).getTime() > now;
-            })
-            .map(seat => {
-                const h = heldMap[seat];
-                return {
-                    seat,
-                    bookingId: h.bookingId,
-                    user: h.user,
-                    expiresAt: h.expiresAt,
-                };
-            });
+        const heldSeats = await activeHolds(showData._id);
 
         return res.json({
             success: true,
@@ -355,32 +331,14 @@ export const seatsStream = async (req, res) => {
 
         const sendSnapshot = async () => {
             try {
-                const now = Date.now();
                 const showData = await Show.findById(showId);
                 if (!showData) {
                     res.write(`event: seats\n`);
                     res.write(`data: ${JSON.stringify({ error: "show not found" })}\n\n`);
                     return;
                 }
-                // cleanup expired holds then fetch fresh
-                await cleanupExpiredHeldSeats(showData);
-
                 const occupiedSeats = showData.occupiedSeats ? Object.keys(showData.occupiedSeats) : [];
-                const heldMap = showData.heldSeats || {};
-                const heldSeats = Object.keys(heldMap)
-                    .filter(seat => {
-                        const h = heldMap[seat];
-                        return h?.expiresAt && new Date(h.expiresAt).getTime() > now;
-                    })
-                    .map(seat => {
-                        const h = heldMap[seat];
-                        return {
-                            seat,
-                            bookingId: h.bookingId,
-                            user: h.user,
-                            expiresAt: h.expiresAt,
-                        };
-                    });
+                const heldSeats = await activeHolds(showData._id);
 
                 const payload = { occupiedSeats, heldSeats, timestamp: new Date().toISOString() };
                 res.write(`event: seats\n`);
@@ -478,26 +436,22 @@ export const releaseBooking = async (req, res) => {
             return res.json({ success: false, message: "Booking already confirmed" });
         }
 
+        // Split bookings: friends who already paid keep their seats until the hold ends.
+        if (booking.splitPayment && !(await releaseSplitBooking(booking._id))) {
+            return res.json({
+                success: false,
+                message: "Friends have already paid for their seats — unpaid seats are released when the hold ends",
+            });
+        }
+
         // mark booking cancelled
         booking.status = "cancelled";
         booking.expiresAt = new Date(Date.now() - 1000);
         await booking.save();
 
-        // remove held seats from show
-        const show = await Show.findById(booking.show);
-        if (show && show.heldSeats) {
-            let removed = false;
-            for (const seat of (booking.seats || [])) {
-                if (show.heldSeats[seat] && String(show.heldSeats[seat].bookingId) === String(booking._id)) {
-                    delete show.heldSeats[seat];
-                    removed = true;
-                }
-            }
-            if (removed) {
-                show.markModified("heldSeats");
-                await show.save();
-            }
-        }
+        // release the held seats + coupon use
+        await releaseHolds(booking._id);
+        await releaseCoupon(booking._id);
 
         return res.json({ success: true, message: "Released hold" });
     } catch (error) {
@@ -506,48 +460,117 @@ export const releaseBooking = async (req, res) => {
     }
 };
 
-// POST /api/booking/cancel/:bookingId
-// Owner cancels a PAID ticket: refunds via Stripe (best-effort), frees the seats
-// (so the seat map + admin reflect it), and marks the booking cancelled.
-export const cancelBooking = async (req, res) => {
+// Loads a booking its owner may cancel (all of it, or `seats` of it) with the
+// refund policy's quote, or says why not: { booking, show, quote } or
+// { status, message }. `requireOpen: false` quotes even once the window closed.
+const loadCancellableBooking = async (userId, bookingId, { seats, requireOpen = true } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) return { status: 400, message: "Invalid booking id" };
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return { status: 404, message: "Booking not found" };
+    if (String(booking.user) !== String(userId)) return { status: 403, message: "Not your booking" };
+    if (booking.status === "cancelled") return { status: 200, message: "This ticket is already cancelled" };
+    if (!booking.isPaid) return { status: 200, message: "Only paid tickets can be cancelled" };
+    // The payment belongs to whoever bought them, so received tickets aren't refundable here.
+    if (booking.transferredFrom) {
+        return { status: 200, message: "Tickets transferred to you can't be cancelled for a refund" };
+    }
+
+    if (seats && !seats.every((s) => booking.seats.includes(s))) {
+        return { status: 400, message: "Seats must belong to this booking" };
+    }
+
+    const show = await Show.findById(booking.show);
+    if (!show) return { status: 404, message: "Show not found" };
+
+    // The policy decides how late cancelling is allowed and how much comes back.
+    const quote = await quoteRefund({ booking, show, seats });
+    if (requireOpen && !quote.allowed) return { status: 200, message: quote.message };
+    return { booking, show, quote };
+};
+
+// GET /api/booking/cancel/:bookingId/quote - Refund preview. Query: ?seats=A1,A2 (all seats when omitted)
+export const getCancellationQuote = async (req, res) => {
     try {
         const { userId } = req.auth();
-        const { bookingId } = req.params;
-
-        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
-            return res.status(400).json({ success: false, message: "Invalid booking id" });
-        }
+        const seats = req.query.seats ? [...new Set(String(req.query.seats).split(",").filter(Boolean))] : undefined;
+        const { booking, quote, status, message } = await loadCancellableBooking(userId, req.params.bookingId, {
+            seats,
+            requireOpen: false,
+        });
+        if (!booking) return res.status(status).json({ success: false, message });
 
-        const booking = await Booking.findById(bookingId);
-        if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
-        if (String(booking.user) !== String(userId)) {
-            return res.status(403).json({ success: false, message: "Not your booking" });
-        }
-        if (booking.status === "cancelled") {
-            return res.json({ success: false, message: "This ticket is already cancelled" });
-        }
-        if (!booking.isPaid) {
-            return res.json({ success: false, message: "Only paid tickets can be cancelled" });
-        }
+        return res.json({ success: true, quote });
+    } catch (error) {
+        console.error("getCancellationQuote error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load refund preview" });
+    }
+};
 
-        const show = await Show.findById(booking.show);
+// Message for a finished cancellation under its quote.
+const cancellationMessage = (what, quote, refundStarted) => {
+    if (quote.refundAmount <= 0) return `${what} cancelled. No refund is due under the ${quote.policy.name} policy.`;
+    return refundStarted
+        ? `${what} cancelled — ${quote.percent === 100 ? "full" : `${quote.percent}%`} refund initiated to your payment method`
+        : `${what} cancelled. Your refund will be processed shortly.`;
+};
 
-        // Cancellation closes 15 minutes before showtime (and once it has started).
-        const CANCEL_CUTOFF_MS = 15 * 60 * 1000;
-        const showMs = show?.showDateTime ? new Date(show.showDateTime).getTime() : 0;
-        if (showMs && Date.now() >= showMs - CANCEL_CUTOFF_MS) {
-            return res.json({
-                success: false,
-                message: "Cancellation window closed (within 15 minutes of showtime)",
-            });
+// POST /api/booking/cancel/:bookingId
+// Owner cancels a PAID ticket: marks the booking cancelled, refunds via Stripe
+// (best-effort) and frees the seats (so the seat map + admin reflect it).
+export const cancelBooking = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { booking, show, quote, status, message } = await loadCancellableBooking(userId, req.params.bookingId);
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        // Withdraw transfer offers first, so none can be accepted mid-cancellation.
+        await cancelPendingTransfers(booking._id, "Booking cancelled");
+
+        // Claim the cancellation before any money moves: of two concurrent
+        // cancels (double click, retry) only one gets past here and refunds.
+        const claimed = await Booking.findOneAndUpdate(
+            { _id: booking._id, user: userId, status: "confirmed" },
+            {
+                $set: {
+                    status: "cancelled",
+                    cancelledAt: new Date(),
+                    cancellationTerms: {
+                        policy: quote.policy.name,
+                        percent: quote.percent,
+                        refundAmount: quote.refundAmount,
+                        retainedAmount: quote.retainedAmount,
+                    },
+                },
+            },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({ success: false, message: "This booking just changed — refresh and try again" });
         }
+        // Stripe returns the first refund again for a repeated key.
+        const idempotencyKey = `cancel-${booking._id}`;
 
-        // Refund via Stripe (best-effort — still cancel + free seats if this hiccups).
+        // Refund what the policy allows via Stripe (best-effort — still cancel + free
+        // seats if this hiccups). Split bookings were paid share by share, so each
+        // share is refunded to its payer under the same terms.
         let refundId = "";
+        let refundStatus = "";
         try {
-            if (stripe && booking.paymentIntentId) {
-                const refund = await stripe.refunds.create({ payment_intent: booking.paymentIntentId });
-                refundId = refund?.id || "";
+            if (booking.splitPayment) {
+                if (await refundPaidShares(booking._id, { amountFor: (share) => shareRefundAmount(share, quote), idempotencyKey })) {
+                    ({ refundId, refundStatus } = await Booking.findById(booking._id).select("refundId refundStatus").lean());
+                }
+            } else if (booking.paymentIntentId && quote.refundAmount > 0) {
+                // Seats cancelled earlier or handed to someone else took their share
+                // of the payment with them, so only part of the charge is left.
+                // An exchange may have refunded part of it, or topped it up with a second charge.
+                const reduced =
+                    booking.seatCancellations?.length > 0 ||
+                    booking.exchangeCount > 0 ||
+                    (await TicketTransfer.exists({ booking: booking._id, status: "accepted", wholeBooking: false }));
+                const full = !reduced && quote.refundAmount >= booking.amount;
+                ({ id: refundId, status: refundStatus } = await refundBookingPayments(booking, quote.refundAmount, { full, idempotencyKey }));
             }
         } catch (e) {
             console.error("Refund error:", e?.message || e);
@@ -555,31 +578,30 @@ export const cancelBooking = async (req, res) => {
 
         // Free the booked seats so they're available again.
         if (show) {
-            if (!show.occupiedSeats) show.occupiedSeats = {};
-            (booking.seats || []).forEach((seat) => {
-                if (String(show.occupiedSeats[seat]) === String(booking.user)) {
-                    delete show.occupiedSeats[seat];
-                }
-                if (show.heldSeats?.[seat] && String(show.heldSeats[seat].bookingId) === String(booking._id)) {
-                    delete show.heldSeats[seat];
-                }
-            });
-            show.markModified("occupiedSeats");
-            show.markModified("heldSeats");
-            await show.save();
+            await freeOccupiedSeats({ showId: show._id, seats: booking.seats, userId: booking.user });
         }
+        await releaseHolds(booking._id);
+        await releaseCoupon(booking._id);
 
-        booking.status = "cancelled";
-        booking.cancelledAt = new Date();
-        booking.refundId = refundId;
-        await booking.save();
+        // Conditional, since a refund webhook may already have recorded these.
+        if (refundId) {
+            await Booking.updateOne({ _id: booking._id, refundId: "" }, { $set: { refundId } });
+        }
+        if (refundStatus) {
+            await Booking.updateOne({ _id: booking._id, refundStatus: "" }, { $set: { refundStatus } });
+        }
+        await queuePassUpdates([booking._id]);
+        try {
+            await inngest.send({ name: "app/booking.cancelled", data: { bookingId: String(booking._id) } });
+        } catch (e) {
+            console.error("inngest send failed:", e?.message || e);
+        }
 
         return res.json({
             success: true,
             refunded: !!refundId,
-            message: refundId
-                ? "Ticket cancelled — refund initiated to your payment method"
-                : "Ticket cancelled. Your refund will be processed shortly.",
+            refundAmount: quote.refundAmount,
+            message: cancellationMessage("Ticket", quote, !!refundId),
         });
     } catch (err) {
         console.error("cancelBooking error:", err);
@@ -587,98 +609,164 @@ export const cancelBooking = async (req, res) => {
     }
 };
 
-// POST /api/booking/confirm
-// Confirm a booking after payment. Body: { bookingId }
-// This will mark booking as confirmed, set isPaid, status 'confirmed',
-// move held seats into show.occupiedSeats and remove held seats.
-export const confirmBooking = async (req, res) => {
+// POST /api/booking/cancel/:bookingId/seats - Cancel some seats of a paid ticket. Body: { seats }
+// The seats' prorated share (zone prices, coupon, fee) comes back as the refund
+// policy allows; the rest of the booking stays confirmed with a re-rendered ticket.
+export const cancelSeats = async (req, res) => {
     try {
-        const { bookingId } = req.body;
-        if (!bookingId) {
-            return res.status(400).json({
-                success: false,
-                message: "bookingId is required",
-            });
-        }
+        const { userId } = req.auth();
+        const seats = Array.isArray(req.body?.seats) ? [...new Set(req.body.seats.map(String))] : [];
+        if (!seats.length) return res.status(400).json({ success: false, message: "Pick the seats to cancel" });
 
-        const booking = await Booking.findById(bookingId);
-        if (!booking) {
-            return res.json({ success: false, message: "Booking not found" });
+        const { booking, show, quote, status, message } = await loadCancellableBooking(userId, req.params.bookingId, { seats });
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        if (seats.length >= booking.seats.length) {
+            return res.status(400).json({ success: false, message: "To cancel every seat, cancel the whole booking" });
+        }
+        if (booking.splitPayment) {
+            return res.status(400).json({ success: false, message: "Group bookings paid in shares can only be cancelled as a whole" });
+        }
+        await cancelPendingTransfers(booking._id, "Seats cancelled", { seats });
+
+        // Conditional on the seats still being there (and one staying behind), so
+        // a transfer or second cancellation racing this one can't double-count.
+        const part = await prorateBooking(booking, show, seats);
+        const entryId = new mongoose.Types.ObjectId();
+        const updated = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                user: userId,
+                status: "confirmed",
+                seats: { $all: seats, $elemMatch: { $nin: seats } },
+            },
+            {
+                $pull: { seats: { $in: seats } },
+                $inc: {
+                    seatsAmount: -part.seatsAmount,
+                    discount: -part.discount,
+                    platformFee: -part.platformFee,
+                    amount: -part.amount,
+                },
+                $push: {
+                    seatCancellations: {
+                        _id: entryId,
+                        seats,
+                        amount: quote.refundAmount,
+                        retainedAmount: quote.retainedAmount,
+                        policy: quote.policy.name,
+                        percent: quote.percent,
+                        cancelledAt: new Date(),
+                    },
+                },
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ success: false, message: "This booking just changed — refresh and try again" });
         }
 
-        // already confirmed
-        if (booking.status === "confirmed") {
-            return res.json({ success: true, message: "Already confirmed" });
+        // Refund (best-effort, like a full cancellation). The webhooks find the
+        // entry again through the refund's metadata.
+        let refundId = "";
+        if (updated.paymentIntentId && quote.refundAmount > 0) {
+            try {
+                const refund = await refundBookingPayments(updated, quote.refundAmount, {
+                    metadata: { bookingId: String(updated._id), seatCancellationId: String(entryId) },
+                    idempotencyKey: `cancel-seats-${entryId}`,
+                });
+                refundId = refund.id;
+                await Booking.updateOne(
+                    { _id: updated._id, seatCancellations: { $elemMatch: { _id: entryId, refundStatus: "" } } },
+                    { $set: { "seatCancellations.$.refundId": refund.id, "seatCancellations.$.refundStatus": refund.status } }
+                );
+            } catch (e) {
+                console.error("Refund error:", e?.message || e);
+            }
         }
 
-        // expired check
-        if (
-            booking.expiresAt &&
-            new Date(booking.expiresAt).getTime() <= Date.now() &&
-            booking.status === "pending"
-        ) {
-            booking.status = "cancelled";
-            await booking.save();
-            return res.json({ success: false, message: "Booking expired" });
+        await freeOccupiedSeats({ showId: show._id, seats, userId: updated.user });
+        await reissueTicket(updated);
+        try {
+            await inngest.send({
+                name: "app/booking.cancelled",
+                data: { bookingId: String(updated._id), seatCancellationId: String(entryId) },
+            });
+        } catch (e) {
+            console.error("inngest send failed:", e?.message || e);
         }
 
-        // ✅ MARK PAID (UNCHANGED)
-        booking.status = "confirmed";
-        booking.isPaid = true;
-        booking.paymentLink = null;
-        booking.paidAt = new Date();
-        await booking.save();
+        return res.json({
+            success: true,
+            refunded: !!refundId,
+            refundAmount: quote.refundAmount,
+            seats: updated.seats,
+            message: cancellationMessage(seats.join(", "), quote, !!refundId),
+        });
+    } catch (err) {
+        console.error("cancelSeats error:", err);
+        return res.status(500).json({ success: false, message: "Cancellation failed" });
+    }
+};
 
-        // 🔥 MOVE SEATS (UNCHANGED — DO NOT TOUCH)
-        const show = await Show.findById(booking.show);
-        if (!show) {
-            return res.json({ success: true, message: "Confirmed (show missing)" });
+// POST /api/booking/confirm-booking
+// Called by the payment-success page after the Stripe redirect. Body: { bookingId }
+// Only the owner can ask, and only a Checkout Session Stripe reports as paid
+// confirms the booking — the webhook does the same through confirmPaidBooking.
+export const confirmBooking = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        if (!userId) {
+            return res.status(401).json({ success: false, message: "Authentication required" });
         }
 
-        if (!show.occupiedSeats) {
-            show.occupiedSeats = {};
+        const { bookingId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({ success: false, message: "Invalid bookingId" });
         }
 
-        for (const seat of booking.seats || []) {
-            show.occupiedSeats[seat] = booking.user.toString();
-
-            if (show.heldSeats?.[seat]) {
-                delete show.heldSeats[seat];
-            }
+        const booking = await Booking.findById(bookingId);
+        if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+        if (String(booking.user) !== String(userId)) {
+            return res.status(403).json({ success: false, message: "Not your booking" });
         }
 
-        show.markModified("occupiedSeats");
-        show.markModified("heldSeats");
-        await show.save();
+        // Already paid (usually the webhook got here first).
+        if (booking.isPaid) {
+            return booking.status === "confirmed"
+                ? res.json({ success: true, message: "Already confirmed", ticketUrl: booking.ticketUrl })
+                : res.json({ success: false, message: "This booking was cancelled" });
+        }
 
-        // 🔴 NEW: POPULATE & GENERATE TICKET
-        const populatedBooking = await Booking.findById(booking._id)
-            .populate({
-                path: "show",
-                populate: ["movie", "theater"],
-            });
+        if (booking.splitPayment) {
+            return res.status(400).json({ success: false, message: "This booking is paid in shares — confirm your share instead" });
+        }
 
-        const { url, path } = await generateTicketPdf(populatedBooking);
+        if (!booking.stripeSessionId) {
+            return res.status(400).json({ success: false, message: "No payment found for this booking" });
+        }
 
-        booking.ticketUrl = url;
-        booking.ticketPath = path;
-        await booking.save();
+        const payment = await getCheckoutPayment(booking.stripeSessionId, booking._id);
+        if (!payment.paid) {
+            return res.status(402).json({ success: false, message: "Payment not completed yet" });
+        }
 
-        // background email / tasks
-        try {
-            await inngest.send({
-                name: "app/show.booked",
-                data: { bookingId: booking._id.toString() },
+        const result = await confirmPaidBooking(booking._id, { paymentIntentId: payment.paymentIntentId });
+        if (!result.confirmed) {
+            return res.status(409).json({
+                success: false,
+                message: result.refunded
+                    ? result.reason === "seat_conflict"
+                        ? "Seats are no longer available — your payment has been refunded"
+                        : "The seat hold ended before your payment arrived — it has been refunded"
+                    : "This booking can't be confirmed",
             });
-        } catch (e) {
-            console.error("inngest error:", e?.message || e);
         }
 
-        // 🔴 send ticketUrl to frontend
         return res.json({
             success: true,
             message: "Booking confirmed",
-            ticketUrl: booking.ticketUrl,
+            ticketUrl: result.booking?.ticketUrl,
         });
     } catch (error) {
         console.error("confirmBooking error:", error.message);
@@ -686,63 +774,308 @@ export const confirmBooking = async (req, res) => {
     }
 };
 
-// Admin: clear stuck bookings (scans pending bookings expired and releases them)
-export const adminClearStuck = async (req, res) => {
+/* ------------------------------------------------------------------
+   SPLIT PAYMENT (group bookings paid share by share)
+------------------------------------------------------------------- */
+
+const VALID_EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const VALID_SHARE_TOKEN_REGEX = /^[A-Za-z0-9_-]{16,64}$/;
+
+// A share as the group sees it; the host also gets the invite email + link.
+const serializeShare = (share, { origin, forHost = false } = {}) => ({
+    _id: share._id,
+    isHost: share.isHost,
+    seats: share.seats,
+    seatsAmount: share.seatsAmount,
+    platformFee: share.platformFee,
+    addonAmount: share.addonAmount,
+    amount: share.amount,
+    status: share.status,
+    paidAt: share.paidAt,
+    ...(forHost ? { email: share.email, link: origin ? shareUrl(origin, share.token) : "" } : {}),
+});
+
+// POST /api/booking/:bookingId/split
+// Host splits their pending booking. Body: { invites: [{ seat, email? }] } —
+// one seat per friend; the host keeps (and pays for) the remaining seats + snacks.
+export const splitBookingPayment = async (req, res) => {
     try {
-        // protectAdmin middleware should be used on this route
-        const now = new Date();
-        // find bookings that are pending and expired
-        const stuck = await Booking.find({ status: "pending", expiresAt: { $lte: now } });
-
-        for (const b of stuck) {
-            // mark cancelled
-            b.status = "cancelled";
-            await b.save();
-
-            // remove held seats on the Show
-            const show = await Show.findById(b.show);
-            if (show && show.heldSeats) {
-                let removed = false;
-                for (const seat of (b.seats || [])) {
-                    if (show.heldSeats[seat] && String(show.heldSeats[seat].bookingId) === String(b._id)) {
-                        delete show.heldSeats[seat];
-                        removed = true;
-                    }
-                }
-                if (removed) {
-                    show.markModified("heldSeats");
-                    await show.save();
-                }
-            }
+        const { userId } = req.auth();
+        const { bookingId } = req.params;
+        const { origin } = req.headers;
+        const invites = Array.isArray(req.body?.invites) ? req.body.invites : [];
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({ success: false, message: "Invalid booking id" });
         }
+        if (!origin) return res.status(400).json({ success: false, message: "Missing origin" });
 
-        return res.json({ success: true, message: `Cleared ${stuck.length} stuck bookings` });
+        const booking = await Booking.findById(bookingId);
+        if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+        if (String(booking.user) !== String(userId)) {
+            return res.status(403).json({ success: false, message: "Not your booking" });
+        }
+        if (booking.status !== "pending" || booking.isPaid || booking.splitPayment) {
+            return res.status(409).json({ success: false, message: "This booking can no longer be split" });
+        }
+        if (booking.couponCode) {
+            return res.status(400).json({ success: false, message: "Coupons can't be combined with split payment — book again without the coupon" });
+        }
+
+        const cleaned = invites.map((i) => ({
+            seat: String(i?.seat || "").trim().toUpperCase(),
+            email: String(i?.email || "").trim().toLowerCase(),
+        }));
+        if (!cleaned.length) {
+            return res.status(400).json({ success: false, message: "Pick at least one seat for a friend" });
+        }
+        if (!cleaned.every((i) => booking.seats.includes(i.seat))) {
+            return res.status(400).json({ success: false, message: "Invites must be for seats in this booking" });
+        }
+        if (new Set(cleaned.map((i) => i.seat)).size !== cleaned.length) {
+            return res.status(400).json({ success: false, message: "Each seat can only be given to one friend" });
+        }
+        if (cleaned.length >= booking.seats.length) {
+            return res.status(400).json({ success: false, message: "Keep at least one seat for yourself" });
+        }
+        if (!cleaned.every((i) => !i.email || VALID_EMAIL_REGEX.test(i.email))) {
+            return res.status(400).json({ success: false, message: "Invalid email address" });
+        }
+
+        const show = await Show.findById(booking.show);
+        if (!show) return res.status(404).json({ success: false, message: "Show not found" });
+        const seatMap = await resolveSeatMap(show);
+        const prices = Object.fromEntries(
+            booking.seats.map((seat) => [seat, priceForSeat(seatMap, Number(show.showPrice), seat)])
+        );
+
+        const result = await splitBooking({
+            booking,
+            invites: cleaned,
+            prices,
+            feePerTicket: PLATFORM_FEE_PER_TICKET,
+            origin,
+        });
+        if (!result.ok) return res.status(409).json({ success: false, message: result.message });
+
+        return res.json({
+            success: true,
+            message: "Invites ready — share the links with your friends",
+            expiresAt: result.booking.expiresAt,
+            paymentLink: result.booking.paymentLink,
+            shares: result.shares.map((s) => serializeShare(s, { origin, forHost: true })),
+        });
     } catch (error) {
-        console.error("adminClearStuck error:", error.message);
-        return res.status(500).json({ success: false, message: "Failed to clear stuck bookings" });
+        console.error("splitBookingPayment error:", error);
+        return res.status(500).json({ success: false, message: "Failed to split payment" });
+    }
+};
+
+// GET /api/booking/:bookingId/split - Host's view of every share (status + invite links)
+export const getSplitShares = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { bookingId } = req.params;
+        const { origin } = req.headers;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({ success: false, message: "Invalid booking id" });
+        }
+        const booking = await Booking.findById(bookingId).select("user splitPayment status expiresAt");
+        if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+        if (String(booking.user) !== String(userId)) {
+            return res.status(403).json({ success: false, message: "Not your booking" });
+        }
+
+        const shares = booking.splitPayment
+            ? await BookingShare.find({ booking: booking._id }).sort({ isHost: -1, createdAt: 1 })
+            : [];
+        return res.json({
+            success: true,
+            status: booking.status,
+            expiresAt: booking.expiresAt,
+            shares: shares.map((s) => serializeShare(s, { origin, forHost: true })),
+        });
+    } catch (error) {
+        console.error("getSplitShares error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load shares" });
     }
 };
 
-export const downloadTicketPdf = async (req, res) => {
-    const booking = await Booking.findById(req.params.bookingId)
-        .populate({
+// Share for an invite token, with its booking (show → movie + theater).
+const findShare = async (token) => {
+    if (!VALID_SHARE_TOKEN_REGEX.test(String(token || ""))) return null;
+    return BookingShare.findOne({ token }).populate({
+        path: "booking",
+        populate: {
             path: "show",
-            populate: "movie",
+            populate: [
+                { path: "movie", select: "title poster_path backdrop_path certification runtime" },
+                { path: "theater", select: "name city address" },
+            ],
+        },
+    });
+};
+
+// Restricted (A) titles: whoever pays for a share must be signed in with an
+// attested date of birth that makes them old enough on the day of the show,
+// as when booking directly. Returns { status, body } to send, or null.
+const sharePayerAgeError = async (userId, show) => {
+    const certification = show?.movie?.certification;
+    if (!isRestricted(certification)) return null;
+
+    if (!userId) {
+        return {
+            status: 401,
+            body: {
+                success: false,
+                code: "SIGN_IN_REQUIRED",
+                certification,
+                message: `This movie is rated ${certification}. Sign in to pay for your seat.`,
+            },
+        };
+    }
+    const profile = await User.findById(userId).select("dateOfBirth").lean();
+    if (!profile?.dateOfBirth) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                code: "AGE_REQUIRED",
+                certification,
+                message: `This movie is rated ${certification}. Confirm your date of birth to pay for your seat.`,
+            },
+        };
+    }
+    if (ageOn(profile.dateOfBirth, show.showDateTime) < minimumAge(certification)) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                code: "UNDERAGE",
+                certification,
+                message: `This movie is rated ${certification} — you must be ${minimumAge(certification)} or older to pay for a seat.`,
+            },
+        };
+    }
+    return null;
+};
+
+// GET /api/booking/share/:token - Invite page (no sign-in needed; the token is the key)
+export const getShare = async (req, res) => {
+    try {
+        const share = await findShare(req.params.token);
+        if (!share?.booking) return res.status(404).json({ success: false, message: "Invite not found" });
+
+        const booking = share.booking;
+        const show = booking.show;
+        const group = await BookingShare.find({ booking: booking._id }).sort({ isHost: -1, createdAt: 1 });
+        const { userId } = req.auth();
+
+        return res.json({
+            success: true,
+            share: { ...serializeShare(share), paymentError: share.paymentError },
+            booking: {
+                _id: booking._id,
+                status: booking.status,
+                expiresAt: booking.expiresAt,
+                hostName: (booking.userSnapshot?.name || "").split(" ")[0] || "A friend",
+                isHostViewer: !!userId && String(booking.user) === String(userId),
+                snacks: share.isHost ? booking.snacks : [],
+            },
+            show: show
+                ? {
+                    _id: show._id,
+                    showDateTime: show.showDateTime,
+                    language: show.language,
+                    subtitles: show.subtitles,
+                    movie: show.movie,
+                    theater: show.theater,
+                }
+                : null,
+            group: group.map((s) => ({ seats: s.seats, status: s.status, isHost: s.isHost, isYou: String(s._id) === String(share._id) })),
         });
+    } catch (error) {
+        console.error("getShare error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load invite" });
+    }
+};
 
-    if (!booking || !booking.isPaid) {
-        return res.status(403).send("Invalid ticket");
+// POST /api/booking/share/:token/pay - Stripe Checkout for this share (returns { url })
+export const payShare = async (req, res) => {
+    try {
+        const { origin } = req.headers;
+        if (!origin) return res.status(400).json({ success: false, message: "Missing origin" });
+
+        const share = await findShare(req.params.token);
+        if (!share?.booking) return res.status(404).json({ success: false, message: "Invite not found" });
+
+        const booking = share.booking;
+        const { userId } = req.auth();
+        const ageError = await sharePayerAgeError(userId, booking.show);
+        if (ageError) return res.status(ageError.status).json(ageError.body);
+
+        const { url, error } = await checkoutShare({
+            share,
+            booking,
+            movieTitle: booking.show?.movie?.title,
+            origin,
+        });
+        if (error) return res.status(409).json({ success: false, message: error });
+
+        return res.json({ success: true, url });
+    } catch (error) {
+        console.error("payShare error:", error);
+        return res.status(500).json({ success: false, message: "Payment session creation failed" });
     }
+};
+
+// POST /api/booking/share/:token/confirm
+// Called by the invite page after the Stripe redirect; like confirm-booking,
+// only a session Stripe reports as paid confirms the share.
+export const confirmShare = async (req, res) => {
+    try {
+        const share = await findShare(req.params.token);
+        if (!share?.booking) return res.status(404).json({ success: false, message: "Invite not found" });
+
+        if (share.status === "paid") return res.json({ success: true, message: "Already paid" });
+        if (share.status !== "pending") {
+            return res.status(409).json({ success: false, message: "This share can no longer be paid" });
+        }
+        if (!share.stripeSessionId) {
+            return res.status(400).json({ success: false, message: "No payment found for this share" });
+        }
 
-    // optional expiry check
-    const runtime = booking.show?.movie?.runtime;
-    if (runtime) {
-        const showStart = new Date(booking.show.showDateTime).getTime();
-        const expiry = showStart + runtime * 60 * 1000 - 10 * 60 * 1000;
-        if (Date.now() > expiry) {
-            return res.status(410).send("Ticket expired");
+        const payment = await getCheckoutPayment(share.stripeSessionId, share.booking._id, { shareId: share._id });
+        if (!payment.paid) {
+            return res.status(402).json({ success: false, message: "Payment not completed yet" });
         }
+
+        const { userId } = req.auth();
+        const result = await confirmPaidShare(share._id, { paymentIntentId: payment.paymentIntentId, paidBy: userId || "" });
+        if (!result.confirmed) {
+            return res.status(409).json({
+                success: false,
+                message: "The seat hold ended before your payment arrived — it has been refunded",
+            });
+        }
+
+        return res.json({ success: true, message: "Your seat is confirmed" });
+    } catch (error) {
+        console.error("confirmShare error:", error);
+        return res.status(500).json({ success: false, message: "Failed to confirm payment" });
     }
+};
+
+// Admin: clear stuck bookings (scans pending bookings expired and releases them)
+export const adminClearStuck = async (req, res) => {
+    try {
+        // protectAdmin middleware should be used on this route
+        const cleared = (await expireStaleBookings()) + (await settleLapsedSplitBookings());
 
-    res.download(booking.ticketPath);
-};
\ No newline at end of file
+        return res.json({ success: true, message: `Cleared ${cleared} stuck bookings` });
+    } catch (error) {
+        console.error("adminClearStuck error:", error.message);
+        return res.status(500).json({ success: false, message: "Failed to clear stuck bookings" });
+    }
+};
@@ -0,0 +1,69 @@
+// controllers/checkInController.js - Door check-in: verify signed ticket QR codes and admit seats
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Show from "../models/Show.js";
+import { checkInTicket } from "../services/ticketCodeService.js";
+
+// GET /api/admin/check-in/shows - Shows of a day to scan for, with sold / admitted counts. Query: ?date=YYYY-MM-DD (default today)
+export const listCheckInShows = async (req, res) => {
+    try {
+        const dayStart = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+        if (isNaN(dayStart.getTime())) return res.status(400).json({ success: false, message: "Invalid date" });
+        dayStart.setHours(0, 0, 0, 0);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        const shows = await Show.find({
+            showDateTime: { $gte: dayStart, $lt: dayEnd },
+            isActive: { $ne: false },
+        })
+            .populate("movie", "title")
+            .populate("theater", "name city")
+            .sort({ showDateTime: 1 })
+            .lean();
+
+        const admitted = await Booking.aggregate([
+            { $match: { show: { $in: shows.map((s) => String(s._id)) }, status: "confirmed" } },
+            { $project: { show: 1, count: { $size: { $ifNull: ["$admissions", []] } } } },
+            { $group: { _id: "$show", admitted: { $sum: "$count" } } },
+        ]);
+        const admittedByShow = new Map(admitted.map((a) => [String(a._id), a.admitted]));
+
+        return res.json({
+            success: true,
+            shows: shows.map((s) => ({
+                _id: s._id,
+                showDateTime: s.showDateTime,
+                movie: s.movie?.title || "",
+                theater: s.theater?.name || "",
+                city: s.theater?.city || "",
+                screenName: s.screenName || "",
+                format: s.format,
+                experience: s.experience,
+                sold: Object.keys(s.occupiedSeats || {}).length,
+                admitted: admittedByShow.get(String(s._id)) || 0,
+            })),
+        });
+    } catch (error) {
+        console.error("listCheckInShows error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load shows" });
+    }
+};
+
+// POST /api/admin/check-in - Verify a scanned ticket and admit its seats once. Body: { code, showId }
+export const checkIn = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { code, showId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(showId)) {
+            return res.status(400).json({ success: false, message: "Pick the show you're admitting for" });
+        }
+        if (!String(code || "").trim()) return res.status(400).json({ success: false, message: "No ticket code" });
+
+        const outcome = await checkInTicket({ code, showId, staffId: userId });
+        return res.json({ success: true, ...outcome });
+    } catch (error) {
+        console.error("checkIn error:", error);
+        return res.status(500).json({ success: false, message: "Check-in failed" });
+    }
+};
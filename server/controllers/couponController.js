@@ -0,0 +1,278 @@
+// controllers/couponController.js - Coupon validation, public offers and admin coupon management
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Coupon from "../models/Coupon.js";
+import Show from "../models/Show.js";
+import { evaluateCoupon } from "../services/couponService.js";
+import { isSellableSeat, priceForSeat, resolveSeatMap } from "../services/seatMapService.js";
+
+// POST /api/coupon/validate - { code, showId, selectedSeats } → discount on the current selection
+// Works signed out too; per-user limits are only checked when signed in.
+export const validateCoupon = async (req, res) => {
+    try {
+        const { code, showId, selectedSeats = [] } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(showId)) {
+            return res.status(400).json({ success: false, message: "Invalid showId" });
+        }
+        if (!Array.isArray(selectedSeats) || selectedSeats.length === 0) {
+            return res.status(400).json({ success: false, message: "Select seats before applying a coupon" });
+        }
+
+        const show = await Show.findById(showId).select("movie theater screen format experience showDateTime showPrice").lean();
+        if (!show) return res.status(404).json({ success: false, message: "Show not found" });
+
+        // Ticket subtotal priced the same way createBooking prices it.
+        const seatMap = await resolveSeatMap(show);
+        const seats = selectedSeats.filter((s) => typeof s === "string" && isSellableSeat(seatMap, s));
+        const subtotal = seats.reduce((acc, s) => acc + priceForSeat(seatMap, show.showPrice, s), 0);
+
+        const userId = req.auth?.()?.userId || null;
+        const result = await evaluateCoupon({ code, userId, show, subtotal });
+
+        return res.json({
+            success: true,
+            valid: result.valid,
+            code: result.code,
+            discount: result.discount,
+            label: result.label || "",
+            message: result.message,
+        });
+    } catch (error) {
+        console.error("validateCoupon error:", error);
+        return res.status(500).json({ success: false, message: "Failed to validate coupon" });
+    }
+};
+
+// Coupons that are live right now: active, inside their window, not used up.
+const liveCouponFilter = (now = new Date()) => ({
+    isActive: { $ne: false },
+    $and: [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validTo: null }, { validTo: { $gt: now } }] },
+        { $or: [{ usageLimit: { $lte: 0 } }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }] },
+    ],
+});
+
+// GET /api/coupon/public - Live public coupons for the home page offers strip
+export const getPublicCoupons = async (req, res) => {
+    try {
+        const coupons = await Coupon.find({ ...liveCouponFilter(), isPublic: { $ne: false } })
+            .select("code label type value maxDiscount minSubtotal validTo applicableFormats applicableWeekdays")
+            .sort({ createdAt: -1 })
+            .limit(12)
+            .lean();
+
+        return res.json({ success: true, coupons });
+    } catch (error) {
+        console.error("getPublicCoupons error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load offers" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------------- */
+
+const COUPON_CODE_REGEX = /^[A-Z0-9_-]{3,20}$/;
+
+const toDateOrNull = (v) => {
+    if (v === undefined || v === null || v === "") return null;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const nonNegative = (v) => Math.max(0, Number(v) || 0);
+
+/**
+ * Validates an admin payload and returns { coupon } with clean fields,
+ * or { error } with a message for the admin.
+ */
+const normalizeCouponInput = (body = {}) => {
+    const type = body.type === "flat" ? "flat" : body.type === "percent" ? "percent" : null;
+    if (!type) return { error: "Type must be percent or flat" };
+
+    const value = Number(body.value);
+    if (!Number.isFinite(value) || value <= 0) return { error: "Value must be more than 0" };
+    if (type === "percent" && value > 100) return { error: "Percent value can't exceed 100" };
+
+    const validFrom = toDateOrNull(body.validFrom);
+    const validTo = toDateOrNull(body.validTo);
+    if (validFrom === undefined || validTo === undefined) return { error: "Invalid validity date" };
+    if (validFrom && validTo && validTo <= validFrom) return { error: "Valid-to must be after valid-from" };
+
+    const weekdays = [...new Set((Array.isArray(body.applicableWeekdays) ? body.applicableWeekdays : []).map(Number))]
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort();
+
+    const theaters = (Array.isArray(body.applicableTheaters) ? body.applicableTheaters : [])
+        .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+    return {
+        coupon: {
+            label: String(body.label || "").trim(),
+            type,
+            value,
+            maxDiscount: type === "percent" && Number(body.maxDiscount) > 0 ? Number(body.maxDiscount) : null,
+            minSubtotal: nonNegative(body.minSubtotal),
+            validFrom,
+            validTo,
+            perUserLimit: nonNegative(body.perUserLimit),
+            usageLimit: nonNegative(body.usageLimit),
+            applicableFormats: [...new Set((body.applicableFormats || []).map((f) => String(f).trim()).filter(Boolean))],
+            applicableTheaters: theaters,
+            applicableMovies: [...new Set((body.applicableMovies || []).map((m) => String(m).trim()).filter(Boolean))],
+            applicableWeekdays: weekdays,
+            isPublic: body.isPublic !== false,
+        },
+    };
+};
+
+// GET /api/admin/coupons - All coupons with redemption counts + discount totals (from bookings)
+export const listCoupons = async (req, res) => {
+    try {
+        const [coupons, stats] = await Promise.all([
+            Coupon.find({}).sort({ createdAt: -1 }).lean(),
+            Booking.aggregate([
+                { $match: { couponCode: { $nin: ["", null] }, deletedAt: null } },
+                {
+                    // Redeemed = paid and not cancelled afterwards.
+                    $addFields: {
+                        redeemed: { $and: [{ $eq: ["$isPaid", true] }, { $ne: ["$status", "cancelled"] }] },
+                    },
+                },
+                {
+                    $group: {
+                        _id: "$couponCode",
+                        redemptions: { $sum: { $cond: ["$redeemed", 1, 0] } },
+                        discountTotal: { $sum: { $cond: ["$redeemed", "$discount", 0] } },
+                        cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+                        pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } },
+                    },
+                },
+            ]),
+        ]);
+
+        const byCode = Object.fromEntries(stats.map((s) => [s._id, s]));
+        const now = new Date();
+
+        return res.json({
+            success: true,
+            coupons: coupons.map((c) => {
+                const s = byCode[c.code] || {};
+                let state = "active";
+                if (c.isActive === false) state = "paused";
+                else if (c.validTo && c.validTo <= now) state = "expired";
+                else if (c.validFrom && c.validFrom > now) state = "scheduled";
+                else if (c.usageLimit > 0 && c.usedCount >= c.usageLimit) state = "used-up";
+
+                return {
+                    ...c,
+                    state,
+                    redemptions: s.redemptions || 0,
+                    discountTotal: s.discountTotal || 0,
+                    cancelled: s.cancelled || 0,
+                    pending: s.pending || 0,
+                };
+            }),
+        });
+    } catch (error) {
+        console.error("listCoupons error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load coupons" });
+    }
+};
+
+// POST /api/admin/coupons - Create a coupon
+export const createCoupon = async (req, res) => {
+    try {
+        const code = String(req.body.code || "").toUpperCase().trim();
+        if (!COUPON_CODE_REGEX.test(code)) {
+            return res.status(400).json({ success: false, message: "Code must be 3-20 letters, digits, - or _" });
+        }
+
+        const { coupon, error } = normalizeCouponInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const created = await Coupon.create({ ...coupon, code, isActive: true });
+        return res.json({ success: true, message: "Coupon created", coupon: created });
+    } catch (error) {
+        if (error?.code === 11000) {
+            return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+        }
+        console.error("createCoupon error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create coupon" });
+    }
+};
+
+// PUT /api/admin/coupons/:couponId - Edit a coupon's rules (the code itself can't change)
+export const updateCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ success: false, message: "Invalid couponId" });
+        }
+
+        const { coupon, error } = normalizeCouponInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const updated = await Coupon.findByIdAndUpdate(couponId, { $set: coupon }, { new: true, runValidators: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+        return res.json({ success: true, message: "Coupon saved", coupon: updated });
+    } catch (error) {
+        console.error("updateCoupon error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save coupon" });
+    }
+};
+
+// PATCH /api/admin/coupons/:couponId/active - Pause / resume { isActive }
+export const setCouponActive = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ success: false, message: "Invalid couponId" });
+        }
+        if (typeof req.body?.isActive !== "boolean") {
+            return res.status(400).json({ success: false, message: "isActive must be true or false" });
+        }
+
+        const updated = await Coupon.findByIdAndUpdate(
+            couponId,
+            { $set: { isActive: req.body.isActive } },
+            { new: true }
+        );
+        if (!updated) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+        return res.json({
+            success: true,
+            message: updated.isActive ? "Coupon resumed" : "Coupon paused",
+            coupon: updated,
+        });
+    } catch (error) {
+        console.error("setCouponActive error:", error);
+        return res.status(500).json({ success: false, message: "Failed to update coupon" });
+    }
+};
+
+// POST /api/admin/coupons/:couponId/expire - End a coupon now (validTo = now)
+export const expireCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ success: false, message: "Invalid couponId" });
+        }
+
+        const now = new Date();
+        const updated = await Coupon.findByIdAndUpdate(
+            couponId,
+            [{ $set: { validTo: now, validFrom: { $cond: [{ $gt: ["$validFrom", now] }, now, "$validFrom"] } } }],
+            { new: true }
+        );
+        if (!updated) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+        return res.json({ success: true, message: "Coupon expired", coupon: updated });
+    } catch (error) {
+        console.error("expireCoupon error:", error);
+        return res.status(500).json({ success: false, message: "Failed to expire coupon" });
+    }
+};
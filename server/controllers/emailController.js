@@ -0,0 +1,19 @@
+// controllers/emailController.js - Admin previews of the transactional email templates
+import { emailTemplateList, previewEmail } from "../services/emailService.js";
+
+// GET /api/admin/emails - Email templates with what each is for
+export const listEmailTemplates = (req, res) => {
+    res.json({ success: true, templates: emailTemplateList() });
+};
+
+// GET /api/admin/emails/:template - One template rendered with sample data: { subject, html, text, attachments }
+export const getEmailPreview = (req, res) => {
+    try {
+        const preview = previewEmail(req.params.template);
+        if (!preview) return res.status(404).json({ success: false, message: "Email template not found" });
+        return res.json({ success: true, preview });
+    } catch (error) {
+        console.error("getEmailPreview error:", error);
+        return res.status(500).json({ success: false, message: "Failed to render email preview" });
+    }
+};
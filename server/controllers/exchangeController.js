@@ -0,0 +1,233 @@
+// controllers/exchangeController.js - Move a confirmed booking to another showtime or other seats
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import BookingExchange from "../models/BookingExchange.js";
+import Show from "../models/Show.js";
+import { isSellableSeat, resolveSeatMap } from "../services/seatMapService.js";
+import { quoteRefund } from "../services/refundPolicyService.js";
+import { getCheckoutPayment } from "../services/paymentService.js";
+import {
+    closeExchange,
+    confirmPaidExchange,
+    exchangeRefundAmount,
+    priceExchange,
+    startExchange,
+} from "../services/exchangeService.js";
+
+const VALID_SEAT_REGEX = /^[A-Z]\d{1,2}$/;
+
+const serializeExchange = (e) => ({
+    _id: e._id,
+    booking: e.booking,
+    fromShow: e.fromShow,
+    fromSeats: e.fromSeats,
+    toShow: e.toShow,
+    toSeats: e.toSeats,
+    difference: e.difference,
+    refundAmount: e.refundAmount,
+    status: e.status,
+    expiresAt: e.expiresAt,
+    completedAt: e.completedAt,
+    note: e.note,
+});
+
+/**
+ * Checks that the owner may move `bookingId` to `seats` of `showId`.
+ * Returns { booking, fromShow, toShow, seats, quote } or { status, message }.
+ */
+const loadExchange = async (userId, bookingId, { showId, seats }) => {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) return { status: 400, message: "Invalid booking id" };
+    if (!mongoose.Types.ObjectId.isValid(showId)) return { status: 400, message: "Pick a showtime" };
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.deletedAt) return { status: 404, message: "Booking not found" };
+    if (String(booking.user) !== String(userId)) return { status: 403, message: "Not your booking" };
+    if (booking.status !== "confirmed" || !booking.isPaid) {
+        return { status: 400, message: "Only confirmed tickets can be changed" };
+    }
+    if (booking.splitPayment) {
+        return { status: 400, message: "Group bookings paid in shares can't be changed" };
+    }
+    if (booking.transferredFrom) {
+        return { status: 400, message: "Tickets transferred to you can't be changed" };
+    }
+
+    const picked = Array.isArray(seats) ? [...new Set(seats.map(String))] : [];
+    if (picked.length !== booking.seats.length) {
+        return { status: 400, message: `Pick ${booking.seats.length} seat${booking.seats.length === 1 ? "" : "s"} — the same number as your booking` };
+    }
+    if (!picked.every((s) => VALID_SEAT_REGEX.test(s))) return { status: 400, message: "Invalid seat format" };
+
+    const [fromShow, toShow] = await Promise.all([
+        Show.findById(booking.show),
+        Show.findById(showId).populate("theater", "name isActive"),
+    ]);
+    if (!fromShow) return { status: 404, message: "Show not found" };
+
+    // Changes close together with cancellations, under the show's refund policy.
+    const quote = await quoteRefund({ booking, show: fromShow });
+    if (!quote.allowed) return { status: 400, message: quote.message.replace("Cancellation window", "The window for changes") };
+
+    if (!toShow || !toShow.isActive || toShow.hidden || toShow.theater?.isActive === false) {
+        return { status: 404, message: "That showtime isn't available" };
+    }
+    if (String(toShow.movie) !== String(fromShow.movie)) {
+        return { status: 400, message: "You can only change to another showtime of the same movie" };
+    }
+    if (new Date(toShow.showDateTime).getTime() <= Date.now()) {
+        return { status: 400, message: "That showtime has already started" };
+    }
+    const sameShow = String(toShow._id) === String(fromShow._id);
+    if (sameShow && picked.every((s) => booking.seats.includes(s))) {
+        return { status: 400, message: "Those are already your seats" };
+    }
+    // Snacks are prepared by the theater they were ordered from.
+    if (booking.snacks?.length && String(toShow.theater?._id) !== String(fromShow.theater)) {
+        return { status: 400, message: "Your booking includes snacks, so pick a showtime at the same theater" };
+    }
+
+    const seatMap = await resolveSeatMap(toShow);
+    if (!picked.every((seat) => isSellableSeat(seatMap, seat))) {
+        return { status: 400, message: "Selected seat is not available on this screen" };
+    }
+    const takenByOthers = picked.some((seat) => {
+        const owner = toShow.occupiedSeats?.[seat];
+        return owner && !(sameShow && booking.seats.includes(seat));
+    });
+    if (takenByOthers) return { status: 409, message: "Some of those seats are already booked" };
+
+    return { booking, fromShow, toShow, seats: picked, quote };
+};
+
+const readSeats = (raw) =>
+    Array.isArray(raw) ? raw : String(raw || "").split(",").filter(Boolean);
+
+// GET /api/booking/:bookingId/exchange - Price of a change. Query: ?showId=...&seats=A1,A2
+export const getExchangeQuote = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const result = await loadExchange(userId, req.params.bookingId, {
+            showId: req.query.showId,
+            seats: readSeats(req.query.seats),
+        });
+        if (!result.booking) return res.status(result.status).json({ success: false, message: result.message });
+
+        const { before, after, difference } = await priceExchange({
+            booking: result.booking,
+            toShow: result.toShow,
+            seats: result.seats,
+        });
+        return res.json({
+            success: true,
+            quote: {
+                before,
+                after,
+                difference,
+                refundAmount: exchangeRefundAmount(difference, result.quote),
+                refundPercent: result.quote.percent,
+                policy: result.quote.policy.name,
+            },
+        });
+    } catch (error) {
+        console.error("getExchangeQuote error:", error);
+        return res.status(500).json({ success: false, message: "Failed to price this change" });
+    }
+};
+
+// POST /api/booking/:bookingId/exchange - Move a booking. Body: { showId, seats }
+// Applies right away when nothing is due; otherwise returns a Checkout link for the difference.
+export const exchangeBooking = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { origin } = req.headers;
+        const result = await loadExchange(userId, req.params.bookingId, {
+            showId: req.body?.showId,
+            seats: req.body?.seats,
+        });
+        if (!result.booking) return res.status(result.status).json({ success: false, message: result.message });
+
+        const populated = await Show.findById(result.fromShow._id).populate("movie", "title").lean();
+        const { exchange, paymentLink, error } = await startExchange({
+            ...result,
+            movieTitle: populated?.movie?.title || "",
+            origin: origin || "",
+            customerEmail: result.booking.userSnapshot?.email || "",
+        });
+        if (error) return res.status(409).json({ success: false, message: error });
+
+        if (paymentLink) {
+            return res.json({
+                success: true,
+                completed: false,
+                paymentLink,
+                exchange: serializeExchange(exchange),
+                message: "Pay the difference to complete the change",
+            });
+        }
+        return res.json({
+            success: true,
+            completed: true,
+            exchange: serializeExchange(exchange),
+            message: exchange.refundAmount > 0
+                ? `Booking changed — refund of ${exchange.refundAmount} initiated for the price difference`
+                : "Booking changed — your new ticket is ready",
+        });
+    } catch (error) {
+        console.error("exchangeBooking error:", error);
+        return res.status(500).json({ success: false, message: "Failed to change booking" });
+    }
+};
+
+// Loads one of the signed-in user's exchanges.
+const findOwnExchange = async (userId, exchangeId) => {
+    if (!mongoose.Types.ObjectId.isValid(exchangeId)) return null;
+    return BookingExchange.findOne({ _id: exchangeId, user: userId });
+};
+
+// POST /api/booking/exchange/:exchangeId/confirm - Back from Checkout: apply the paid change
+export const confirmExchange = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const exchange = await findOwnExchange(userId, req.params.exchangeId);
+        if (!exchange) return res.status(404).json({ success: false, message: "Exchange not found" });
+        if (exchange.status === "completed") {
+            return res.json({ success: true, message: "Booking already changed", exchange: serializeExchange(exchange) });
+        }
+        if (exchange.status !== "awaiting_payment") {
+            return res.status(409).json({ success: false, message: exchange.note || "This change is no longer open" });
+        }
+
+        const payment = await getCheckoutPayment(exchange.stripeSessionId, exchange.booking, { exchangeId: exchange._id });
+        if (!payment.paid) return res.status(402).json({ success: false, message: "Payment not completed yet" });
+
+        const result = await confirmPaidExchange(exchange._id, { paymentIntentId: payment.paymentIntentId });
+        if (!result.completed) {
+            return res.status(409).json({ success: false, message: `${result.reason} — your payment will be refunded` });
+        }
+        return res.json({
+            success: true,
+            message: "Booking changed — your new ticket is ready",
+            exchange: serializeExchange(await BookingExchange.findById(exchange._id)),
+        });
+    } catch (error) {
+        console.error("confirmExchange error:", error);
+        return res.status(500).json({ success: false, message: "Failed to confirm the change" });
+    }
+};
+
+// POST /api/booking/exchange/:exchangeId/cancel - Give up an unpaid change (frees the new seats)
+export const cancelExchange = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const exchange = await findOwnExchange(userId, req.params.exchangeId);
+        if (!exchange) return res.status(404).json({ success: false, message: "Exchange not found" });
+
+        if (!(await closeExchange(exchange._id))) {
+            return res.status(409).json({ success: false, message: "This change can't be cancelled any more" });
+        }
+        return res.json({ success: true, message: "Change cancelled — your booking is unchanged" });
+    } catch (error) {
+        console.error("cancelExchange error:", error);
+        return res.status(500).json({ success: false, message: "Failed to cancel the change" });
+    }
+};
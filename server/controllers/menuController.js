@@ -0,0 +1,127 @@
+// controllers/menuController.js - Food & beverage menu for a show's theater + admin menu management
+import mongoose from "mongoose";
+import MenuItem from "../models/MenuItem.js";
+import Show from "../models/Show.js";
+import { getMenuForTheater, MAX_QTY_PER_ITEM } from "../services/menuService.js";
+
+const CATEGORIES = ["combo", "snack", "beverage"];
+
+// GET /api/menu/show/:showId - Snacks & beverages on sale at the show's theater
+export const getShowMenu = async (req, res) => {
+    try {
+        const { showId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(showId)) {
+            return res.status(400).json({ success: false, message: "Invalid showId" });
+        }
+
+        const show = await Show.findById(showId).select("theater").lean();
+        if (!show) return res.status(404).json({ success: false, message: "Show not found" });
+
+        const items = await getMenuForTheater(show.theater);
+        return res.json({
+            success: true,
+            maxQtyPerItem: MAX_QTY_PER_ITEM,
+            items: items.map((i) => ({
+                _id: i._id,
+                name: i.name,
+                description: i.description,
+                emoji: i.emoji,
+                category: i.category,
+                price: i.price,
+            })),
+        });
+    } catch (error) {
+        console.error("getShowMenu error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load menu" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------------- */
+
+/**
+ * Validates an admin payload and returns { item } with clean fields,
+ * or { error } with a message for the admin.
+ */
+const normalizeMenuInput = (body = {}) => {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Item name is required" };
+
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0) return { error: "Price must be more than 0" };
+
+    const theater = body.theater ? String(body.theater) : null;
+    if (theater && !mongoose.Types.ObjectId.isValid(theater)) return { error: "Invalid theater" };
+
+    return {
+        item: {
+            theater,
+            name,
+            description: String(body.description || "").trim(),
+            emoji: String(body.emoji || "").trim() || "🍿",
+            category: CATEGORIES.includes(body.category) ? body.category : "snack",
+            price: Math.round(price),
+            sortOrder: Number(body.sortOrder) || 0,
+            isAvailable: body.isAvailable !== false,
+        },
+    };
+};
+
+// GET /api/admin/menu?theaterId= - Menu items (chain-wide + the theater's own; all items without a theater filter)
+export const listMenuItems = async (req, res) => {
+    try {
+        const { theaterId } = req.query;
+        const filter = {};
+        if (theaterId) {
+            if (!mongoose.Types.ObjectId.isValid(theaterId)) {
+                return res.status(400).json({ success: false, message: "Invalid theaterId" });
+            }
+            filter.theater = { $in: [theaterId, null] };
+        }
+
+        const items = await MenuItem.find(filter)
+            .populate("theater", "name city")
+            .sort({ theater: 1, sortOrder: 1, name: 1 })
+            .lean();
+        return res.json({ success: true, items });
+    } catch (error) {
+        console.error("listMenuItems error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load menu" });
+    }
+};
+
+// POST /api/admin/menu - Add a menu item { theater?, name, price, emoji, category, ... }
+export const createMenuItem = async (req, res) => {
+    try {
+        const { item, error } = normalizeMenuInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const created = await MenuItem.create(item);
+        return res.json({ success: true, message: "Menu item added", item: created });
+    } catch (error) {
+        console.error("createMenuItem error:", error);
+        return res.status(500).json({ success: false, message: "Failed to add menu item" });
+    }
+};
+
+// PUT /api/admin/menu/:itemId - Edit a menu item (past bookings keep their own name/price copy)
+export const updateMenuItem = async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(itemId)) {
+            return res.status(400).json({ success: false, message: "Invalid itemId" });
+        }
+
+        const { item, error } = normalizeMenuInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const updated = await MenuItem.findByIdAndUpdate(itemId, { $set: item }, { new: true, runValidators: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Menu item not found" });
+
+        return res.json({ success: true, message: "Menu item saved", item: updated });
+    } catch (error) {
+        console.error("updateMenuItem error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save menu item" });
+    }
+};
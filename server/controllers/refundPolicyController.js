@@ -0,0 +1,108 @@
+// controllers/refundPolicyController.js - Admin management of cancellation / refund policies
+import mongoose from "mongoose";
+import RefundPolicy from "../models/RefundPolicy.js";
+import { DEFAULT_POLICY } from "../services/refundPolicyService.js";
+
+/**
+ * Validates an admin payload and returns { policy } with clean fields,
+ * or { error } with a message for the admin.
+ */
+const normalizePolicyInput = (body = {}) => {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Give the policy a name" };
+
+    const theater = body.theater ? String(body.theater) : null;
+    if (theater && !mongoose.Types.ObjectId.isValid(theater)) return { error: "Invalid theater" };
+
+    const tiers = [];
+    for (const t of Array.isArray(body.tiers) ? body.tiers : []) {
+        const hoursBefore = Number(t?.hoursBefore);
+        const percent = Number(t?.percent);
+        if (!Number.isFinite(hoursBefore) || hoursBefore < 0) return { error: "Tier hours must be 0 or more" };
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) return { error: "Tier refund must be 0-100%" };
+        tiers.push({ hoursBefore, percent });
+    }
+    if (!tiers.length) return { error: "Add at least one refund tier" };
+    if (new Set(tiers.map((t) => t.hoursBefore)).size !== tiers.length) {
+        return { error: "Two tiers can't start at the same number of hours" };
+    }
+    tiers.sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+    const cutoffMinutes = Number(body.cutoffMinutes ?? DEFAULT_POLICY.cutoffMinutes);
+    if (!Number.isFinite(cutoffMinutes) || cutoffMinutes < 0) return { error: "Cutoff must be 0 minutes or more" };
+
+    return {
+        policy: {
+            name,
+            theater,
+            format: String(body.format || "").trim(),
+            tiers,
+            cutoffMinutes,
+            refundPlatformFee: body.refundPlatformFee === true,
+            refundSnacks: body.refundSnacks !== false,
+        },
+    };
+};
+
+// GET /api/admin/refund-policies - All policies (newest first) + the built-in fallback
+export const listRefundPolicies = async (req, res) => {
+    try {
+        const policies = await RefundPolicy.find({}).sort({ createdAt: -1 }).populate("theater", "name city").lean();
+        return res.json({ success: true, policies, defaultPolicy: DEFAULT_POLICY });
+    } catch (error) {
+        console.error("listRefundPolicies error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load refund policies" });
+    }
+};
+
+// POST /api/admin/refund-policies - Create a policy
+export const createRefundPolicy = async (req, res) => {
+    try {
+        const { policy, error } = normalizePolicyInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const created = await RefundPolicy.create({ ...policy, isActive: true });
+        return res.json({ success: true, message: "Refund policy created", policy: created });
+    } catch (error) {
+        console.error("createRefundPolicy error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create refund policy" });
+    }
+};
+
+// PUT /api/admin/refund-policies/:policyId - Edit a policy (applies to cancellations from now on)
+export const updateRefundPolicy = async (req, res) => {
+    try {
+        const { policyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(policyId)) {
+            return res.status(400).json({ success: false, message: "Invalid policy id" });
+        }
+
+        const { policy, error } = normalizePolicyInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const updated = await RefundPolicy.findByIdAndUpdate(policyId, { $set: policy }, { new: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Refund policy not found" });
+        return res.json({ success: true, message: "Refund policy saved", policy: updated });
+    } catch (error) {
+        console.error("updateRefundPolicy error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save refund policy" });
+    }
+};
+
+// PATCH /api/admin/refund-policies/:policyId/active - Pause / resume. Body: { isActive }
+export const setRefundPolicyActive = async (req, res) => {
+    try {
+        const { policyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(policyId)) {
+            return res.status(400).json({ success: false, message: "Invalid policy id" });
+        }
+
+        const isActive = req.body.isActive !== false;
+        const updated = await RefundPolicy.findByIdAndUpdate(policyId, { $set: { isActive } }, { new: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Refund policy not found" });
+        return res.json({ success: true, message: isActive ? "Policy resumed" : "Policy paused" });
+    } catch (error) {
+        console.error("setRefundPolicyActive error:", error);
+        return res.status(500).json({ success: false, message: "Failed to update refund policy" });
+    }
+};
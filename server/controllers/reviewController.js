@@ -0,0 +1,330 @@
+// controllers/reviewController.js - Audience reviews (post, helpful votes, reports) + admin moderation
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import Show from "../models/Show.js";
+import User from "../models/User.js";
+
+const PAGE_SIZE = 10;
+const MAX_TEXT_LENGTH = 1000;
+const REPORT_REASONS = ["spoiler", "offensive", "spam", "other"];
+const SORTS = {
+    recent: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    rating: { rating: -1, createdAt: -1 },
+};
+
+const viewerId = (req) => req.auth?.()?.userId || null;
+
+// "Priya Mehta" → "Priya M." (full names aren't shown publicly)
+const displayName = (name) => {
+    const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+    if (!parts.length) return "Moviegoer";
+    if (parts.length === 1) return parts[0];
+    return `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.`;
+};
+
+const serializeReview = (r, userId) => ({
+    _id: r._id,
+    name: displayName(r.userName),
+    image: r.userImage || "",
+    rating: r.rating,
+    text: r.text,
+    helpfulCount: r.helpfulCount || 0,
+    votedHelpful: !!userId && (r.helpfulBy || []).includes(userId),
+    reported: !!userId && (r.reports || []).some((rep) => rep.user === userId),
+    isMine: !!userId && r.user === userId,
+    status: r.status,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+});
+
+// Average (1 decimal), count and per-star counts of a movie's visible reviews.
+const ratingSummary = async (movieId) => {
+    const groups = await Review.aggregate([
+        { $match: { movie: movieId, status: "visible" } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    for (const g of groups) {
+        distribution[g._id] = g.count;
+        count += g.count;
+        total += g._id * g.count;
+    }
+    return { average: count ? Math.round((total / count) * 10) / 10 : 0, count, distribution };
+};
+
+/**
+ * The user's confirmed, paid booking for a show of this movie that has
+ * already started — only people who actually had a seat may review.
+ */
+const findScreenedBooking = async (userId, movieId) => {
+    const bookings = await Booking.find({ user: userId, isPaid: true, status: "confirmed", deletedAt: null })
+        .select("show userSnapshot")
+        .lean();
+    const showIds = bookings.map((b) => b.show).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (!showIds.length) return null;
+
+    const show = await Show.findOne({ _id: { $in: showIds }, movie: movieId, showDateTime: { $lte: new Date() } })
+        .sort({ showDateTime: -1 })
+        .select("_id")
+        .lean();
+    if (!show) return null;
+
+    return bookings.find((b) => String(b.show) === String(show._id)) || null;
+};
+
+// GET /api/review/movie/:movieId?sort=recent|helpful|rating&page=1 - Visible reviews + rating summary
+// Signed-in callers also get their own review (even if hidden) and whether they may post one.
+export const getMovieReviews = async (req, res) => {
+    try {
+        const movieId = String(req.params.movieId || "");
+        if (!movieId) return res.status(400).json({ success: false, message: "Invalid movieId" });
+
+        const userId = viewerId(req);
+        const sort = SORTS[req.query.sort] || SORTS.recent;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+        const [summary, reviews, myReview, screened] = await Promise.all([
+            ratingSummary(movieId),
+            Review.find({ movie: movieId, status: "visible" })
+                .sort(sort)
+                .skip((page - 1) * PAGE_SIZE)
+                .limit(PAGE_SIZE + 1)
+                .lean(),
+            userId ? Review.findOne({ movie: movieId, user: userId }).lean() : null,
+            userId ? findScreenedBooking(userId, movieId) : null,
+        ]);
+
+        return res.json({
+            success: true,
+            summary,
+            reviews: reviews.slice(0, PAGE_SIZE).map((r) => serializeReview(r, userId)),
+            page,
+            hasMore: reviews.length > PAGE_SIZE,
+            myReview: myReview ? serializeReview(myReview, userId) : null,
+            canReview: !!screened,
+        });
+    } catch (error) {
+        console.error("getMovieReviews error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load reviews" });
+    }
+};
+
+// POST /api/review/movie/:movieId - Post or edit the caller's review { rating: 1-5, text? }
+export const postReview = async (req, res) => {
+    try {
+        const userId = viewerId(req);
+        if (!userId) return res.status(401).json({ success: false, message: "Sign in to review" });
+
+        const movieId = String(req.params.movieId || "");
+        if (!movieId) return res.status(400).json({ success: false, message: "Invalid movieId" });
+
+        const rating = Number(req.body?.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ success: false, message: "Rating must be 1 to 5 stars" });
+        }
+        const text = String(req.body?.text || "").trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ success: false, message: `Keep your review under ${MAX_TEXT_LENGTH} characters` });
+        }
+
+        const booking = await findScreenedBooking(userId, movieId);
+        if (!booking) {
+            return res.status(403).json({ success: false, message: "You can review a movie after watching it with a MovieMint ticket" });
+        }
+
+        const existing = await Review.findOne({ movie: movieId, user: userId });
+        if (existing) {
+            // Edits keep helpful votes, reports and any moderation decision.
+            existing.rating = rating;
+            existing.text = text;
+            await existing.save();
+            return res.json({ success: true, message: "Review updated", review: serializeReview(existing.toObject(), userId) });
+        }
+
+        const profile = await User.findById(userId).select("name image").lean();
+        try {
+            const review = await Review.create({
+                user: userId,
+                movie: movieId,
+                booking: booking._id,
+                userName: profile?.name || booking.userSnapshot?.name || "",
+                userImage: profile?.image || "",
+                rating,
+                text,
+            });
+            return res.json({ success: true, message: "Thanks for your review!", review: serializeReview(review.toObject(), userId) });
+        } catch (err) {
+            if (err?.code === 11000) {
+                return res.status(409).json({ success: false, message: "You've already reviewed this movie" });
+            }
+            throw err;
+        }
+    } catch (error) {
+        console.error("postReview error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save review" });
+    }
+};
+
+// DELETE /api/review/:reviewId - Remove the caller's own review
+export const deleteReview = async (req, res) => {
+    try {
+        const userId = viewerId(req);
+        if (!userId) return res.status(401).json({ success: false, message: "Sign in required" });
+
+        const { reviewId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+            return res.status(400).json({ success: false, message: "Invalid reviewId" });
+        }
+
+        const result = await Review.deleteOne({ _id: reviewId, user: userId });
+        if (!result.deletedCount) return res.status(404).json({ success: false, message: "Review not found" });
+
+        return res.json({ success: true, message: "Review deleted" });
+    } catch (error) {
+        console.error("deleteReview error:", error);
+        return res.status(500).json({ success: false, message: "Failed to delete review" });
+    }
+};
+
+// POST /api/review/:reviewId/helpful - Toggle the caller's "helpful" vote
+export const toggleHelpful = async (req, res) => {
+    try {
+        const userId = viewerId(req);
+        if (!userId) return res.status(401).json({ success: false, message: "Sign in to vote" });
+
+        const { reviewId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+            return res.status(400).json({ success: false, message: "Invalid reviewId" });
+        }
+
+        const review = await Review.findOne({ _id: reviewId, status: "visible" }).select("user").lean();
+        if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+        if (review.user === userId) {
+            return res.status(400).json({ success: false, message: "You can't vote on your own review" });
+        }
+
+        // Conditional updates keep helpfulCount in step with helpfulBy under double clicks.
+        let updated = await Review.findOneAndUpdate(
+            { _id: reviewId, helpfulBy: userId },
+            { $pull: { helpfulBy: userId }, $inc: { helpfulCount: -1 } },
+            { new: true }
+        ).lean();
+        if (!updated) {
+            updated = await Review.findOneAndUpdate(
+                { _id: reviewId, helpfulBy: { $ne: userId } },
+                { $push: { helpfulBy: userId }, $inc: { helpfulCount: 1 } },
+                { new: true }
+            ).lean();
+        }
+        if (!updated) return res.status(404).json({ success: false, message: "Review not found" });
+
+        return res.json({
+            success: true,
+            helpfulCount: updated.helpfulCount,
+            votedHelpful: updated.helpfulBy.includes(userId),
+        });
+    } catch (error) {
+        console.error("toggleHelpful error:", error);
+        return res.status(500).json({ success: false, message: "Failed to record vote" });
+    }
+};
+
+// POST /api/review/:reviewId/report - Flag a review for moderation { reason: spoiler|offensive|spam|other }
+export const reportReview = async (req, res) => {
+    try {
+        const userId = viewerId(req);
+        if (!userId) return res.status(401).json({ success: false, message: "Sign in to report" });
+
+        const { reviewId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+            return res.status(400).json({ success: false, message: "Invalid reviewId" });
+        }
+        const reason = REPORT_REASONS.includes(req.body?.reason) ? req.body.reason : "other";
+
+        const review = await Review.findOne({ _id: reviewId, status: "visible" }).select("user").lean();
+        if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+        if (review.user === userId) {
+            return res.status(400).json({ success: false, message: "You can't report your own review" });
+        }
+
+        const result = await Review.updateOne(
+            { _id: reviewId, "reports.user": { $ne: userId } },
+            { $push: { reports: { user: userId, reason } }, $inc: { reportCount: 1 } }
+        );
+        if (!result.modifiedCount) return res.json({ success: true, message: "You've already reported this review" });
+
+        return res.json({ success: true, message: "Thanks — our team will take a look" });
+    } catch (error) {
+        console.error("reportReview error:", error);
+        return res.status(500).json({ success: false, message: "Failed to report review" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------------- */
+
+// GET /api/admin/reviews?filter=reported|hidden|all - Moderation queue (most-reported first)
+export const listReviews = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.filter === "hidden") filter.status = "hidden";
+        else if (req.query.filter !== "all") {
+            filter.status = "visible";
+            filter.reportCount = { $gt: 0 };
+        }
+
+        const reviews = await Review.find(filter)
+            .populate("movie", "title poster_path")
+            .sort({ reportCount: -1, createdAt: -1 })
+            .limit(200)
+            .lean();
+
+        return res.json({
+            success: true,
+            reviews: reviews.map(({ helpfulBy, ...r }) => ({
+                ...r,
+                movieTitle: r.movie?.title || "",
+                movie: r.movie?._id || r.movie,
+            })),
+        });
+    } catch (error) {
+        console.error("listReviews error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load reviews" });
+    }
+};
+
+// PATCH /api/admin/reviews/:reviewId/status - Hide or restore a review { status: visible|hidden, note? }
+// Restoring dismisses the reports it had collected.
+export const setReviewStatus = async (req, res) => {
+    try {
+        const { reviewId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+            return res.status(400).json({ success: false, message: "Invalid reviewId" });
+        }
+        const { status } = req.body || {};
+        if (!["visible", "hidden"].includes(status)) {
+            return res.status(400).json({ success: false, message: "Status must be visible or hidden" });
+        }
+
+        const update = {
+            status,
+            moderationNote: status === "hidden" ? String(req.body?.note || "").trim() : "",
+            moderatedAt: new Date(),
+        };
+        if (status === "visible") Object.assign(update, { reports: [], reportCount: 0 });
+
+        const review = await Review.findByIdAndUpdate(reviewId, { $set: update }, { new: true });
+        if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+
+        return res.json({ success: true, message: status === "hidden" ? "Review hidden" : "Review restored", review });
+    } catch (error) {
+        console.error("setReviewStatus error:", error);
+        return res.status(500).json({ success: false, message: "Failed to update review" });
+    }
+};
@@ -0,0 +1,223 @@
+// controllers/screenController.js - Seat maps for theater screens
+import mongoose from "mongoose";
+import Screen from "../models/Screen.js";
+import Show from "../models/Show.js";
+import Theater from "../models/theaterModel.js";
+import { resolveSeatMap, serializeSeatMap } from "../services/seatMapService.js";
+
+// GET /api/show/seat-map/:showId - Seat map (rows, aisles, gaps, zones + prices) for a show
+export const getShowSeatMap = async (req, res) => {
+    try {
+        const { showId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(showId)) {
+            return res.status(400).json({ success: false, message: "Invalid showId" });
+        }
+
+        const show = await Show.findById(showId).select("theater screen experience showPrice").lean();
+        if (!show) return res.status(404).json({ success: false, message: "Show not found" });
+
+        const seatMap = await resolveSeatMap(show);
+
+        return res.json({
+            success: true,
+            basePrice: show.showPrice,
+            seatMap: serializeSeatMap(seatMap, show.showPrice),
+        });
+    } catch (error) {
+        console.error("getShowSeatMap error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load seat map" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN: screen seat-map editor
+------------------------------------------------------------------- */
+
+const ROW_LABEL_REGEX = /^[A-Z]$/;
+const SEAT_ID_REGEX = /^([A-Z])(\d{1,2})$/;
+const HEX_COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+const MAX_COLUMNS = 40;
+
+const uniq = (arr) => [...new Set(arr)];
+
+/**
+ * Validates an editor payload and returns { screen } with clean fields,
+ * or { error } with a message for the admin.
+ */
+const normalizeScreenInput = (body = {}) => {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Screen name is required" };
+
+    const rows = uniq((Array.isArray(body.rows) ? body.rows : []).map((r) => String(r).trim().toUpperCase()));
+    if (!rows.length) return { error: "Add at least one row" };
+    if (!rows.every((r) => ROW_LABEL_REGEX.test(r))) return { error: "Row labels must be single letters A-Z" };
+
+    const columns = Number(body.columns);
+    if (!Number.isInteger(columns) || columns < 1 || columns > MAX_COLUMNS) {
+        return { error: `Columns must be between 1 and ${MAX_COLUMNS}` };
+    }
+
+    const aisles = uniq((Array.isArray(body.aisles) ? body.aisles : []).map(Number))
+        .filter((a) => Number.isInteger(a) && a >= 1 && a < columns)
+        .sort((a, b) => a - b);
+
+    // Seat lists: keep only IDs that land on the grid.
+    const onGrid = (list) =>
+        uniq((Array.isArray(list) ? list : []).map((s) => String(s).trim().toUpperCase())).filter((s) => {
+            const m = s.match(SEAT_ID_REGEX);
+            return m && rows.includes(m[1]) && Number(m[2]) >= 1 && Number(m[2]) <= columns;
+        });
+
+    const gaps = onGrid(body.gaps);
+    const blockedSeats = onGrid(body.blockedSeats).filter((s) => !gaps.includes(s));
+    const wheelchairSeats = onGrid(body.wheelchairSeats).filter((s) => !gaps.includes(s));
+
+    const zones = [];
+    const zonedRows = new Set();
+    for (const z of Array.isArray(body.zones) ? body.zones : []) {
+        const label = String(z?.label || "").trim().toUpperCase();
+        const key = String(z?.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+        if (!label || !key) return { error: "Every zone needs a name" };
+        if (zones.some((zn) => zn.key === key)) return { error: `Duplicate zone "${label}"` };
+
+        const priceDelta = Number(z.priceDelta) || 0;
+        if (priceDelta < 0) return { error: "Zone price add-on cannot be negative" };
+
+        const zoneRows = uniq((Array.isArray(z.rows) ? z.rows : []).map((r) => String(r).toUpperCase()))
+            .filter((r) => rows.includes(r));
+        for (const r of zoneRows) {
+            if (zonedRows.has(r)) return { error: `Row ${r} is in more than one zone` };
+            zonedRows.add(r);
+        }
+
+        zones.push({
+            key,
+            label,
+            rows: zoneRows,
+            priceDelta,
+            color: HEX_COLOR_REGEX.test(z.color) ? z.color : "#C49A6C",
+        });
+    }
+
+    if (rows.every((r) => Array.from({ length: columns }, (_, i) => `${r}${i + 1}`)
+        .every((s) => gaps.includes(s) || blockedSeats.includes(s)))) {
+        return { error: "The screen has no sellable seats" };
+    }
+
+    return {
+        screen: {
+            name,
+            experience: String(body.experience || "Laser").trim() || "Laser",
+            rows,
+            columns,
+            aisles,
+            gaps,
+            blockedSeats,
+            wheelchairSeats,
+            zones,
+            isActive: body.isActive !== false,
+        },
+    };
+};
+
+// GET /api/admin/screens?theaterId= - Theaters (for the picker) + screens, optionally for one theater
+export const listScreens = async (req, res) => {
+    try {
+        const { theaterId } = req.query;
+        const filter = {};
+        if (theaterId) {
+            if (!mongoose.Types.ObjectId.isValid(theaterId)) {
+                return res.status(400).json({ success: false, message: "Invalid theaterId" });
+            }
+            filter.theater = theaterId;
+        }
+
+        const [theaters, screens] = await Promise.all([
+            Theater.find({}).select("name city isActive").sort({ city: 1, name: 1 }).lean(),
+            Screen.find(filter).sort({ name: 1 }).lean(),
+        ]);
+
+        return res.json({ success: true, theaters, screens });
+    } catch (error) {
+        console.error("listScreens error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load screens" });
+    }
+};
+
+// POST /api/admin/screens - Create a screen { theaterId, name, rows, columns, aisles, gaps, blockedSeats, wheelchairSeats, zones }
+export const createScreen = async (req, res) => {
+    try {
+        const { theaterId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(theaterId)) {
+            return res.status(400).json({ success: false, message: "Invalid theaterId" });
+        }
+        if (!(await Theater.exists({ _id: theaterId }))) {
+            return res.status(404).json({ success: false, message: "Theater not found" });
+        }
+
+        const { screen, error } = normalizeScreenInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const created = await Screen.create({ ...screen, theater: theaterId });
+        return res.json({ success: true, message: "Screen created", screen: created });
+    } catch (error) {
+        if (error?.code === 11000) {
+            return res.status(409).json({ success: false, message: "A screen with this name already exists in the theater" });
+        }
+        console.error("createScreen error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create screen" });
+    }
+};
+
+// PUT /api/admin/screens/:screenId - Replace a screen's seat map
+export const updateScreen = async (req, res) => {
+    try {
+        const { screenId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(screenId)) {
+            return res.status(400).json({ success: false, message: "Invalid screenId" });
+        }
+
+        const { screen, error } = normalizeScreenInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const updated = await Screen.findByIdAndUpdate(screenId, { $set: screen }, { new: true, runValidators: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Screen not found" });
+
+        // Keep the denormalised screen name on its shows in sync.
+        await Show.updateMany({ screen: updated._id }, { $set: { screenName: updated.name } });
+
+        return res.json({ success: true, message: "Screen saved", screen: updated });
+    } catch (error) {
+        if (error?.code === 11000) {
+            return res.status(409).json({ success: false, message: "A screen with this name already exists in the theater" });
+        }
+        console.error("updateScreen error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save screen" });
+    }
+};
+
+// DELETE /api/admin/screens/:screenId - Delete a screen that has no upcoming shows
+export const deleteScreen = async (req, res) => {
+    try {
+        const { screenId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(screenId)) {
+            return res.status(400).json({ success: false, message: "Invalid screenId" });
+        }
+
+        const upcoming = await Show.countDocuments({ screen: screenId, showDateTime: { $gte: new Date() } });
+        if (upcoming > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Screen has ${upcoming} upcoming show(s); deactivate it instead`,
+            });
+        }
+
+        const deleted = await Screen.findByIdAndDelete(screenId);
+        if (!deleted) return res.status(404).json({ success: false, message: "Screen not found" });
+
+        return res.json({ success: true, message: "Screen deleted" });
+    } catch (error) {
+        console.error("deleteScreen error:", error);
+        return res.status(500).json({ success: false, message: "Failed to delete screen" });
+    }
+};
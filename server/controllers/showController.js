@@ -1,8 +1,16 @@
 import axios from "axios";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
 import Movie from "../models/Movie.js";
 import Show from "../models/Show.js";
 import { inngest } from "../inngest/index.js";
 import Theater from "../models/theaterModel.js";
+import Screen from "../models/Screen.js";
+import { CERTIFICATION_CODES, fetchTmdbCertification } from "../services/certificationService.js";
+import { activeHoldCounts } from "../services/holdService.js";
+import { movieLanguages, normalizeLanguageList, scheduleLanguage } from "../services/languageService.js";
+import { resolveSeatMaps, sellableSeatIds } from "../services/seatMapService.js";
+import { queueShowPassUpdates } from "../services/walletService.js";
 
 /* -------------------------------------------------------------------------- */
 /*                                HELPERS                                     */
@@ -66,6 +74,10 @@ const ensureMovieInDbFromTmdb = async (movieId) => {
         runtime: movieApiData.runtime,
     };
 
+    // Certificate from TMDB release dates (best effort; admins can set it later)
+    movieDetails.certification = await fetchTmdbCertification(movieId, { adult: movieApiData.adult }).catch(() => "");
+    if (movieDetails.certification) movieDetails.certificationSource = "tmdb";
+
     movie = await Movie.create(movieDetails);
     return movie;
 };
@@ -122,6 +134,27 @@ const FORMAT_DEFAULT_PRICES = {
 
 const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
 
+// Experience/format pair for a screen (its experience decides the format).
+const pairForScreen = (screen) =>
+    EXPERIENCE_FORMAT_PAIRS.find((p) => p.experience === screen.experience) ||
+    { experience: screen.experience || "Laser", format: "2D" };
+
+// Active screens grouped by theater id: { [theaterId]: Screen[] }
+const loadScreensByTheater = async (theaterIds) => {
+    const screens = await Screen.find({
+        theater: { $in: theaterIds },
+        isActive: { $ne: false },
+    }).select("theater name experience");
+
+    const byTheater = {};
+    for (const sc of screens) {
+        const key = String(sc.theater);
+        if (!byTheater[key]) byTheater[key] = [];
+        byTheater[key].push(sc);
+    }
+    return byTheater;
+};
+
 /*
  * Ensures default shows for a movie across all theaters for the next `days` days
  * starting from max(today, releaseDate).
@@ -133,6 +166,10 @@ const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
  * - Uses an in-memory Set to avoid duplicate show creation.
  * - Performs a single bulk insert (`insertMany`) instead of many `create` calls.
  * - Uses per-format pricing: movie.priceByFormat[format] → defaultShowPrice → 250
+ * - Theaters with configured screens get each show placed on one of them
+ *   (format/experience follow the screen); others keep a random pair.
+ * - Languages rotate through the movie's audio languages (original + dubs),
+ *   offset per day and theater so each dub gets different times.
  */
 export const ensureDefaultShowsForMovie = async (movie, days = 90) => {
     if (!movie || !movie.release_date) return;
@@ -152,6 +189,9 @@ export const ensureDefaultShowsForMovie = async (movie, days = 90) => {
     const theaters = await Theater.find({ isActive: { $ne: false } });
     if (!theaters.length) return;
 
+    const screensByTheater = await loadScreensByTheater(theaters.map(t => t._id));
+    const langs = movieLanguages(movie);
+
     // existing shows (DB level safety)
     const existingShows = await Show.find({
         movie: movie._id,
@@ -171,14 +211,15 @@ export const ensureDefaultShowsForMovie = async (movie, days = 90) => {
     const LAST_TIME = DEFAULT_TIMES[DEFAULT_TIMES.length - 1]; // "23:55"
     const MIDDLE_TIMES = DEFAULT_TIMES.slice(1, -1); // between
 
+    let dayIndex = 0;
     for (
         let d = new Date(start.getFullYear(), start.getMonth(), start.getDate());
         d <= end;
-        d.setDate(d.getDate() + 1)
+        d.setDate(d.getDate() + 1), dayIndex++
     ) {
         const dateStr = d.toISOString().split("T")[0];
 
-        for (const theater of theaters) {
+        for (const [theaterIndex, theater] of theaters.entries()) {
             // 🔒 per theater + day safety
             const localSet = new Set();
 
@@ -200,7 +241,7 @@ export const ensureDefaultShowsForMovie = async (movie, days = 90) => {
                 LAST_TIME,
             ];
 
-            for (const t of dayTimes) {
+            for (const [slotIndex, t] of dayTimes.entries()) {
                 const dt = buildDateTime(dateStr, t);
 
                 const key = `${theater._id}-${dt.toISOString()}`;
@@ -210,15 +251,22 @@ export const ensureDefaultShowsForMovie = async (movie, days = 90) => {
                 localSet.add(key);
                 existingSet.add(key);
 
-                const pair = pickRandom(EXPERIENCE_FORMAT_PAIRS);
+                const screens = screensByTheater[String(theater._id)];
+                const screen = screens?.length ? pickRandom(screens) : null;
+                const pair = screen ? pairForScreen(screen) : pickRandom(EXPERIENCE_FORMAT_PAIRS);
+                const { language, subtitles } = scheduleLanguage(langs, slotIndex + dayIndex + theaterIndex);
 
                 showsToInsert.push({
                     movie: movie._id,
                     theater: theater._id,
+                    screen: screen?._id,
+                    screenName: screen?.name,
                     showDateTime: dt,
                     showPrice: movie.defaultShowPrice || 250,
                     format: pair.format,
                     experience: pair.experience,
+                    language,
+                    subtitles,
                     isActive: true,
                     hidden: false,
                     isAutoGenerated: true,
@@ -893,6 +941,50 @@ export const toggleShowHidden = async (req, res) => {
     }
 };
 
+// PATCH /api/show/admin/show/:showId/time - Move a show to another time. Body: { showDateTime }
+// Bookings stay with the show; their Wallet passes are updated with the new time.
+export const rescheduleShow = async (req, res) => {
+    try {
+        const { showId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(showId)) {
+            return res.status(400).json({ success: false, message: "Invalid show id" });
+        }
+        const showDateTime = new Date(req.body?.showDateTime);
+        if (isNaN(showDateTime.getTime())) {
+            return res.status(400).json({ success: false, message: "Invalid showDateTime" });
+        }
+        if (showDateTime.getTime() <= Date.now()) {
+            return res.status(400).json({ success: false, message: "Pick a time in the future" });
+        }
+
+        const show = await Show.findById(showId);
+        if (!show) return res.status(404).json({ success: false, message: "Show not found" });
+        if (show.showDateTime.getTime() === showDateTime.getTime()) {
+            return res.json({ success: true, show, message: "Show time unchanged" });
+        }
+
+        const clash = await Show.exists({
+            _id: { $ne: show._id },
+            theater: show.theater,
+            screenName: show.screenName,
+            showDateTime,
+            isActive: { $ne: false },
+        });
+        if (clash) {
+            return res.status(409).json({ success: false, message: "Another show is already scheduled then on this screen" });
+        }
+
+        show.showDateTime = showDateTime;
+        await show.save();
+        await queueShowPassUpdates(show._id);
+
+        return res.json({ success: true, show, message: "Show rescheduled" });
+    } catch (err) {
+        console.error("rescheduleShow error:", err);
+        return res.status(500).json({ success: false, message: "Failed to reschedule show" });
+    }
+};
+
 // Hide/unhide all shows for a movie (and hide from home)
 export const hideMovieShows = async (req, res) => {
     try {
@@ -1127,12 +1219,14 @@ export const generateAutoShows = async (req, res) => {
         );
 
         const showsToCreate = [];
+        const langs = movieLanguages(movie);
 
         const cursor = new Date(start);
+        let dayIndex = 0;
         while (cursor <= end) {
             const dateStr = cursor.toISOString().split("T")[0];
 
-            for (const timeStr of template) {
+            for (const [slotIndex, timeStr] of template.entries()) {
                 const dateTime = new Date(`${dateStr}T${timeStr}:00.000Z`);
                 const iso = dateTime.toISOString();
 
@@ -1141,6 +1235,7 @@ export const generateAutoShows = async (req, res) => {
                         movie: movieId,
                         showDateTime: dateTime,
                         showPrice: priceToUse,
+                        ...scheduleLanguage(langs, slotIndex + dayIndex),
                         occupiedSeats: {},
                         hidden: false,
                         isAutoGenerated: true,
@@ -1149,6 +1244,7 @@ export const generateAutoShows = async (req, res) => {
             }
 
             cursor.setDate(cursor.getDate() + 1);
+            dayIndex++;
         }
 
         let created = [];
@@ -1189,40 +1285,79 @@ export const deleteShow = async (req, res) => {
 /*                      PUBLIC: HOME / MOVIES PAGE LIST                       */
 /* -------------------------------------------------------------------------- */
 
+/**
+ * GET /api/show/all?city=&theater=
+ *
+ * Movies with visible, active shows in the next 7 days at active theaters.
+ *  - `city` (case-insensitive) and/or `theater` (id) narrow the list to movies
+ *    that really have shows there.
+ *  - Each movie carries `showCount` / `nextShowAt` for that scope and
+ *    `cityShowCounts` ({ city: shows }) across every city.
+ */
 export const getShows = async (req, res) => {
     try {
+        const city = String(req.query.city || "").trim().toLowerCase();
+        const theaterId = String(req.query.theater || "").trim();
+        if (theaterId && !mongoose.Types.ObjectId.isValid(theaterId)) {
+            return res.status(400).json({ success: false, message: "Invalid theater" });
+        }
+
         const now = new Date();
         const visibleEnd = new Date(now);
         visibleEnd.setDate(visibleEnd.getDate() + (VISIBLE_WINDOW_DAYS - 1));
 
-        // Only shows in the next 7 days, visible and active
-        const dbShows = await Show.find({
-            showDateTime: { $gte: now, $lte: visibleEnd },
-            hidden: { $ne: true },
-            isActive: { $ne: false },
-        })
-            // minimal movie projection to keep documents smaller
-            .populate("movie", "title poster_path backdrop_path release_date vote_average hiddenFromHome genres")
-            .sort({ showDateTime: 1 });
+        // Show counts per movie + theater (only visible, active shows at active theaters)
+        const groups = await Show.aggregate([
+            {
+                $match: {
+                    showDateTime: { $gte: now, $lte: visibleEnd },
+                    hidden: { $ne: true },
+                    isActive: { $ne: false },
+                },
+            },
+            {
+                $group: {
+                    _id: { movie: "$movie", theater: "$theater" },
+                    count: { $sum: 1 },
+                    next: { $min: "$showDateTime" },
+                },
+            },
+            { $lookup: { from: Theater.collection.name, localField: "_id.theater", foreignField: "_id", as: "theater" } },
+            { $unwind: "$theater" },
+            { $match: { "theater.isActive": { $ne: false } } },
+            { $project: { count: 1, next: 1, city: "$theater.city" } },
+        ]);
 
-        // Unique movies (respect movie.hiddenFromHome)
-        const movieMap = new Map();
+        const stats = new Map(); // movieId → { showCount, nextShowAt, cityShowCounts }
+        for (const g of groups) {
+            const movieId = String(g._id.movie);
+            if (!stats.has(movieId)) stats.set(movieId, { showCount: 0, nextShowAt: null, cityShowCounts: {} });
+            const st = stats.get(movieId);
 
-        dbShows.forEach((show) => {
-            const movie = show.movie;
-            if (!movie) return;
+            st.cityShowCounts[g.city] = (st.cityShowCounts[g.city] || 0) + g.count;
 
-            if (movie.hiddenFromHome) return;
+            const inScope =
+                (!city || String(g.city || "").toLowerCase() === city) &&
+                (!theaterId || String(g._id.theater) === theaterId);
+            if (!inScope) continue;
+            st.showCount += g.count;
+            if (!st.nextShowAt || g.next < st.nextShowAt) st.nextShowAt = g.next;
+        }
 
-            const key = String(movie._id);
-            if (!movieMap.has(key)) {
-                movieMap.set(key, movie);
-            }
-        });
+        const movieIds = [...stats].filter(([, st]) => st.showCount > 0).map(([id]) => id);
+
+        // minimal movie projection to keep documents smaller (respect movie.hiddenFromHome)
+        const movies = await Movie.find({ _id: { $in: movieIds }, hiddenFromHome: { $ne: true } })
+            .select("title poster_path backdrop_path release_date vote_average hiddenFromHome genres")
+            .lean();
+
+        const list = movies
+            .map((movie) => ({ ...movie, ...stats.get(String(movie._id)) }))
+            .sort((a, b) => new Date(a.nextShowAt) - new Date(b.nextShowAt));
 
         res.json({
             success: true,
-            shows: Array.from(movieMap.values()),
+            shows: list,
         });
     } catch (error) {
         console.error(error);
@@ -1275,6 +1410,9 @@ export const getShow = async (req, res) => {
                 runtime: movieApiData.runtime,
             };
 
+            movieDetails.certification = await fetchTmdbCertification(movieId, { adult: movieApiData.adult }).catch(() => "");
+            if (movieDetails.certification) movieDetails.certificationSource = "tmdb";
+
             movie = await Movie.create(movieDetails);
         }
 
@@ -1294,14 +1432,28 @@ export const getShow = async (req, res) => {
             .populate("theater")
             .sort({ showDateTime: 1 });
 
-        const dateTime = {};
+        // ❶ Hidden slots, legacy shows without a theater and deactivated
+        //    theaters' shows are not listed to the end user
+        const listed = shows.filter(
+            (show) => !show.hidden && show.theater?.name && show.theater.isActive !== false
+        );
 
-        shows.forEach((show) => {
-            // ❶ Do not show hidden slots to the end user
-            if (show.hidden) return;
+        // Real availability per slot: sellable seats on its screen minus
+        // confirmed (occupiedSeats) and actively held seats.
+        const [seatMaps, holdCounts] = await Promise.all([
+            resolveSeatMaps(listed),
+            activeHoldCounts(listed.map((show) => show._id)),
+        ]);
+
+        const sellableByMap = new Map(); // shows on the same screen share one map object
+        const dateTime = {};
 
-            // ❷ Ignore legacy shows that do not have a valid theater attached
-            if (!show.theater || !show.theater.name) return;
+        listed.forEach((show) => {
+            const seatMap = seatMaps.get(String(show._id));
+            if (!sellableByMap.has(seatMap)) sellableByMap.set(seatMap, new Set(sellableSeatIds(seatMap)));
+            const sellable = sellableByMap.get(seatMap);
+            const occupiedCount = Object.keys(show.occupiedSeats || {}).filter((seat) => sellable.has(seat)).length;
+            const heldCount = holdCounts.get(String(show._id)) || 0;
 
             const iso = show.showDateTime.toISOString();
             const [date] = iso.split("T");
@@ -1318,15 +1470,24 @@ export const getShow = async (req, res) => {
                 theaterName: show.theater.name,
                 theaterCity: show.theater.city,
                 theaterAddress: show.theater.address,
+                screenName: show.screenName || "",
 
                 format: show.format,
                 experience: show.experience,
+                language: show.language,
+                subtitles: show.subtitles || "",
+
+                capacity: sellable.size,
+                occupiedCount,
+                heldCount,
+                availableSeats: Math.max(0, sellable.size - occupiedCount - heldCount),
             });
         });
 
         return res.json({
             success: true,
             movie,
+            languages: movieLanguages(movie),
             dateTime,
         });
     } catch (error) {
@@ -1343,7 +1504,7 @@ export const getShow = async (req, res) => {
 export const addTheaterSlot = async (req, res) => {
     try {
         const { movieId } = req.params;
-        let { theaterId, date, time, showPrice, format, experience } = req.body;
+        let { theaterId, screenId, date, time, showPrice, format, experience, language, subtitles } = req.body;
 
         const movie = await Movie.findById(movieId);
         if (!movie) {
@@ -1355,6 +1516,26 @@ export const addTheaterSlot = async (req, res) => {
             return res.json({ success: false, message: "Theater not found" });
         }
 
+        let screen = null;
+        if (screenId) {
+            screen = await Screen.findOne({ _id: screenId, theater: theaterId });
+            if (!screen) {
+                return res.json({ success: false, message: "Screen not found in this theater" });
+            }
+        }
+
+        // Language must be one the movie is released in (default: original);
+        // subtitles one of its subtitle tracks (default: none).
+        const langs = movieLanguages(movie);
+        const finalLanguage = language || langs.original;
+        if (!langs.audio.includes(finalLanguage)) {
+            return res.json({ success: false, message: `${movie.title} isn't available in ${finalLanguage}` });
+        }
+        const finalSubtitles = subtitles || "";
+        if (finalSubtitles && !langs.subtitles.includes(finalSubtitles)) {
+            return res.json({ success: false, message: `No ${finalSubtitles} subtitles for ${movie.title}` });
+        }
+
         const dt = buildDateTime(date, time);
 
         const exists = await Show.findOne({
@@ -1377,9 +1558,9 @@ export const addTheaterSlot = async (req, res) => {
         //  - Agar experience diya hai → uska pair
         //  - Warna agar format diya hai → format ka pair
         //  - Warna random pair
-        let pair = null;
+        let pair = screen ? pairForScreen(screen) : null;
 
-        if (experience) {
+        if (!pair && experience) {
             pair = EXPERIENCE_FORMAT_PAIRS.find(
                 (p) => p.experience === experience
             );
@@ -1401,10 +1582,14 @@ export const addTheaterSlot = async (req, res) => {
         const show = await Show.create({
             movie: movieId,
             theater: theaterId,
+            screen: screen?._id,
+            screenName: screen?.name,
             showDateTime: dt,
             showPrice: showPrice || 250,
             format: finalFormat,
             experience: finalExperience,
+            language: finalLanguage,
+            subtitles: finalSubtitles,
             isActive: true,
             hidden: false,
             autoGenerated: false,
@@ -1529,12 +1714,15 @@ export const getMovieSchedule = async (req, res) => {
 
                 format: show.format,
                 experience: show.experience,
+                language: show.language,
+                subtitles: show.subtitles || "",
             });
         });
 
         return res.json({
             success: true,
             movie,
+            languages: movieLanguages(movie),
             dateTime,
         });
     } catch (err) {
@@ -1721,6 +1909,183 @@ export const updateFormatPricesForMovie = async (req, res) => {
 };
 
 
+/**
+ * GET /api/show/admin/:movieId/languages
+ * Audio languages (original first, then dubs) and subtitle tracks for a movie.
+ */
+export const getMovieLanguagesAdmin = async (req, res) => {
+    try {
+        const movie = await Movie.findById(req.params.movieId);
+        if (!movie) {
+            return res.json({ success: false, message: "Movie not found" });
+        }
+        return res.json({ success: true, ...movieLanguages(movie) });
+    } catch (err) {
+        console.error("getMovieLanguagesAdmin error:", err);
+        return res.json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * ADMIN: Set the languages a movie plays in
+ *  - Updates Movie.audioLanguages / Movie.subtitleLanguages
+ *  - Re-assigns languages on FUTURE auto-generated shows nobody has booked.
+ *    The rule is simpler than auto-scheduling's (which also offsets by day
+ *    and theater): within each theater's day, the n-th show (earlier shows
+ *    of today included) gets scheduleLanguage(langs, n) — the original
+ *    language first, then alternating with the dubs. Manually added shows
+ *    and shows with bookings keep theirs.
+ *
+ * Request:
+ *   PATCH /api/show/admin/:movieId/languages
+ *   body: { audioLanguages: ["English", "Hindi", "Tamil"], subtitleLanguages: ["English"] }
+ */
+export const updateMovieLanguages = async (req, res) => {
+    try {
+        const { movieId } = req.params;
+        const audioLanguages = normalizeLanguageList(req.body?.audioLanguages);
+        const subtitleLanguages = normalizeLanguageList(req.body?.subtitleLanguages);
+
+        if (!audioLanguages.length) {
+            return res.json({ success: false, message: "At least one audio language is required" });
+        }
+
+        const movie = await Movie.findById(movieId);
+        if (!movie) {
+            return res.json({ success: false, message: "Movie not found" });
+        }
+
+        movie.audioLanguages = audioLanguages;
+        movie.subtitleLanguages = subtitleLanguages;
+        await movie.save();
+
+        // Whole days (from today's UTC midnight) so earlier shows of today
+        // still count towards each later show's slot in its day.
+        const now = new Date();
+        const today = new Date(now.toISOString().split("T")[0]);
+        const shows = await Show.find({
+            movie: movieId,
+            isAutoGenerated: true,
+            showDateTime: { $gte: today },
+        })
+            .select("_id theater showDateTime")
+            .sort({ showDateTime: 1 })
+            .lean();
+        const upcoming = shows.filter((s) => s.showDateTime > now);
+
+        const booked = new Set(
+            (await Booking.distinct("show", {
+                show: { $in: upcoming.map((s) => String(s._id)) },
+                status: { $ne: "cancelled" },
+            })).map(String)
+        );
+
+        // n-th show of each theater's day (see the rule above)
+        const langs = movieLanguages(movie);
+        const dayCounters = new Map();
+        const ops = [];
+        for (const s of shows) {
+            const key = `${s.theater}-${s.showDateTime.toISOString().split("T")[0]}`;
+            const n = dayCounters.get(key) || 0;
+            dayCounters.set(key, n + 1);
+            if (s.showDateTime <= now || booked.has(String(s._id))) continue;
+
+            ops.push({
+                updateOne: {
+                    filter: { _id: s._id },
+                    update: { $set: scheduleLanguage(langs, n) },
+                },
+            });
+        }
+        if (ops.length) await Show.bulkWrite(ops);
+
+        return res.json({
+            success: true,
+            ...langs,
+            updatedShows: ops.length,
+            message: `Languages saved; ${ops.length} upcoming show(s) updated`,
+        });
+    } catch (err) {
+        console.error("updateMovieLanguages error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to update languages",
+        });
+    }
+};
+
+/**
+ * ADMIN: Set a movie's certificate
+ *
+ * Request:
+ *   PATCH /api/show/admin/:movieId/certification
+ *   body: { certification: "U" | "U/A 7+" | "U/A 13+" | "U/A 16+" | "A" | "" }
+ */
+export const updateMovieCertification = async (req, res) => {
+    try {
+        const certification = String(req.body?.certification ?? "");
+        if (!["", ...CERTIFICATION_CODES].includes(certification)) {
+            return res.json({ success: false, message: "Unknown certificate" });
+        }
+
+        const movie = await Movie.findByIdAndUpdate(
+            req.params.movieId,
+            { $set: { certification, certificationSource: certification ? "admin" : "" } },
+            { new: true }
+        );
+        if (!movie) {
+            return res.json({ success: false, message: "Movie not found" });
+        }
+
+        return res.json({
+            success: true,
+            certification: movie.certification,
+            certificationSource: movie.certificationSource,
+            message: certification ? `Certificate set to ${certification}` : "Certificate cleared",
+        });
+    } catch (err) {
+        console.error("updateMovieCertification error:", err);
+        return res.status(500).json({ success: false, message: "Failed to update certificate" });
+    }
+};
+
+/**
+ * ADMIN: Re-import a movie's certificate from TMDB release dates
+ * (overwrites an admin-set one — the admin asked for it).
+ *
+ * Request:
+ *   POST /api/show/admin/:movieId/certification/import
+ */
+export const importMovieCertification = async (req, res) => {
+    try {
+        const movie = await Movie.findById(req.params.movieId);
+        if (!movie) {
+            return res.json({ success: false, message: "Movie not found" });
+        }
+
+        const headers = { Authorization: `Bearer ${process.env.TMDB_API_KEY}` };
+        const { data: details } = await axios.get(`https://api.themoviedb.org/3/movie/${movie._id}`, { headers });
+        const certification = await fetchTmdbCertification(movie._id, { adult: details.adult });
+        if (!certification) {
+            return res.json({ success: false, message: "TMDB has no Indian or US certificate for this movie" });
+        }
+
+        movie.certification = certification;
+        movie.certificationSource = "tmdb";
+        await movie.save();
+
+        return res.json({
+            success: true,
+            certification,
+            certificationSource: "tmdb",
+            message: `Imported ${certification} from TMDB`,
+        });
+    } catch (err) {
+        console.error("importMovieCertification error:", err);
+        return res.status(500).json({ success: false, message: "Failed to import certificate from TMDB" });
+    }
+};
+
 // ---------------------------------------------------------------------------
 // ADMIN: One-time migration to normalize format <-> experience mapping
 // ---------------------------------------------------------------------------
@@ -1,11 +1,195 @@
-// controllers/stripeWebhooks.js - Handles Stripe webhook events (payment confirmation)
+// controllers/stripeWebhooks.js - Handles Stripe webhook events (payment, expiry, failures, refunds)
+import mongoose from "mongoose";
 import stripe from "stripe";
 import Booking from "../models/Booking.js";
-import Show from "../models/Show.js";
-import { inngest } from "../inngest/index.js";
+import BookingExchange from "../models/BookingExchange.js";
+import BookingShare from "../models/BookingShare.js";
+import StripeEvent from "../models/StripeEvent.js";
+import { confirmPaidBooking } from "../services/confirmationService.js";
+import { closeExchange, confirmPaidExchange, recordExchangeRefund, recordTopUpRefund } from "../services/exchangeService.js";
+import { expireBooking } from "../services/holdService.js";
+import { confirmPaidShare, recordShareRefund } from "../services/splitPaymentService.js";
 
-// POST /api/stripe - Stripe webhook handler for checkout.session.completed events
-// Confirms booking, moves held seats to occupied, and triggers ticket generation
+const isDuplicateKey = (err) => err?.code === 11000;
+
+// Booking for a PaymentIntent: by the id stamped on the intent, else by the stored intent id.
+const findBookingForIntent = async (paymentIntentId, bookingId) => {
+    if (bookingId) {
+        const booking = await Booking.findById(bookingId);
+        if (booking) return booking;
+    }
+    if (!paymentIntentId) return null;
+    return Booking.findOne({ paymentIntentId });
+};
+
+// Refunds for cancelled seats (metadata set by cancelSeats) are tracked on
+// their own entry, leaving the booking's refundId/refundStatus for a full
+// cancellation. Returns true if the refund was one of those.
+const recordSeatRefund = async (refund) => {
+    const { bookingId, seatCancellationId } = refund?.metadata || {};
+    if (!seatCancellationId || !mongoose.Types.ObjectId.isValid(bookingId)) return false;
+    await Booking.updateOne(
+        { _id: bookingId, "seatCancellations._id": seatCancellationId },
+        { $set: { "seatCancellations.$.refundId": refund.id, "seatCancellations.$.refundStatus": refund.status || "" } }
+    );
+    return true;
+};
+
+/* ------------------------------------------------------------------
+   EVENT HANDLERS (each returns the booking id it touched, if any)
+------------------------------------------------------------------- */
+
+// Payment succeeded: confirm the booking (seats, coupon, ticket, email) through
+// the same routine as the payment-success page. Delayed payment methods
+// complete the session unpaid and send async_payment_succeeded later.
+const onCheckoutPaid = async (session) => {
+    const bookingId = session.metadata?.bookingId;
+    if (!bookingId) return "";
+    if (session.payment_status !== "paid" && session.payment_status !== "no_payment_required") return bookingId;
+
+    // One share of a split booking: confirms that share's seats only.
+    if (session.metadata?.shareId) {
+        await confirmPaidShare(session.metadata.shareId, { paymentIntentId: session.payment_intent || "" });
+        return bookingId;
+    }
+
+    // The price difference of an exchange: moves the (already confirmed) booking.
+    if (session.metadata?.exchangeId) {
+        await confirmPaidExchange(session.metadata.exchangeId, { paymentIntentId: session.payment_intent || "" });
+        return bookingId;
+    }
+
+    // A seat conflict (hold lapsed, seat resold) or a booking cancelled before
+    // the payment landed is refunded rather than double-booked; confirmPaidBooking
+    // logs it.
+    await confirmPaidBooking(bookingId, { paymentIntentId: session.payment_intent || "" });
+    return bookingId;
+};
+
+// Checkout session expired unpaid: nothing can pay for it now, so release the
+// seats (and coupon use) right away instead of waiting for the hold to lapse.
+const onCheckoutExpired = async (session) => {
+    const bookingId = session.metadata?.bookingId;
+    if (!bookingId) return "";
+
+    // A share's session lapsing only means that friend needs a fresh one;
+    // the group's hold (and its settlement) is unaffected.
+    if (session.metadata?.shareId) {
+        await BookingShare.updateOne(
+            { _id: session.metadata.shareId, stripeSessionId: session.id },
+            { $set: { stripeSessionId: "", paymentLink: "" } }
+        );
+        return bookingId;
+    }
+
+    // An unpaid exchange lapsing leaves the booking as it was.
+    if (session.metadata?.exchangeId) {
+        await closeExchange(session.metadata.exchangeId, "expired");
+        return bookingId;
+    }
+
+    const expired = await expireBooking(bookingId, { beforeHoldEnds: true });
+    if (expired) {
+        await Booking.updateOne({ _id: bookingId }, { $set: { paymentLink: "" } });
+    }
+    return bookingId;
+};
+
+// A payment attempt failed. Checkout lets the user retry until the session
+// expires, so the booking stays pending; only the reason is recorded.
+const onPaymentFailed = async (intent) => {
+    if (intent.metadata?.shareId) {
+        await BookingShare.updateOne(
+            { _id: intent.metadata.shareId, status: "pending" },
+            { $set: { paymentError: intent.last_payment_error?.message || "Payment failed" } }
+        );
+        return intent.metadata.bookingId || "";
+    }
+    if (intent.metadata?.exchangeId) {
+        await BookingExchange.updateOne(
+            { _id: intent.metadata.exchangeId, status: "awaiting_payment" },
+            { $set: { paymentError: intent.last_payment_error?.message || "Payment failed" } }
+        );
+        return intent.metadata.bookingId || "";
+    }
+
+    const booking = await findBookingForIntent(intent.id, intent.metadata?.bookingId);
+    if (!booking) return "";
+
+    if (!booking.isPaid) {
+        booking.paymentIntentId = booking.paymentIntentId || intent.id;
+        booking.paymentError = intent.last_payment_error?.message || "Payment failed";
+        await booking.save();
+    }
+    return String(booking._id);
+};
+
+// Charge refunded (fully or partly): record how much came back. Stripe's
+// charge.refunded payloads don't list the refunds, so which refund this was
+// (a seat cancellation, an exchange, the booking's own) isn't known here —
+// refund.created / refund.updated record that from the refund's metadata.
+const onChargeRefunded = async (charge) => {
+    const refundedAmount = Math.round(charge.amount_refunded || 0) / 100;
+    const shareBookingId = await recordShareRefund({ paymentIntentId: charge.payment_intent, refundedAmount });
+    if (shareBookingId) return shareBookingId;
+
+    // The charge for an exchange's price difference: counted on the exchange,
+    // so refundedAmount stays about the booking's original payment.
+    const topUpBookingId = await recordTopUpRefund({ paymentIntentId: charge.payment_intent, refundedAmount });
+    if (topUpBookingId) return topUpBookingId;
+
+    const booking = await findBookingForIntent(charge.payment_intent, charge.metadata?.bookingId);
+    if (!booking) return "";
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { refundedAmount } });
+    return String(booking._id);
+};
+
+// Refund created or moved to a new status (pending → succeeded / failed /
+// canceled ...). Its metadata says what it was for; only a refund that isn't
+// a seat cancellation's or an exchange's is the booking's own.
+const onRefundUpdated = async (refund) => {
+    const shareBookingId = await recordShareRefund({
+        paymentIntentId: refund.payment_intent,
+        refundId: refund.id,
+        refundStatus: refund.status || "",
+    });
+    if (shareBookingId) return shareBookingId;
+
+    const { bookingId, seatCancellationId, exchangeId } = refund.metadata || {};
+    if (seatCancellationId) {
+        await recordSeatRefund(refund);
+        return bookingId || "";
+    }
+    if (exchangeId) return (await recordExchangeRefund(refund)) || bookingId || "";
+
+    const booking =
+        (await Booking.findOne({ refundId: refund.id })) ||
+        (await findBookingForIntent(refund.payment_intent, bookingId));
+    if (!booking) return "";
+
+    // A booking's own refund is a cancellation's (or a late payment's); one
+    // already recorded under another id isn't overwritten.
+    await Booking.updateOne(
+        { _id: booking._id, refundId: { $in: ["", refund.id] } },
+        { $set: { refundId: refund.id, refundStatus: refund.status || booking.refundStatus } }
+    );
+    return String(booking._id);
+};
+
+const HANDLERS = {
+    "checkout.session.completed": onCheckoutPaid,
+    "checkout.session.async_payment_succeeded": onCheckoutPaid,
+    "checkout.session.expired": onCheckoutExpired,
+    "payment_intent.payment_failed": onPaymentFailed,
+    "charge.refunded": onChargeRefunded,
+    "refund.created": onRefundUpdated,
+    "refund.updated": onRefundUpdated,
+};
+
+// POST /api/stripe - Stripe webhook receiver
+// Each event id is claimed in StripeEvent before it is applied, so Stripe
+// retries (or duplicate deliveries) are acknowledged without re-applying it.
 export const stripeWebhooks = async (request, response) => {
     const stripeInstance = new stripe(process.env.STRIPE_SECRET_KEY);
     const sig = request.headers["stripe-signature"];
@@ -23,58 +207,25 @@ export const stripeWebhooks = async (request, response) => {
         return response.status(400).send(`Webhook Error: ${error.message}`);
     }
 
+    const handler = HANDLERS[event.type];
+    if (!handler) return response.json({ received: true });
+
     try {
-        if (event.type === "checkout.session.completed") {
-            const session = event.data.object;
-            const bookingId = session.metadata?.bookingId;
-
-            if (!bookingId) {
-                return response.json({ received: true });
-            }
-
-            const booking = await Booking.findById(bookingId);
-            if (!booking) return response.json({ received: true });
-
-            if (booking.isPaid && booking.status === "confirmed") {
-                return response.json({ received: true });
-            }
-
-            booking.isPaid = true;
-            booking.status = "confirmed";
-            booking.paymentLink = "";
-            booking.paymentIntentId = session.payment_intent || booking.paymentIntentId || "";
-            await booking.save();
-
-            const show = await Show.findById(booking.show);
-            if (!show) return response.json({ received: true });
-
-            if (!show.occupiedSeats) show.occupiedSeats = {};
-            if (!show.heldSeats) show.heldSeats = {};
-
-            booking.seats.forEach((seat) => {
-                show.occupiedSeats[seat] = booking.user.toString();
-
-                if (
-                    show.heldSeats[seat] &&
-                    String(show.heldSeats[seat].bookingId) === String(booking._id)
-                ) {
-                    delete show.heldSeats[seat];
-                }
-            });
-
-            show.markModified("occupiedSeats");
-            show.markModified("heldSeats");
-            await show.save();
-
-            await inngest.send({
-                name: "app/show.booked",
-                data: { bookingId },
-            });
-        }
+        await StripeEvent.create({ _id: event.id, type: event.type });
+    } catch (err) {
+        if (isDuplicateKey(err)) return response.json({ received: true, duplicate: true });
+        console.error("Webhook claim error:", err);
+        return response.status(500).send("Internal Server Error");
+    }
 
+    try {
+        const bookingId = await handler(event.data.object);
+        if (bookingId) await StripeEvent.updateOne({ _id: event.id }, { $set: { booking: String(bookingId) } });
         return response.json({ received: true });
     } catch (err) {
         console.error("Webhook processing error:", err);
+        // Give the claim back so Stripe's retry can apply the event.
+        await StripeEvent.deleteOne({ _id: event.id }).catch(() => { });
         return response.status(500).send("Internal Server Error");
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,193 @@
+// controllers/theaterController.js - Public city list + admin theater management (create, edit, deactivate)
+import mongoose from "mongoose";
+import Screen from "../models/Screen.js";
+import Show from "../models/Show.js";
+import Theater from "../models/theaterModel.js";
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whether Intl knows this IANA time zone name.
+const isTimeZone = (tz) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Trimmed, de-duplicated list of non-empty strings (amenities, formats).
+const cleanList = (list) =>
+    [...new Set((Array.isArray(list) ? list : []).map((v) => String(v).trim()).filter(Boolean))];
+
+/**
+ * Validates a create/update payload and returns { theater } with clean fields,
+ * or { error } with a message for the admin.
+ */
+const normalizeTheaterInput = (body = {}) => {
+    const name = String(body.name || "").trim();
+    const city = String(body.city || "").trim();
+    if (!name) return { error: "Theater name is required" };
+    if (!city) return { error: "City is required" };
+    const timezone = String(body.timezone || "").trim();
+    if (timezone && !isTimeZone(timezone)) return { error: "Unknown time zone (use an IANA name like Asia/Kolkata)" };
+
+    const theater = {
+        name,
+        city,
+        address: String(body.address || "").trim(),
+        timezone,
+        amenities: cleanList(body.amenities),
+        formats: cleanList(body.formats),
+    };
+
+    // Coordinates are optional, but must come as a valid pair.
+    const lat = body.geo?.lat;
+    const lng = body.geo?.lng;
+    const hasLat = lat !== undefined && lat !== null && lat !== "";
+    const hasLng = lng !== undefined && lng !== null && lng !== "";
+    if (hasLat || hasLng) {
+        const la = Number(lat);
+        const ln = Number(lng);
+        if (!hasLat || !hasLng || !Number.isFinite(la) || !Number.isFinite(ln) ||
+            la < -90 || la > 90 || ln < -180 || ln > 180) {
+            return { error: "Coordinates need a valid latitude and longitude" };
+        }
+        theater.geo = { lat: la, lng: ln };
+    } else {
+        theater.geo = undefined;
+    }
+
+    return { theater };
+};
+
+// Another theater with the same name in the same city (case-insensitive)?
+const findDuplicate = (theater, excludeId) =>
+    Theater.exists({
+        _id: { $ne: excludeId },
+        name: new RegExp(`^${escapeRegex(theater.name)}$`, "i"),
+        city: new RegExp(`^${escapeRegex(theater.city)}$`, "i"),
+    });
+
+// GET /api/theater/cities - Cities that have at least one active theater
+export const getCities = async (req, res) => {
+    try {
+        const cities = await Theater.distinct("city", { isActive: { $ne: false } });
+        return res.json({ success: true, cities: cities.filter(Boolean).sort() });
+    } catch (error) {
+        console.error("getCities error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load cities" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------------- */
+
+// GET /api/admin/theaters - All theaters (active + inactive) with screen / upcoming show counts
+export const listTheaters = async (req, res) => {
+    try {
+        const [theaters, screenCounts, showCounts] = await Promise.all([
+            Theater.find({}).sort({ city: 1, name: 1 }).lean(),
+            Screen.aggregate([{ $group: { _id: "$theater", count: { $sum: 1 } } }]),
+            Show.aggregate([
+                { $match: { showDateTime: { $gte: new Date() } } },
+                { $group: { _id: "$theater", count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const screensBy = Object.fromEntries(screenCounts.map((c) => [String(c._id), c.count]));
+        const showsBy = Object.fromEntries(showCounts.map((c) => [String(c._id), c.count]));
+
+        return res.json({
+            success: true,
+            theaters: theaters.map((t) => ({
+                ...t,
+                screenCount: screensBy[String(t._id)] || 0,
+                upcomingShows: showsBy[String(t._id)] || 0,
+            })),
+        });
+    } catch (error) {
+        console.error("listTheaters error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load theaters" });
+    }
+};
+
+// POST /api/admin/theaters - Create a theater { name, city, address, timezone, amenities, formats, geo }
+export const createTheater = async (req, res) => {
+    try {
+        const { theater, error } = normalizeTheaterInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        if (await findDuplicate(theater)) {
+            return res.status(409).json({ success: false, message: "This theater already exists in the city" });
+        }
+
+        const created = await Theater.create({ ...theater, isActive: true });
+        return res.json({ success: true, message: "Theater created", theater: created });
+    } catch (error) {
+        console.error("createTheater error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create theater" });
+    }
+};
+
+// PUT /api/admin/theaters/:theaterId - Edit a theater's details (shows keep their reference)
+export const updateTheater = async (req, res) => {
+    try {
+        const { theaterId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(theaterId)) {
+            return res.status(400).json({ success: false, message: "Invalid theaterId" });
+        }
+
+        const { theater, error } = normalizeTheaterInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        if (await findDuplicate(theater, theaterId)) {
+            return res.status(409).json({ success: false, message: "This theater already exists in the city" });
+        }
+
+        const update = { $set: { ...theater } };
+        if (!theater.geo) {
+            delete update.$set.geo;
+            update.$unset = { geo: "" };
+        }
+
+        const updated = await Theater.findByIdAndUpdate(theaterId, update, { new: true, runValidators: true });
+        if (!updated) return res.status(404).json({ success: false, message: "Theater not found" });
+
+        return res.json({ success: true, message: "Theater saved", theater: updated });
+    } catch (error) {
+        console.error("updateTheater error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save theater" });
+    }
+};
+
+// PATCH /api/admin/theaters/:theaterId/active - Deactivate / reactivate { isActive }
+// Theaters are never deleted: shows and bookings keep pointing at them.
+export const setTheaterActive = async (req, res) => {
+    try {
+        const { theaterId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(theaterId)) {
+            return res.status(400).json({ success: false, message: "Invalid theaterId" });
+        }
+        if (typeof req.body?.isActive !== "boolean") {
+            return res.status(400).json({ success: false, message: "isActive must be true or false" });
+        }
+
+        const updated = await Theater.findByIdAndUpdate(
+            theaterId,
+            { $set: { isActive: req.body.isActive } },
+            { new: true }
+        );
+        if (!updated) return res.status(404).json({ success: false, message: "Theater not found" });
+
+        return res.json({
+            success: true,
+            message: updated.isActive ? "Theater reactivated" : "Theater deactivated",
+            theater: updated,
+        });
+    } catch (error) {
+        console.error("setTheaterActive error:", error);
+        return res.status(500).json({ success: false, message: "Failed to update theater" });
+    }
+};
@@ -0,0 +1,174 @@
+// controllers/ticketController.js - Ticket downloads (PDF, Wallet passes): signed-in owner / admin, or a short-lived signed link
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { isAdminUser } from "../middleware/auth.js";
+import { readTicketDownloadToken, ticketDownloadLink } from "../services/ticketCodeService.js";
+import { ticketEtag, ticketPdf } from "../services/ticketPdfService.js";
+import { buildApplePass, isAppleWalletConfigured } from "../services/appleWalletService.js";
+import { googleSaveUrl, isGoogleWalletConfigured } from "../services/googleWalletService.js";
+
+const loadBooking = (bookingId) =>
+    Booking.findById(bookingId).populate({
+        path: "show",
+        populate: ["movie", "theater"],
+    });
+
+// Signed-in owner of the booking, or an admin.
+const canAccess = async (req, booking) => {
+    const { userId } = req.auth();
+    if (!userId) return false;
+    return String(booking.user) === String(userId) || isAdminUser(userId);
+};
+
+/**
+ * Why a booking's ticket can't be downloaded right now ({ status, message }),
+ * or null when it can.
+ */
+const ticketUnavailable = (booking) => {
+    if (!booking || booking.deletedAt) return { status: 404, message: "Ticket not found" };
+    if (booking.status !== "confirmed" || !booking.isPaid) return { status: 403, message: "This booking has no valid ticket" };
+
+    // Tickets stop downloading 10 minutes before the show ends.
+    const runtime = booking.show?.movie?.runtime;
+    if (runtime) {
+        const showStart = new Date(booking.show.showDateTime).getTime();
+        const expiry = showStart + runtime * 60 * 1000 - 10 * 60 * 1000;
+        if (Date.now() > expiry) return { status: 410, message: "Ticket expired" };
+    }
+    return null;
+};
+
+// Renders (or reuses) the PDF; a browser holding the current copy gets a 304.
+const sendTicket = async (req, res, booking) => {
+    const etag = ticketEtag(booking);
+    res.set({ "Cache-Control": "private, no-cache", ETag: etag });
+    if (req.get("If-None-Match") === etag) return res.status(304).end();
+
+    const { pdf } = await ticketPdf(booking);
+    res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="MovieMint-ticket-${String(booking._id).slice(-8).toUpperCase()}.pdf"`,
+        "Content-Length": pdf.length,
+    });
+    return res.send(pdf);
+};
+
+/**
+ * The signed-in owner's (or an admin's) booking with a downloadable ticket:
+ * { booking } or { status, message }.
+ */
+const loadOwnTicket = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) return { status: 400, message: "Invalid booking id" };
+    const booking = await loadBooking(req.params.bookingId);
+    if (!booking || !(await canAccess(req, booking))) return { status: 404, message: "Ticket not found" };
+    return ticketUnavailable(booking) || { booking };
+};
+
+// GET /api/booking/:bookingId/ticket - Ticket PDF (owner or admin)
+export const downloadTicketPdf = async (req, res) => {
+    try {
+        const { booking, status, message } = await loadOwnTicket(req);
+        if (!booking) return res.status(status).json({ success: false, message });
+        return await sendTicket(req, res, booking);
+    } catch (error) {
+        console.error("downloadTicketPdf error:", error);
+        return res.status(500).json({ success: false, message: "Failed to download ticket" });
+    }
+};
+
+// POST /api/booking/:bookingId/ticket/link - Short-lived download link to share (owner or admin)
+export const createTicketLink = async (req, res) => {
+    try {
+        const { booking, status, message } = await loadOwnTicket(req);
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        const link = ticketDownloadLink(booking, { baseUrl: `${req.protocol}://${req.get("host")}` });
+        return res.json({ success: true, url: link.url, expiresAt: link.expiresAt });
+    } catch (error) {
+        console.error("createTicketLink error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create a download link" });
+    }
+};
+
+/**
+ * The booking a signed download link points to, if the link is still good:
+ * { booking } or { status, message }.
+ */
+const loadLinkedTicket = async (token) => {
+    const link = readTicketDownloadToken(token);
+    if (!link || !mongoose.Types.ObjectId.isValid(link.bookingId)) return { status: 404, message: "Ticket not found" };
+    if (link.expired) return { status: 410, message: "This download link has expired — get a new one from My Bookings" };
+
+    const booking = await loadBooking(link.bookingId);
+    if (booking && (booking.ticketVersion || 0) !== link.version) {
+        return { status: 410, message: "This ticket was replaced — get the latest one from My Bookings" };
+    }
+    return ticketUnavailable(booking) || { booking };
+};
+
+// GET /api/booking/ticket/download/:token - Ticket PDF from a signed link (no sign-in)
+export const downloadSharedTicket = async (req, res) => {
+    try {
+        const { booking, status, message } = await loadLinkedTicket(req.params.token);
+        if (!booking) return res.status(status).json({ success: false, message });
+        return await sendTicket(req, res, booking);
+    } catch (error) {
+        console.error("downloadSharedTicket error:", error);
+        return res.status(500).json({ success: false, message: "Failed to download ticket" });
+    }
+};
+
+/* ---------------- wallet passes ---------------- */
+
+// POST /api/booking/:bookingId/wallet/apple - Short-lived link that opens the Apple Wallet pass (owner or admin)
+// Safari adds a .pkpass only when it navigates to it, so the pass comes from a signed link rather than this call.
+export const createAppleWalletLink = async (req, res) => {
+    try {
+        if (!isAppleWalletConfigured()) return res.status(503).json({ success: false, message: "Apple Wallet isn't set up" });
+        const { booking, status, message } = await loadOwnTicket(req);
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        const link = ticketDownloadLink(booking, {
+            baseUrl: `${req.protocol}://${req.get("host")}`,
+            route: "/api/booking/ticket/wallet",
+        });
+        return res.json({ success: true, url: link.url, expiresAt: link.expiresAt });
+    } catch (error) {
+        console.error("createAppleWalletLink error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create the Wallet pass" });
+    }
+};
+
+// GET /api/booking/ticket/wallet/:token - Apple Wallet pass from a signed link (no sign-in)
+export const downloadApplePass = async (req, res) => {
+    try {
+        if (!isAppleWalletConfigured()) return res.status(503).json({ success: false, message: "Apple Wallet isn't set up" });
+        const { booking, status, message } = await loadLinkedTicket(req.params.token);
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        const pass = await buildApplePass(booking);
+        res.set({
+            "Content-Type": "application/vnd.apple.pkpass",
+            "Content-Disposition": `attachment; filename="MovieMint-${String(booking._id).slice(-8).toUpperCase()}.pkpass"`,
+            "Cache-Control": "private, no-store",
+        });
+        return res.send(pass);
+    } catch (error) {
+        console.error("downloadApplePass error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create the Wallet pass" });
+    }
+};
+
+// POST /api/booking/:bookingId/wallet/google - "Save to Google Wallet" link (owner or admin)
+export const createGoogleWalletLink = async (req, res) => {
+    try {
+        if (!isGoogleWalletConfigured()) return res.status(503).json({ success: false, message: "Google Wallet isn't set up" });
+        const { booking, status, message } = await loadOwnTicket(req);
+        if (!booking) return res.status(status).json({ success: false, message });
+
+        return res.json({ success: true, url: googleSaveUrl(booking) });
+    } catch (error) {
+        console.error("createGoogleWalletLink error:", error);
+        return res.status(500).json({ success: false, message: "Failed to create the Wallet pass" });
+    }
+};
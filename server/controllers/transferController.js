@@ -0,0 +1,238 @@
+// controllers/transferController.js - Ticket transfers between users (offer, accept, decline, withdraw) + admin audit
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Show from "../models/Show.js";
+import TicketTransfer from "../models/TicketTransfer.js";
+import User from "../models/User.js";
+import { ageOn, isRestricted, minimumAge } from "../services/certificationService.js";
+import { acceptTransfer, closeTransfer, createTransfer, expireLapsedTransfers } from "../services/transferService.js";
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const SHOW_POPULATE = {
+    path: "show",
+    populate: [
+        { path: "movie", select: "title poster_path" },
+        { path: "theater", select: "name city" },
+    ],
+};
+
+const serializeTransfer = (t) => ({
+    _id: t._id,
+    booking: t.booking,
+    seats: t.seats,
+    wholeBooking: t.wholeBooking,
+    fromName: t.fromName,
+    toName: t.toName,
+    toEmail: t.toEmail,
+    status: t.status,
+    expiresAt: t.expiresAt,
+    createdAt: t.createdAt,
+    respondedAt: t.respondedAt,
+    show: t.show?._id
+        ? {
+            _id: t.show._id,
+            showDateTime: t.show.showDateTime,
+            movie: t.show.movie,
+            theater: t.show.theater,
+        }
+        : null,
+});
+
+// POST /api/transfer - Offer seats of a confirmed booking to another user. Body: { bookingId, email, seats? }
+export const requestTransfer = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { bookingId, email } = req.body;
+        const { origin } = req.headers;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({ success: false, message: "Invalid booking id" });
+        }
+        const toEmail = String(email || "").trim();
+        if (!toEmail) return res.status(400).json({ success: false, message: "Enter the recipient's email" });
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking || booking.deletedAt) return res.status(404).json({ success: false, message: "Booking not found" });
+        if (String(booking.user) !== String(userId)) {
+            return res.status(403).json({ success: false, message: "Not your booking" });
+        }
+        if (booking.status !== "confirmed" || !booking.isPaid) {
+            return res.status(400).json({ success: false, message: "Only confirmed tickets can be transferred" });
+        }
+
+        const seats = Array.isArray(req.body.seats) && req.body.seats.length ? [...new Set(req.body.seats)] : booking.seats;
+        if (!seats.every((s) => booking.seats.includes(s))) {
+            return res.status(400).json({ success: false, message: "Seats must belong to this booking" });
+        }
+
+        const show = await Show.findById(booking.show);
+        if (!show || new Date(show.showDateTime).getTime() <= Date.now()) {
+            return res.status(400).json({ success: false, message: "This show has already started" });
+        }
+
+        const recipient = await User.findOne({ email: new RegExp(`^${escapeRegex(toEmail)}$`, "i") });
+        if (!recipient) {
+            return res.status(404).json({ success: false, message: "No MovieMint account uses that email — ask them to sign up first" });
+        }
+        if (String(recipient._id) === String(userId)) {
+            return res.status(400).json({ success: false, message: "You can't transfer tickets to yourself" });
+        }
+
+        const owner = await User.findById(userId).select("name").lean();
+        const { transfer, error } = await createTransfer({
+            booking,
+            show,
+            seats,
+            owner: owner || booking.userSnapshot || {},
+            recipient,
+            origin: origin || "",
+        });
+        if (error) return res.status(409).json({ success: false, message: error });
+
+        return res.json({
+            success: true,
+            message: `Transfer sent to ${recipient.email} — it completes when they accept`,
+            transfer: serializeTransfer(transfer),
+        });
+    } catch (error) {
+        console.error("requestTransfer error:", error);
+        return res.status(500).json({ success: false, message: "Failed to start transfer" });
+    }
+};
+
+// GET /api/transfer - The signed-in user's incoming (pending) and sent transfers
+export const getMyTransfers = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        if (!userId) return res.status(401).json({ success: false, message: "Authentication required" });
+
+        await expireLapsedTransfers();
+        const [incoming, outgoing] = await Promise.all([
+            TicketTransfer.find({ toUser: userId, status: "pending" }).sort({ createdAt: -1 }).populate(SHOW_POPULATE),
+            TicketTransfer.find({ fromUser: userId }).sort({ createdAt: -1 }).limit(50).populate(SHOW_POPULATE),
+        ]);
+
+        return res.json({
+            success: true,
+            incoming: incoming.map(serializeTransfer),
+            outgoing: outgoing.map(serializeTransfer),
+        });
+    } catch (error) {
+        console.error("getMyTransfers error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load transfers" });
+    }
+};
+
+// POST /api/transfer/:transferId/accept - Recipient accepts; the seats become theirs
+export const acceptTicketTransfer = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { transferId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(transferId)) {
+            return res.status(400).json({ success: false, message: "Invalid transfer id" });
+        }
+
+        const recipient = await User.findById(userId);
+        const pending = await TicketTransfer.findOne({ _id: transferId, toUser: userId, status: "pending" })
+            .populate({ path: "show", populate: { path: "movie", select: "certification" } });
+        if (!recipient || !pending) return res.status(404).json({ success: false, message: "Transfer not found" });
+
+        // Same age rule as booking: restricted titles need an attested date of birth.
+        const certification = pending.show?.movie?.certification;
+        if (isRestricted(certification)) {
+            if (!recipient.dateOfBirth) {
+                return res.status(403).json({
+                    success: false,
+                    code: "AGE_REQUIRED",
+                    certification,
+                    message: `This movie is rated ${certification}. Confirm your date of birth to accept these tickets.`,
+                });
+            }
+            if (ageOn(recipient.dateOfBirth, pending.show.showDateTime) < minimumAge(certification)) {
+                return res.status(403).json({
+                    success: false,
+                    code: "UNDERAGE",
+                    certification,
+                    message: `This movie is rated ${certification} — you must be ${minimumAge(certification)} or older to accept these tickets.`,
+                });
+            }
+        }
+
+        const { booking, error } = await acceptTransfer(pending._id, recipient);
+        if (error) return res.status(409).json({ success: false, message: error });
+
+        return res.json({ success: true, message: "Tickets added to your bookings", bookingId: booking._id });
+    } catch (error) {
+        console.error("acceptTicketTransfer error:", error);
+        return res.status(500).json({ success: false, message: "Failed to accept transfer" });
+    }
+};
+
+// POST /api/transfer/:transferId/decline - Recipient turns the offer down
+export const declineTicketTransfer = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { transferId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(transferId)) {
+            return res.status(400).json({ success: false, message: "Invalid transfer id" });
+        }
+
+        const closed = await closeTransfer(transferId, { userId, as: "recipient" });
+        if (!closed) return res.status(409).json({ success: false, message: "This transfer is no longer pending" });
+        return res.json({ success: true, message: "Transfer declined" });
+    } catch (error) {
+        console.error("declineTicketTransfer error:", error);
+        return res.status(500).json({ success: false, message: "Failed to decline transfer" });
+    }
+};
+
+// POST /api/transfer/:transferId/cancel - Owner withdraws an offer that wasn't accepted yet
+export const cancelTicketTransfer = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const { transferId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(transferId)) {
+            return res.status(400).json({ success: false, message: "Invalid transfer id" });
+        }
+
+        const closed = await closeTransfer(transferId, { userId, as: "owner" });
+        if (!closed) return res.status(409).json({ success: false, message: "This transfer is no longer pending" });
+        return res.json({ success: true, message: "Transfer withdrawn" });
+    } catch (error) {
+        console.error("cancelTicketTransfer error:", error);
+        return res.status(500).json({ success: false, message: "Failed to withdraw transfer" });
+    }
+};
+
+/* ------------------------------------------------------------------
+   ADMIN
+------------------------------------------------------------------- */
+
+// GET /api/admin/transfers - Transfer audit log (newest first). Query: ?bookingId=&status=
+export const listTransfers = async (req, res) => {
+    try {
+        const { bookingId, status } = req.query;
+        const filter = {};
+        if (bookingId && mongoose.Types.ObjectId.isValid(bookingId)) {
+            filter.$or = [{ booking: bookingId }, { resultBooking: bookingId }];
+        }
+        if (status) filter.status = status;
+
+        await expireLapsedTransfers();
+        const transfers = await TicketTransfer.find(filter).sort({ createdAt: -1 }).limit(200).populate(SHOW_POPULATE);
+        return res.json({
+            success: true,
+            transfers: transfers.map((t) => ({
+                ...serializeTransfer(t),
+                fromUser: t.fromUser,
+                toUser: t.toUser,
+                resultBooking: t.resultBooking,
+                note: t.note,
+            })),
+        });
+    } catch (error) {
+        console.error("listTransfers error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load transfers" });
+    }
+};
@@ -1,7 +1,10 @@
-// controllers/userController.js - Handles user-specific operations (bookings, favorites)
+// controllers/userController.js - Handles user-specific operations (bookings, favorites, age attestation)
 import { clerkClient } from "@clerk/express";
 import Booking from "../models/Booking.js";
 import Movie from "../models/Movie.js";
+import User from "../models/User.js";
+import { ageOn } from "../services/certificationService.js";
+import { ticketQrDataUrl } from "../services/ticketCodeService.js";
 
 
 // GET /api/user/bookings - Fetch all bookings for the authenticated user
@@ -24,7 +27,14 @@ export const getUserBookings = async (req, res) => {
                     }
                 ]
             });
-        res.json({ success: true, bookings })
+
+        // Confirmed tickets carry their signed entry QR (rendered here, never by a third party).
+        const withQr = await Promise.all(bookings.map(async (booking) => {
+            const plain = booking.toObject();
+            if (booking.status === "confirmed" && booking.isPaid) plain.ticketQr = await ticketQrDataUrl(booking);
+            return plain;
+        }));
+        res.json({ success: true, bookings: withQr })
     } catch (error) {
         console.error(error.message);
         res.json({ success: false, message: error.message });
@@ -72,4 +82,75 @@ export const getFavorites = async (req, res) => {
         console.error(error.message);
         res.json({ success: false, message: error.message });
     }
-}
\ No newline at end of file
+}
+
+// GET /api/user/age - The user's attested date of birth (null if not given yet)
+export const getAgeAttestation = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const profile = await User.findById(userId).select("dateOfBirth ageAttestedAt").lean();
+        const dateOfBirth = profile?.dateOfBirth || null;
+
+        return res.json({
+            success: true,
+            dateOfBirth,
+            age: dateOfBirth ? ageOn(dateOfBirth) : null,
+            attestedAt: profile?.ageAttestedAt || null,
+        });
+    } catch (error) {
+        console.error("getAgeAttestation error:", error);
+        return res.status(500).json({ success: false, message: "Failed to load age details" });
+    }
+};
+
+// POST /api/user/age - Attest date of birth { dateOfBirth: "YYYY-MM-DD" }
+// Set once; changing it afterwards goes through support, so it can't be
+// flipped just to get past an A certificate.
+export const setAgeAttestation = async (req, res) => {
+    try {
+        const { userId } = req.auth();
+        const raw = String(req.body?.dateOfBirth || "");
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+            return res.status(400).json({ success: false, message: "Enter your date of birth as YYYY-MM-DD" });
+        }
+        const dateOfBirth = new Date(`${raw}T00:00:00.000Z`);
+        const age = Number.isNaN(dateOfBirth.getTime()) ? -1 : ageOn(dateOfBirth);
+        if (age < 0 || age > 120) {
+            return res.status(400).json({ success: false, message: "Enter a valid date of birth" });
+        }
+
+        let profile = await User.findById(userId).select("dateOfBirth");
+        if (profile?.dateOfBirth) {
+            return res.status(409).json({ success: false, message: "Your date of birth is already on file" });
+        }
+
+        // Clerk's webhook normally creates the profile; fill it in if it hasn't yet.
+        if (!profile) {
+            const clerkUser = await clerkClient.users.getUser(userId);
+            const email =
+                clerkUser.emailAddresses?.find((e) => e.id === clerkUser.primaryEmailAddressId)?.emailAddress ||
+                clerkUser.emailAddresses?.[0]?.emailAddress;
+            if (!email) {
+                return res.status(400).json({ success: false, message: "Add an email address to your account first" });
+            }
+            profile = new User({
+                _id: userId,
+                name: `${clerkUser.firstName || ""} ${clerkUser.lastName || ""}`.trim() || "MovieMint user",
+                email,
+                image: clerkUser.imageUrl || "",
+            });
+        }
+
+        profile.dateOfBirth = dateOfBirth;
+        profile.ageAttestedAt = new Date();
+        await profile.save();
+
+        return res.json({ success: true, message: "Date of birth saved", dateOfBirth, age });
+    } catch (error) {
+        if (error?.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: "Your profile is incomplete — try again in a minute" });
+        }
+        console.error("setAgeAttestation error:", error);
+        return res.status(500).json({ success: false, message: "Failed to save date of birth" });
+    }
+};
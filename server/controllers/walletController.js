@@ -0,0 +1,124 @@
+// controllers/walletController.js - Which wallets are available, and the web service Apple Wallet calls for pass updates
+import mongoose from "mongoose";
+import WalletRegistration from "../models/WalletRegistration.js";
+import {
+    applePassTypeId,
+    buildApplePass,
+    isPassAuthorized,
+    passLastModified,
+} from "../services/appleWalletService.js";
+import { loadPassBooking, walletProviders } from "../services/walletService.js";
+
+// GET /api/wallet/providers - { apple, google }: which "add to wallet" buttons to show
+export const getWalletProviders = (req, res) => {
+    res.json({ success: true, ...walletProviders() });
+};
+
+/*
+ * Apple Wallet web service (https://developer.apple.com/documentation/walletpasses/adding-a-web-service-to-update-passes).
+ * Wallet calls these itself: they answer with bare status codes, and the
+ * pass's authentication token ("ApplePass <token>") is the credential.
+ */
+
+// The booking behind a pass this request is authorized for, or null.
+const authorizedPass = async (req) => {
+    const { passTypeId, serialNumber } = req.params;
+    if (!applePassTypeId() || passTypeId !== applePassTypeId() || !mongoose.Types.ObjectId.isValid(serialNumber)) return null;
+    const booking = await loadPassBooking(serialNumber);
+    if (!booking?.show || !isPassAuthorized(booking, req.get("Authorization"))) return null;
+    return booking;
+};
+
+// POST /api/wallet/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber - Device added the pass. Body: { pushToken }
+export const registerPassDevice = async (req, res) => {
+    try {
+        const booking = await authorizedPass(req);
+        if (!booking) return res.sendStatus(401);
+        const pushToken = String(req.body?.pushToken || "");
+        if (!pushToken) return res.sendStatus(400);
+
+        const key = { deviceLibraryId: req.params.deviceId, passTypeId: req.params.passTypeId, serialNumber: req.params.serialNumber };
+        const existing = await WalletRegistration.findOneAndUpdate(key, { $set: { pushToken } }, { upsert: true });
+        return res.sendStatus(existing ? 200 : 201);
+    } catch (error) {
+        console.error("registerPassDevice error:", error);
+        return res.sendStatus(500);
+    }
+};
+
+// DELETE /api/wallet/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber - Device removed the pass
+export const unregisterPassDevice = async (req, res) => {
+    try {
+        const booking = await authorizedPass(req);
+        if (!booking) return res.sendStatus(401);
+
+        await WalletRegistration.deleteOne({
+            deviceLibraryId: req.params.deviceId,
+            passTypeId: req.params.passTypeId,
+            serialNumber: req.params.serialNumber,
+        });
+        return res.sendStatus(200);
+    } catch (error) {
+        console.error("unregisterPassDevice error:", error);
+        return res.sendStatus(500);
+    }
+};
+
+// GET /api/wallet/v1/devices/:deviceId/registrations/:passTypeId - Passes on a device changed since ?passesUpdatedSince=
+export const listUpdatedPasses = async (req, res) => {
+    try {
+        const { deviceId, passTypeId } = req.params;
+        if (passTypeId !== applePassTypeId()) return res.sendStatus(404);
+
+        const registrations = await WalletRegistration.find({ deviceLibraryId: deviceId, passTypeId }).lean();
+        if (!registrations.length) return res.sendStatus(404);
+
+        const since = Number(req.query.passesUpdatedSince) || 0;
+        const bookings = await Promise.all(registrations.map((r) => loadPassBooking(r.serialNumber)));
+        const changed = bookings.filter((b) => b?.show && passLastModified(b) > since);
+        if (!changed.length) return res.sendStatus(204);
+
+        return res.json({
+            serialNumbers: changed.map((b) => String(b._id)),
+            lastUpdated: String(Math.max(...changed.map(passLastModified))),
+        });
+    } catch (error) {
+        console.error("listUpdatedPasses error:", error);
+        return res.sendStatus(500);
+    }
+};
+
+// GET /api/wallet/v1/passes/:passTypeId/:serialNumber - Latest version of a pass
+export const getLatestPass = async (req, res) => {
+    try {
+        const booking = await authorizedPass(req);
+        if (!booking) return res.sendStatus(401);
+
+        const lastModified = passLastModified(booking);
+        const since = Date.parse(req.get("If-Modified-Since") || "");
+        if (Number.isFinite(since) && lastModified <= since) return res.sendStatus(304);
+
+        const pass = await buildApplePass(booking);
+        res.set({
+            "Content-Type": "application/vnd.apple.pkpass",
+            "Last-Modified": new Date(lastModified).toUTCString(),
+        });
+        return res.send(pass);
+    } catch (error) {
+        console.error("getLatestPass error:", error);
+        return res.sendStatus(500);
+    }
+};
+
+const MAX_WALLET_LOG_LINES = 10;
+const MAX_WALLET_LOG_LENGTH = 500;
+
+// POST /api/wallet/v1/log - Errors Wallet reports about our passes. Body: { logs: [...] }
+// Anyone can call this, so only the first few lines are logged, each cut short.
+export const logWalletErrors = (req, res) => {
+    const logs = Array.isArray(req.body?.logs) ? req.body.logs : [];
+    for (const line of logs.slice(0, MAX_WALLET_LOG_LINES)) {
+        console.error("Apple Wallet:", String(line).slice(0, MAX_WALLET_LOG_LENGTH));
+    }
+    res.sendStatus(200);
+};
@@ -1,39 +1,25 @@
 // cron/expireTickets.js - Scheduled job to clean up expired pending bookings
 import cron from "node-cron";
 import Booking from "../models/Booking.js";
-import Show from "../models/Show.js";
+import { expireLapsedExchanges } from "../services/exchangeService.js";
+import { expireStaleBookings } from "../services/holdService.js";
+import { settleLapsedSplitBookings } from "../services/splitPaymentService.js";
 
-// Runs every 2 minutes: finds expired pending bookings, cancels them, and releases held seats
+// Runs every 2 minutes: cancels expired pending bookings and releases their held seats,
+// settles split bookings whose hold window has ended, and closes unpaid exchanges
 cron.schedule("*/2 * * * *", async () => {
-    const now = new Date();
-
-    // 🔥 ONLY pending expired bookings
-    const expired = await Booking.find({
-        status: "pending",
-        expiresAt: { $lte: now },
-    });
-
-    for (const booking of expired) {
-        booking.status = "cancelled";
-        await booking.save();
-
-        const show = await Show.findById(booking.show);
-        if (!show?.heldSeats) continue;
-
-        for (const seat of booking.seats) {
-            if (
-                show.heldSeats[seat] &&
-                String(show.heldSeats[seat].bookingId) === String(booking._id)
-            ) {
-                delete show.heldSeats[seat];
-            }
-        }
-
-        show.markModified("heldSeats");
-        await show.save();
+    // Hold documents themselves are removed by the SeatHold TTL index; this
+    // only moves the expired pending bookings to "cancelled".
+    try {
+        const expired = await expireStaleBookings();
+        if (expired) console.log(`✅ Expired ${expired} pending booking(s). Occupied seats untouched.`);
+        const settled = await settleLapsedSplitBookings();
+        if (settled) console.log(`✅ Settled ${settled} split booking(s) whose hold ended.`);
+        const lapsed = await expireLapsedExchanges();
+        if (lapsed) console.log(`✅ Closed ${lapsed} unpaid booking exchange(s).`);
+    } catch (err) {
+        console.error("Expire pending bookings error:", err.message);
     }
-
-    console.log("✅ Expired holds cleaned. Occupied seats untouched.");
 });
 
 // Runs hourly: permanently purges Recycle Bin bookings older than 30 days
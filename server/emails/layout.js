@@ -0,0 +1,53 @@
+// emails/layout.js - The frame every email is rendered into: the HTML shell and the plain-text wrapper
+//
+// Email clients ignore <style> blocks and most modern CSS, so the HTML is
+// table-based with inline styles. Templates never build this themselves; they
+// return blocks (emails/partials.js) and services/emailService.js wraps them.
+
+export const BRAND = "#F84565";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Every value that came from a user or the database goes through this.
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+const siteUrl = () => process.env.CLIENT_URL || "";
+
+/**
+ * Full HTML document. `preheader` is the preview line inbox lists show
+ * next to the subject; it is hidden in the message itself.
+ */
+export const htmlLayout = ({ title, preheader = "", content }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f4f6;">
+<div style="display: none; max-height: 0; overflow: hidden; opacity: 0;">${escapeHtml(preheader)}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f6;">
+  <tr>
+    <td align="center" style="padding: 24px 12px;">
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 560px; background: #ffffff; border-radius: 8px; font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #222222;">
+        <tr>
+          <td style="padding: 20px 28px; border-bottom: 3px solid ${BRAND}; font-size: 22px; font-weight: bold; color: ${BRAND};">MovieMint</td>
+        </tr>
+        <tr>
+          <td style="padding: 24px 28px;">${content}</td>
+        </tr>
+        <tr>
+          <td style="padding: 16px 28px; border-top: 1px solid #eeeeee; font-size: 12px; color: #888888;">
+            Thanks for choosing MovieMint — see you at the movies.${siteUrl() ? `<br/><a href="${escapeHtml(siteUrl())}" style="color: #888888;">${escapeHtml(siteUrl())}</a>` : ""}
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>`;
+
+// Plain-text alternative with the same sign-off as the HTML footer.
+export const textLayout = ({ content }) =>
+    [content.trim(), "— MovieMint Team", siteUrl()].filter(Boolean).join("\n\n") + "\n";
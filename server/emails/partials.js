@@ -0,0 +1,69 @@
+// emails/partials.js - Building blocks templates are made of, each with an HTML and a plain-text form
+//
+// A block is { html, text }. Inline pieces passed to paragraph() are plain
+// strings (escaped here) or the { html, text } pairs from highlight() / bold(),
+// so one call describes both versions of the email and they can't drift apart.
+import { BRAND, escapeHtml } from "./layout.js";
+import { formatShowDate, formatShowTime } from "../utils/timeZone.js";
+
+const pieceHtml = (piece) => (typeof piece === "string" ? escapeHtml(piece) : piece.html);
+const pieceText = (piece) => (typeof piece === "string" ? piece : piece.text);
+
+/* ---------------- inline ---------------- */
+
+// Movie titles and the like: brand-colored in HTML, quoted in text.
+export const highlight = (value) => ({
+    html: `<strong style="color: ${BRAND};">"${escapeHtml(value)}"</strong>`,
+    text: `"${value}"`,
+});
+
+export const bold = (value) => ({ html: `<strong>${escapeHtml(value)}</strong>`, text: String(value) });
+
+export const money = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+/* ---------------- blocks ---------------- */
+
+export const heading = (value) => ({
+    html: `<h2 style="margin: 0 0 16px; font-size: 20px;">${escapeHtml(value)}</h2>`,
+    text: String(value),
+});
+
+export const paragraph = (...pieces) => ({
+    html: `<p style="margin: 0 0 16px;">${pieces.map(pieceHtml).join("")}</p>`,
+    text: pieces.map(pieceText).join(""),
+});
+
+// Small grey print under a button or at the end.
+export const note = (value) => ({
+    html: `<p style="margin: 0 0 16px; font-size: 12px; color: #666666;">${escapeHtml(value)}</p>`,
+    text: String(value),
+});
+
+export const button = (url, label) => ({
+    html: `<p style="margin: 0 0 16px;"><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: ${BRAND}; color: #ffffff; border-radius: 6px; text-decoration: none; font-weight: bold;">${escapeHtml(label)}</a></p>`,
+    text: `${label}: ${url}`,
+});
+
+// Label / value rows; rows without a value are left out.
+export const details = (rows) => {
+    const shown = rows.filter(([, value]) => value !== undefined && value !== null && value !== "");
+    return {
+        html: `<table role="presentation" cellpadding="0" cellspacing="0" style="margin: 0 0 16px; width: 100%; background: #f8f8fa; border-radius: 6px;">${shown
+            .map(([label, value]) => `<tr><td style="padding: 6px 12px; color: #666666; width: 35%;">${escapeHtml(label)}</td><td style="padding: 6px 12px; font-weight: bold;">${escapeHtml(value)}</td></tr>`)
+            .join("")}</table>`,
+        text: shown.map(([label, value]) => `${label}: ${value}`).join("\n"),
+    };
+};
+
+/**
+ * The usual showtime rows for a show view (services/emailService.js showView),
+ * in the theater's time zone. `extra` rows go after them.
+ */
+export const showDetails = (show, extra = []) =>
+    details([
+        ["Theater", [show.theaterName, show.theaterCity].filter(Boolean).join(", ") || "TBA"],
+        ["Screen", show.screen],
+        ["Date", formatShowDate(show.startsAt, show.timeZone)],
+        ["Time", formatShowTime(show.startsAt, show.timeZone)],
+        ...extra,
+    ]);
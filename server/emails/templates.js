@@ -0,0 +1,207 @@
+// emails/templates.js - Every transactional email: subject, preview line and body blocks, plus sample data
+//
+// A template is { description, attachments?, render(data), sample() }, where
+// attachments only names what the sender attaches. render() returns
+// { subject, preheader, blocks } from plain data (never Mongoose documents),
+// so the admin preview can render it from sample() exactly as it is sent.
+// Show data is a "show view" built by services/emailService.js showView().
+import { formatShowTime } from "../utils/timeZone.js";
+import { bold, button, heading, highlight, money, note, paragraph, showDetails } from "./partials.js";
+
+const title = (show) => show?.movieTitle || "your movie";
+const seatList = (seats = []) => seats.join(", ") || "—";
+const seatWord = (seats = []) => (seats.length === 1 ? "Seat" : "Seats");
+
+// Sample show for previews: three days from now, 7:30 PM in Mumbai.
+const sampleShow = () => {
+    const startsAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    startsAt.setUTCHours(14, 0, 0, 0);
+    return {
+        movieTitle: "Dune: Part Two",
+        movieId: "693134",
+        theaterName: "PVR Phoenix Palladium",
+        theaterCity: "Mumbai",
+        theaterAddress: "Lower Parel",
+        screen: "Audi 3",
+        startsAt: startsAt.toISOString(),
+        endsAt: new Date(startsAt.getTime() + 166 * 60 * 1000).toISOString(),
+        timeZone: "Asia/Kolkata",
+        geo: { lat: 18.9943, lng: 72.8258 },
+    };
+};
+
+const sampleUrl = (path) => `${process.env.CLIENT_URL || "http://localhost:5173"}${path}`;
+
+export const templates = {
+    bookingConfirmed: {
+        description: "Booking paid — ticket PDF and calendar file attached",
+        attachments: ["Ticket PDF", "Calendar invite (.ics)"],
+        render: (d) => ({
+            subject: `Payment Confirmation: "${title(d.show)}" booked!`,
+            preheader: `${seatWord(d.seats)} ${seatList(d.seats)} · your ticket is attached`,
+            blocks: [
+                heading(`Hi ${d.name || "there"},`),
+                paragraph("Your booking for ", highlight(title(d.show)), " is confirmed."),
+                showDetails(d.show, [
+                    [seatWord(d.seats), seatList(d.seats)],
+                    ["Booking ID", d.bookingRef],
+                    ["Amount paid", money(d.amount)],
+                ]),
+                paragraph("Your ticket is attached as a PDF — show its QR code at the entrance. Add the showtime to your calendar with the attached invite."),
+                ...(d.ticketLink
+                    ? [button(d.ticketLink, "Download your ticket"), note("This link works for 24 hours. After that, download your ticket from My Bookings.")]
+                    : []),
+                paragraph("Enjoy the show! 🍿"),
+            ],
+        }),
+        sample: () => ({
+            name: "Aarav Sharma",
+            show: sampleShow(),
+            seats: ["F7", "F8"],
+            amount: 760,
+            bookingRef: "5F3A9C21",
+            ticketLink: sampleUrl("/api/booking/ticket/download/sample-token"),
+        }),
+    },
+
+    bookingCancelled: {
+        description: "Booking or some of its seats cancelled, with the refund due",
+        render: (d) => {
+            const what = d.partial ? `${seatWord(d.seats).toLowerCase()} ${seatList(d.seats)}` : "booking";
+            let refund;
+            if (!(d.refundAmount > 0)) refund = paragraph(`No refund is due under the ${d.policy || "refund"} policy.`);
+            else if (d.refundStarted) {
+                refund = paragraph(
+                    "A refund of ", bold(money(d.refundAmount)),
+                    d.percent < 100 ? ` (${d.percent}% under the ${d.policy} policy)` : "",
+                    " is on its way to your original payment method. It usually shows up within 5–10 business days."
+                );
+            } else refund = paragraph("Your refund of ", bold(money(d.refundAmount)), " will be processed shortly.");
+
+            return {
+                subject: `Cancelled: ${d.partial ? `seats ${seatList(d.seats)} for ` : ""}"${title(d.show)}"`,
+                preheader: d.refundAmount > 0 ? `Refund of ${money(d.refundAmount)}` : "Your cancellation is confirmed",
+                blocks: [
+                    heading(`Hi ${d.name || "there"},`),
+                    paragraph("Your ", what, " for ", highlight(title(d.show)), " has been cancelled."),
+                    showDetails(d.show, [
+                        [d.partial ? "Cancelled" : seatWord(d.seats), seatList(d.seats)],
+                        ["Refund", d.refundAmount > 0 ? money(d.refundAmount) : "None"],
+                        ["Kept under policy", d.retainedAmount > 0 ? money(d.retainedAmount) : ""],
+                    ]),
+                    refund,
+                    ...(d.partial && d.remainingSeats?.length
+                        ? [paragraph(`You still have ${seatWord(d.remainingSeats).toLowerCase()} `, bold(seatList(d.remainingSeats)), ". Your ticket has been re-issued — the old QR code no longer works, so use the new one from My Bookings.")]
+                        : []),
+                ],
+            };
+        },
+        sample: () => ({
+            name: "Aarav Sharma",
+            show: sampleShow(),
+            seats: ["F8"],
+            partial: true,
+            remainingSeats: ["F7"],
+            refundAmount: 342,
+            retainedAmount: 38,
+            policy: "Standard",
+            percent: 90,
+            refundStarted: true,
+        }),
+    },
+
+    holdExpired: {
+        description: "Seat hold ended before payment — seats released",
+        render: (d) => ({
+            subject: `Your seats for "${title(d.show)}" were released`,
+            preheader: "The payment window ended before we received your payment",
+            blocks: [
+                heading(`Hi ${d.name || "there"},`),
+                paragraph("We held ", bold(seatList(d.seats)), " for ", highlight(title(d.show)), " but the payment window ended before your payment came through, so the seats have been released. You haven't been charged."),
+                showDetails(d.show),
+                ...(d.url ? [button(d.url, "Book again")] : []),
+                note("If money did leave your account, it is refunded automatically."),
+            ],
+        }),
+        sample: () => ({
+            name: "Aarav Sharma",
+            show: sampleShow(),
+            seats: ["F7", "F8"],
+            url: sampleUrl("/movies/693134"),
+        }),
+    },
+
+    splitInvite: {
+        description: "A friend is invited to pay for their seat in a group booking",
+        render: (d) => ({
+            subject: `${d.hostName || "A friend"} saved you a seat for "${title(d.show)}"`,
+            preheader: `Your share is ${money(d.amount)}`,
+            blocks: [
+                heading("You're invited!"),
+                paragraph(`${d.hostName || "A friend"} is booking `, highlight(title(d.show)), " for the group and is holding ", seatWord(d.seats).toLowerCase(), " ", bold(seatList(d.seats)), " for you."),
+                showDetails(d.show, [["Your share", money(d.amount)]]),
+                ...(d.payBy ? [paragraph("Pay before ", bold(formatShowTime(d.payBy, d.show?.timeZone)), " or the seat is released.")] : []),
+                button(d.url, "Pay for my seat"),
+            ],
+        }),
+        sample: () => ({
+            hostName: "Aarav Sharma",
+            show: sampleShow(),
+            seats: ["F9"],
+            amount: 380,
+            payBy: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+            url: sampleUrl("/split/sample-token"),
+        }),
+    },
+
+    transferRequest: {
+        description: "Someone offers tickets to another user",
+        render: (d) => ({
+            subject: `${d.fromName || "A MovieMint user"} sent you tickets for "${title(d.show)}"`,
+            preheader: `${seatWord(d.seats)} ${seatList(d.seats)} — accept before the show starts`,
+            blocks: [
+                heading(`Hi ${d.toName || "there"},`),
+                paragraph(`${d.fromName || "A MovieMint user"} wants to transfer ${seatWord(d.seats).toLowerCase()} `, bold(seatList(d.seats)), " for ", highlight(title(d.show)), " to you."),
+                showDetails(d.show),
+                paragraph("Accept the transfer before the show starts and the tickets move to your account with a fresh e-ticket."),
+                ...(d.url ? [button(d.url, "Review transfer")] : []),
+            ],
+        }),
+        sample: () => ({
+            fromName: "Aarav Sharma",
+            toName: "Diya Patel",
+            show: sampleShow(),
+            seats: ["F8"],
+            url: sampleUrl("/my-bookings"),
+        }),
+    },
+
+    showReminder: {
+        description: "Reminder sent about 8 hours before the show",
+        render: (d) => ({
+            subject: `Reminder: "${title(d.show)}" starts soon!`,
+            preheader: `${formatShowTime(d.show?.startsAt, d.show?.timeZone)} at ${d.show?.theaterName || "the theater"}`,
+            blocks: [
+                heading(`Hello ${d.name || "there"},`),
+                paragraph("This is a quick reminder that ", highlight(title(d.show)), ` starts in about ${d.hoursAhead || 8} hours.`),
+                showDetails(d.show),
+                paragraph("Keep your ticket's QR code handy at the entrance. Enjoy the show!"),
+            ],
+        }),
+        sample: () => ({ name: "Aarav Sharma", show: sampleShow(), hoursAhead: 8 }),
+    },
+
+    newShow: {
+        description: "A new movie was added",
+        render: (d) => ({
+            subject: `🎬 New Show Added: ${d.movieTitle}`,
+            preheader: `${d.movieTitle} is now on MovieMint`,
+            blocks: [
+                heading(`Hi ${d.name || "there"},`),
+                paragraph("We've just added a new show to our library: ", highlight(d.movieTitle), "."),
+                ...(d.url ? [button(d.url, "See showtimes")] : []),
+            ],
+        }),
+        sample: () => ({ name: "Aarav Sharma", movieTitle: "Dune: Part Two", url: sampleUrl("/movies/693134") }),
+    },
+};
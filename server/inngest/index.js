@@ -1,21 +1,20 @@
 // inngest/index.js - Async event-driven functions (Clerk sync, payment checks, emails, reminders)
+// Emails are rendered from the templates in server/emails by services/emailService.js.
 import { Inngest } from "inngest";
 import User from "../models/User.js";
 import Booking from "../models/Booking.js";
 import Show from "../models/Show.js";
-import sendEmail from "../configs/nodeMailer.js";
+import BookingShare from "../models/BookingShare.js";
+import TicketTransfer from "../models/TicketTransfer.js";
+import { clientLink, sendTemplatedEmail, showView, ticketAttachments } from "../services/emailService.js";
+import { expireBooking } from "../services/holdService.js";
+import { settleSplitBooking } from "../services/splitPaymentService.js";
+import { EMAIL_TICKET_LINK_TTL_MS, ticketDownloadLink } from "../services/ticketCodeService.js";
+import { pushPassUpdates } from "../services/walletService.js";
 
 // Initialize Inngest client for event-driven task processing
 export const inngest = new Inngest({ id: "movie-ticket-booking" });
 
-/**
- * Helpers
- */
-const getShowDateValue = (show) => {
-    // Different show schemas sometimes name the field differently.
-    return show?.showDateTime || show?.showTime || show?.time || show?.dateTime || null;
-};
-
 /**
  * Sync user creation (from clerk)
  */
@@ -70,7 +69,8 @@ const syncUserUpdation = inngest.createFunction(
  * Trigger: app/checkpayment
  * Behaviour:
  *  - Sleeps until booking.expiresAt if provided, else 10 minutes from event start
- *  - If booking not paid and still pending, marks booking cancelled and removes heldSeats entries on Show
+ *  - If booking not paid and still pending, marks booking cancelled and releases its held seats
+ *  - Split bookings are settled instead (paid shares kept, unpaid seats released)
  *  - Does NOT remove confirmed bookings
  */
 const releaseSeatsAndDeleteBooking = inngest.createFunction(
@@ -88,63 +88,11 @@ const releaseSeatsAndDeleteBooking = inngest.createFunction(
         const expiresAt = booking.expiresAt ? new Date(booking.expiresAt) : new Date(Date.now() + 10 * 60 * 1000);
         await step.sleepUntil("wait-until-expiry", expiresAt);
 
-        // After waiting, re-check booking status & payment
+        // After waiting, expire the booking unless it was paid in the meantime
         await step.run("check-and-release", async () => {
-            const freshBooking = await Booking.findById(bookingId);
-            if (!freshBooking) return;
-
-            // If paid or already confirmed, nothing to do
-            if (freshBooking.isPaid || freshBooking.status === "confirmed") {
-                return;
-            }
-
-            // If still pending and expired -> cancel & release seats
-            const now = Date.now();
-            const expired = freshBooking.expiresAt ? new Date(freshBooking.expiresAt).getTime() <= now : true;
-            if (!expired) {
-                // If not expired yet, do nothing (shouldn't happen because we slept until expiresAt)
-                return;
-            }
-
-            // mark booking cancelled (keep record)
-            freshBooking.status = "cancelled";
-            await freshBooking.save();
-
-            // release held seats on related show (heldSeats map)
-            const show = await Show.findById(freshBooking.show);
-            if (show) {
-                // heldSeats expected shape: { "A1": { bookingId, user, expiresAt }, ... }
-                if (show.heldSeats && typeof show.heldSeats === "object") {
-                    let modified = false;
-                    const seatsList = Array.isArray(freshBooking.seats) && freshBooking.seats.length ? freshBooking.seats : (Array.isArray(freshBooking.bookedSeats) ? freshBooking.bookedSeats : []);
-                    for (const seat of seatsList) {
-                        if (show.heldSeats[seat] && String(show.heldSeats[seat].bookingId) === String(freshBooking._id)) {
-                            delete show.heldSeats[seat];
-                            modified = true;
-                        }
-                    }
-                    if (modified) {
-                        show.markModified("heldSeats");
-                        await show.save();
-                    }
-                } else {
-                    // fallback: if your show used occupiedSeats only before, try to remove from occupiedSeats if present and matches this user (less likely)
-                    if (show.occupiedSeats && typeof show.occupiedSeats === "object") {
-                        let mod = false;
-                        const seatsList = Array.isArray(freshBooking.seats) && freshBooking.seats.length ? freshBooking.seats : (Array.isArray(freshBooking.bookedSeats) ? freshBooking.bookedSeats : []);
-                        for (const seat of seatsList) {
-                            if (show.occupiedSeats[seat] && String(show.occupiedSeats[seat]) === String(freshBooking.user)) {
-                                delete show.occupiedSeats[seat];
-                                mod = true;
-                            }
-                        }
-                        if (mod) {
-                            show.markModified("occupiedSeats");
-                            await show.save();
-                        }
-                    }
-                }
-            }
+            const current = await Booking.findById(bookingId).select("splitPayment");
+            if (current?.splitPayment) await settleSplitBooking(bookingId);
+            else await expireBooking(bookingId);
         });
     }
 );
@@ -154,6 +102,7 @@ const releaseSeatsAndDeleteBooking = inngest.createFunction(
  *
  * Trigger: app/show.booked
  * Expects: event.data.bookingId
+ * Attaches the ticket PDF and a calendar invite.
  */
 const sendBookingConfirmationEmail = inngest.createFunction(
     { id: "send-booking-confirmation-email" },
@@ -163,39 +112,203 @@ const sendBookingConfirmationEmail = inngest.createFunction(
         if (!bookingId) return;
 
         const booking = await Booking.findById(bookingId)
-            .populate({
-                path: "show",
-                populate: { path: "movie", model: "Movie" },
-            })
+            .populate({ path: "show", populate: ["movie", "theater"] })
             .populate("user");
 
         if (!booking) return;
         if (!booking.user || !booking.show) return;
 
-        // determine show date/time
-        const show = booking.show;
-        const showDateVal = getShowDateValue(show);
-        const showDateStr = showDateVal ? new Date(showDateVal).toLocaleDateString("en-US", { timeZone: "Asia/Kolkata" }) : "TBA";
-        const showTimeStr = showDateVal ? new Date(showDateVal).toLocaleTimeString("en-US", { timeZone: "Asia/Kolkata" }) : "TBA";
+        // Signed link, so the ticket opens from the inbox without signing in (needs SERVER_URL).
+        const ticketLink = booking.ticketUrl ? ticketDownloadLink(booking, { ttlMs: EMAIL_TICKET_LINK_TTL_MS }) : null;
 
-        await sendEmail({
+        await sendTemplatedEmail("bookingConfirmed", {
             to: booking.user.email,
-            subject: `Payment Confirmation: "${booking.show.movie?.title || 'Your show'}" booked!`,
-            body: `<div style="font-family: Arial, sans-serif; line-height: 1.5;">
-                <h2>Hi ${booking.user.name},</h2>
-                <p>Your booking for <strong style="color: #F84565;">"${booking.show.movie?.title || 'the show'}"</strong> is confirmed.</p>
-                <p>
-                  <strong>Date:</strong> ${showDateStr}<br/>
-                  <strong>Time:</strong> ${showTimeStr}
-                </p>
-                <p>Seats: ${Array.isArray(booking.seats) ? booking.seats.join(", ") : (Array.isArray(booking.bookedSeats) ? booking.bookedSeats.join(", ") : "N/A")}</p>
-                <p>Enjoy the show! 🍿</p>
-                <p>Thanks for booking with us!<br/>— MovieMint Team</p>
-              </div>`,
+            data: {
+                name: booking.user.name,
+                show: showView(booking.show),
+                seats: booking.seats || [],
+                amount: booking.amount,
+                bookingRef: String(booking._id).slice(-8).toUpperCase(),
+                ticketLink: ticketLink?.url || "",
+            },
+            attachments: await ticketAttachments(booking),
         });
     }
 );
 
+/**
+ * sendCancellationEmail
+ *
+ * Trigger: app/booking.cancelled
+ * Expects: event.data.bookingId, optional event.data.seatCancellationId
+ * (when only some seats were cancelled)
+ */
+const sendCancellationEmail = inngest.createFunction(
+    { id: "send-cancellation-email" },
+    { event: "app/booking.cancelled" },
+    async ({ event }) => {
+        const { bookingId, seatCancellationId } = event.data || {};
+        if (!bookingId) return;
+
+        const booking = await Booking.findById(bookingId)
+            .populate({ path: "show", populate: ["movie", "theater"] })
+            .populate("user");
+        const to = booking?.user?.email || booking?.userSnapshot?.email;
+        if (!booking?.show || !to) return;
+
+        let data;
+        if (seatCancellationId) {
+            const entry = booking.seatCancellations?.find((c) => String(c._id) === String(seatCancellationId));
+            if (!entry) return;
+            data = {
+                seats: entry.seats,
+                partial: true,
+                remainingSeats: booking.seats,
+                refundAmount: entry.amount,
+                retainedAmount: entry.retainedAmount,
+                policy: entry.policy,
+                percent: entry.percent,
+                refundStarted: !!entry.refundId,
+            };
+        } else {
+            if (booking.status !== "cancelled") return;
+            const terms = booking.cancellationTerms || {};
+            data = {
+                seats: booking.seats,
+                partial: false,
+                refundAmount: terms.refundAmount,
+                retainedAmount: terms.retainedAmount,
+                policy: terms.policy,
+                percent: terms.percent,
+                refundStarted: !!booking.refundId,
+            };
+        }
+
+        await sendTemplatedEmail("bookingCancelled", {
+            to,
+            data: { ...data, name: booking.user?.name || booking.userSnapshot?.name, show: showView(booking.show) },
+        });
+    }
+);
+
+/**
+ * sendHoldExpiredEmail
+ *
+ * Trigger: app/booking.hold.expired
+ * Expects: event.data.bookingId (a pending booking whose hold ran out unpaid)
+ */
+const sendHoldExpiredEmail = inngest.createFunction(
+    { id: "send-hold-expired-email" },
+    { event: "app/booking.hold.expired" },
+    async ({ event }) => {
+        const bookingId = event.data?.bookingId;
+        if (!bookingId) return;
+
+        const booking = await Booking.findById(bookingId)
+            .populate({ path: "show", populate: ["movie", "theater"] })
+            .populate("user");
+        const to = booking?.user?.email || booking?.userSnapshot?.email;
+        if (!booking?.show || !to || booking.isPaid || booking.status !== "cancelled") return;
+
+        const show = showView(booking.show);
+        // Only worth offering to book again while the show is still ahead.
+        const upcoming = show.startsAt && new Date(show.startsAt).getTime() > Date.now();
+
+        await sendTemplatedEmail("holdExpired", {
+            to,
+            data: {
+                name: booking.user?.name || booking.userSnapshot?.name,
+                show,
+                seats: booking.seats || [],
+                url: upcoming && show.movieId ? clientLink(`/movies/${show.movieId}`) : "",
+            },
+        });
+    }
+);
+
+/**
+ * sendSplitInviteEmail
+ *
+ * Trigger: app/booking.share.invited
+ * Expects: event.data.shareId, event.data.url (the share's pay link)
+ */
+const sendSplitInviteEmail = inngest.createFunction(
+    { id: "send-split-invite-email" },
+    { event: "app/booking.share.invited" },
+    async ({ event }) => {
+        const { shareId, url } = event.data || {};
+        if (!shareId || !url) return;
+
+        const share = await BookingShare.findById(shareId).populate({
+            path: "booking",
+            populate: { path: "show", populate: ["movie", "theater"] },
+        });
+        if (!share?.email || share.status !== "pending" || !share.booking?.show) return;
+
+        const booking = share.booking;
+        await sendTemplatedEmail("splitInvite", {
+            to: share.email,
+            data: {
+                hostName: booking.userSnapshot?.name || "A friend",
+                show: showView(booking.show),
+                seats: share.seats,
+                amount: share.amount,
+                payBy: booking.expiresAt ? new Date(booking.expiresAt).toISOString() : "",
+                url,
+            },
+        });
+    }
+);
+
+/**
+ * sendTransferRequestEmail
+ *
+ * Trigger: app/ticket.transfer.requested
+ * Expects: event.data.transferId, event.data.url (where the recipient accepts)
+ */
+const sendTransferRequestEmail = inngest.createFunction(
+    { id: "send-transfer-request-email" },
+    { event: "app/ticket.transfer.requested" },
+    async ({ event }) => {
+        const { transferId, url } = event.data || {};
+        if (!transferId) return;
+
+        const transfer = await TicketTransfer.findById(transferId).populate({
+            path: "show",
+            populate: ["movie", "theater"],
+        });
+        if (!transfer || transfer.status !== "pending" || !transfer.show) return;
+
+        await sendTemplatedEmail("transferRequest", {
+            to: transfer.toEmail,
+            data: {
+                fromName: transfer.fromName || "A MovieMint user",
+                toName: transfer.toName,
+                show: showView(transfer.show),
+                seats: transfer.seats,
+                url,
+            },
+        });
+    }
+);
+
+/**
+ * pushWalletPassUpdates
+ *
+ * Trigger: app/wallet.passes.changed
+ * Expects: event.data.bookingIds (ticket re-issued, booking cancelled or show rescheduled)
+ */
+const pushWalletPassUpdates = inngest.createFunction(
+    { id: "push-wallet-pass-updates" },
+    { event: "app/wallet.passes.changed" },
+    async ({ event, step }) => {
+        const bookingIds = event.data?.bookingIds || [];
+        if (!bookingIds.length) return;
+
+        return step.run("push-updates", () => pushPassUpdates(bookingIds));
+    }
+);
+
 /**
  * sendShowReminders
  *
@@ -213,7 +326,7 @@ const sendShowReminders = inngest.createFunction(
         const reminderTasks = await step.run("prepare-reminder-tasks", async () => {
             const shows = await Show.find({
                 showDateTime: { $gte: windowStart, $lte: in8Hours },
-            }).populate("movie");
+            }).populate(["movie", "theater"]);
 
             const tasks = [];
 
@@ -226,14 +339,13 @@ const sendShowReminders = inngest.createFunction(
                 if (!userIds.length) continue;
 
                 const users = await User.find({ _id: { $in: userIds } }).select("name email");
-                const showTime = getShowDateValue(show);
+                const view = showView(show);
 
                 for (const user of users) {
                     tasks.push({
                         userEmail: user.email,
                         userName: user.name,
-                        movieTitle: show.movie.title,
-                        showTime,
+                        show: view,
                     });
                 }
             }
@@ -247,21 +359,9 @@ const sendShowReminders = inngest.createFunction(
         const results = await step.run("send-all-reminders", async () => {
             return await Promise.allSettled(
                 reminderTasks.map((task) =>
-                    sendEmail({
+                    sendTemplatedEmail("showReminder", {
                         to: task.userEmail,
-                        subject: `Reminder: Your movie "${task.movieTitle}" starts soon!`,
-                        body: `<div style="font-family: Arial, sans-serif; padding: 20px;">
-                      <h2>Hello ${task.userName},</h2>
-                      <p>This is a quick reminder that your movie:</p>
-                      <h3 style="color: #F84565;">"${task.movieTitle}"</h3>
-                      <p>
-                        is scheduled for <strong>${task.showTime ? new Date(task.showTime).toLocaleDateString("en-US", { timeZone: "Asia/Kolkata" }) : "TBA"}</strong> at 
-                        <strong>${task.showTime ? new Date(task.showTime).toLocaleTimeString("en-US", { timeZone: "Asia/Kolkata" }) : "TBA"}</strong>.
-                      </p>
-                      <p>It starts in approximately <strong>8 hours</strong> - make sure you're ready!</p>
-                      <br/>
-                      <p>Enjoy the show!<br/>MovieMint Team</p>
-                    </div>`,
+                        data: { name: task.userName, show: task.show, hoursAhead: 8 },
                     })
                 )
             );
@@ -285,27 +385,14 @@ const sendNewShowNotifications = inngest.createFunction(
     { id: "send-new-show-notifications" },
     { event: "app/show.added" },
     async ({ event }) => {
-        const { movieTitle } = event.data;
+        const { movieTitle, movieId } = event.data;
         const users = await User.find({});
+        const url = movieId ? clientLink(`/movies/${movieId}`) : clientLink("/movies");
 
         for (const user of users) {
-            const userEmail = user.email;
-            const userName = user.name;
-
-            const subject = `🎬 New Show Added: ${movieTitle}`;
-            const body = `<div style="font-family: Arial, sans-serif; padding: 20px;">
-                    <h2>Hi ${userName},</h2>
-                    <p>We've just added a new show to our library:</p>
-                    <h3 style="color: #F84565;">"${movieTitle}"</h3>
-                    <p>Visit our website</p>
-                    <br/>
-                    <p>Thanks,<br/>MovieMint Team</p>
-                  </div>`;
-
-            await sendEmail({
-                to: userEmail,
-                subject,
-                body,
+            await sendTemplatedEmail("newShow", {
+                to: user.email,
+                data: { name: user.name, movieTitle, url },
             });
         }
 
@@ -319,6 +406,11 @@ export const functions = [
     syncUserUpdation,
     releaseSeatsAndDeleteBooking,
     sendBookingConfirmationEmail,
+    sendCancellationEmail,
+    sendHoldExpiredEmail,
+    sendSplitInviteEmail,
+    sendTransferRequestEmail,
+    pushWalletPassUpdates,
     sendShowReminders,
     sendNewShowNotifications,
 ];
\ No newline at end of file
@@ -1,6 +1,13 @@
 // middleware/auth.js - Authentication and authorization middleware
 import { clerkClient } from "@clerk/express";
 
+// Whether a Clerk user has the admin role in privateMetadata
+export const isAdminUser = async (userId) => {
+    if (!userId) return false;
+    const user = await clerkClient.users.getUser(userId);
+    return user.privateMetadata.role === 'admin';
+}
+
 // Middleware: verifies the user has admin role in Clerk's privateMetadata
 export const protectAdmin = async (req, res, next) => {
     try {
@@ -10,9 +17,7 @@ export const protectAdmin = async (req, res, next) => {
             return res.status(401).json({ success: false, message: "Authentication required" });
         }
 
-        const user = await clerkClient.users.getUser(userId)
-
-        if (user.privateMetadata.role !== 'admin') {
+        if (!(await isAdminUser(userId))) {
             return res.status(403).json({ success: false, message: "Not authorized" })
         }
 
@@ -20,4 +25,4 @@ export const protectAdmin = async (req, res, next) => {
     } catch (error) {
         return res.status(401).json({ success: false, message: "Not authorized" });
     }
-}
\ No newline at end of file
+}
@@ -6,28 +6,73 @@ const bookingSchema = new mongoose.Schema({
     show: { type: String, required: true, ref: "Show" },       // Show being booked
     amount: { type: Number, required: true },                   // Total price paid
     seatsAmount: { type: Number, default: 0 },                  // Tickets subtotal (before discount)
-    addonAmount: { type: Number, default: 0 },                  // Snacks & beverages
+    addonAmount: { type: Number, default: 0 },                  // Snacks & beverages total (sum of snacks[].total)
+    snacks: [{                                                  // Snack line items, priced from the menu at booking time
+        item: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" },
+        name: String,
+        emoji: String,
+        unitPrice: Number,
+        quantity: Number,
+        total: Number,
+        _id: false,
+    }],
     platformFee: { type: Number, default: 0 },                  // Booking/convenience fee
     discount: { type: Number, default: 0 },                     // Coupon discount applied
     couponCode: { type: String, default: "" },                  // Coupon used (if any)
     seats: { type: Array, required: true },                     // Array of seat IDs (e.g., ["A1", "A2"])
+    splitPayment: { type: Boolean, default: false },            // Paid in shares by the group (see BookingShare)
     isPaid: { type: Boolean, default: false },                  // Whether payment is confirmed
+    paidAt: { type: Date, default: null },                      // When payment was confirmed
     paymentLink: { type: String },                              // Stripe checkout URL
-    paymentIntentId: { type: String, default: "" },             // Stripe PaymentIntent (for refunds)
+    stripeSessionId: { type: String, default: "" },             // Stripe Checkout Session (verified before confirming)
+    paymentIntentId: { type: String, default: "", index: true }, // Stripe PaymentIntent (for refunds)
+    paymentError: { type: String, default: "" },                // Last failed payment attempt's reason (from Stripe)
     refundId: { type: String, default: "" },                    // Stripe refund id (after cancellation)
+    refundStatus: {                                             // Stripe refund status ("" = no refund)
+        type: String,
+        enum: ["", "pending", "requires_action", "succeeded", "failed", "canceled"],
+        default: "",
+    },
+    refundedAmount: { type: Number, default: 0 },               // Rupees refunded so far (from Stripe)
+    seatCancellations: [{                                       // Seats cancelled while the rest of the booking stays
+        seats: [String],
+        amount: Number,                                         // Refund for those seats (prorated, then per policy)
+        retainedAmount: Number,                                 // Part of their price kept under the policy
+        policy: String,                                         // Refund policy applied
+        percent: Number,                                        // Its refund tier at the time
+        refundId: { type: String, default: "" },
+        refundStatus: { type: String, default: "" },
+        cancelledAt: Date,
+    }],
     cancelledAt: { type: Date, default: null },                 // When the user cancelled
+    cancellationTerms: {                                        // Refund policy applied when cancelled
+        policy: String,
+        percent: Number,
+        refundAmount: Number,                                   // What the policy gave back
+        retainedAmount: Number,                                 // What it kept
+    },
     status: {                                                   // Booking lifecycle status
         type: String,
         enum: ["pending", "confirmed", "cancelled"],
         default: "pending",
     },
     expiresAt: { type: Date },                                  // Hold expiry (seats released after this)
-    ticketUrl: { type: String },                                // Public URL to download ticket PDF
-    ticketPath: { type: String },                               // Server file path to ticket PDF
+    ticketUrl: { type: String },                                // API path to download the ticket PDF (rendered on demand)
+    ticketVersion: { type: Number, default: 0 },                // Bumped on every re-issue; older QR codes / links stop working
+    admissions: [{                                              // Seats checked in at the door (once each)
+        seat: String,
+        admittedAt: Date,
+        admittedBy: String,                                     // Clerk ID of the staff member who scanned it
+        _id: false,
+    }],
     userSnapshot: {                                             // Snapshot of user info at booking time
         name: String,
         email: String
     },
+    transferredFrom: { type: String, default: "" },             // Previous owner's Clerk ID when received by ticket transfer
+    transferredAt: { type: Date, default: null },               // When it was transferred
+    exchangeCount: { type: Number, default: 0 },                // Times moved to another show / seats (see BookingExchange)
+    exchangedAt: { type: Date, default: null },                 // When it was last moved
     deletedAt: { type: Date, default: null },                  // Soft-delete timestamp (Recycle Bin); auto-purged after 30 days
 }, { timestamps: true });
 
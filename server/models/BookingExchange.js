@@ -0,0 +1,48 @@
+// models/BookingExchange.js - A confirmed booking moved to another showtime or other seats
+import mongoose from "mongoose";
+
+const amountsSchema = new mongoose.Schema({
+    seatsAmount: Number,                                        // Tickets subtotal
+    discount: Number,                                           // Coupon discount
+    platformFee: Number,                                        // Booking fee
+    amount: Number,                                             // Booking total (snacks included)
+}, { _id: false });
+
+// One request to swap a booking's show and/or seats. The new seats are held
+// under the exchange's id while a price difference is being paid; a cheaper
+// exchange refunds the difference (under the refund policy). Records are kept
+// after completion as the booking's change history.
+const bookingExchangeSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Booking" }, // Booking being changed
+    user: { type: String, required: true, ref: "User" },       // Clerk ID of the owner
+    fromShow: { type: String, required: true, ref: "Show" },   // Show before the exchange
+    fromSeats: { type: [String], required: true },             // Seats before the exchange
+    toShow: { type: String, required: true, ref: "Show" },     // Show after the exchange
+    toSeats: { type: [String], required: true },               // Seats after the exchange
+    before: amountsSchema,                                      // Booking amounts before
+    after: amountsSchema,                                       // Booking amounts after
+    difference: { type: Number, default: 0 },                  // after.amount - before.amount (> 0 = to pay)
+    refundAmount: { type: Number, default: 0 },                // Part of a negative difference refunded (policy %)
+    status: {                                                   // Exchange lifecycle
+        type: String,
+        enum: ["awaiting_payment", "processing", "completed", "expired", "cancelled", "failed"],
+        default: "processing",
+    },
+    expiresAt: { type: Date, required: true },                 // New seats are held until then
+    stripeSessionId: { type: String, default: "" },             // Checkout Session for the difference
+    paymentLink: { type: String, default: "" },                 // Its checkout URL
+    paymentIntentId: { type: String, default: "", index: true }, // PaymentIntent of the difference once paid
+    paymentError: { type: String, default: "" },                // Last failed payment attempt's reason
+    refundId: { type: String, default: "" },                    // Refund of the difference (or of a failed exchange's payment)
+    refundStatus: { type: String, default: "" },                // Its Stripe status ("" = no refund)
+    refundedAmount: { type: Number, default: 0 },               // Rupees refunded from paymentIntentId (from Stripe)
+    completedAt: { type: Date, default: null },                 // When the booking was moved
+    note: { type: String, default: "" },                        // Why it failed, if it did
+}, { timestamps: true });
+
+bookingExchangeSchema.index({ booking: 1, status: 1 });         // Open / completed exchanges of a booking
+bookingExchangeSchema.index({ status: 1, expiresAt: 1 });       // Lapsed payments
+
+const BookingExchange = mongoose.model("BookingExchange", bookingExchangeSchema);
+
+export default BookingExchange;
@@ -0,0 +1,38 @@
+// models/BookingShare.js - One person's part of a split-payment group booking
+import mongoose from "mongoose";
+
+// A split booking is paid in shares: the host's share (their seats + any
+// snacks) and one share per invited friend (one seat each). Every share has
+// its own Stripe Checkout Session and is reached through its secret token,
+// so friends can pay from the invite link without an account.
+const bookingShareSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Booking" }, // Group booking it belongs to
+    isHost: { type: Boolean, default: false },                  // The booker's own share
+    seats: { type: [String], required: true },                  // Seat IDs this share pays for
+    seatsAmount: { type: Number, default: 0 },                  // Tickets subtotal for those seats
+    platformFee: { type: Number, default: 0 },                  // Booking fee for those seats
+    addonAmount: { type: Number, default: 0 },                  // Snacks (host share only)
+    amount: { type: Number, required: true },                   // Total this share pays
+    email: { type: String, default: "" },                       // Invitee email ("" = shared by link only)
+    token: { type: String, required: true, unique: true },      // Secret for the invite link
+    status: {                                                   // Share lifecycle
+        type: String,
+        enum: ["pending", "paid", "expired", "refunded"],
+        default: "pending",
+    },
+    stripeSessionId: { type: String, default: "" },             // Current Checkout Session (created on first pay click)
+    paymentLink: { type: String, default: "" },                 // Its checkout URL
+    paymentIntentId: { type: String, default: "", index: true }, // Stripe PaymentIntent once paid (for refunds)
+    paymentError: { type: String, default: "" },                // Last failed payment attempt's reason
+    paidAt: { type: Date, default: null },                      // When this share was paid
+    paidBy: { type: String, default: "" },                      // Clerk user id of the payer, if signed in
+    refundId: { type: String, default: "" },                    // Stripe refund id
+    refundStatus: { type: String, default: "" },                // Stripe refund status ("" = no refund)
+    refundedAmount: { type: Number, default: 0 },               // Rupees refunded so far (from Stripe)
+}, { timestamps: true });
+
+bookingShareSchema.index({ booking: 1, status: 1 });            // Shares of a booking by state
+
+const BookingShare = mongoose.model("BookingShare", bookingShareSchema);
+
+export default BookingShare;
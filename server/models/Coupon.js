@@ -0,0 +1,26 @@
+// models/Coupon.js - Discount coupon definition (rules + usage counters)
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g., "MOVIE50"
+    label: { type: String, default: "" },                           // Short text shown to users (e.g., "50% off up to ₹150")
+    type: { type: String, enum: ["percent", "flat"], required: true }, // Percent of ticket subtotal, or flat amount
+    value: { type: Number, required: true, min: 0 },                // Percent (0-100) or rupee amount
+    maxDiscount: { type: Number, default: null },                   // Cap for percent coupons (null = no cap)
+    minSubtotal: { type: Number, default: 0 },                      // Minimum ticket subtotal to qualify
+    validFrom: { type: Date, default: null },                       // Not usable before this (null = immediately)
+    validTo: { type: Date, default: null },                         // Not usable after this (null = never expires)
+    perUserLimit: { type: Number, default: 0 },                     // Uses per user (0 = unlimited)
+    usageLimit: { type: Number, default: 0 },                       // Total uses across all users (0 = unlimited)
+    usedCount: { type: Number, default: 0 },                        // Reserved + redeemed uses (kept atomically)
+    applicableFormats: { type: [String], default: [] },             // e.g., ["IMAX 2D"] (empty = any)
+    applicableTheaters: [{ type: mongoose.Schema.Types.ObjectId, ref: "Theater" }], // Empty = any theater
+    applicableMovies: [{ type: String, ref: "Movie" }],             // TMDB movie IDs (empty = any)
+    applicableWeekdays: { type: [Number], default: [] },            // 0 = Sunday … 6 = Saturday (empty = any)
+    isPublic: { type: Boolean, default: true },                     // Advertised in the home page offers strip
+    isActive: { type: Boolean, default: true },                     // Paused coupons can't be applied
+}, { timestamps: true });
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
@@ -0,0 +1,22 @@
+// models/CouponRedemption.js - One coupon use by one booking
+import mongoose from "mongoose";
+
+// Created when a pending booking applies a coupon ("reserved", so concurrent
+// checkouts can't overshoot the limits), marked "redeemed" once the booking is
+// paid, and deleted again if the booking is cancelled or expires.
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Coupon" }, // Coupon used
+    code: { type: String, required: true },                                          // Code snapshot
+    user: { type: String, required: true, ref: "User" },                             // Clerk user ID
+    booking: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Booking" }, // Booking it discounted
+    discount: { type: Number, default: 0 },                                          // Amount taken off
+    status: { type: String, enum: ["reserved", "redeemed"], default: "reserved" },
+    redeemedAt: { type: Date, default: null },                                       // When the booking was paid
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ booking: 1 }, { unique: true });     // One coupon per booking
+couponRedemptionSchema.index({ coupon: 1, user: 1 });               // Per-user limit checks
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+
+export default CouponRedemption;
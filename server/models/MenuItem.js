@@ -0,0 +1,19 @@
+// models/MenuItem.js - Food & beverage menu item, per theater or chain-wide
+import mongoose from "mongoose";
+
+const menuItemSchema = new mongoose.Schema({
+    theater: { type: mongoose.Schema.Types.ObjectId, ref: "Theater", default: null }, // null = sold at every theater
+    name: { type: String, required: true, trim: true },                  // e.g., "Large Popcorn + Pepsi"
+    description: { type: String, default: "" },                          // Optional one-liner
+    emoji: { type: String, default: "🍿" },                               // Shown next to the item
+    category: { type: String, enum: ["combo", "snack", "beverage"], default: "snack" },
+    price: { type: Number, required: true, min: 0 },                     // Rupees per unit (the only price ever charged)
+    sortOrder: { type: Number, default: 0 },                             // Lower comes first
+    isAvailable: { type: Boolean, default: true },                       // false = hidden from the menu, can't be ordered
+}, { timestamps: true });
+
+menuItemSchema.index({ theater: 1, sortOrder: 1 });
+
+const MenuItem = mongoose.model("MenuItem", menuItemSchema);
+
+export default MenuItem;
@@ -15,6 +15,8 @@ const movieSchema = new mongoose.Schema(
         casts: { type: Array, required: true },                     // Array of cast members
         vote_average: { type: Number, required: true },             // TMDB rating (0-10)
         runtime: { type: Number, required: true },                  // Duration in minutes
+        certification: { type: String, enum: ["", "U", "U/A 7+", "U/A 13+", "U/A 16+", "A"], default: "" }, // "" = not rated yet
+        certificationSource: { type: String, enum: ["", "tmdb", "admin"], default: "" }, // Admin choices aren't overwritten by TMDB imports
 
         // Admin configuration fields
         hiddenFromHome: {                                           // Hide from "Now in Theaters" section
@@ -35,6 +37,8 @@ const movieSchema = new mongoose.Schema(
             default: false,
         },
         defaultShowPrice: { type: Number, default: 180 },            // Fallback price per ticket
+        audioLanguages: { type: [String], default: [] },            // Original language first, then dubs (empty = original only)
+        subtitleLanguages: { type: [String], default: [] },         // Subtitle tracks offered (first one goes on original-language shows)
     },
     { timestamps: true }
 );
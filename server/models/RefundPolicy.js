@@ -0,0 +1,23 @@
+// models/RefundPolicy.js - Cancellation window + refund tiers, chain-wide or for a theater / format
+import mongoose from "mongoose";
+
+const refundPolicySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },            // Shown to users with the refund quote
+    theater: { type: mongoose.Schema.Types.ObjectId, ref: "Theater", default: null }, // null = every theater
+    format: { type: String, default: "" },                          // e.g., "IMAX 2D" ("" = every format)
+    tiers: [{                                                       // Refund % when cancelling at least hoursBefore hours ahead
+        hoursBefore: { type: Number, required: true, min: 0 },
+        percent: { type: Number, required: true, min: 0, max: 100 },
+        _id: false,
+    }],
+    cutoffMinutes: { type: Number, default: 15, min: 0 },          // No cancellations in the last N minutes before the show
+    refundPlatformFee: { type: Boolean, default: false },           // Whether the booking fee is refunded (at the tier %)
+    refundSnacks: { type: Boolean, default: true },                 // Whether snacks are refunded (at the tier %)
+    isActive: { type: Boolean, default: true },                     // Paused policies are ignored
+}, { timestamps: true });
+
+refundPolicySchema.index({ theater: 1, format: 1, isActive: 1 });
+
+const RefundPolicy = mongoose.model("RefundPolicy", refundPolicySchema);
+
+export default RefundPolicy;
@@ -0,0 +1,32 @@
+// models/Review.js - Audience review of a movie by a user who watched it (one per user per movie)
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema({
+    user: { type: String, required: true, ref: "User" },        // Clerk user ID
+    movie: { type: String, required: true, ref: "Movie" },      // TMDB movie ID
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }, // Screened booking that qualified the reviewer
+    userName: { type: String, default: "" },                    // Reviewer's name at posting time
+    userImage: { type: String, default: "" },                   // Reviewer's avatar at posting time
+    rating: { type: Number, required: true, min: 1, max: 5 },   // Star rating
+    text: { type: String, default: "", maxlength: 1000 },       // Review body (optional)
+    helpfulBy: { type: [String], default: [] },                 // Clerk user IDs who marked it helpful
+    helpfulCount: { type: Number, default: 0 },                 // helpfulBy.length (kept for sorting)
+    reports: [{                                                 // Abuse / spoiler reports from other users
+        user: String,
+        reason: String,
+        createdAt: { type: Date, default: Date.now },
+        _id: false,
+    }],
+    reportCount: { type: Number, default: 0 },                  // reports.length (kept for the moderation queue)
+    status: { type: String, enum: ["visible", "hidden"], default: "visible" }, // Hidden reviews are left out of listings and averages
+    moderationNote: { type: String, default: "" },              // Admin's reason when hiding
+    moderatedAt: { type: Date, default: null },                 // Last admin moderation
+}, { timestamps: true });
+
+reviewSchema.index({ user: 1, movie: 1 }, { unique: true });    // One review per user per movie
+reviewSchema.index({ movie: 1, status: 1, createdAt: -1 });     // Movie page listing
+reviewSchema.index({ status: 1, reportCount: -1 });             // Moderation queue
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
@@ -0,0 +1,38 @@
+// models/Screen.js - Auditorium seat map for one screen inside a Theater
+import mongoose from "mongoose";
+
+// Pricing zone: a band of rows sold at base price + priceDelta
+const zoneSchema = new mongoose.Schema({
+    key: { type: String, required: true },           // e.g., "club"
+    label: { type: String, required: true },         // e.g., "CLUB"
+    rows: { type: [String], default: [] },           // Row labels in this zone (e.g., ["C", "D"])
+    priceDelta: { type: Number, default: 0 },        // Added to the show's base price
+    color: { type: String, default: "#C49A6C" },     // Legend / seat accent colour (hex)
+}, { _id: false });
+
+const screenSchema = new mongoose.Schema(
+    {
+        theater: {                                                  // Reference to Theater
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Theater",
+            required: true,
+        },
+        name: { type: String, required: true },                     // e.g., "Audi 1", "IMAX Screen"
+        experience: { type: String, default: "Laser" },             // e.g., "Laser", "IMAX", "4DX"
+        rows: { type: [String], required: true },                   // Row labels, front (screen) to back
+        columns: { type: Number, required: true, min: 1, max: 40 }, // Seat positions per row
+        aisles: { type: [Number], default: [] },                    // Aisle after these column numbers
+        gaps: { type: [String], default: [] },                      // Positions with no seat (e.g., "A1")
+        blockedSeats: { type: [String], default: [] },              // Seats that exist but are not sold
+        wheelchairSeats: { type: [String], default: [] },           // Wheelchair-accessible spots
+        zones: { type: [zoneSchema], default: [] },                 // Pricing zones (front to back)
+        isActive: { type: Boolean, default: true },
+    },
+    { timestamps: true }
+);
+
+screenSchema.index({ theater: 1, name: 1 }, { unique: true });      // Screen names unique per theater
+
+const Screen = mongoose.model("Screen", screenSchema);
+
+export default Screen;
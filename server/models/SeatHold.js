@@ -0,0 +1,21 @@
+// models/SeatHold.js - Temporary seat reservation while a booking awaits payment
+import mongoose from "mongoose";
+
+// One document per held seat. The unique (show, seat) index makes a double hold
+// impossible at the database level, and the TTL index lets MongoDB delete
+// holds on its own once they expire — no cleanup job has to remember them.
+const seatHoldSchema = new mongoose.Schema({
+    show: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Show" },     // Show the seat belongs to
+    seat: { type: String, required: true },                                          // Seat ID (e.g., "A1")
+    booking: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Booking" }, // Pending booking holding it
+    user: { type: String, required: true, ref: "User" },                             // Clerk user ID
+    expiresAt: { type: Date, required: true },                                       // Hold expiry (TTL)
+}, { timestamps: true });
+
+seatHoldSchema.index({ show: 1, seat: 1 }, { unique: true });        // One hold per seat per show
+seatHoldSchema.index({ booking: 1 });                                // Release by booking
+seatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });   // TTL: removed once expired
+
+const SeatHold = mongoose.model("SeatHold", seatHoldSchema);
+
+export default SeatHold;
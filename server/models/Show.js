@@ -12,6 +12,10 @@ const showSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "Theater"
         },
+        screen: {                                                   // Screen (seat map) it plays on
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Screen"
+        },
         screenName: { type: String },                               // Optional screen identifier
         experience: { type: String },                               // e.g., "Laser", "IMAX", "Dolby Atmos"
         showDateTime: { type: Date, required: true },               // Exact date and time of the screening
@@ -27,10 +31,11 @@ const showSchema = new mongoose.Schema(
             type: String,
             default: "Standard",
         },
-        language: {
+        language: {                                                 // Audio language (original or a dub)
             type: String,
             default: "English",
         },
+        subtitles: { type: String, default: "" },                  // Subtitle language ("" = none)
 
         isAutoGenerated: { type: Boolean, default: false },       // Flag for auto-scheduled shows
     }, { minimize: false, timestamps: true }
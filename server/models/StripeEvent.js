@@ -0,0 +1,19 @@
+// models/StripeEvent.js - Stripe webhook events already processed (idempotency)
+import mongoose from "mongoose";
+
+// One document per Stripe event id. The webhook claims an event by inserting
+// it before acting, so a retried or duplicated delivery finds the id taken and
+// is acknowledged without being applied twice. Stripe stops retrying after
+// three days; the TTL keeps the collection from growing forever.
+const stripeEventSchema = new mongoose.Schema({
+    _id: { type: String },                                      // Stripe event id (evt_...)
+    type: { type: String, required: true },                     // e.g., "checkout.session.completed"
+    booking: { type: String, default: "" },                     // Booking it touched (if any)
+    processedAt: { type: Date, default: Date.now },             // When it was claimed (TTL)
+});
+
+stripeEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days
+
+const StripeEvent = mongoose.model("StripeEvent", stripeEventSchema);
+
+export default StripeEvent;
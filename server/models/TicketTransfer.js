@@ -0,0 +1,34 @@
+// models/TicketTransfer.js - Offer (and audit record) of a ticket handed from one user to another
+import mongoose from "mongoose";
+
+// Created when an owner offers seats of a confirmed booking to another
+// MovieMint user; the recipient accepts or declines. Records are never
+// deleted, so they double as the audit trail of who held which seats.
+const ticketTransferSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Booking" }, // Booking the seats came from
+    show: { type: String, required: true, ref: "Show" },                             // Show (for listings)
+    seats: { type: [String], required: true },                                       // Seats being transferred
+    wholeBooking: { type: Boolean, default: false },                                 // Every seat of the booking (it changes owner)
+    fromUser: { type: String, required: true, ref: "User" },                         // Clerk ID of the owner
+    fromName: { type: String, default: "" },                                         // Owner name snapshot
+    toUser: { type: String, required: true, ref: "User" },                           // Clerk ID of the recipient
+    toEmail: { type: String, required: true },                                       // Email the owner entered
+    toName: { type: String, default: "" },                                           // Recipient name snapshot
+    status: {                                                                        // Transfer lifecycle
+        type: String,
+        enum: ["pending", "accepted", "declined", "cancelled", "expired"],
+        default: "pending",
+    },
+    resultBooking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", default: null }, // Recipient's booking once accepted
+    expiresAt: { type: Date, required: true },                                       // Must be accepted before the show starts
+    respondedAt: { type: Date, default: null },                                      // When it was accepted / declined / cancelled
+    note: { type: String, default: "" },                                             // Why it was cancelled by the system, if so
+}, { timestamps: true });
+
+ticketTransferSchema.index({ toUser: 1, status: 1 });    // Recipient's inbox
+ticketTransferSchema.index({ fromUser: 1, createdAt: -1 }); // Owner's sent transfers
+ticketTransferSchema.index({ booking: 1, status: 1 });   // Pending transfers of a booking
+
+const TicketTransfer = mongoose.model("TicketTransfer", ticketTransferSchema);
+
+export default TicketTransfer;
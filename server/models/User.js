@@ -6,7 +6,9 @@ const userSchema = new mongoose.Schema({
     _id: {type: String, required: true},       // Clerk user ID
     name: {type: String, required: true},       // Full name from Clerk
     email: {type: String, required: true},      // Primary email
-    image: {type: String, required: true}       // Profile image URL
+    image: {type: String, default: ""},         // Profile image URL ("" when the Clerk user has none)
+    dateOfBirth: {type: Date, default: null},   // Attested by the user; needed to book A-rated titles
+    ageAttestedAt: {type: Date, default: null}  // When the date of birth was confirmed
 })
 
 const User = mongoose.model('User', userSchema)
@@ -0,0 +1,19 @@
+// models/WalletRegistration.js - A device that added a booking's Apple Wallet pass (for update pushes)
+import mongoose from "mongoose";
+
+// Apple Wallet registers each device that adds a pass with our web service
+// and unregisters it when the pass is removed. When the booking or its show
+// changes, every registered device gets a push and fetches the new pass.
+const walletRegistrationSchema = new mongoose.Schema({
+    deviceLibraryId: { type: String, required: true },          // Wallet's id for the device
+    pushToken: { type: String, required: true },                // APNs token for update pushes
+    passTypeId: { type: String, required: true },               // Pass type identifier (APPLE_PASS_TYPE_ID)
+    serialNumber: { type: String, required: true },             // Pass serial = booking id
+}, { timestamps: true });
+
+walletRegistrationSchema.index({ deviceLibraryId: 1, passTypeId: 1, serialNumber: 1 }, { unique: true });
+walletRegistrationSchema.index({ serialNumber: 1 });            // Devices to push when a booking changes
+
+const WalletRegistration = mongoose.model("WalletRegistration", walletRegistrationSchema);
+
+export default WalletRegistration;
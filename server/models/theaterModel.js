@@ -6,11 +6,16 @@ const theaterSchema = new mongoose.Schema(
         name: { type: String, required: true },      // e.g. "PVR Infinity Mall"
         city: { type: String, required: true },      // e.g. "Mumbai"
         address: { type: String },                   // optional long address
+        timezone: { type: String, default: "" },     // IANA zone, e.g. "Asia/Kolkata"; "" = APP_TIMEZONE
 
         // Extra meta (optional but useful later)
         amenities: [{ type: String }],              // ["Recliner", "Dolby Atmos", "F&B"]
         formats: [{ type: String }],                // ["2D", "3D", "IMAX 2D", "4DX"]
-        isActive: { type: Boolean, default: true },
+        geo: {                                      // Map coordinates (optional)
+            lat: { type: Number, min: -90, max: 90 },
+            lng: { type: Number, min: -180, max: 180 },
+        },
+        isActive: { type: Boolean, default: true }, // Inactive theaters keep their shows but stop selling
     },
     { timestamps: true }
 );
@@ -3,6 +3,15 @@ import express from "express";
 import { cleanupExtraTimings, clearStuckBookings, getAllBookings, getAllShows, getDashboardData, getShowsByDate, isAdmin, getBinBookings, softDeleteBookings, restoreBookings, purgeBin } from "../controllers/adminController.js";
 import { protectAdmin } from "../middleware/auth.js";
 import { resetAutoGeneratedShows } from "../controllers/adminMaintenanceController.js";
+import { createScreen, deleteScreen, listScreens, updateScreen } from "../controllers/screenController.js";
+import { createCoupon, expireCoupon, listCoupons, setCouponActive, updateCoupon } from "../controllers/couponController.js";
+import { createMenuItem, listMenuItems, updateMenuItem } from "../controllers/menuController.js";
+import { listReviews, setReviewStatus } from "../controllers/reviewController.js";
+import { createTheater, listTheaters, setTheaterActive, updateTheater } from "../controllers/theaterController.js";
+import { listTransfers } from "../controllers/transferController.js";
+import { checkIn, listCheckInShows } from "../controllers/checkInController.js";
+import { getEmailPreview, listEmailTemplates } from "../controllers/emailController.js";
+import { createRefundPolicy, listRefundPolicies, setRefundPolicyActive, updateRefundPolicy } from "../controllers/refundPolicyController.js";
 
 const adminRouter = express.Router();
 
@@ -22,6 +31,51 @@ adminRouter.post(
     resetAutoGeneratedShows
 );
 
+// Theaters (create / edit / deactivate — never deleted, shows keep their reference)
+adminRouter.get("/theaters", protectAdmin, listTheaters);
+adminRouter.post("/theaters", protectAdmin, createTheater);
+adminRouter.put("/theaters/:theaterId", protectAdmin, updateTheater);
+adminRouter.patch("/theaters/:theaterId/active", protectAdmin, setTheaterActive);
+
+// Theater screens (seat-map editor)
+adminRouter.get("/screens", protectAdmin, listScreens);
+adminRouter.post("/screens", protectAdmin, createScreen);
+adminRouter.put("/screens/:screenId", protectAdmin, updateScreen);
+adminRouter.delete("/screens/:screenId", protectAdmin, deleteScreen);
+
+// Coupons (create / edit / pause / expire + redemption stats)
+adminRouter.get("/coupons", protectAdmin, listCoupons);
+adminRouter.post("/coupons", protectAdmin, createCoupon);
+adminRouter.put("/coupons/:couponId", protectAdmin, updateCoupon);
+adminRouter.patch("/coupons/:couponId/active", protectAdmin, setCouponActive);
+adminRouter.post("/coupons/:couponId/expire", protectAdmin, expireCoupon);
+
+// Refund policies (tiers + cutoff, chain-wide or per theater / format; paused, never deleted)
+adminRouter.get("/refund-policies", protectAdmin, listRefundPolicies);
+adminRouter.post("/refund-policies", protectAdmin, createRefundPolicy);
+adminRouter.put("/refund-policies/:policyId", protectAdmin, updateRefundPolicy);
+adminRouter.patch("/refund-policies/:policyId/active", protectAdmin, setRefundPolicyActive);
+
+// Food & beverage menu (chain-wide or per theater; hide with isAvailable: false)
+adminRouter.get("/menu", protectAdmin, listMenuItems);
+adminRouter.post("/menu", protectAdmin, createMenuItem);
+adminRouter.put("/menu/:itemId", protectAdmin, updateMenuItem);
+
+// Audience reviews (moderation queue; hide / restore)
+adminRouter.get("/reviews", protectAdmin, listReviews);
+adminRouter.patch("/reviews/:reviewId/status", protectAdmin, setReviewStatus);
+
+// Ticket transfers (audit log)
+adminRouter.get("/transfers", protectAdmin, listTransfers);
+
+// Door check-in (signed ticket QR codes; each seat admitted once)
+adminRouter.get("/check-in/shows", protectAdmin, listCheckInShows);
+adminRouter.post("/check-in", protectAdmin, checkIn);
+
+// Transactional emails (preview each template with sample data)
+adminRouter.get("/emails", protectAdmin, listEmailTemplates);
+adminRouter.get("/emails/:template", protectAdmin, getEmailPreview);
+
 adminRouter.delete(
     '/cleanup-extra-timings',
     protectAdmin,
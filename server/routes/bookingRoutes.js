@@ -6,11 +6,26 @@ import {
     releaseBooking,
     confirmBooking,
     cancelBooking,
+    cancelSeats,
+    getCancellationQuote,
     getSeatsForShow,
     seatsStream,
     getBooking,
-    downloadTicketPdf,
+    splitBookingPayment,
+    getSplitShares,
+    getShare,
+    payShare,
+    confirmShare,
 } from "../controllers/bookingController.js";
+import { cancelExchange, confirmExchange, exchangeBooking, getExchangeQuote } from "../controllers/exchangeController.js";
+import {
+    createAppleWalletLink,
+    createGoogleWalletLink,
+    createTicketLink,
+    downloadApplePass,
+    downloadSharedTicket,
+    downloadTicketPdf,
+} from "../controllers/ticketController.js";
 
 const bookingRouter = express.Router();
 
@@ -31,7 +46,7 @@ const bookingCreateLimiter = rateLimit({
  * - Snapshot: GET /api/booking/seats/:showId
  *
  * - Booking detail: GET /api/booking/:bookingId
- *   Put this after the /seats routes so the :bookingId param doesn't capture "seats".
+ *   Put this after the /seats and /share routes so the :bookingId param doesn't capture them.
  */
 
 /* ----------------------- booking routes ----------------------- */
@@ -42,14 +57,60 @@ bookingRouter.post("/create", bookingCreateLimiter, createBooking);
 // Release a pending booking (owner or admin). Body: { bookingId }
 bookingRouter.post("/release", releaseBooking);
 
-// Confirm a booking after payment. Body: { bookingId }
+// Confirm a booking after payment (owner only; verified with Stripe). Body: { bookingId }
 bookingRouter.post("/confirm-booking", confirmBooking);
 
 // Cancel a paid ticket (owner) — refunds + frees seats. Param: :bookingId
 bookingRouter.post("/cancel/:bookingId", cancelBooking);
 
+// Refund preview under the show's refund policy (owner). Query: ?seats=A1,A2
+bookingRouter.get("/cancel/:bookingId/quote", getCancellationQuote);
+
+// Cancel some seats of a paid ticket (owner) — prorated refund, rest stays booked. Body: { seats }
+bookingRouter.post("/cancel/:bookingId/seats", cancelSeats);
+
+/* ----------------------- ticket downloads ----------------------- */
+
+// Ticket PDF (owner or admin)
 bookingRouter.get("/:bookingId/ticket", downloadTicketPdf);
 
+// Short-lived signed download link for sharing (owner or admin)
+bookingRouter.post("/:bookingId/ticket/link", createTicketLink);
+
+// Download from a signed link — the token is the credential
+bookingRouter.get("/ticket/download/:token", downloadSharedTicket);
+
+// Wallet passes (owner or admin): a signed link to the Apple .pkpass, or a "Save to Google Wallet" link
+bookingRouter.post("/:bookingId/wallet/apple", createAppleWalletLink);
+bookingRouter.get("/ticket/wallet/:token", downloadApplePass);
+bookingRouter.post("/:bookingId/wallet/google", createGoogleWalletLink);
+
+/* ----------------------- exchange ----------------------- */
+
+// Price of moving a paid ticket to another showtime / seats (owner). Query: ?showId=...&seats=A1,A2
+bookingRouter.get("/:bookingId/exchange", getExchangeQuote);
+
+// Move it (owner). Body: { showId, seats } — returns a payment link when the new seats cost more
+bookingRouter.post("/:bookingId/exchange", bookingCreateLimiter, exchangeBooking);
+
+// Back from paying the difference / give up an unpaid change
+bookingRouter.post("/exchange/:exchangeId/confirm", confirmExchange);
+bookingRouter.post("/exchange/:exchangeId/cancel", cancelExchange);
+
+/* ----------------------- split payment ----------------------- */
+
+// Split a pending booking into shares (host). Body: { invites: [{ seat, email? }] }
+bookingRouter.post("/:bookingId/split", splitBookingPayment);
+
+// Shares of a split booking with their invite links (host)
+bookingRouter.get("/:bookingId/split", getSplitShares);
+
+// Invite page data / pay / confirm for one share — the token in the link is the credential
+// (paying for a restricted title also needs a signed-in, age-eligible user)
+bookingRouter.get("/share/:token", getShare);
+bookingRouter.post("/share/:token/pay", bookingCreateLimiter, payShare);
+bookingRouter.post("/share/:token/confirm", confirmShare);
+
 // SSE stream for seats updates (query: ?showId=...)
 bookingRouter.get("/seats/stream", seatsStream);
 
@@ -0,0 +1,10 @@
+// routes/couponRoutes.js - Coupon API routes (validation, public offers)
+import express from "express";
+import { getPublicCoupons, validateCoupon } from "../controllers/couponController.js";
+
+const couponRouter = express.Router();
+
+couponRouter.post('/validate', validateCoupon)
+couponRouter.get('/public', getPublicCoupons)
+
+export default couponRouter;
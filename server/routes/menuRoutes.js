@@ -0,0 +1,9 @@
+// routes/menuRoutes.js - Public food & beverage menu
+import express from "express";
+import { getShowMenu } from "../controllers/menuController.js";
+
+const menuRouter = express.Router();
+
+menuRouter.get('/show/:showId', getShowMenu)
+
+export default menuRouter;
@@ -0,0 +1,13 @@
+// routes/reviewRoutes.js - Audience review API routes (list, post, helpful votes, reports)
+import express from "express";
+import { deleteReview, getMovieReviews, postReview, reportReview, toggleHelpful } from "../controllers/reviewController.js";
+
+const reviewRouter = express.Router();
+
+reviewRouter.get('/movie/:movieId', getMovieReviews)
+reviewRouter.post('/movie/:movieId', postReview)
+reviewRouter.delete('/:reviewId', deleteReview)
+reviewRouter.post('/:reviewId/helpful', toggleHelpful)
+reviewRouter.post('/:reviewId/report', reportReview)
+
+export default reviewRouter;
@@ -1,6 +1,8 @@
 // server/routes/seed.js
 
 import express from "express";
+import Coupon from "../models/Coupon.js";
+import MenuItem from "../models/MenuItem.js";
 import Theater from "../models/theaterModel.js";
 import { protectAdmin } from "../middleware/auth.js";
 
@@ -16,34 +18,42 @@ const router = express.Router();
  * Seed basic theater data into the database.
  *
  * - This endpoint is intended for development/initial setup only.
- * - It clears all existing Theater documents to avoid duplicates
- *   and then inserts a clean set from `seedTheaters`.
+ * - Upserts every theater from `seedTheaters` by name + city, so re-running
+ *   it never removes theaters (or orphans the shows that point at them).
+ *   Theaters added or edited in the admin panel are left alone.
  * - Protected by admin middleware to prevent unauthorized access.
  */
 router.get("/seed-theaters", protectAdmin, async (req, res) => {
     try {
-        // Remove existing theaters to ensure a consistent baseline.
-        await Theater.deleteMany({});
-
         // Map the client-side seed data to the Theater schema fields.
-        const docs = seedTheaters.map((t) => ({
-            name: t.name,
-            city: t.city,
-            // `area` from client seed is mapped into `address` in the Theater model.
-            address: t.area,
-            // Store the "experience" text inside amenities so we can display it later.
-            amenities: t.experience ? [t.experience] : [],
-            // Wrap the defaultFormat in an array to match the `formats: [String]` schema.
-            formats: t.defaultFormat ? [t.defaultFormat] : ["2D"],
-            isActive: true,
+        const ops = seedTheaters.map((t) => ({
+            updateOne: {
+                filter: { name: t.name, city: t.city },
+                update: {
+                    $setOnInsert: {
+                        name: t.name,
+                        city: t.city,
+                        // `area` from client seed is mapped into `address` in the Theater model.
+                        address: t.area,
+                        // Store the "experience" text inside amenities so we can display it later.
+                        amenities: t.experience ? [t.experience] : [],
+                        // Wrap the defaultFormat in an array to match the `formats: [String]` schema.
+                        formats: t.defaultFormat ? [t.defaultFormat] : ["2D"],
+                        isActive: true,
+                    },
+                },
+                upsert: true,
+            },
         }));
 
-        const inserted = await Theater.insertMany(docs);
+        const result = await Theater.bulkWrite(ops, { ordered: false });
+        const inserted = await Theater.find({ _id: { $in: Object.values(result.upsertedIds || {}) } });
 
         return res.json({
             success: true,
             count: inserted.length,
             theaters: inserted,
+            existing: seedTheaters.length - inserted.length,
             message: "Theaters seeded successfully.",
         });
     } catch (err) {
@@ -56,4 +66,81 @@ router.get("/seed-theaters", protectAdmin, async (req, res) => {
     }
 });
 
+/**
+ * Seed the starter coupons (the codes the app has always offered).
+ *
+ * - Only inserts codes that don't exist yet, so admin edits are kept.
+ * - Protected by admin middleware to prevent unauthorized access.
+ */
+const STARTER_COUPONS = [
+    { code: "MOVIE50", label: "50% off up to ₹150", type: "percent", value: 50, maxDiscount: 150 },
+    { code: "FLAT100", label: "₹100 off on ₹500+", type: "flat", value: 100, minSubtotal: 500 },
+    { code: "UPI50", label: "₹50 off", type: "flat", value: 50 },
+];
+
+router.get("/seed-coupons", protectAdmin, async (req, res) => {
+    try {
+        const result = await Coupon.bulkWrite(
+            STARTER_COUPONS.map((c) => ({
+                updateOne: { filter: { code: c.code }, update: { $setOnInsert: c }, upsert: true },
+            })),
+            { ordered: false }
+        );
+
+        return res.json({
+            success: true,
+            count: result.upsertedCount || 0,
+            message: "Coupons seeded successfully.",
+        });
+    } catch (err) {
+        console.error("Coupon seeding error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to seed coupons.",
+            error: err.message,
+        });
+    }
+});
+
+/**
+ * Seed the starter snacks & beverages as a chain-wide menu (sold at every theater).
+ *
+ * - Only inserts chain-wide items whose name doesn't exist yet, so admin edits are kept.
+ * - Protected by admin middleware to prevent unauthorized access.
+ */
+const STARTER_MENU = [
+    { name: "Large Popcorn + Pepsi", emoji: "🍿", category: "combo", price: 350, sortOrder: 1 },
+    { name: "Loaded Nachos", emoji: "🧀", category: "snack", price: 280, sortOrder: 2 },
+    { name: "Soft Drink (500ml)", emoji: "🥤", category: "beverage", price: 150, sortOrder: 3 },
+    { name: "Cheese Garlic Bread", emoji: "🧄", category: "snack", price: 220, sortOrder: 4 },
+];
+
+router.get("/seed-menu", protectAdmin, async (req, res) => {
+    try {
+        const result = await MenuItem.bulkWrite(
+            STARTER_MENU.map((m) => ({
+                updateOne: {
+                    filter: { theater: null, name: m.name },
+                    update: { $setOnInsert: { ...m, theater: null } },
+                    upsert: true,
+                },
+            })),
+            { ordered: false }
+        );
+
+        return res.json({
+            success: true,
+            count: result.upsertedCount || 0,
+            message: "Menu seeded successfully.",
+        });
+    } catch (err) {
+        console.error("Menu seeding error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to seed menu.",
+            error: err.message,
+        });
+    }
+});
+
 export default router;
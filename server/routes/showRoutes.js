@@ -10,6 +10,7 @@ import {
     getAdminNowInTheatersMovies,
     getCombinedTrailers,
     getFormatPricesForMovie,
+    getMovieLanguagesAdmin,
     getMovieSchedule,
     getMovieShowsAdmin,
     getNowPlayingMovieDetails,
@@ -24,13 +25,18 @@ import {
     hideDateForMovie,
     hideMovieShows,
     hideShowsByTheater,
+    importMovieCertification,
+    rescheduleShow,
     syncNowPlayingToDbAndGenerateShows,
     toggleShowHidden,
     updateFormatPricesForMovie,
+    updateMovieCertification,
     updateMovieHomeVisibility,
+    updateMovieLanguages,
     updateShowActiveStatus,
     updateTimeTemplate
 } from "../controllers/showController.js";
+import { getShowSeatMap } from "../controllers/screenController.js";
 import { protectAdmin } from "../middleware/auth.js";
 
 const showRouter = express.Router();
@@ -75,6 +81,13 @@ showRouter.patch(
     toggleShowHidden
 );
 
+// Move a show to another time (its Wallet passes are updated)
+showRouter.patch(
+    "/admin/show/:showId/time",
+    protectAdmin,
+    rescheduleShow
+);
+
 // Hide/unhide **all shows on a specific date** for this movie
 showRouter.patch(
     "/admin/:movieId/hide-date",
@@ -138,6 +151,32 @@ showRouter.patch(
     updateFormatPricesForMovie
 );
 
+// ADMIN – audio (original + dubs) and subtitle languages
+showRouter.get(
+    "/admin/:movieId/languages",
+    protectAdmin,
+    getMovieLanguagesAdmin
+);
+
+showRouter.patch(
+    "/admin/:movieId/languages",
+    protectAdmin,
+    updateMovieLanguages
+);
+
+// ADMIN – content certificate (set manually or import from TMDB)
+showRouter.patch(
+    "/admin/:movieId/certification",
+    protectAdmin,
+    updateMovieCertification
+);
+
+showRouter.post(
+    "/admin/:movieId/certification/import",
+    protectAdmin,
+    importMovieCertification
+);
+
 // Home pe movie dikhani/hide karni (Now in Theaters strip)
 showRouter.patch(
     "/admin/home-visibility/:movieId",
@@ -192,6 +231,9 @@ showRouter.delete(
 // Home / Movies page – unique movies with future shows
 showRouter.get("/all", getShows);
 
+// SeatLayout – seat map (rows, aisles, gaps, zones + prices) for one show
+showRouter.get("/seat-map/:showId", getShowSeatMap);
+
 // MovieDetails page – movie + dateTime (multi-theater slots)
 showRouter.get("/:movieId", getShow);
 
@@ -0,0 +1,9 @@
+// routes/theaterRoutes.js - Public theater data (city list)
+import express from "express";
+import { getCities } from "../controllers/theaterController.js";
+
+const theaterRouter = express.Router();
+
+theaterRouter.get('/cities', getCities)
+
+export default theaterRouter;
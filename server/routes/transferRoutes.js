@@ -0,0 +1,19 @@
+// routes/transferRoutes.js - Ticket transfer API routes (offer, inbox, accept, decline, withdraw)
+import express from "express";
+import {
+    acceptTicketTransfer,
+    cancelTicketTransfer,
+    declineTicketTransfer,
+    getMyTransfers,
+    requestTransfer,
+} from "../controllers/transferController.js";
+
+const transferRouter = express.Router();
+
+transferRouter.get('/', getMyTransfers)
+transferRouter.post('/', requestTransfer)
+transferRouter.post('/:transferId/accept', acceptTicketTransfer)
+transferRouter.post('/:transferId/decline', declineTicketTransfer)
+transferRouter.post('/:transferId/cancel', cancelTicketTransfer)
+
+export default transferRouter;
@@ -1,11 +1,13 @@
-// routes/userRoutes.js - User-facing API routes (bookings, favorites)
+// routes/userRoutes.js - User-facing API routes (bookings, favorites, age attestation)
 import express from "express";
-import { getFavorites, getUserBookings, updateFavorite } from "../controllers/userController.js";
+import { getAgeAttestation, getFavorites, getUserBookings, setAgeAttestation, updateFavorite } from "../controllers/userController.js";
 
 const userRouter = express.Router();
 
 userRouter.get('/bookings', getUserBookings)
 userRouter.post('/update-favorite', updateFavorite)
 userRouter.get('/favorites', getFavorites)
+userRouter.get('/age', getAgeAttestation)
+userRouter.post('/age', setAgeAttestation)
 
 export default userRouter;
\ No newline at end of file
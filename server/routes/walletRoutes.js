@@ -0,0 +1,23 @@
+// routes/walletRoutes.js - Wallet availability and the Apple Wallet pass web service (webServiceURL = /api/wallet)
+import express from "express";
+import {
+    getLatestPass,
+    getWalletProviders,
+    listUpdatedPasses,
+    logWalletErrors,
+    registerPassDevice,
+    unregisterPassDevice,
+} from "../controllers/walletController.js";
+
+const walletRouter = express.Router();
+
+walletRouter.get('/providers', getWalletProviders)
+
+// Called by Apple Wallet, authenticated by the pass's own token
+walletRouter.post('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', registerPassDevice)
+walletRouter.delete('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', unregisterPassDevice)
+walletRouter.get('/v1/devices/:deviceId/registrations/:passTypeId', listUpdatedPasses)
+walletRouter.get('/v1/passes/:passTypeId/:serialNumber', getLatestPass)
+walletRouter.post('/v1/log', logWalletErrors)
+
+export default walletRouter;
@@ -13,6 +13,7 @@ import mongoose from "mongoose";
 import Show from "../models/Show.js";
 import Movie from "../models/Movie.js";
 import Theater from "../models/theaterModel.js";
+import { movieLanguages, scheduleLanguage } from "../services/languageService.js";
 import { seedTheaters } from "../../client/src/assets/seedTheaters.js";
 
 const WINDOW_DAYS = 14;      // how far ahead to schedule new-theater shows
@@ -87,7 +88,7 @@ const run = async () => {
 
     /* 3) Generate a light window of shows for each empty theater. */
     const movies = await Movie.find({ release_date: { $exists: true, $ne: null } })
-        .select("_id release_date defaultShowPrice");
+        .select("_id release_date defaultShowPrice original_language audioLanguages subtitleLanguages");
     console.log(`✓ Scheduling across ${movies.length} movies`);
 
     const windowEnd = new Date(now);
@@ -101,11 +102,12 @@ const run = async () => {
             const start = now > release ? now : release;
             if (start > windowEnd) continue; // movie opens after our window
 
+            const langs = movieLanguages(movie);
             const dayCursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
-            for (; dayCursor <= windowEnd; dayCursor.setDate(dayCursor.getDate() + 1)) {
+            for (let dayIndex = 0; dayCursor <= windowEnd; dayCursor.setDate(dayCursor.getDate() + 1), dayIndex++) {
                 // pick SLOTS_PER_DAY distinct times for this day
                 const times = [...TIME_POOL].sort(() => 0.5 - Math.random()).slice(0, SLOTS_PER_DAY).sort();
-                for (const time of times) {
+                for (const [slotIndex, time] of times.entries()) {
                     const dt = buildDateTime(dayCursor, time);
                     if (dt <= now) continue; // never create past shows
                     const pair = pickRandom(EXPERIENCE_FORMAT_PAIRS);
@@ -116,7 +118,7 @@ const run = async () => {
                         showPrice: FORMAT_DEFAULT_PRICES[pair.format] || movie.defaultShowPrice || 180,
                         format: pair.format,
                         experience: pair.experience,
-                        language: "English",
+                        ...scheduleLanguage(langs, slotIndex + dayIndex),
                         isActive: true,
                         hidden: false,
                         isAutoGenerated: true,
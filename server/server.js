@@ -5,17 +5,21 @@ import 'dotenv/config';
 import dns from 'node:dns';
 import express from 'express';
 import { serve } from "inngest/express";
-import path from "path";
 import connectDB from './configs/db.js';
 import { stripeWebhooks } from './controllers/stripeWebhooks.js';
 import "./cron/expireTickets.js";
 import { functions, inngest } from "./inngest/index.js";
 import adminRouter from './routes/adminRoutes.js';
 import bookingRouter from './routes/bookingRoutes.js';
+import couponRouter from './routes/couponRoutes.js';
+import menuRouter from './routes/menuRoutes.js';
+import reviewRouter from './routes/reviewRoutes.js';
 import router from './routes/seed.js';
 import showRouter from './routes/showRoutes.js';
+import theaterRouter from './routes/theaterRoutes.js';
+import transferRouter from './routes/transferRoutes.js';
 import userRouter from './routes/userRoutes.js';
-import { fileURLToPath } from "url";
+import walletRouter from './routes/walletRoutes.js';
 
 // Prefer IPv6 for outbound requests (e.g. TMDB). Some ISPs block TMDB over
 // IPv4 via DPI; the IPv6 path works through tunnels like Cloudflare WARP.
@@ -56,12 +60,14 @@ app.use("/api/seed", router);
 app.use('/api/booking', bookingRouter)
 app.use('/api/admin', adminRouter)
 app.use('/api/user', userRouter)
+app.use('/api/theater', theaterRouter)
+app.use('/api/coupon', couponRouter)
+app.use('/api/menu', menuRouter)
+app.use('/api/review', reviewRouter)
+app.use('/api/transfer', transferRouter)
+app.use('/api/wallet', walletRouter)
 
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
 // Global error handler
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
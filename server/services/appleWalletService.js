@@ -0,0 +1,220 @@
+// services/appleWalletService.js - Apple Wallet (.pkpass) tickets and their update pushes
+//
+// A pass is a ZIP of pass.json, icons, a manifest of their SHA-1 hashes and a
+// PKCS#7 signature of the manifest made with the pass type certificate. Its
+// QR carries the same signed code as the PDF. Passes point Wallet at our web
+// service (routes/walletRoutes.js), so devices register for updates; when a
+// booking or its show changes they get an APNs push and fetch the new pass.
+import crypto from "crypto";
+import http2 from "http2";
+import zlib from "zlib";
+import WalletRegistration from "../models/WalletRegistration.js";
+import { signDetached } from "../utils/pkcs7.js";
+import { createZip } from "../utils/zip.js";
+import { ticketCode, walletAuthToken } from "./ticketCodeService.js";
+
+const APNS_HOST = "https://api.push.apple.com";
+const BRAND_RGB = [248, 69, 101]; // #F84565
+
+// PEM values may come from env vars with escaped newlines.
+const pem = (value) => String(value || "").replace(/\\n/g, "\n");
+
+const appleConfig = () => ({
+    passTypeId: process.env.APPLE_PASS_TYPE_ID || "",
+    teamId: process.env.APPLE_TEAM_ID || "",
+    certPem: pem(process.env.APPLE_PASS_CERT),
+    keyPem: pem(process.env.APPLE_PASS_KEY),
+    passphrase: process.env.APPLE_PASS_KEY_PASSPHRASE || "",
+    wwdrPem: pem(process.env.APPLE_WWDR_CERT),
+});
+
+export const isAppleWalletConfigured = () => {
+    const c = appleConfig();
+    return !!(c.passTypeId && c.teamId && c.certPem && c.keyPem && c.wwdrPem);
+};
+
+export const applePassTypeId = () => appleConfig().passTypeId;
+
+/* ---------------- pass contents ---------------- */
+
+// A square PNG of one color (Wallet requires an icon).
+const solidPng = (size, [r, g, b]) => {
+    const chunk = (type, data) => {
+        const head = Buffer.alloc(8);
+        head.writeUInt32BE(data.length, 0);
+        head.write(type, 4, "ascii");
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type, "ascii"), data])), 0);
+        return Buffer.concat([head, data, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+    const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array.from({ length: size }, () => [r, g, b]).flat())]);
+    const pixels = Buffer.concat(Array.from({ length: size }, () => row));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk("IHDR", header),
+        chunk("IDAT", zlib.deflateSync(pixels)),
+        chunk("IEND", Buffer.alloc(0)),
+    ]);
+};
+
+const isVoided = (booking) => booking.status !== "confirmed" || !booking.isPaid || !!booking.deletedAt;
+
+// pass.json for a booking (show, movie and theater populated).
+const passJson = (booking) => {
+    const { passTypeId, teamId } = appleConfig();
+    const show = booking.show;
+    const title = show.movie?.title || "Movie";
+    const theater = show.theater || {};
+    const start = new Date(show.showDateTime);
+    const end = new Date(start.getTime() + (show.movie?.runtime || 180) * 60 * 1000);
+    const shortId = String(booking._id).slice(-8).toUpperCase();
+    const seats = booking.seats || [];
+
+    const pass = {
+        formatVersion: 1,
+        passTypeIdentifier: passTypeId,
+        teamIdentifier: teamId,
+        serialNumber: String(booking._id),
+        organizationName: "MovieMint",
+        description: `MovieMint ticket: ${title}`,
+        logoText: "MovieMint",
+        foregroundColor: "rgb(255, 255, 255)",
+        backgroundColor: "rgb(20, 20, 24)",
+        labelColor: `rgb(${BRAND_RGB.join(", ")})`,
+        relevantDate: start.toISOString(),
+        expirationDate: end.toISOString(),
+        voided: isVoided(booking),
+        barcodes: [{
+            format: "PKBarcodeFormatQR",
+            message: ticketCode(booking),
+            messageEncoding: "iso-8859-1",
+            altText: shortId,
+        }],
+        eventTicket: {
+            primaryFields: [{ key: "movie", label: "MOVIE", value: title }],
+            secondaryFields: [
+                {
+                    key: "showtime",
+                    label: "SHOWTIME",
+                    value: start.toISOString(),
+                    dateStyle: "PKDateStyleMedium",
+                    timeStyle: "PKDateStyleShort",
+                    changeMessage: "Showtime changed to %@",
+                },
+                {
+                    key: "seats",
+                    label: seats.length === 1 ? "SEAT" : "SEATS",
+                    value: seats.join(", "),
+                    changeMessage: "Your seats are now %@",
+                },
+            ],
+            auxiliaryFields: [
+                { key: "theater", label: "THEATER", value: theater.name || "" },
+                { key: "screen", label: "SCREEN", value: show.screenName || show.experience || "—" },
+                { key: "format", label: "FORMAT", value: [show.format, show.language].filter(Boolean).join(" · ") },
+            ],
+            backFields: [
+                { key: "status", label: "Booking", value: isVoided(booking) ? "Cancelled" : "Confirmed", changeMessage: "Your booking is %@" },
+                { key: "booking", label: "Booking ID", value: shortId },
+                { key: "holder", label: "Booked by", value: booking.userSnapshot?.name || "" },
+                { key: "address", label: "Address", value: [theater.address, theater.city].filter(Boolean).join(", ") },
+                { key: "amount", label: "Amount paid", value: `₹ ${booking.amount}` },
+            ],
+        },
+    };
+
+    if (Number.isFinite(theater.geo?.lat) && Number.isFinite(theater.geo?.lng)) {
+        pass.locations = [{ latitude: theater.geo.lat, longitude: theater.geo.lng, relevantText: `${title} at ${theater.name}` }];
+    }
+    // Updates need a public HTTPS web service.
+    if (process.env.SERVER_URL?.startsWith("https://")) {
+        pass.webServiceURL = `${process.env.SERVER_URL.replace(/\/+$/, "")}/api/wallet`;
+        pass.authenticationToken = walletAuthToken(booking);
+    }
+    return pass;
+};
+
+/**
+ * Signed .pkpass for a booking (show, movie and theater populated).
+ * Resolves to a Buffer.
+ */
+export const buildApplePass = async (booking) => {
+    const { certPem, keyPem, passphrase, wwdrPem } = appleConfig();
+    const files = [
+        { name: "pass.json", data: Buffer.from(JSON.stringify(passJson(booking))) },
+        { name: "icon.png", data: solidPng(29, BRAND_RGB) },
+        { name: "icon@2x.png", data: solidPng(58, BRAND_RGB) },
+        { name: "icon@3x.png", data: solidPng(87, BRAND_RGB) },
+    ];
+    const manifest = Buffer.from(JSON.stringify(Object.fromEntries(
+        files.map((f) => [f.name, crypto.createHash("sha1").update(f.data).digest("hex")])
+    )));
+    const signature = signDetached(manifest, { certPem, keyPem, passphrase, chainPems: [wwdrPem] });
+
+    return createZip([...files, { name: "manifest.json", data: manifest }, { name: "signature", data: signature }]);
+};
+
+// When a booking's pass last changed (whole seconds, as HTTP dates carry).
+export const passLastModified = (booking) => {
+    const times = [booking.updatedAt, booking.show?.updatedAt].map((t) => (t ? new Date(t).getTime() : 0));
+    return Math.floor(Math.max(...times) / 1000) * 1000;
+};
+
+// Whether an "ApplePass <token>" header belongs to this booking's pass.
+export const isPassAuthorized = (booking, header) => {
+    const given = Buffer.from(String(header || "").replace(/^ApplePass\s+/, ""));
+    const expected = Buffer.from(walletAuthToken(booking));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/* ---------------- update pushes ---------------- */
+
+/**
+ * Tells every device holding one of these passes to fetch it again.
+ * Tokens APNs reports as gone are unregistered. Returns the pushes sent.
+ */
+export const pushApplePassUpdates = async (serialNumbers) => {
+    if (!isAppleWalletConfigured() || !serialNumbers.length) return 0;
+    const { passTypeId, certPem, keyPem, passphrase } = appleConfig();
+
+    const registrations = await WalletRegistration.find({
+        passTypeId,
+        serialNumber: { $in: serialNumbers.map(String) },
+    }).lean();
+    const tokens = [...new Set(registrations.map((r) => r.pushToken))];
+    if (!tokens.length) return 0;
+
+    const session = http2.connect(APNS_HOST, { cert: certPem, key: keyPem, passphrase: passphrase || undefined });
+    session.setTimeout(15000, () => session.destroy());
+    session.on("error", (err) => console.error("APNs session error:", err?.message || err));
+
+    const gone = [];
+    let sent = 0;
+    try {
+        await Promise.all(tokens.map((token) => new Promise((resolve) => {
+            const req = session.request({
+                ":method": "POST",
+                ":path": `/3/device/${token}`,
+                "apns-topic": passTypeId,
+            });
+            req.on("response", (headers) => {
+                const status = headers[":status"];
+                if (status === 200) sent += 1;
+                else if (status === 410) gone.push(token); // device no longer has the pass
+                else console.error(`APNs push for a pass failed with ${status}`);
+            });
+            req.on("error", (err) => console.error("APNs push error:", err?.message || err));
+            req.on("close", resolve);
+            req.end("{}");
+        })));
+    } finally {
+        session.close();
+    }
+
+    if (gone.length) await WalletRegistration.deleteMany({ pushToken: { $in: gone } });
+    return sent;
+};
@@ -0,0 +1,86 @@
+// services/certificationService.js - Content certification (CBFC-style) + age checks for restricted titles
+import axios from "axios";
+
+// Certificates in increasing order of restriction, with the age each one is meant for.
+export const CERTIFICATIONS = [
+    { code: "U", minAge: 0 },
+    { code: "U/A 7+", minAge: 7 },
+    { code: "U/A 13+", minAge: 13 },
+    { code: "U/A 16+", minAge: 16 },
+    { code: "A", minAge: 18 },
+];
+export const CERTIFICATION_CODES = CERTIFICATIONS.map((c) => c.code);
+
+// U/A ratings only advise parental guidance; A is the one that legally
+// restricts admission, so it is the one bookings are checked against.
+const RESTRICTED_CODES = ["A"];
+
+export const minimumAge = (certification) =>
+    CERTIFICATIONS.find((c) => c.code === certification)?.minAge || 0;
+
+export const isRestricted = (certification) => RESTRICTED_CODES.includes(certification);
+
+// Whole years between a date of birth (stored as UTC midnight) and `on` (defaults to now).
+export const ageOn = (dateOfBirth, on = new Date()) => {
+    const dob = new Date(dateOfBirth);
+    const at = new Date(on);
+    let age = at.getUTCFullYear() - dob.getUTCFullYear();
+    const beforeBirthday =
+        at.getUTCMonth() < dob.getUTCMonth() ||
+        (at.getUTCMonth() === dob.getUTCMonth() && at.getUTCDate() < dob.getUTCDate());
+    if (beforeBirthday) age -= 1;
+    return age;
+};
+
+/* ------------------------------------------------------------------
+   TMDB IMPORT
+------------------------------------------------------------------- */
+
+// India's certificate as TMDB lists it ("UA", "UA 13+", "U/A 16+", ...).
+// Plain "UA" predates the 2024 age split; 13+ is its closest match.
+const fromIndianCertificate = (raw) => {
+    const c = String(raw || "").toUpperCase().replace(/[\s/]/g, "");
+    if (c === "U") return "U";
+    if (c === "UA7+") return "U/A 7+";
+    if (c === "UA" || c === "UA13+") return "U/A 13+";
+    if (c === "UA16+") return "U/A 16+";
+    if (c === "A" || c === "S") return "A";
+    return "";
+};
+
+// US MPA rating → nearest Indian certificate (used when TMDB has no Indian one).
+const US_TO_CERTIFICATION = {
+    "G": "U",
+    "PG": "U/A 7+",
+    "PG-13": "U/A 13+",
+    "R": "U/A 16+",
+    "NC-17": "A",
+};
+
+/**
+ * Certificate for a TMDB movie from its release_dates: the Indian one if
+ * listed, else mapped from the US rating. TMDB's `adult` flag forces A.
+ * Returns "" when TMDB has nothing usable.
+ */
+export const fetchTmdbCertification = async (movieId, { adult = false } = {}) => {
+    if (adult) return "A";
+
+    const headers = { Authorization: `Bearer ${process.env.TMDB_API_KEY}` };
+    const { data } = await axios.get(`https://api.themoviedb.org/3/movie/${movieId}/release_dates`, { headers });
+
+    const certificatesFor = (country) =>
+        (data.results || [])
+            .find((r) => r.iso_3166_1 === country)
+            ?.release_dates?.map((d) => d.certification)
+            .filter(Boolean) || [];
+
+    for (const raw of certificatesFor("IN")) {
+        const code = fromIndianCertificate(raw);
+        if (code) return code;
+    }
+    for (const raw of certificatesFor("US")) {
+        const code = US_TO_CERTIFICATION[String(raw).toUpperCase().trim()];
+        if (code) return code;
+    }
+    return "";
+};
@@ -0,0 +1,147 @@
+// services/confirmationService.js - The one place a paid booking gets confirmed
+//
+// Both the Stripe webhook and POST /api/booking/confirm-booking end up here,
+// often for the same booking at nearly the same time. The isPaid flip is a
+// conditional update, so only one caller wins it; only the winner redeems the
+// coupon, renders the ticket and sends the confirmation email. A payment that
+// can't be honored (booking cancelled, seats gone) is refunded.
+import Booking from "../models/Booking.js";
+import { inngest } from "../inngest/index.js";
+import { ticketDownloadPath } from "./ticketPdfService.js";
+import { queuePassUpdates } from "./walletService.js";
+import { redeemCoupon, releaseCoupon } from "./couponService.js";
+import { confirmHeldSeats, freeOccupiedSeats, releaseHolds } from "./holdService.js";
+import { refundPayment } from "./paymentService.js";
+
+// Gives back a payment that arrived for a booking that can't be confirmed
+// and cancels the booking (its holds and coupon use go with it). The refund
+// is keyed on the payment, so the webhook and the confirm endpoint racing
+// here refund it once. Failures are logged; the booking is cancelled anyway.
+const refundLatePayment = async (booking, paymentIntentId) => {
+    let refund = { id: "", status: "" };
+    try {
+        if (paymentIntentId) {
+            refund = await refundPayment(paymentIntentId, {
+                metadata: { bookingId: String(booking._id) },
+                idempotencyKey: `late-payment-${paymentIntentId}`,
+            });
+        }
+    } catch (e) {
+        console.error("Late payment refund failed:", e?.message || e);
+    }
+
+    const $set = { status: "cancelled", paymentLink: "" };
+    if (paymentIntentId) $set.paymentIntentId = paymentIntentId;
+    if (refund.id) Object.assign($set, { refundId: refund.id, refundStatus: refund.status });
+    await Booking.updateOne({ _id: booking._id, isPaid: { $ne: true } }, { $set });
+    await releaseHolds(booking._id);
+    await releaseCoupon(booking._id);
+    return refund;
+};
+
+/**
+ * Confirms a booking whose payment has been verified.
+ * Returns { confirmed, booking, firstTime } — confirmed is false when the
+ * booking is missing, was already paid and then cancelled, was cancelled
+ * before the payment arrived (reason: "closed") or its seats were sold to
+ * someone else after the hold lapsed (reason: "seat_conflict"). In the last
+ * two cases the payment is refunded (`refunded: true`).
+ */
+export const confirmPaidBooking = async (bookingId, { paymentIntentId = "" } = {}) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return { confirmed: false, reason: "not_found", booking: null };
+
+    // Already handled (and possibly cancelled since) — never touch seats again.
+    if (booking.isPaid) {
+        return { confirmed: booking.status === "confirmed", reason: "already_paid", booking, firstTime: false };
+    }
+
+    // Released, expired or its Checkout Session expired: the seats and the
+    // coupon use are gone, so the payment can't buy them any more.
+    if (booking.status !== "pending") {
+        console.error(`confirmPaidBooking: payment for closed booking ${bookingId}`);
+        await refundLatePayment(booking, paymentIntentId);
+        return { confirmed: false, reason: "closed", refunded: true, booking };
+    }
+
+    const occupied = await confirmHeldSeats(booking);
+    if (!occupied) {
+        console.error(`confirmPaidBooking: seat conflict for booking ${bookingId}`);
+        await refundLatePayment(booking, paymentIntentId);
+        return { confirmed: false, reason: "seat_conflict", refunded: true, booking };
+    }
+
+    const $set = {
+        isPaid: true,
+        status: "confirmed",
+        paidAt: new Date(),
+        paymentLink: "",
+        paymentError: "",
+    };
+    if (paymentIntentId) $set.paymentIntentId = paymentIntentId;
+
+    const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending", isPaid: { $ne: true } },
+        { $set },
+        { new: true }
+    );
+    if (!claimed) {
+        // The other path confirmed it between our read and our update.
+        const current = await Booking.findById(bookingId);
+        if (current?.isPaid) {
+            return { confirmed: current.status === "confirmed", reason: "already_paid", booking: current, firstTime: false };
+        }
+        // Cancelled in between: give back the seats we just occupied, and the money.
+        await freeOccupiedSeats({ showId: booking.show, seats: booking.seats, userId: booking.user });
+        await refundLatePayment(booking, paymentIntentId);
+        return { confirmed: false, reason: "closed", refunded: true, booking: current };
+    }
+
+    await redeemCoupon(claimed._id);
+    await deliverBooking(claimed);
+
+    return { confirmed: true, booking: claimed, firstTime: true };
+};
+
+/**
+ * Issues the ticket for a freshly confirmed booking and queues the
+ * confirmation email. Called once, by whoever confirmed the booking.
+ * The booking is paid either way, so failures are logged, not raised.
+ */
+export const deliverBooking = async (booking) => {
+    await reissueTicket(booking);
+
+    try {
+        await inngest.send({
+            name: "app/show.booked",
+            data: { bookingId: booking._id.toString() },
+        });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+};
+
+// (Re)issues a booking's ticket from its current seats and owner, e.g. after
+// a transfer. Each issue gets a new ticket version, so the QR code and
+// download links of any earlier copy stop working, and Wallet passes already
+// added are updated. The PDF itself is rendered when downloaded
+// (services/ticketPdfService.js). Failures are logged; returns the ticket
+// URL or "".
+export const reissueTicket = async (booking) => {
+    try {
+        const url = ticketDownloadPath(booking);
+        const updated = await Booking.findByIdAndUpdate(
+            booking._id,
+            { $inc: { ticketVersion: 1 }, $set: { ticketUrl: url } },
+            { new: true }
+        );
+        booking.ticketVersion = updated.ticketVersion;
+        booking.ticketUrl = url;
+        // A first issue has no passes out yet.
+        if (updated.ticketVersion > 1) await queuePassUpdates([booking._id]);
+        return url;
+    } catch (e) {
+        console.error("Ticket re-issue failed:", e?.message || e);
+        return "";
+    }
+};
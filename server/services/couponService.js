@@ -0,0 +1,151 @@
+// services/couponService.js - Coupon rules, discounts and redemption lifecycle
+//
+// A coupon use moves through: evaluate (rules + discount) → reserve (pending
+// booking; counts toward limits) → redeem (booking paid) → or release (booking
+// cancelled / expired). Coupon.usedCount is only ever changed with conditional
+// $inc updates, so concurrent checkouts can't push a coupon past usageLimit.
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+
+// Weekday rules are judged in the cinema's local time, not the server's.
+const APP_TIMEZONE = process.env.APP_TIMEZONE || "Asia/Kolkata";
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const normalizeCode = (code) => String(code || "").toUpperCase().trim();
+
+const weekdayOf = (date) =>
+    WEEKDAYS.indexOf(new Intl.DateTimeFormat("en-US", { weekday: "short", timeZone: APP_TIMEZONE }).format(date));
+
+// Discount for a ticket subtotal (never more than the subtotal).
+export const discountFor = (coupon, subtotal) => {
+    const base = Math.max(0, Number(subtotal) || 0);
+    let d = coupon.type === "percent"
+        ? Math.round((base * Number(coupon.value)) / 100)
+        : Number(coupon.value) || 0;
+    if (coupon.type === "percent" && coupon.maxDiscount != null && coupon.maxDiscount > 0) {
+        d = Math.min(d, coupon.maxDiscount);
+    }
+    return Math.max(0, Math.min(base, d));
+};
+
+const invalid = (code, message) => ({ valid: false, code, discount: 0, message });
+
+/**
+ * Checks a coupon against a show, a ticket subtotal and (optionally) a user.
+ * `show` needs movie, theater, format and showDateTime.
+ * Returns { valid, code, discount, label, message, coupon }.
+ */
+export const evaluateCoupon = async ({ code, userId, show, subtotal }) => {
+    const c = normalizeCode(code);
+    if (!c) return invalid(c, "Enter a coupon code");
+
+    const coupon = await Coupon.findOne({ code: c, isActive: { $ne: false } }).lean();
+    if (!coupon) return invalid(c, "Invalid coupon code");
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) return invalid(c, "This coupon is not active yet");
+    if (coupon.validTo && now > coupon.validTo) return invalid(c, "This coupon has expired");
+
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+        return invalid(c, "This coupon has been fully used");
+    }
+
+    const amount = Number(subtotal) || 0;
+    if (coupon.minSubtotal > 0 && amount < coupon.minSubtotal) {
+        return invalid(c, `Add tickets worth ₹${coupon.minSubtotal} or more to use this coupon`);
+    }
+
+    if (show) {
+        const movieId = String(show.movie?._id || show.movie || "");
+        const theaterId = String(show.theater?._id || show.theater || "");
+        if (coupon.applicableMovies?.length && !coupon.applicableMovies.map(String).includes(movieId)) {
+            return invalid(c, "This coupon is not valid for this movie");
+        }
+        if (coupon.applicableTheaters?.length && !coupon.applicableTheaters.map(String).includes(theaterId)) {
+            return invalid(c, "This coupon is not valid at this theater");
+        }
+        if (coupon.applicableFormats?.length && !coupon.applicableFormats.includes(show.format)) {
+            return invalid(c, `This coupon is only valid for ${coupon.applicableFormats.join(", ")} shows`);
+        }
+        if (coupon.applicableWeekdays?.length && show.showDateTime &&
+            !coupon.applicableWeekdays.includes(weekdayOf(new Date(show.showDateTime)))) {
+            const days = coupon.applicableWeekdays.map((d) => WEEKDAYS[d]).join(", ");
+            return invalid(c, `This coupon is only valid for shows on ${days}`);
+        }
+    }
+
+    if (userId && coupon.perUserLimit > 0) {
+        const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+        if (used >= coupon.perUserLimit) return invalid(c, "You have already used this coupon");
+    }
+
+    const discount = discountFor(coupon, amount);
+    if (discount <= 0) return invalid(c, "This coupon gives no discount on these tickets");
+
+    return { valid: true, code: c, discount, label: coupon.label, message: "Coupon applied", coupon };
+};
+
+/**
+ * Reserves one use of a coupon for a pending booking. Returns false if the
+ * global or per-user limit was reached in the meantime.
+ */
+export const reserveCoupon = async ({ coupon, userId, bookingId, discount }) => {
+    const bumped = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            $or: [
+                { usageLimit: { $lte: 0 } },
+                { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+            ],
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+    if (!bumped) return false;
+
+    try {
+        await CouponRedemption.create({
+            coupon: coupon._id,
+            code: coupon.code,
+            user: userId,
+            booking: bookingId,
+            discount,
+        });
+    } catch (err) {
+        await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        throw err;
+    }
+
+    // Two checkouts by the same user can pass evaluateCoupon together; the
+    // later one (by creation order) gives its use back.
+    if (coupon.perUserLimit > 0) {
+        const mine = await CouponRedemption.find({ coupon: coupon._id, user: userId })
+            .sort({ createdAt: 1, _id: 1 })
+            .select("booking");
+        const position = mine.findIndex((r) => String(r.booking) === String(bookingId));
+        if (position >= coupon.perUserLimit) {
+            await releaseCoupon(bookingId);
+            return false;
+        }
+    }
+
+    return true;
+};
+
+// Marks a booking's coupon use as redeemed (booking paid). No-op without a coupon.
+export const redeemCoupon = async (bookingId) => {
+    await CouponRedemption.updateOne(
+        { booking: bookingId, status: "reserved" },
+        { $set: { status: "redeemed", redeemedAt: new Date() } }
+    );
+};
+
+// Gives a booking's coupon use back (booking cancelled / expired). Idempotent.
+export const releaseCoupon = async (bookingId) => {
+    const redemption = await CouponRedemption.findOneAndDelete({ booking: bookingId });
+    if (!redemption) return;
+    await Coupon.updateOne(
+        { _id: redemption.coupon, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+};
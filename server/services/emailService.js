@@ -0,0 +1,120 @@
+// services/emailService.js - Renders the email templates (server/emails) and sends them, with ticket attachments
+//
+// Every email goes out with an HTML and a plain-text part built from the same
+// template blocks. Showtimes are shown in the theater's time zone. Callers
+// pass plain data; showView() turns a populated Show into what templates read.
+import sendEmail from "../configs/nodeMailer.js";
+import { htmlLayout, textLayout } from "../emails/layout.js";
+import { templates } from "../emails/templates.js";
+import { createCalendarEvent } from "../utils/ics.js";
+import { theaterTimeZone } from "../utils/timeZone.js";
+import { ticketPdf } from "./ticketPdfService.js";
+
+// Link into the web app, or "" when CLIENT_URL isn't set.
+export const clientLink = (path) =>
+    process.env.CLIENT_URL ? `${process.env.CLIENT_URL.replace(/\/+$/, "")}${path}` : "";
+
+/**
+ * What templates show about a show (movie and theater populated).
+ */
+export const showView = (show) => {
+    const startsAt = show?.showDateTime ? new Date(show.showDateTime) : null;
+    const runtime = show?.movie?.runtime || 180;
+    return {
+        movieTitle: show?.movie?.title || "",
+        movieId: show?.movie?._id ? String(show.movie._id) : "",
+        theaterName: show?.theater?.name || "",
+        theaterCity: show?.theater?.city || "",
+        theaterAddress: show?.theater?.address || "",
+        screen: show?.screenName || show?.experience || "",
+        startsAt: startsAt ? startsAt.toISOString() : null,
+        endsAt: startsAt ? new Date(startsAt.getTime() + runtime * 60 * 1000).toISOString() : null,
+        timeZone: theaterTimeZone(show?.theater),
+        geo: show?.theater?.geo,
+    };
+};
+
+// Own keys only, so names like "constructor" or "toString" count as unknown.
+const templateFor = (name) => (Object.hasOwn(templates, name) ? templates[name] : null);
+
+/**
+ * Renders a template to { subject, html, text }. Throws on an unknown name.
+ */
+export const renderEmail = (name, data) => {
+    const template = templateFor(name);
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+
+    const { subject, preheader, blocks } = template.render(data);
+    return {
+        subject,
+        html: htmlLayout({ title: subject, preheader, content: blocks.map((b) => b.html).join("\n") }),
+        text: textLayout({ content: blocks.map((b) => b.text).filter(Boolean).join("\n\n") }),
+    };
+};
+
+export const sendTemplatedEmail = async (name, { to, data, attachments = [] }) => {
+    const { subject, html, text } = renderEmail(name, data);
+    return sendEmail({ to, subject, body: html, text, attachments });
+};
+
+/* ---------------- attachments ---------------- */
+
+// Calendar invite for a booking's showtime (show, movie and theater populated).
+const calendarAttachment = (booking, show) => {
+    const shortId = String(booking._id).slice(-8).toUpperCase();
+    const ics = createCalendarEvent({
+        uid: `booking-${booking._id}@moviemint`,
+        start: show.startsAt,
+        end: show.endsAt,
+        summary: `${show.movieTitle || "Movie"} — MovieMint`,
+        location: [show.theaterName, show.theaterAddress, show.theaterCity].filter(Boolean).join(", "),
+        description: `Seats: ${(booking.seats || []).join(", ")}\nBooking ID: ${shortId}`,
+        url: clientLink("/my-bookings"),
+        geo: show.geo,
+    });
+    return {
+        filename: `MovieMint-${shortId}.ics`,
+        content: ics,
+        contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+    };
+};
+
+/**
+ * The ticket PDF and a calendar invite for a confirmed booking (show, movie
+ * and theater populated). A PDF that fails to render is left out — the email
+ * still links to the ticket — and the failure logged.
+ */
+export const ticketAttachments = async (booking) => {
+    const shortId = String(booking._id).slice(-8).toUpperCase();
+    const attachments = [];
+    try {
+        const { pdf } = await ticketPdf(booking);
+        attachments.push({ filename: `MovieMint-ticket-${shortId}.pdf`, content: pdf, contentType: "application/pdf" });
+    } catch (e) {
+        console.error("Ticket PDF for email failed:", e?.message || e);
+    }
+
+    const show = showView(booking.show);
+    if (show.startsAt) attachments.push(calendarAttachment(booking, show));
+    return attachments;
+};
+
+/* ---------------- admin preview ---------------- */
+
+// [{ name, description, attachments }] for the admin preview list.
+export const emailTemplateList = () =>
+    Object.entries(templates).map(([name, t]) => ({
+        name,
+        description: t.description,
+        attachments: t.attachments || [],
+    }));
+
+/**
+ * A template rendered with its sample data: { name, subject, html, text,
+ * attachments }, or null for an unknown name.
+ */
+export const previewEmail = (name) => {
+    const template = templateFor(name);
+    if (!template) return null;
+    return { name, attachments: template.attachments || [], ...renderEmail(name, template.sample()) };
+};
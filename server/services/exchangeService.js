@@ -0,0 +1,383 @@
+// services/exchangeService.js - Move a confirmed booking to another showtime or other seats
+//
+// An exchange holds the new seats under its own id, then (once any price
+// difference is paid) applies in this order: occupy the new seats, move the
+// booking record with a conditional update, free the old seats. A booking
+// that changed underneath (cancelled, transferred, seats cancelled) fails
+// the conditional update, so the new seats are freed again and any payment
+// for the difference goes back. A cheaper exchange refunds the difference
+// at the refund policy's current tier.
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import BookingExchange from "../models/BookingExchange.js";
+import { inngest } from "../inngest/index.js";
+import { reissueTicket } from "./confirmationService.js";
+import { confirmHeldSeats, freeOccupiedSeats, holdSeats, releaseHolds } from "./holdService.js";
+import {
+    createCheckoutSession,
+    expireCheckoutSession,
+    refundAcross,
+    refundPayment,
+    STRIPE_CURRENCY,
+} from "./paymentService.js";
+import { priceForSeat, resolveSeatMap } from "./seatMapService.js";
+import { cancelPendingTransfers } from "./transferService.js";
+
+export const EXCHANGE_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 10);
+
+const sameShow = (a, b) => String(a) === String(b);
+
+// Seats the exchange has to take that the booking doesn't already own.
+const newSeatsOf = (exchange) =>
+    sameShow(exchange.fromShow, exchange.toShow)
+        ? exchange.toSeats.filter((s) => !exchange.fromSeats.includes(s))
+        : exchange.toSeats;
+
+// Seats the booking gives up once the exchange applies.
+const releasedSeatsOf = (exchange) =>
+    sameShow(exchange.fromShow, exchange.toShow)
+        ? exchange.fromSeats.filter((s) => !exchange.toSeats.includes(s))
+        : exchange.fromSeats;
+
+/**
+ * Booking amounts after moving to `seats` of `toShow`: seats at the new
+ * show's zone prices, the coupon's discount kept (up to the new subtotal),
+ * and the same booking fee and snacks. Returns { before, after, difference }.
+ */
+export const priceExchange = async ({ booking, toShow, seats }) => {
+    const seatMap = await resolveSeatMap(toShow);
+    const basePrice = Number(toShow.showPrice) || 0;
+    const seatsAmount = seats.reduce((acc, seat) => acc + priceForSeat(seatMap, basePrice, seat), 0);
+    const discount = Math.min(Number(booking.discount) || 0, seatsAmount);
+    const platformFee = Number(booking.platformFee) || 0;
+    const amount = seatsAmount - discount + platformFee + (Number(booking.addonAmount) || 0);
+
+    const before = {
+        seatsAmount: Number(booking.seatsAmount) || 0,
+        discount: Number(booking.discount) || 0,
+        platformFee,
+        amount: Number(booking.amount) || 0,
+    };
+    const after = { seatsAmount, discount, platformFee, amount };
+    return { before, after, difference: amount - before.amount };
+};
+
+// What a price drop gives back under the refund policy's quote for the booking.
+export const exchangeRefundAmount = (difference, quote) =>
+    difference < 0 ? Math.round((-difference * (Number(quote?.percent) || 0)) / 100) : 0;
+
+/* ------------------------------------------------------------------
+   REFUNDS ACROSS A BOOKING'S PAYMENTS
+------------------------------------------------------------------- */
+
+// PaymentIntents that paid for a booking: exchange top-ups (newest first),
+// then the original payment.
+const bookingPaymentIntents = async (booking) => {
+    const topUps = await BookingExchange.find({
+        booking: booking._id,
+        status: "completed",
+        paymentIntentId: { $ne: "" },
+    }).sort({ completedAt: -1 }).select("paymentIntentId").lean();
+    return [...topUps.map((e) => e.paymentIntentId), booking.paymentIntentId].filter(Boolean);
+};
+
+/**
+ * Refunds `amount` rupees of what was paid for a booking (all of it with
+ * `full`). Bookings topped up by an exchange were paid in several charges,
+ * so the refund is spread over them, newest first. `idempotencyKey` makes a
+ * retry return the first attempt's refund. Returns { id, status } of the
+ * first Stripe refund ({ id: "" } when there was nothing to refund).
+ */
+export const refundBookingPayments = async (booking, amount, { full = false, metadata, idempotencyKey } = {}) => {
+    const intents = await bookingPaymentIntents(booking);
+    if (!intents.length) return { id: "", status: "" };
+    if (intents.length === 1) {
+        return refundPayment(intents[0], full ? { metadata, idempotencyKey } : { amount, metadata, idempotencyKey });
+    }
+
+    const [first] = await refundAcross(intents, amount, { metadata, idempotencyKey });
+    return first ? { id: first.id, status: first.status } : { id: "", status: "" };
+};
+
+/* ------------------------------------------------------------------
+   LIFECYCLE
+------------------------------------------------------------------- */
+
+// Gives back what was paid for a failed exchange's difference.
+const refundTopUp = async (exchange, paymentIntentId) => {
+    if (!paymentIntentId) return { id: "", status: "" };
+    try {
+        return await refundPayment(paymentIntentId, {
+            metadata: { bookingId: String(exchange.booking), exchangeId: String(exchange._id) },
+            idempotencyKey: `exchange-topup-${exchange._id}`,
+        });
+    } catch (e) {
+        console.error("Exchange top-up refund failed:", e?.message || e);
+        return { id: "", status: "" };
+    }
+};
+
+// Marks an exchange failed: its holds go, and a paid difference is refunded.
+const failExchange = async (exchange, note, { paymentIntentId = exchange.paymentIntentId } = {}) => {
+    await releaseHolds(exchange._id);
+    const refund = await refundTopUp(exchange, paymentIntentId);
+    await BookingExchange.updateOne(
+        { _id: exchange._id, status: { $ne: "completed" } },
+        {
+            $set: {
+                status: "failed",
+                note,
+                paymentIntentId,
+                paymentLink: "",
+                ...(refund.id ? { refundId: refund.id, refundStatus: refund.status } : {}),
+            },
+        }
+    );
+    console.error(`Exchange ${exchange._id} failed: ${note}`);
+    return { completed: false, reason: note };
+};
+
+/**
+ * Applies a claimed ("processing") exchange to its booking. Returns
+ * { completed: true, booking } or { completed: false, reason }.
+ */
+const applyExchange = async (exchange) => {
+    const newSeats = newSeatsOf(exchange);
+    const occupied = await confirmHeldSeats(
+        { _id: exchange._id, show: exchange.toShow, user: exchange.user },
+        { seats: newSeats }
+    );
+    if (!occupied) return failExchange(exchange, "The new seats are no longer available");
+
+    const now = new Date();
+    const booking = await Booking.findOneAndUpdate(
+        {
+            _id: exchange.booking,
+            user: exchange.user,
+            status: "confirmed",
+            show: exchange.fromShow,
+            seats: { $all: exchange.fromSeats, $size: exchange.fromSeats.length },
+        },
+        {
+            $set: {
+                show: exchange.toShow,
+                seats: exchange.toSeats,
+                seatsAmount: exchange.after.seatsAmount,
+                discount: exchange.after.discount,
+                platformFee: exchange.after.platformFee,
+                amount: exchange.after.amount,
+                exchangedAt: now,
+            },
+            $inc: { exchangeCount: 1 },
+        },
+        { new: true }
+    );
+    if (!booking) {
+        await freeOccupiedSeats({ showId: exchange.toShow, seats: newSeats, userId: exchange.user });
+        return failExchange(exchange, "The booking changed before the exchange completed");
+    }
+
+    await freeOccupiedSeats({ showId: exchange.fromShow, seats: releasedSeatsOf(exchange), userId: exchange.user });
+    await BookingExchange.updateOne(
+        { _id: exchange._id },
+        { $set: { status: "completed", completedAt: now, paymentLink: "", paymentError: "" } }
+    );
+
+    // A cheaper exchange gives back the difference (best-effort, like a cancellation).
+    if (exchange.refundAmount > 0) {
+        try {
+            const refund = await refundBookingPayments(booking, exchange.refundAmount, {
+                metadata: { bookingId: String(booking._id), exchangeId: String(exchange._id) },
+                idempotencyKey: `exchange-refund-${exchange._id}`,
+            });
+            if (refund.id) {
+                await BookingExchange.updateOne(
+                    { _id: exchange._id, refundStatus: "" },
+                    { $set: { refundId: refund.id, refundStatus: refund.status } }
+                );
+            }
+        } catch (e) {
+            console.error("Exchange refund error:", e?.message || e);
+        }
+    }
+
+    await reissueTicket(booking);
+    try {
+        await inngest.send({ name: "app/show.booked", data: { bookingId: String(booking._id) } });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+    return { completed: true, booking };
+};
+
+/**
+ * Starts moving `booking` (confirmed, paid) from `fromShow` to `seats` of
+ * `toShow`. Prices it, holds the new seats and either applies it right away
+ * (no difference to pay) or opens a Checkout Session for the difference.
+ * Returns { exchange, paymentLink?, booking? } or { error }.
+ */
+export const startExchange = async ({ booking, fromShow, toShow, seats, quote, movieTitle, origin, customerEmail = "" }) => {
+    await expireLapsedExchanges();
+    const open = await BookingExchange.exists({ booking: booking._id, status: { $in: ["awaiting_payment", "processing"] } });
+    if (open) return { error: "A change to this booking is already in progress — finish or cancel it first" };
+
+    const { before, after, difference } = await priceExchange({ booking, toShow, seats });
+    const exchangeId = new mongoose.Types.ObjectId();
+    const draft = {
+        _id: exchangeId,
+        booking: booking._id,
+        fromShow: String(fromShow._id),
+        fromSeats: [...booking.seats],
+        toShow: String(toShow._id),
+        toSeats: seats,
+    };
+
+    const expiresAt = new Date(Date.now() + EXCHANGE_HOLD_MINUTES * 60 * 1000);
+    const newSeats = newSeatsOf(draft);
+    if (newSeats.length) {
+        const held = await holdSeats({ showId: toShow._id, seats: newSeats, bookingId: exchangeId, userId: booking.user, expiresAt });
+        if (!held) return { error: "Some of those seats were just taken — pick others" };
+    }
+
+    // Offers on the old seats can't be honoured once they move.
+    await cancelPendingTransfers(booking._id, "Booking exchanged");
+
+    let exchange;
+    try {
+        exchange = await BookingExchange.create({
+            ...draft,
+            user: booking.user,
+            before,
+            after,
+            difference,
+            refundAmount: exchangeRefundAmount(difference, quote),
+            status: difference > 0 ? "awaiting_payment" : "processing",
+            expiresAt,
+        });
+    } catch (e) {
+        await releaseHolds(exchangeId);
+        throw e;
+    }
+
+    if (difference <= 0) {
+        const result = await applyExchange(exchange);
+        if (!result.completed) return { error: result.reason };
+        return { exchange: await BookingExchange.findById(exchange._id), booking: result.booking };
+    }
+
+    try {
+        const session = await createCheckoutSession({
+            bookingId: booking._id,
+            exchangeId: exchange._id,
+            customerEmail,
+            lineItems: [{
+                price_data: {
+                    currency: STRIPE_CURRENCY,
+                    product_data: {
+                        name: movieTitle || "Ticket change",
+                        description: `Change to seats ${seats.join(", ")}`,
+                    },
+                    unit_amount: Math.round(difference * 100),
+                },
+                quantity: 1,
+            }],
+            successUrl: `${origin}/my-bookings?exchange=${exchange._id}`,
+            cancelUrl: `${origin}/my-bookings`,
+        });
+        exchange.stripeSessionId = session.id;
+        exchange.paymentLink = session.url;
+        await exchange.save();
+        return { exchange, paymentLink: session.url };
+    } catch (e) {
+        console.error("Exchange checkout error:", e?.message || e);
+        await releaseHolds(exchange._id);
+        await BookingExchange.updateOne({ _id: exchange._id }, { $set: { status: "failed", note: "Payment session creation failed" } });
+        return { error: "Payment session creation failed" };
+    }
+};
+
+/**
+ * Applies an exchange once its difference is paid. Safe to call from both
+ * the webhook and the return page. A payment that arrives after the
+ * exchange lapsed or was cancelled is refunded.
+ * Returns { completed, reason?, booking? }.
+ */
+export const confirmPaidExchange = async (exchangeId, { paymentIntentId = "" } = {}) => {
+    const exchange = await BookingExchange.findById(exchangeId);
+    if (!exchange) return { completed: false, reason: "Exchange not found" };
+    if (exchange.status === "completed") return { completed: true, booking: await Booking.findById(exchange.booking) };
+
+    const claimed = await BookingExchange.findOneAndUpdate(
+        { _id: exchange._id, status: "awaiting_payment" },
+        { $set: { status: "processing", ...(paymentIntentId ? { paymentIntentId } : {}) } },
+        { new: true }
+    );
+    if (claimed) return applyExchange(claimed);
+
+    const current = await BookingExchange.findById(exchange._id);
+    if (current.status === "completed") return { completed: true, booking: await Booking.findById(current.booking) };
+    if (current.status === "processing") return { completed: false, reason: "This change is still being applied" };
+    // Expired / cancelled / failed before the payment landed: nothing to apply it to.
+    if (paymentIntentId && !current.paymentIntentId) {
+        return failExchange(current, "Paid after the exchange was closed", { paymentIntentId });
+    }
+    return { completed: false, reason: "This change is no longer open" };
+};
+
+// Closes an unpaid exchange (owner gave up, or its session expired). Returns
+// false when its Checkout Session has already been paid.
+export const closeExchange = async (exchangeId, status = "cancelled") => {
+    const exchange = await BookingExchange.findOne({ _id: exchangeId, status: "awaiting_payment" });
+    if (!exchange) return false;
+    if (!(await expireCheckoutSession(exchange.stripeSessionId))) return false;
+
+    const result = await BookingExchange.updateOne(
+        { _id: exchange._id, status: "awaiting_payment" },
+        { $set: { status, paymentLink: "" } }
+    );
+    if (result.modifiedCount === 1) await releaseHolds(exchange._id);
+    return result.modifiedCount === 1;
+};
+
+// Unpaid exchanges whose hold ran out.
+export const expireLapsedExchanges = async () => {
+    const lapsed = await BookingExchange.find({ status: "awaiting_payment", expiresAt: { $lte: new Date() } }).select("_id").lean();
+    let count = 0;
+    for (const { _id } of lapsed) {
+        try {
+            if (await closeExchange(_id, "expired")) count += 1;
+        } catch (e) {
+            console.error(`expireLapsedExchanges ${_id}:`, e?.message || e);
+        }
+    }
+    return count;
+};
+
+/* ------------------------------------------------------------------
+   WEBHOOK BOOKKEEPING
+------------------------------------------------------------------- */
+
+// Refunds tagged with an exchange (price drop, or a failed exchange's
+// payment) are tracked on the exchange. Returns its booking id, or "".
+export const recordExchangeRefund = async (refund) => {
+    const { exchangeId } = refund?.metadata || {};
+    if (!exchangeId || !mongoose.Types.ObjectId.isValid(exchangeId)) return "";
+    const exchange = await BookingExchange.findOneAndUpdate(
+        { _id: exchangeId, refundId: { $in: ["", refund.id] } },
+        { $set: { refundId: refund.id, refundStatus: refund.status || "" } },
+        { new: true }
+    );
+    return exchange ? String(exchange.booking) : "";
+};
+
+// Refunds on an exchange's own payment (the difference) are counted on the
+// exchange. Returns its booking id, or "" if the payment isn't a top-up.
+export const recordTopUpRefund = async ({ paymentIntentId, refundedAmount }) => {
+    if (!paymentIntentId) return "";
+    const exchange = await BookingExchange.findOneAndUpdate(
+        { paymentIntentId },
+        { $set: { refundedAmount } },
+        { new: true }
+    );
+    return exchange ? String(exchange.booking) : "";
+};
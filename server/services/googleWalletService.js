@@ -0,0 +1,184 @@
+// services/googleWalletService.js - Google Wallet event tickets: "Save to Google Wallet" links and updates
+//
+// Each show is an event ticket class and each booking an object of it. The
+// save link carries both in a JWT signed with the issuer's service account,
+// so Google creates them the first time a user saves. Later changes are
+// written through the Wallet REST API; objects nobody saved don't exist
+// there, and their 404s are ignored. Object ids include the owner, so after a
+// booking is transferred the previous owner's pass is deactivated instead of
+// receiving the new QR code.
+import axios from "axios";
+import crypto from "crypto";
+import { ticketCode } from "./ticketCodeService.js";
+
+const WALLET_API = "https://walletobjects.googleapis.com/walletobjects/v1";
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const WALLET_SCOPE = "https://www.googleapis.com/auth/wallet_object.issuer";
+
+const googleConfig = () => ({
+    issuerId: process.env.GOOGLE_WALLET_ISSUER_ID || "",
+    clientEmail: process.env.GOOGLE_WALLET_CLIENT_EMAIL || "",
+    privateKey: String(process.env.GOOGLE_WALLET_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+});
+
+export const isGoogleWalletConfigured = () => {
+    const c = googleConfig();
+    return !!(c.issuerId && c.clientEmail && c.privateKey);
+};
+
+const base64url = (value) => Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+
+// RS256 JWT signed with the service account key.
+const signJwt = (claims) => {
+    const unsigned = `${base64url({ alg: "RS256", typ: "JWT" })}.${base64url(claims)}`;
+    const signature = crypto.sign("sha256", Buffer.from(unsigned), googleConfig().privateKey).toString("base64url");
+    return `${unsigned}.${signature}`;
+};
+
+const text = (value) => ({ defaultValue: { language: "en-IN", value: String(value || "") } });
+
+/* ---------------- pass contents ---------------- */
+
+const classId = (showId) => `${googleConfig().issuerId}.moviemint-show-${showId}`;
+const objectId = (bookingId, userId) => {
+    const owner = crypto.createHash("sha256").update(String(userId)).digest("hex").slice(0, 12);
+    return `${googleConfig().issuerId}.moviemint-booking-${bookingId}-${owner}`;
+};
+
+const showWindow = (show) => {
+    const start = new Date(show.showDateTime);
+    const end = new Date(start.getTime() + (show.movie?.runtime || 180) * 60 * 1000);
+    return { start: start.toISOString(), end: end.toISOString() };
+};
+
+// Event ticket class for a show (movie and theater populated).
+const eventClass = (show) => {
+    const theater = show.theater || {};
+    const cls = {
+        id: classId(show._id),
+        issuerName: "MovieMint",
+        reviewStatus: "UNDER_REVIEW",
+        eventName: text(show.movie?.title || "Movie"),
+        venue: {
+            name: text(theater.name),
+            address: text([theater.address, theater.city].filter(Boolean).join(", ")),
+        },
+        dateTime: showWindow(show),
+        hexBackgroundColor: "#141418",
+    };
+    if (Number.isFinite(theater.geo?.lat) && Number.isFinite(theater.geo?.lng)) {
+        cls.locations = [{ latitude: theater.geo.lat, longitude: theater.geo.lng }];
+    }
+    return cls;
+};
+
+// Event ticket object for a booking (show, movie and theater populated).
+const eventObject = (booking) => {
+    const show = booking.show;
+    const shortId = String(booking._id).slice(-8).toUpperCase();
+    const seats = booking.seats || [];
+    const active = booking.status === "confirmed" && booking.isPaid && !booking.deletedAt;
+    const { start, end } = showWindow(show);
+
+    return {
+        id: objectId(booking._id, booking.user),
+        classId: classId(show._id),
+        state: active ? "ACTIVE" : "INACTIVE",
+        ticketHolderName: booking.userSnapshot?.name || "",
+        reservationInfo: { confirmationCode: shortId },
+        barcode: { type: "QR_CODE", value: ticketCode(booking), alternateText: shortId },
+        textModulesData: [
+            { id: "seats", header: seats.length === 1 ? "Seat" : "Seats", body: seats.join(", ") },
+            { id: "screen", header: "Screen", body: show.screenName || show.experience || "—" },
+            { id: "format", header: "Format", body: [show.format, show.language].filter(Boolean).join(" · ") },
+            ...(active ? [] : [{ id: "status", header: "Booking", body: "Cancelled" }]),
+        ],
+        validTimeInterval: { start: { date: start }, end: { date: end } },
+    };
+};
+
+/**
+ * "Save to Google Wallet" URL for a booking (show, movie and theater populated).
+ */
+export const googleSaveUrl = (booking) => {
+    const { clientEmail } = googleConfig();
+    const jwt = signJwt({
+        iss: clientEmail,
+        aud: "google",
+        typ: "savetowallet",
+        iat: Math.floor(Date.now() / 1000),
+        origins: [process.env.CLIENT_URL].filter(Boolean),
+        payload: {
+            eventTicketClasses: [eventClass(booking.show)],
+            eventTicketObjects: [eventObject(booking)],
+        },
+    });
+    return `https://pay.google.com/gp/v/save/${jwt}`;
+};
+
+/* ---------------- updates ---------------- */
+
+let cachedToken = null; // { token, expiresAt }
+
+// OAuth access token for the Wallet API (service account JWT grant).
+const accessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60 * 1000) return cachedToken.token;
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = signJwt({
+        iss: googleConfig().clientEmail,
+        scope: WALLET_SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+    });
+    const { data } = await axios.post(
+        TOKEN_URL,
+        new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion }),
+        { timeout: 10000 }
+    );
+    cachedToken = { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return cachedToken.token;
+};
+
+// Replaces a class / object; false when Google doesn't have it (nobody saved it).
+const put = async (resource, id, body, token) => {
+    try {
+        await axios.put(`${WALLET_API}/${resource}/${encodeURIComponent(id)}`, body, {
+            headers: { Authorization: `Bearer ${token}` },
+            timeout: 10000,
+        });
+        return true;
+    } catch (err) {
+        if (err?.response?.status === 404) return false;
+        throw err;
+    }
+};
+
+/**
+ * Writes the current state of these bookings (show, movie and theater
+ * populated) and their shows to Google Wallet. Returns the objects updated.
+ */
+export const pushGooglePassUpdates = async (bookings) => {
+    if (!isGoogleWalletConfigured() || !bookings.length) return 0;
+    const token = await accessToken();
+
+    const shows = new Map(bookings.map((b) => [String(b.show._id), b.show]));
+    for (const show of shows.values()) await put("eventTicketClass", classId(show._id), eventClass(show), token);
+
+    let updated = 0;
+    for (const booking of bookings) {
+        if (await put("eventTicketObject", objectId(booking._id, booking.user), eventObject(booking), token)) updated += 1;
+
+        // The previous owner's copy of a transferred booking.
+        if (booking.transferredFrom) {
+            const { barcode, ...previous } = eventObject(booking);
+            await put("eventTicketObject", objectId(booking._id, booking.transferredFrom), {
+                ...previous,
+                id: objectId(booking._id, booking.transferredFrom),
+                state: "INACTIVE",
+                textModulesData: [{ id: "status", header: "Booking", body: "Transferred to someone else" }],
+            }, token);
+        }
+    }
+    return updated;
+};
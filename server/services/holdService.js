@@ -0,0 +1,203 @@
+// services/holdService.js - Seat hold lifecycle: hold, release, confirm and expire
+//
+// Holds live in the SeatHold collection (unique per show + seat, TTL on
+// expiresAt); confirmed seats live in Show.occupiedSeats. Every controller,
+// webhook and background job goes through this module instead of touching
+// either store directly, so the rules below are the only place they exist:
+//  - a seat can be held by one booking at a time (unique index),
+//  - a held seat is never sold to anyone else (checked on confirm),
+//  - confirming marks seats occupied BEFORE dropping the holds, so a new hold
+//    can never slip in between and miss the sale.
+// Seat IDs are validated by the booking controller (e.g. "A1"), so they are
+// safe to use as dotted field paths.
+import Booking from "../models/Booking.js";
+import { inngest } from "../inngest/index.js";
+import SeatHold from "../models/SeatHold.js";
+import Show from "../models/Show.js";
+import { releaseCoupon } from "./couponService.js";
+
+const occupiedPath = (seat) => `occupiedSeats.${seat}`;
+
+const isDuplicateKey = (err) =>
+    err?.code === 11000 || !!err?.writeErrors?.some?.((e) => e?.code === 11000);
+
+// Holds every seat for a booking, all-or-nothing. Returns true when the hold
+// was placed, false when any seat is already booked or held by someone else.
+export const holdSeats = async ({ showId, seats, bookingId, userId, expiresAt }) => {
+    // MongoDB's TTL monitor only runs about once a minute, so clear lapsed
+    // holds on these seats ourselves before the unique index sees them.
+    await SeatHold.deleteMany({
+        show: showId,
+        seat: { $in: seats },
+        expiresAt: { $lte: new Date() },
+    });
+
+    try {
+        await SeatHold.insertMany(
+            seats.map((seat) => ({ show: showId, seat, booking: bookingId, user: userId, expiresAt })),
+            { ordered: true }
+        );
+    } catch (err) {
+        await releaseHolds(bookingId);
+        if (isDuplicateKey(err)) return false;
+        throw err;
+    }
+
+    // A seat may already have been sold. Confirmation occupies seats before
+    // releasing its holds, so this check cannot miss a sale in progress.
+    const taken = await Show.exists({
+        _id: showId,
+        $or: seats.map((seat) => ({ [occupiedPath(seat)]: { $exists: true } })),
+    });
+    if (taken) {
+        await releaseHolds(bookingId);
+        return false;
+    }
+
+    return true;
+};
+
+// Drops every hold belonging to a booking.
+export const releaseHolds = async (bookingId) => {
+    await SeatHold.deleteMany({ booking: bookingId });
+};
+
+// Moves a paid booking's seats into Show.occupiedSeats and releases its holds.
+// `seats` confirms just part of the booking (one paid share of a split
+// booking); the rest stays held. Returns false (and changes nothing) if any
+// seat was sold to another user or is actively held by another booking —
+// i.e. the hold lapsed and someone else took the seat.
+export const confirmHeldSeats = async (booking, { seats = booking.seats || [] } = {}) => {
+    const showId = booking.show?._id || booking.show;
+    const owner = String(booking.user?._id || booking.user);
+
+    const heldByOthers = await SeatHold.exists({
+        show: showId,
+        seat: { $in: seats },
+        booking: { $ne: booking._id },
+        expiresAt: { $gt: new Date() },
+    });
+    if (heldByOthers) return false;
+
+    const $set = {};
+    for (const seat of seats) $set[occupiedPath(seat)] = owner;
+
+    const result = await Show.updateOne(
+        {
+            _id: showId,
+            $and: seats.map((seat) => ({
+                $or: [
+                    { [occupiedPath(seat)]: { $exists: false } },
+                    { [occupiedPath(seat)]: owner },
+                ],
+            })),
+        },
+        { $set }
+    );
+    if (result.matchedCount !== 1) return false;
+
+    await SeatHold.deleteMany({ booking: booking._id, seat: { $in: seats } });
+    return true;
+};
+
+// Moves every hold of a booking to a new expiry. Returns false when any of
+// its `seatCount` holds has already lapsed (the seat may be gone).
+export const extendHolds = async (bookingId, expiresAt, seatCount) => {
+    const result = await SeatHold.updateMany(
+        { booking: bookingId, expiresAt: { $gt: new Date() } },
+        { $set: { expiresAt } }
+    );
+    return result.matchedCount === seatCount;
+};
+
+// Frees seats a user had booked (cancellation). Only entries still owned by
+// that user are removed.
+export const freeOccupiedSeats = async ({ showId, seats = [], userId }) => {
+    const ops = seats.map((seat) => ({
+        updateOne: {
+            filter: { _id: showId, [occupiedPath(seat)]: String(userId) },
+            update: { $unset: { [occupiedPath(seat)]: "" } },
+        },
+    }));
+    if (!ops.length) return;
+    await Show.bulkWrite(ops, { ordered: false });
+};
+
+// Hands confirmed seats from one user to another (ticket transfer). Only
+// entries still owned by `fromUserId` change; returns false if any seat isn't.
+export const reassignOccupiedSeats = async ({ showId, seats = [], fromUserId, toUserId }) => {
+    if (!seats.length) return true;
+    const $set = {};
+    for (const seat of seats) $set[occupiedPath(seat)] = String(toUserId);
+
+    const result = await Show.updateOne(
+        { _id: showId, $and: seats.map((seat) => ({ [occupiedPath(seat)]: String(fromUserId) })) },
+        { $set }
+    );
+    return result.matchedCount === 1;
+};
+
+// Active (unexpired) holds on a show as [{ seat, bookingId, user, expiresAt }].
+export const activeHolds = async (showId) => {
+    const holds = await SeatHold.find({ show: showId, expiresAt: { $gt: new Date() } }).lean();
+    return holds.map((h) => ({
+        seat: h.seat,
+        bookingId: String(h.booking),
+        user: h.user,
+        expiresAt: h.expiresAt.toISOString(),
+    }));
+};
+
+// Number of actively held seats per show, as Map(showId → count).
+export const activeHoldCounts = async (showIds) => {
+    if (!showIds.length) return new Map();
+    const counts = await SeatHold.aggregate([
+        { $match: { show: { $in: showIds }, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: "$show", count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map((c) => [String(c._id), c.count]));
+};
+
+// Cancels a pending booking whose hold has lapsed and releases its seats
+// (and any coupon use it reserved). `beforeHoldEnds` skips the hold-window
+// check, for when payment can no longer happen (Stripe session expired).
+// The user is emailed that the seats were released.
+// The status check is part of the update, so a payment that confirmed the
+// booking in the meantime always wins. Returns true if the booking expired.
+// Split bookings are never expired here — some seats may already be paid —
+// services/splitPaymentService.js settles them instead.
+export const expireBooking = async (bookingId, { beforeHoldEnds = false } = {}) => {
+    const filter = { _id: bookingId, status: "pending", isPaid: { $ne: true }, splitPayment: { $ne: true } };
+    if (!beforeHoldEnds) filter.expiresAt = { $lte: new Date() };
+
+    const booking = await Booking.findOneAndUpdate(
+        filter,
+        { $set: { status: "cancelled" } },
+        { new: true }
+    );
+    if (!booking) return false;
+
+    await releaseHolds(booking._id);
+    await releaseCoupon(booking._id);
+    try {
+        await inngest.send({ name: "app/booking.hold.expired", data: { bookingId: String(booking._id) } });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+    return true;
+};
+
+// Expires every pending booking past its hold window. Returns how many expired.
+export const expireStaleBookings = async () => {
+    const stale = await Booking.find({
+        status: "pending",
+        splitPayment: { $ne: true },
+        expiresAt: { $lte: new Date() },
+    }).select("_id");
+
+    let expired = 0;
+    for (const b of stale) {
+        if (await expireBooking(b._id)) expired++;
+    }
+    return expired;
+};
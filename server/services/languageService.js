@@ -0,0 +1,68 @@
+// services/languageService.js - Audio/subtitle languages a movie is scheduled in (original + dubs)
+
+// TMDB uses ISO 639-1 codes, except "cn" for Cantonese.
+const TMDB_CODE_NAMES = { cn: "Cantonese", xx: "No Language" };
+const displayNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+const MAX_LANGUAGES = 8;
+
+// "hi" → "Hindi" (unknown codes fall back to English)
+export const languageName = (code) => {
+    const c = String(code || "").trim().toLowerCase();
+    if (!c) return "English";
+    if (TMDB_CODE_NAMES[c]) return TMDB_CODE_NAMES[c];
+    try {
+        const name = displayNames.of(c);
+        return name && name.toLowerCase() !== c ? name : "English";
+    } catch {
+        return "English";
+    }
+};
+
+/**
+ * Cleans an admin-entered language list: trims, title-cases, drops
+ * duplicates (case-insensitive) and caps the length.
+ */
+export const normalizeLanguageList = (list) => {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+        const name = String(raw || "").trim().replace(/\s+/g, " ");
+        if (!name) continue;
+        const key = name.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        out.push(name.charAt(0).toUpperCase() + name.slice(1));
+        if (out.length >= MAX_LANGUAGES) break;
+    }
+    return out;
+};
+
+/**
+ * Languages a movie plays in. `audio[0]` is the original language (from
+ * TMDB unless the admin configured the list), the rest are dubs.
+ */
+export const movieLanguages = (movie) => {
+    const configured = normalizeLanguageList(movie?.audioLanguages);
+    const audio = configured.length ? configured : [languageName(movie?.original_language)];
+    return {
+        audio,
+        subtitles: normalizeLanguageList(movie?.subtitleLanguages),
+        original: audio[0],
+    };
+};
+
+/**
+ * Language + subtitles for the n-th show of a theater's day. The original
+ * language takes every other slot; dubs share the rest in turn. Subtitles
+ * (the movie's first subtitle language) only go on original-language shows.
+ */
+export const scheduleLanguage = (langs, n) => {
+    const dubs = langs.audio.slice(1);
+    if (!dubs.length || n % 2 === 0) {
+        const subtitles = langs.subtitles.find((s) => s !== langs.original) || "";
+        return { language: langs.original, subtitles };
+    }
+    return { language: dubs[Math.floor(n / 2) % dubs.length], subtitles: "" };
+};
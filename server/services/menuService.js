@@ -0,0 +1,62 @@
+// services/menuService.js - Food & beverage menus and server-side snack pricing
+//
+// Clients only ever send { itemId, quantity }; names and prices come from the
+// MenuItem collection, so the amount charged can't be set by the browser.
+import mongoose from "mongoose";
+import MenuItem from "../models/MenuItem.js";
+
+export const MAX_QTY_PER_ITEM = 10;
+export const MAX_SNACK_LINES = 20;
+
+// Items on sale at a theater: its own items plus chain-wide ones.
+export const getMenuForTheater = (theaterId) =>
+    MenuItem.find({
+        theater: { $in: [theaterId || null, null] },
+        isAvailable: { $ne: false },
+    })
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+
+/**
+ * Prices a snack order for a theater. `items` is [{ itemId, quantity }].
+ * Returns { lines, total } with lines ready for Booking.snacks, or { error }.
+ */
+export const priceSnackOrder = async ({ theaterId, items }) => {
+    if (items === undefined || items === null) return { lines: [], total: 0 };
+    if (!Array.isArray(items)) return { error: "Invalid snack order" };
+
+    // Merge repeated items and drop zero quantities.
+    const qtyById = new Map();
+    for (const entry of items) {
+        const id = String(entry?.itemId || "");
+        const quantity = Number(entry?.quantity);
+        if (!mongoose.Types.ObjectId.isValid(id) || !Number.isInteger(quantity) || quantity < 0) {
+            return { error: "Invalid snack order" };
+        }
+        if (quantity > 0) qtyById.set(id, (qtyById.get(id) || 0) + quantity);
+    }
+    if (qtyById.size === 0) return { lines: [], total: 0 };
+    if (qtyById.size > MAX_SNACK_LINES) return { error: "Too many snack items in one order" };
+
+    const menu = await getMenuForTheater(theaterId);
+    const menuById = new Map(menu.map((m) => [String(m._id), m]));
+
+    const lines = [];
+    for (const [id, quantity] of qtyById) {
+        const item = menuById.get(id);
+        if (!item) return { error: "A snack in your order is no longer available" };
+        if (quantity > MAX_QTY_PER_ITEM) {
+            return { error: `You can order up to ${MAX_QTY_PER_ITEM} of ${item.name}` };
+        }
+        lines.push({
+            item: item._id,
+            name: item.name,
+            emoji: item.emoji,
+            unitPrice: item.price,
+            quantity,
+            total: item.price * quantity,
+        });
+    }
+
+    return { lines, total: lines.reduce((acc, l) => acc + l.total, 0) };
+};
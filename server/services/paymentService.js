@@ -0,0 +1,127 @@
+// services/paymentService.js - Stripe Checkout sessions, payment verification and refunds
+//
+// For local development without Stripe, STRIPE_MOCK_PAYMENTS=true makes
+// checkout redirect straight to the success URL and treats those mock
+// sessions as paid. It is ignored when NODE_ENV=production.
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// App prices are in Indian Rupees, so charge in INR (paise) unless overridden.
+export const STRIPE_CURRENCY = (process.env.STRIPE_CURRENCY || "inr").toLowerCase();
+
+export const MOCK_PAYMENTS =
+    process.env.STRIPE_MOCK_PAYMENTS === "true" && process.env.NODE_ENV !== "production";
+
+const MOCK_SESSION_PREFIX = "mock_cs_";
+
+// Creates a Checkout Session for a booking — or for one share of a split
+// booking (`shareId`), or the price difference of an exchange (`exchangeId`).
+// Returns { id, url }.
+export const createCheckoutSession = async ({
+    bookingId,
+    shareId = "",
+    exchangeId = "",
+    lineItems,
+    successUrl,
+    cancelUrl,
+    customerEmail = "",
+}) => {
+    if (MOCK_PAYMENTS) return { id: `${MOCK_SESSION_PREFIX}${shareId || exchangeId || bookingId}`, url: successUrl };
+
+    const metadata = { bookingId: String(bookingId) };
+    if (shareId) metadata.shareId = String(shareId);
+    if (exchangeId) metadata.exchangeId = String(exchangeId);
+
+    const session = await stripe.checkout.sessions.create({
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        line_items: lineItems,
+        mode: "payment",
+        metadata,
+        ...(customerEmail ? { customer_email: customerEmail } : {}),
+        // Also on the PaymentIntent, so payment_failed / refund webhooks can find the booking.
+        payment_intent_data: { metadata },
+    });
+    return { id: session.id, url: session.url };
+};
+
+/**
+ * Asks Stripe whether a booking's Checkout Session has been paid.
+ * Returns { paid, paymentIntentId }; a session that belongs to another
+ * booking (or another share / exchange, when `shareId` / `exchangeId` is
+ * given) never counts as paid.
+ */
+export const getCheckoutPayment = async (sessionId, bookingId, { shareId = "", exchangeId = "" } = {}) => {
+    if (MOCK_PAYMENTS && sessionId === `${MOCK_SESSION_PREFIX}${shareId || exchangeId || bookingId}`) {
+        return { paid: true, paymentIntentId: "" };
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (session.metadata?.bookingId !== String(bookingId)) return { paid: false, paymentIntentId: "" };
+    if (shareId && session.metadata?.shareId !== String(shareId)) return { paid: false, paymentIntentId: "" };
+    if (exchangeId && session.metadata?.exchangeId !== String(exchangeId)) return { paid: false, paymentIntentId: "" };
+
+    return {
+        paid: session.payment_status === "paid" || session.payment_status === "no_payment_required",
+        paymentIntentId: typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id || "",
+    };
+};
+
+// Closes an open Checkout Session so it can no longer be paid. Returns false
+// when the session has already completed (the payment went through).
+export const expireCheckoutSession = async (sessionId) => {
+    if (!sessionId || sessionId.startsWith(MOCK_SESSION_PREFIX)) return true;
+
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (session.status === "complete") return false;
+    if (session.status === "open") await stripe.checkout.sessions.expire(sessionId);
+    return true;
+};
+
+// Refunds a payment — in full, or `amount` rupees of it. `metadata` comes back
+// on the refund's webhooks. Retrying with the same `idempotencyKey` returns the
+// first refund instead of making another. Returns { id, status } of the Stripe refund.
+export const refundPayment = async (paymentIntentId, { amount, metadata, idempotencyKey } = {}) => {
+    const refund = await stripe.refunds.create(
+        {
+            payment_intent: paymentIntentId,
+            ...(amount !== undefined ? { amount: Math.round(amount * 100) } : {}),
+            ...(metadata ? { metadata } : {}),
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+    );
+    return { id: refund?.id || "", status: refund?.status || "" };
+};
+
+/**
+ * Refunds `amount` rupees spread over several payments of one booking (an
+ * exchange's top-up and the original charge), in the order given, taking
+ * from each only what is still refundable on it. With `idempotencyKey`, a
+ * retry returns the first attempt's refunds instead of making more. Returns
+ * the refunds made as [{ paymentIntentId, id, status, amount }].
+ */
+export const refundAcross = async (paymentIntentIds, amount, { metadata, idempotencyKey } = {}) => {
+    let remaining = Math.round(amount * 100);
+    const refunds = [];
+    for (const paymentIntentId of paymentIntentIds) {
+        if (remaining <= 0) break;
+        const intent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ["latest_charge"] });
+        const charge = intent.latest_charge;
+        const left = (charge?.amount ?? intent.amount_received ?? 0) - (charge?.amount_refunded || 0);
+        const part = Math.min(left, remaining);
+        if (part <= 0) continue;
+
+        const refund = await stripe.refunds.create(
+            {
+                payment_intent: paymentIntentId,
+                amount: part,
+                ...(metadata ? { metadata } : {}),
+            },
+            idempotencyKey ? { idempotencyKey: `${idempotencyKey}-${paymentIntentId}` } : undefined
+        );
+        refunds.push({ paymentIntentId, id: refund?.id || "", status: refund?.status || "", amount: part / 100 });
+        remaining -= part;
+    }
+    return refunds;
+};
@@ -0,0 +1,110 @@
+// services/refundPolicyService.js - Which refund policy applies to a show, and what a cancellation gets back
+//
+// The most specific active policy wins: theater + format, then theater, then
+// format, then a chain-wide one (newest first among equals). With none set up
+// the built-in policy applies — a full refund, fee included, until 15 minutes
+// before the show — which is how cancellations always worked.
+import RefundPolicy from "../models/RefundPolicy.js";
+import { prorateBooking } from "./seatMapService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_POLICY = {
+    _id: null,
+    name: "Standard cancellation",
+    theater: null,
+    format: "",
+    tiers: [{ hoursBefore: 0, percent: 100 }],
+    cutoffMinutes: 15,
+    refundPlatformFee: true,
+    refundSnacks: true,
+};
+
+const specificity = (p) => (p.theater ? 2 : 0) + (p.format ? 1 : 0);
+
+// Policy in force for a show (a plain object).
+export const resolvePolicy = async (show) => {
+    const candidates = await RefundPolicy.find({
+        isActive: true,
+        theater: { $in: [show?.theater || null, null] },
+        format: { $in: [show?.format || "", ""] },
+    }).sort({ updatedAt: -1 }).lean();
+
+    return candidates.reduce(
+        (best, p) => (!best || specificity(p) > specificity(best) ? p : best),
+        null
+    ) || DEFAULT_POLICY;
+};
+
+// Tiers, most generous (furthest ahead) first.
+const sortedTiers = (policy) => [...(policy.tiers || [])].sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+/**
+ * What cancelling `seats` of a paid booking (all of them when omitted) would
+ * refund right now. Returns { allowed, message, policy, percent, paid,
+ * refundAmount, retainedAmount, cutoffAt, nextChangeAt, nextPercent }.
+ * Snacks only go back with the whole booking.
+ */
+export const quoteRefund = async ({ booking, show, seats, now = Date.now() }) => {
+    const policy = await resolvePolicy(show);
+    const showMs = show?.showDateTime ? new Date(show.showDateTime).getTime() : 0;
+    const msLeft = showMs - now;
+    const cutoffAt = showMs ? new Date(showMs - (Number(policy.cutoffMinutes) || 0) * 60 * 1000) : null;
+
+    const whole = !seats || seats.length >= booking.seats.length;
+    const portion = whole
+        ? {
+            seatsAmount: Number(booking.seatsAmount) || 0,
+            discount: Number(booking.discount) || 0,
+            platformFee: Number(booking.platformFee) || 0,
+        }
+        : await prorateBooking(booking, show, seats);
+    const tickets = Math.max(0, portion.seatsAmount - portion.discount);
+    const snacks = whole ? Number(booking.addonAmount) || 0 : 0;
+    const fee = portion.platformFee;
+    const paid = whole ? Number(booking.amount) || tickets + snacks + fee : tickets + fee;
+
+    const tiers = sortedTiers(policy);
+    const tierIndex = tiers.findIndex((t) => msLeft >= t.hoursBefore * HOUR_MS);
+    const tier = tiers[tierIndex] || null;
+    const percent = tier ? Number(tier.percent) || 0 : 0;
+    const next = tier ? tiers[tierIndex + 1] : null;
+
+    const refundable = tickets + (policy.refundSnacks ? snacks : 0) + (policy.refundPlatformFee ? fee : 0);
+    const refundAmount = Math.min(paid, Math.round((refundable * percent) / 100));
+
+    const allowed = !!showMs && (!cutoffAt || now < cutoffAt.getTime());
+    return {
+        allowed,
+        message: allowed
+            ? ""
+            : msLeft <= 0
+                ? "This show has already started"
+                : `Cancellation window closed (within ${policy.cutoffMinutes} minutes of showtime)`,
+        policy: {
+            _id: policy._id,
+            name: policy.name,
+            tiers,
+            cutoffMinutes: policy.cutoffMinutes,
+            refundPlatformFee: policy.refundPlatformFee,
+            refundSnacks: policy.refundSnacks,
+        },
+        percent,
+        paid,
+        refundAmount,
+        retainedAmount: paid - refundAmount,
+        cutoffAt,
+        // When the refund drops to the next tier (null if it doesn't before the cutoff).
+        nextChangeAt: tier && tier.hoursBefore > 0 ? new Date(showMs - tier.hoursBefore * HOUR_MS) : null,
+        nextPercent: tier && tier.hoursBefore > 0 ? (next ? Number(next.percent) || 0 : 0) : null,
+    };
+};
+
+// A split-payment share's refund under a quote's terms.
+export const shareRefundAmount = (share, quote) => {
+    const refundable =
+        (Number(share.seatsAmount) || 0) +
+        (quote.policy.refundSnacks ? Number(share.addonAmount) || 0 : 0) +
+        (quote.policy.refundPlatformFee ? Number(share.platformFee) || 0 : 0);
+    return Math.min(Number(share.amount) || 0, Math.round((refundable * quote.percent) / 100));
+};
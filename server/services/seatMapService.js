@@ -0,0 +1,216 @@
+// services/seatMapService.js - Resolves a show's seat map and prices seats from it
+//
+// A show is laid out by its Screen (Show.screen). Shows created before screens
+// existed fall back to an active screen in the same theater with the same
+// experience, and finally to the built-in layout for that experience — the
+// "rows A-L, zones by experience" map the app always used — so nothing breaks
+// for theaters that have no screens configured yet.
+import Screen from "../models/Screen.js";
+
+const ALPHA = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+const sliceRows = (start, count) => ALPHA.slice(start, start + count);
+
+const ZONE_COLORS = {
+    executive: "#8D8278",
+    club: "#C49A6C",
+    royale: "#CDA0A0",
+    insignia: "#D4A290",
+    prime: "#E3C078",
+};
+
+const zone = (key, label, rows, priceDelta) => ({ key, label, rows, priceDelta, color: ZONE_COLORS[key] });
+
+const LASER_LAYOUT = {
+    rows: sliceRows(0, 12),
+    columns: 12,
+    aisles: [6],
+    zones: [
+        zone("executive", "EXECUTIVE", sliceRows(0, 2), 0),
+        zone("club", "CLUB", sliceRows(2, 8), 50),
+        zone("royale", "ROYALE", sliceRows(10, 2), 100),
+    ],
+};
+
+const PREMIUM_LARGE_LAYOUT = {
+    rows: sliceRows(0, 12),
+    columns: 12,
+    aisles: [6],
+    zones: [
+        zone("executive", "EXECUTIVE", sliceRows(0, 2), 0),
+        zone("club", "CLUB", sliceRows(2, 6), 50),
+        zone("royale", "ROYALE", sliceRows(8, 4), 100),
+    ],
+};
+
+const INSIGNIA_LAYOUT = {
+    rows: sliceRows(0, 6),
+    columns: 10,
+    aisles: [5],
+    zones: [zone("insignia", "INSIGNIA", sliceRows(0, 6), 120)],
+};
+
+const FOURDX_LAYOUT = {
+    rows: sliceRows(0, 6),
+    columns: 10,
+    aisles: [5],
+    zones: [zone("prime", "PRIME", sliceRows(0, 6), 150)],
+};
+
+// Built-in layout for an experience (used when a show has no screen).
+export const defaultSeatMap = (experience) => {
+    const exp = (experience || "").toLowerCase();
+    let layout = LASER_LAYOUT;
+    if (exp.includes("imax") || exp.includes("dolby")) layout = PREMIUM_LARGE_LAYOUT;
+    else if (exp.includes("insignia")) layout = INSIGNIA_LAYOUT;
+    else if (exp.includes("4dx")) layout = FOURDX_LAYOUT;
+
+    return {
+        screenId: null,
+        name: "",
+        experience: experience || "Laser",
+        gaps: [],
+        blockedSeats: [],
+        wheelchairSeats: [],
+        ...layout,
+    };
+};
+
+// Plain seat-map object from a Screen document.
+const fromScreen = (screen) => ({
+    screenId: screen._id,
+    name: screen.name,
+    experience: screen.experience,
+    rows: [...(screen.rows || [])],
+    columns: screen.columns,
+    aisles: [...(screen.aisles || [])],
+    gaps: [...(screen.gaps || [])],
+    blockedSeats: [...(screen.blockedSeats || [])],
+    wheelchairSeats: [...(screen.wheelchairSeats || [])],
+    zones: (screen.zones || []).map((z) => ({
+        key: z.key,
+        label: z.label,
+        rows: [...(z.rows || [])],
+        priceDelta: Number(z.priceDelta) || 0,
+        color: z.color,
+    })),
+});
+
+// Seat map for a show: its own screen, else a matching screen in the theater,
+// else the built-in layout for its experience.
+export const resolveSeatMap = async (show) => {
+    if (!show) return defaultSeatMap();
+
+    const screenId = show.screen?._id || show.screen;
+    if (screenId) {
+        const screen = show.screen?.rows ? show.screen : await Screen.findById(screenId).lean();
+        if (screen) return fromScreen(screen);
+    }
+
+    const theaterId = show.theater?._id || show.theater;
+    if (theaterId && show.experience) {
+        const screen = await Screen.findOne({
+            theater: theaterId,
+            experience: show.experience,
+            isActive: { $ne: false },
+        })
+            .sort({ createdAt: 1 })
+            .lean();
+        if (screen) return fromScreen(screen);
+    }
+
+    return defaultSeatMap(show.experience);
+};
+
+// Seat maps for many shows at once (two queries instead of one or two per
+// show), using the same precedence as resolveSeatMap. Returns Map(showId → map).
+export const resolveSeatMaps = async (shows) => {
+    const idOf = (v) => String(v?._id || v || "");
+    const screenIds = [...new Set(shows.map((s) => idOf(s.screen)).filter(Boolean))];
+    const theaterIds = [...new Set(shows.map((s) => idOf(s.theater)).filter(Boolean))];
+
+    const [ownScreens, theaterScreens] = await Promise.all([
+        screenIds.length ? Screen.find({ _id: { $in: screenIds } }).lean() : [],
+        theaterIds.length
+            ? Screen.find({ theater: { $in: theaterIds }, isActive: { $ne: false } }).sort({ createdAt: 1 }).lean()
+            : [],
+    ]);
+
+    const byId = new Map(ownScreens.map((sc) => [String(sc._id), fromScreen(sc)]));
+    // First (oldest) active screen per theater + experience.
+    const byTheaterExperience = new Map();
+    for (const sc of theaterScreens) {
+        const key = `${sc.theater}|${sc.experience}`;
+        if (!byTheaterExperience.has(key)) byTheaterExperience.set(key, fromScreen(sc));
+    }
+
+    const maps = new Map();
+    for (const show of shows) {
+        const map =
+            byId.get(idOf(show.screen)) ||
+            (show.experience && byTheaterExperience.get(`${idOf(show.theater)}|${show.experience}`)) ||
+            defaultSeatMap(show.experience);
+        maps.set(idOf(show), map);
+    }
+    return maps;
+};
+
+// Rows not covered by any zone are sold at the base price under "STANDARD".
+const zonesWithFallback = (map) => {
+    const covered = new Set(map.zones.flatMap((z) => z.rows));
+    const loose = map.rows.filter((r) => !covered.has(r));
+    const zones = map.zones.filter((z) => z.rows.length);
+    if (loose.length) zones.push({ key: "standard", label: "STANDARD", rows: loose, priceDelta: 0, color: "#8D8278" });
+    return zones;
+};
+
+const rowOf = (seatId) => String(seatId).match(/^[A-Za-z]+/)?.[0]?.toUpperCase();
+const colOf = (seatId) => parseInt(String(seatId).replace(/^[A-Za-z]+/, ""), 10);
+
+// Price of one seat: base price + its zone's delta.
+export const priceForSeat = (map, basePrice, seatId) => {
+    const row = rowOf(seatId);
+    const z = map.zones.find((zn) => zn.rows.includes(row));
+    return Number(basePrice) + (z ? Number(z.priceDelta) || 0 : 0);
+};
+
+// Share of a booking's money that goes with some of its `seats` (partial
+// cancellation, transfer): tickets weighted by zone price, the coupon discount
+// in the same proportion, the platform fee per ticket. Snacks stay put.
+export const prorateBooking = async (booking, show, seats) => {
+    const map = await resolveSeatMap(show);
+    const base = Number(show.showPrice) || 0;
+    const weight = (list) => list.reduce((acc, seat) => acc + priceForSeat(map, base, seat), 0);
+    const total = weight(booking.seats);
+    const ratio = total > 0 ? weight(seats) / total : seats.length / booking.seats.length;
+
+    const seatsAmount = Math.round((Number(booking.seatsAmount) || 0) * ratio);
+    const discount = Math.round((Number(booking.discount) || 0) * ratio);
+    const platformFee = Math.round(((Number(booking.platformFee) || 0) / booking.seats.length) * seats.length);
+    return { seatsAmount, discount, platformFee, amount: Math.max(0, seatsAmount - discount) + platformFee };
+};
+
+// Whether a seat exists on the map and can be sold.
+export const isSellableSeat = (map, seatId) => {
+    const row = rowOf(seatId);
+    const col = colOf(seatId);
+    if (!map.rows.includes(row)) return false;
+    if (!Number.isInteger(col) || col < 1 || col > map.columns) return false;
+    if (map.gaps.includes(seatId) || map.blockedSeats.includes(seatId)) return false;
+    return true;
+};
+
+// Every sellable seat ID on the map.
+export const sellableSeatIds = (map) =>
+    map.rows.flatMap((row) =>
+        Array.from({ length: map.columns }, (_, i) => `${row}${i + 1}`)
+    ).filter((seatId) => isSellableSeat(map, seatId));
+
+// Seat map as sent to the client, with zone prices resolved for a show.
+export const serializeSeatMap = (map, basePrice) => ({
+    ...map,
+    capacity: sellableSeatIds(map).length,
+    zones: zonesWithFallback(map).map((z) => ({
+        ...z,
+        price: Number(basePrice) + (Number(z.priceDelta) || 0),
+    })),
+});
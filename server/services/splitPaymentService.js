@@ -0,0 +1,424 @@
+// services/splitPaymentService.js - Group bookings paid in shares: split, pay per share, settle
+//
+// The host holds the seats as a normal pending booking, then splits it: they
+// keep some seats (and the snacks) and invite friends to pay for one seat
+// each. Every share is its own Stripe Checkout Session. A paid share moves
+// its seats straight into Show.occupiedSeats (owned by the host, whose booking
+// carries the ticket); unpaid shares keep their seats on hold until the hold
+// window ends. Settling then confirms the booking with whatever was paid and
+// releases the rest — or cancels it if nobody paid.
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import BookingShare from "../models/BookingShare.js";
+import { inngest } from "../inngest/index.js";
+import { deliverBooking } from "./confirmationService.js";
+import { confirmHeldSeats, extendHolds, freeOccupiedSeats, releaseHolds } from "./holdService.js";
+import { createCheckoutSession, expireCheckoutSession, refundPayment, STRIPE_CURRENCY } from "./paymentService.js";
+
+// Friends need longer than one person at a checkout, so a split extends the
+// hold to this many minutes after the booking was created.
+export const SPLIT_HOLD_MINUTES = Number(process.env.BOOKING_SPLIT_HOLD_MINUTES || 30);
+
+const newToken = () => crypto.randomBytes(18).toString("base64url");
+
+export const shareUrl = (origin, token) => `${origin}/split/${token}`;
+
+const sumBy = (list, key) => list.reduce((acc, x) => acc + (Number(x[key]) || 0), 0);
+
+/**
+ * Turns a pending booking into a split booking. `invites` is
+ * [{ seat, email }] for the friends' seats; the host keeps the rest plus the
+ * snacks. `prices` maps seat → ticket price. The original checkout is closed
+ * first so nobody can still pay the whole amount.
+ * Returns { ok: false, message } or { ok: true, booking, shares }.
+ */
+export const splitBooking = async ({ booking, invites, prices, feePerTicket, origin }) => {
+    // Flag first: the original session's "expired" webhook must not cancel
+    // the booking, and expireBooking skips split bookings.
+    const flagged = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending", isPaid: { $ne: true }, splitPayment: { $ne: true } },
+        { $set: { splitPayment: true } },
+        { new: true }
+    );
+    if (!flagged) return { ok: false, message: "This booking can no longer be split" };
+
+    let closed = false;
+    try {
+        closed = await expireCheckoutSession(flagged.stripeSessionId);
+    } catch (e) {
+        console.error("expire checkout session failed:", e?.message || e);
+    }
+    if (!closed) {
+        await Booking.updateOne({ _id: flagged._id }, { $set: { splitPayment: false } });
+        return { ok: false, message: "This booking is already being paid" };
+    }
+
+    const expiresAt = new Date(Math.max(
+        new Date(flagged.expiresAt).getTime(),
+        new Date(flagged.createdAt).getTime() + SPLIT_HOLD_MINUTES * 60 * 1000
+    ));
+    const extended = await extendHolds(flagged._id, expiresAt, flagged.seats.length);
+    if (!extended) {
+        // A seat's hold already lapsed and the old checkout is closed, so
+        // nothing can be paid any more.
+        await Booking.updateOne({ _id: flagged._id }, { $set: { status: "cancelled", paymentLink: "" } });
+        await releaseHolds(flagged._id);
+        return { ok: false, message: "Your seat hold has expired" };
+    }
+
+    const invitedSeats = new Set(invites.map((i) => i.seat));
+    const shareOf = (seats, extra = {}) => {
+        const seatsAmount = seats.reduce((acc, seat) => acc + (prices[seat] || 0), 0);
+        const platformFee = feePerTicket * seats.length;
+        const addonAmount = extra.isHost ? Number(flagged.addonAmount) || 0 : 0;
+        return {
+            booking: flagged._id,
+            seats,
+            seatsAmount,
+            platformFee,
+            addonAmount,
+            amount: seatsAmount + platformFee + addonAmount,
+            token: newToken(),
+            ...extra,
+        };
+    };
+
+    const shares = await BookingShare.insertMany([
+        shareOf(flagged.seats.filter((s) => !invitedSeats.has(s)), { isHost: true }),
+        ...invites.map((i) => shareOf([i.seat], { email: i.email || "" })),
+    ]);
+    const host = shares.find((s) => s.isHost);
+
+    // The host's "pay now" links (My Bookings, pending banner) now open their share.
+    const updated = await Booking.findByIdAndUpdate(
+        flagged._id,
+        { $set: { expiresAt, stripeSessionId: "", paymentLink: shareUrl(origin, host.token) } },
+        { new: true }
+    );
+
+    try {
+        // Settle when the longer hold ends.
+        await inngest.send({ name: "app/checkpayment", data: { bookingId: String(flagged._id) } });
+        for (const share of shares) {
+            if (!share.email) continue;
+            await inngest.send({
+                name: "app/booking.share.invited",
+                data: { shareId: String(share._id), url: shareUrl(origin, share.token) },
+            });
+        }
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+
+    return { ok: true, booking: updated, shares };
+};
+
+/**
+ * Checkout Session for one share (reused while it is still open).
+ * Returns { url } or { error }.
+ */
+export const checkoutShare = async ({ share, booking, movieTitle, origin, customerEmail = "" }) => {
+    if (share.status !== "pending" || booking.status !== "pending") {
+        return { error: "This share can no longer be paid" };
+    }
+    if (new Date(booking.expiresAt).getTime() <= Date.now()) {
+        return { error: "The seat hold for this group has ended" };
+    }
+    if (share.paymentLink) return { url: share.paymentLink };
+
+    const lineItems = [
+        {
+            price_data: {
+                currency: STRIPE_CURRENCY,
+                product_data: {
+                    name: movieTitle || "Ticket",
+                    description: `Seat${share.seats.length > 1 ? "s" : ""} ${share.seats.join(", ")}`,
+                },
+                unit_amount: Math.round(share.seatsAmount * 100),
+            },
+            quantity: 1,
+        },
+        {
+            price_data: {
+                currency: STRIPE_CURRENCY,
+                product_data: { name: "Booking fee" },
+                unit_amount: Math.round(share.platformFee * 100),
+            },
+            quantity: 1,
+        },
+    ];
+    if (share.isHost) {
+        for (const snack of booking.snacks || []) {
+            lineItems.push({
+                price_data: {
+                    currency: STRIPE_CURRENCY,
+                    product_data: { name: snack.name },
+                    unit_amount: Math.round(snack.unitPrice * 100),
+                },
+                quantity: snack.quantity,
+            });
+        }
+    }
+
+    const session = await createCheckoutSession({
+        bookingId: booking._id,
+        shareId: share._id,
+        lineItems,
+        successUrl: `${shareUrl(origin, share.token)}?paid=1`,
+        cancelUrl: shareUrl(origin, share.token),
+        customerEmail: customerEmail || share.email,
+    });
+    await BookingShare.updateOne(
+        { _id: share._id, status: "pending" },
+        { $set: { stripeSessionId: session.id, paymentLink: session.url } }
+    );
+    return { url: session.url };
+};
+
+// Refunds a share that was paid after it could still count (hold ended,
+// seat lost). The money goes straight back; the share is marked refunded.
+// The webhook and the share page can both get here for the same payment, so
+// the idempotency key makes the second attempt return the first refund.
+const refundLateShare = async (shareId, paymentIntentId) => {
+    let refund = { id: "", status: "" };
+    try {
+        if (paymentIntentId) {
+            refund = await refundPayment(paymentIntentId, { idempotencyKey: `late-share-${paymentIntentId}` });
+        }
+    } catch (e) {
+        console.error("Late share refund failed:", e?.message || e);
+    }
+    await BookingShare.updateOne(
+        { _id: shareId, status: { $in: ["pending", "expired"] } },
+        { $set: { status: "refunded", paymentIntentId, refundId: refund.id, refundStatus: refund.status, paymentLink: "" } }
+    );
+};
+
+/**
+ * Confirms one paid share: its seats become the group's (occupied) and, once
+ * every share is in, the booking is settled. Safe to call from both the
+ * webhook and the share page. Returns { confirmed, reason?, share }.
+ */
+export const confirmPaidShare = async (shareId, { paymentIntentId = "", paidBy = "" } = {}) => {
+    const share = await BookingShare.findById(shareId);
+    if (!share) return { confirmed: false, reason: "not_found", share: null };
+    if (share.status === "paid") return { confirmed: true, reason: "already_paid", share };
+    if (share.status === "refunded") return { confirmed: false, reason: "refunded", share };
+
+    const booking = await Booking.findById(share.booking);
+    if (share.status !== "pending" || booking?.status !== "pending") {
+        await refundLateShare(share._id, paymentIntentId);
+        return { confirmed: false, reason: "closed", share };
+    }
+
+    const occupied = await confirmHeldSeats(booking, { seats: share.seats });
+    if (!occupied) {
+        console.error(`confirmPaidShare: seat conflict for share ${shareId}`);
+        await refundLateShare(share._id, paymentIntentId);
+        return { confirmed: false, reason: "seat_conflict", share };
+    }
+
+    const $set = { status: "paid", paidAt: new Date(), paymentLink: "", paymentError: "" };
+    if (paymentIntentId) $set.paymentIntentId = paymentIntentId;
+    if (paidBy) $set.paidBy = paidBy;
+    const claimed = await BookingShare.findOneAndUpdate(
+        { _id: share._id, status: "pending" },
+        { $set },
+        { new: true }
+    );
+    if (!claimed) {
+        const current = await BookingShare.findById(share._id);
+        if (current?.status === "paid") return { confirmed: true, reason: "already_paid", share: current };
+        // The hold ended between our checks: give the seats and the money back.
+        await freeOccupiedSeats({ showId: booking.show, seats: share.seats, userId: booking.user });
+        await refundLateShare(share._id, paymentIntentId);
+        return { confirmed: false, reason: "closed", share: current };
+    }
+
+    await settleSplitBooking(booking._id);
+    return { confirmed: true, share: claimed };
+};
+
+/**
+ * Settles a split booking once every share is paid or its hold has ended:
+ * unpaid shares are expired and their seats released, and the booking is
+ * confirmed for the paid seats (cancelled if there are none). Does nothing
+ * while shares are still open. Returns the booking's resulting status.
+ */
+export const settleSplitBooking = async (bookingId) => {
+    const booking = await Booking.findOne({ _id: bookingId, splitPayment: true, status: "pending" });
+    if (!booking) return "";
+
+    const open = await BookingShare.find({ booking: booking._id, status: "pending" });
+    const lapsed = new Date(booking.expiresAt).getTime() <= Date.now();
+    if (open.length && !lapsed) return "pending";
+
+    if (open.length) {
+        await BookingShare.updateMany(
+            { _id: { $in: open.map((s) => s._id) }, status: "pending" },
+            { $set: { status: "expired", paymentLink: "" } }
+        );
+        for (const share of open) {
+            try {
+                await expireCheckoutSession(share.stripeSessionId);
+            } catch (e) {
+                console.error("expire share session failed:", e?.message || e);
+            }
+        }
+    }
+    // Paid shares already gave up their holds; these are the unpaid seats.
+    await releaseHolds(booking._id);
+
+    const paid = await BookingShare.find({ booking: booking._id, status: "paid" });
+    if (!paid.length) {
+        const result = await Booking.updateOne(
+            { _id: booking._id, status: "pending" },
+            { $set: { status: "cancelled", paymentLink: "" } }
+        );
+        // Nobody paid: tell the host the seats were released.
+        if (result.modifiedCount) {
+            try {
+                await inngest.send({ name: "app/booking.hold.expired", data: { bookingId: String(booking._id) } });
+            } catch (e) {
+                console.error("inngest send failed:", e?.message || e);
+            }
+        }
+        return "cancelled";
+    }
+
+    const hostPaid = paid.some((s) => s.isHost);
+    const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending" },
+        {
+            $set: {
+                isPaid: true,
+                status: "confirmed",
+                paidAt: new Date(),
+                paymentLink: "",
+                paymentError: "",
+                seats: paid.flatMap((s) => s.seats),
+                seatsAmount: sumBy(paid, "seatsAmount"),
+                platformFee: sumBy(paid, "platformFee"),
+                addonAmount: sumBy(paid, "addonAmount"),
+                amount: sumBy(paid, "amount"),
+                // Snacks were part of the host's share.
+                ...(hostPaid ? {} : { snacks: [] }),
+            },
+        },
+        { new: true }
+    );
+    if (!claimed) return (await Booking.findById(booking._id))?.status || "";
+
+    await deliverBooking(claimed);
+    return "confirmed";
+};
+
+// Settles every split booking whose hold window has ended. Returns how many settled.
+export const settleLapsedSplitBookings = async () => {
+    const lapsed = await Booking.find({
+        splitPayment: true,
+        status: "pending",
+        expiresAt: { $lte: new Date() },
+    }).select("_id");
+
+    let settled = 0;
+    for (const b of lapsed) {
+        if (["confirmed", "cancelled"].includes(await settleSplitBooking(b._id))) settled++;
+    }
+    return settled;
+};
+
+/**
+ * Host gives up a split booking before it settles. Refused once any share is
+ * paid — those seats belong to friends now. Returns true when released.
+ */
+export const releaseSplitBooking = async (bookingId) => {
+    if (await BookingShare.exists({ booking: bookingId, status: "paid" })) return false;
+
+    const open = await BookingShare.find({ booking: bookingId, status: "pending" });
+    await BookingShare.updateMany({ booking: bookingId, status: "pending" }, { $set: { status: "expired", paymentLink: "" } });
+    for (const share of open) {
+        try {
+            await expireCheckoutSession(share.stripeSessionId);
+        } catch (e) {
+            console.error("expire share session failed:", e?.message || e);
+        }
+    }
+    return true;
+};
+
+/* ------------------------------------------------------------------
+   REFUNDS
+------------------------------------------------------------------- */
+
+// Rolls the shares' refunds up onto the booking (amount + overall status).
+const rollUpRefunds = async (bookingId) => {
+    const refunded = await BookingShare.find({ booking: bookingId, refundId: { $ne: "" } });
+    if (!refunded.length) return;
+
+    const statuses = refunded.map((s) => s.refundStatus);
+    const refundStatus = statuses.every((s) => s === "succeeded")
+        ? "succeeded"
+        : statuses.find((s) => s === "failed" || s === "canceled" || s === "requires_action") || "pending";
+
+    await Booking.updateOne(
+        { _id: bookingId },
+        {
+            $set: {
+                refundId: refunded[0].refundId,
+                refundStatus,
+                refundedAmount: sumBy(refunded, "refundedAmount"),
+            },
+        }
+    );
+};
+
+/**
+ * Refunds every paid share of a cancelled split booking (best-effort per
+ * share) — in full, or `amountFor(share)` rupees of it (refund policy).
+ * `idempotencyKey` is extended per share, so a retry can't refund one twice.
+ * Returns how many refunds were started.
+ */
+export const refundPaidShares = async (bookingId, { amountFor, idempotencyKey } = {}) => {
+    const paid = await BookingShare.find({ booking: bookingId, status: "paid" });
+    let started = 0;
+    for (const share of paid) {
+        if (!share.paymentIntentId) continue;
+        const amount = amountFor ? amountFor(share) : share.amount;
+        if (amount <= 0) continue;
+        try {
+            const refund = await refundPayment(share.paymentIntentId, {
+                ...(amount < share.amount ? { amount } : {}),
+                ...(idempotencyKey ? { idempotencyKey: `${idempotencyKey}-${share._id}` } : {}),
+            });
+            await BookingShare.updateOne(
+                { _id: share._id },
+                { $set: { status: "refunded", refundId: refund.id, refundStatus: refund.status || "pending" } }
+            );
+            started++;
+        } catch (e) {
+            console.error(`Refund for share ${share._id} failed:`, e?.message || e);
+        }
+    }
+    await rollUpRefunds(bookingId);
+    return started;
+};
+
+/**
+ * Records a refund update from Stripe against the share it belongs to.
+ * Returns the booking id, or "" when the payment wasn't a share payment.
+ */
+export const recordShareRefund = async ({ paymentIntentId, refundId = "", refundStatus = "", refundedAmount }) => {
+    const share =
+        (refundId && (await BookingShare.findOne({ refundId }))) ||
+        (paymentIntentId && (await BookingShare.findOne({ paymentIntentId })));
+    if (!share) return "";
+
+    if (!share.refundId && refundId) share.refundId = refundId;
+    if (refundStatus) share.refundStatus = refundStatus;
+    if (refundedAmount !== undefined) share.refundedAmount = refundedAmount;
+    await share.save();
+
+    await rollUpRefunds(share.booking);
+    return String(share.booking);
+};
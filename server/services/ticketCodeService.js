@@ -0,0 +1,191 @@
+// services/ticketCodeService.js - Signed ticket codes (the QR payload), download links and door check-in
+//
+// A ticket code is "MM1.<payload>.<signature>": the payload (booking id, show
+// id, seats and the ticket's version) is base64url JSON, signed with an HMAC
+// only the server knows, so a code can't be edited or made up. Every re-issue
+// (seats cancelled, transfer, exchange) bumps Booking.ticketVersion, which
+// voids the codes on older copies of the ticket. Check-in records each seat
+// in Booking.admissions once — a second scan of the same seat is reported
+// as a duplicate, never admitted again.
+//
+// Download links use the same signing key with their own prefix, so a QR code
+// can't be used as a link (or the other way round). A link names the ticket
+// version and an expiry; a re-issue voids it like it voids the QR code.
+import crypto from "crypto";
+import QRCode from "qrcode";
+import Booking from "../models/Booking.js";
+
+const PREFIX = "MM1";
+const LINK_PREFIX = "MMD1";
+const DEV_SECRET = "moviemint-dev-ticket-signing-secret";
+
+// TICKET_SIGNING_SECRET is required in production; development falls back to a fixed key.
+const signingSecret = () => {
+    if (process.env.TICKET_SIGNING_SECRET) return process.env.TICKET_SIGNING_SECRET;
+    if (process.env.NODE_ENV === "production") throw new Error("TICKET_SIGNING_SECRET is not set");
+    return DEV_SECRET;
+};
+
+const sign = (text) => crypto.createHmac("sha256", signingSecret()).update(text).digest("base64url");
+
+// "<prefix>.<base64url JSON>.<signature>"
+const seal = (prefix, data) => {
+    const payload = Buffer.from(JSON.stringify(data)).toString("base64url");
+    return `${prefix}.${payload}.${sign(`${prefix}.${payload}`)}`;
+};
+
+// The data sealed under `prefix`, or null when the token is malformed or its signature doesn't match.
+const unseal = (prefix, token) => {
+    const [given, payload, signature, ...rest] = String(token || "").trim().split(".");
+    if (given !== prefix || !payload || !signature || rest.length) return null;
+
+    const expected = Buffer.from(sign(`${prefix}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+        return null;
+    }
+};
+
+/* ---------------- QR codes ---------------- */
+
+// Signed code for a booking's current ticket.
+export const ticketCode = (booking) =>
+    seal(PREFIX, {
+        b: String(booking._id),
+        sh: String(booking.show?._id || booking.show),
+        s: booking.seats,
+        v: booking.ticketVersion || 0,
+    });
+
+// QR image (data URL) of a booking's ticket code.
+export const ticketQrDataUrl = (booking) =>
+    QRCode.toDataURL(ticketCode(booking), { errorCorrectionLevel: "M", margin: 1 });
+
+/**
+ * Verifies a scanned code. Returns { bookingId, showId, seats, version }, or
+ * null when it isn't a MovieMint code or its signature doesn't match.
+ */
+export const readTicketCode = (code) => {
+    const data = unseal(PREFIX, code);
+    if (!data?.b || !data?.sh || !Array.isArray(data.s)) return null;
+    return { bookingId: String(data.b), showId: String(data.sh), seats: data.s.map(String), version: Number(data.v) || 0 };
+};
+
+/* ---------------- download links ---------------- */
+
+export const TICKET_LINK_TTL_MS = 30 * 60 * 1000;        // links made in My Bookings for sharing
+export const EMAIL_TICKET_LINK_TTL_MS = 24 * 60 * 60 * 1000; // the link in the confirmation email
+
+/**
+ * Signed, expiring link to download a booking's current ticket without
+ * signing in — the PDF, or with `route` another format of it (the Apple
+ * Wallet pass). `baseUrl` is this API's public origin (SERVER_URL wins when
+ * set). Returns { url, expiresAt }, or null when no origin is known.
+ */
+export const ticketDownloadLink = (booking, { ttlMs = TICKET_LINK_TTL_MS, baseUrl = "", route = "/api/booking/ticket/download" } = {}) => {
+    const origin = (process.env.SERVER_URL || baseUrl || "").replace(/\/+$/, "");
+    if (!origin) return null;
+    const expiresAt = new Date(Date.now() + ttlMs);
+    const token = seal(LINK_PREFIX, { b: String(booking._id), v: booking.ticketVersion || 0, e: expiresAt.getTime() });
+    return { url: `${origin}${route}/${token}`, expiresAt };
+};
+
+/**
+ * Verifies a download link's token. Returns { bookingId, version, expired },
+ * or null when it was made up or edited.
+ */
+export const readTicketDownloadToken = (token) => {
+    const data = unseal(LINK_PREFIX, token);
+    if (!data?.b || !Number.isFinite(data?.e)) return null;
+    return { bookingId: String(data.b), version: Number(data.v) || 0, expired: Date.now() > data.e };
+};
+
+// Token an Apple Wallet pass sends back to our web service. Derived from the
+// booking and its owner, so nothing is stored, and a pass added before the
+// booking was transferred stops receiving updates (with the new QR code).
+export const walletAuthToken = (booking) => sign(`wallet.${booking._id}.${booking.user}`);
+
+/* ---------------- check-in ---------------- */
+
+/**
+ * Admits a scanned ticket at the door of `showId`. Returns { result, message,
+ * ticket? } where result is one of:
+ *  - "admitted"   every seat on the ticket is admitted now
+ *  - "partial"    some seats were admitted earlier, the rest now
+ *  - "duplicate"  every seat was already admitted
+ *  - "wrong_show" a valid ticket, but for another show
+ *  - "void"       booking cancelled, or an older copy of a re-issued ticket
+ *  - "invalid"    not a MovieMint ticket, or tampered with
+ */
+export const checkInTicket = async ({ code, showId, staffId }) => {
+    const scanned = readTicketCode(code);
+    if (!scanned) return { result: "invalid", message: "Not a MovieMint ticket, or it has been altered" };
+
+    const booking = await Booking.findById(scanned.bookingId).populate({
+        path: "show",
+        populate: [
+            { path: "movie", select: "title" },
+            { path: "theater", select: "name" },
+        ],
+    });
+    if (!booking) return { result: "invalid", message: "Booking not found" };
+
+    const ticket = {
+        bookingId: String(booking._id),
+        name: booking.userSnapshot?.name || "",
+        seats: scanned.seats,
+        movie: booking.show?.movie?.title || "",
+        theater: booking.show?.theater?.name || "",
+        showDateTime: booking.show?.showDateTime || null,
+    };
+
+    if (booking.status !== "confirmed" || !booking.isPaid || booking.deletedAt) {
+        return { result: "void", message: "This booking was cancelled", ticket };
+    }
+    if (
+        String(booking.show?._id) !== scanned.showId ||
+        (booking.ticketVersion || 0) !== scanned.version ||
+        !scanned.seats.every((s) => booking.seats.includes(s))
+    ) {
+        return { result: "void", message: "This ticket was replaced — ask for the latest one in My Bookings", ticket };
+    }
+    if (String(showId) !== scanned.showId) {
+        return { result: "wrong_show", message: "This ticket is for another show", ticket };
+    }
+
+    // One conditional push per seat, so two doors scanning at once can't both admit it.
+    const admittedAt = new Date();
+    const admitted = [];
+    const already = [];
+    for (const seat of scanned.seats) {
+        const { modifiedCount } = await Booking.updateOne(
+            { _id: booking._id, status: "confirmed", "admissions.seat": { $ne: seat } },
+            { $push: { admissions: { seat, admittedAt, admittedBy: staffId || "" } } }
+        );
+        (modifiedCount === 1 ? admitted : already).push(seat);
+    }
+
+    if (!already.length) {
+        return { result: "admitted", message: `Admit ${admitted.length}: ${admitted.join(", ")}`, ticket: { ...ticket, admitted } };
+    }
+    const firstScan = (booking.admissions || [])
+        .filter((a) => already.includes(a.seat))
+        .map((a) => a.admittedAt)
+        .sort((a, b) => a - b)[0] || null;
+    if (!admitted.length) {
+        return {
+            result: "duplicate",
+            message: `Already admitted: ${already.join(", ")}`,
+            ticket: { ...ticket, already, firstAdmittedAt: firstScan },
+        };
+    }
+    return {
+        result: "partial",
+        message: `Admit ${admitted.length}: ${admitted.join(", ")} — already admitted: ${already.join(", ")}`,
+        ticket: { ...ticket, admitted, already, firstAdmittedAt: firstScan },
+    };
+};
@@ -0,0 +1,48 @@
+// services/ticketPdfService.js - Ticket PDFs rendered on demand, with a small in-memory cache
+//
+// Tickets aren't stored anywhere: each download renders the PDF from the
+// booking, so it survives serverless cold starts and always shows the current
+// seats and owner. Renders are cached per instance, keyed by the booking's
+// ticket version and last update and the show's last update, so an edited
+// booking or a rescheduled show never serves a stale PDF. The same key is the response's ETag, letting browsers revalidate
+// without a download.
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import { generateTicketPdf } from "../utils/generateTicketPdf.js";
+
+const CACHE_LIMIT = Number(process.env.TICKET_PDF_CACHE_SIZE || 100); // rendered PDFs kept per instance
+const cache = new Map(); // key -> Buffer, oldest first
+
+// API path a booking's ticket downloads from.
+export const ticketDownloadPath = (booking) => `/api/booking/${booking._id}/ticket`;
+
+// ETag for a booking's ticket as it is now (show populated, as for the PDF).
+export const ticketEtag = (booking) => {
+    const [updatedAt, showUpdatedAt] = [booking.updatedAt, booking.show?.updatedAt].map((t) => (t ? new Date(t).getTime() : 0));
+    const key = `${booking._id}:${booking.ticketVersion || 0}:${updatedAt}:${showUpdatedAt}`;
+    return `"${crypto.createHash("sha1").update(key).digest("base64url")}"`;
+};
+
+/**
+ * The ticket PDF for a booking, from the cache or freshly rendered.
+ * Returns { pdf, etag }.
+ */
+export const ticketPdf = async (booking) => {
+    const etag = ticketEtag(booking);
+    const cached = cache.get(etag);
+    if (cached) {
+        // Re-insert so the Map's order stays least-recently-used first.
+        cache.delete(etag);
+        cache.set(etag, cached);
+        return { pdf: cached, etag };
+    }
+
+    const populated = booking.show?.movie?.title && booking.show?.theater?.name
+        ? booking
+        : await Booking.findById(booking._id).populate({ path: "show", populate: ["movie", "theater"] });
+    const pdf = await generateTicketPdf(populated);
+
+    cache.set(etag, pdf);
+    while (cache.size > CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    return { pdf, etag };
+};
@@ -0,0 +1,176 @@
+// services/transferService.js - Hand confirmed tickets (whole booking or some seats) to another user
+//
+// A transfer is an offer until the recipient accepts it. Accepting moves the
+// booking record first — the whole booking changes owner, or the chosen seats
+// are split off into a new booking for the recipient — and only then the
+// seats' owner in Show.occupiedSeats, so a cancellation racing the accept can
+// never free seats that now belong to someone else. Both tickets are
+// re-rendered, and the TicketTransfer document stays as the audit record.
+import Booking from "../models/Booking.js";
+import Show from "../models/Show.js";
+import TicketTransfer from "../models/TicketTransfer.js";
+import { inngest } from "../inngest/index.js";
+import { reissueTicket } from "./confirmationService.js";
+import { reassignOccupiedSeats } from "./holdService.js";
+import { prorateBooking } from "./seatMapService.js";
+
+// Pending offers whose show has started can no longer be accepted.
+export const expireLapsedTransfers = async () => {
+    await TicketTransfer.updateMany(
+        { status: "pending", expiresAt: { $lte: new Date() } },
+        { $set: { status: "expired", respondedAt: new Date() } }
+    );
+};
+
+// Withdraws pending offers on a booking (it was cancelled or changed) — all
+// of them, or only those including any of `seats`.
+export const cancelPendingTransfers = async (bookingId, note = "Booking changed", { seats } = {}) => {
+    await TicketTransfer.updateMany(
+        { booking: bookingId, status: "pending", ...(seats ? { seats: { $in: seats } } : {}) },
+        { $set: { status: "cancelled", respondedAt: new Date(), note } }
+    );
+};
+
+/**
+ * Offers `seats` of a confirmed booking to `recipient` (a User document).
+ * Returns { transfer } or { error }.
+ */
+export const createTransfer = async ({ booking, show, seats, owner, recipient, origin }) => {
+    const taken = await TicketTransfer.exists({ booking: booking._id, status: "pending", seats: { $in: seats } });
+    if (taken) return { error: "Some of these seats are already being transferred" };
+
+    const transfer = await TicketTransfer.create({
+        booking: booking._id,
+        show: String(show._id),
+        seats,
+        wholeBooking: seats.length === booking.seats.length,
+        fromUser: booking.user,
+        fromName: owner.name || "",
+        toUser: recipient._id,
+        toEmail: recipient.email,
+        toName: recipient.name || "",
+        expiresAt: show.showDateTime,
+    });
+
+    try {
+        await inngest.send({
+            name: "app/ticket.transfer.requested",
+            data: { transferId: String(transfer._id), url: `${origin}/my-bookings` },
+        });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+    return { transfer };
+};
+
+// Marks a claimed transfer as failed (the seats changed under it).
+const abandon = async (transferId, note) => {
+    await TicketTransfer.updateOne({ _id: transferId }, { $set: { status: "cancelled", note } });
+    return { error: "These tickets are no longer available to transfer" };
+};
+
+/**
+ * Accepts a pending transfer for `recipient` (User document).
+ * Returns { transfer, booking } or { error }.
+ */
+export const acceptTransfer = async (transferId, recipient) => {
+    const transfer = await TicketTransfer.findOneAndUpdate(
+        { _id: transferId, toUser: recipient._id, status: "pending", expiresAt: { $gt: new Date() } },
+        { $set: { status: "accepted", respondedAt: new Date() } },
+        { new: true }
+    );
+    if (!transfer) return { error: "This transfer is no longer pending" };
+
+    const source = await Booking.findById(transfer.booking);
+    const show = await Show.findById(transfer.show);
+    const stillOwned =
+        source &&
+        show &&
+        source.status === "confirmed" &&
+        source.isPaid &&
+        !source.deletedAt &&
+        String(source.user) === String(transfer.fromUser) &&
+        transfer.seats.every((s) => source.seats.includes(s));
+    if (!stillOwned) return abandon(transfer._id, "Seats no longer in the booking");
+
+    const now = new Date();
+    const userSnapshot = { name: recipient.name || "", email: recipient.email || "" };
+    const ownedFilter = {
+        _id: source._id,
+        user: transfer.fromUser,
+        status: "confirmed",
+        seats: { $all: transfer.seats },
+    };
+
+    let received;
+    if (transfer.wholeBooking) {
+        received = await Booking.findOneAndUpdate(
+            { ...ownedFilter, seats: { $all: transfer.seats, $size: transfer.seats.length } },
+            { $set: { user: recipient._id, userSnapshot, transferredFrom: transfer.fromUser, transferredAt: now } },
+            { new: true }
+        );
+        if (!received) return abandon(transfer._id, "Booking changed before the transfer completed");
+    } else {
+        const moved = await prorateBooking(source, show, transfer.seats);
+        const remaining = await Booking.findOneAndUpdate(
+            ownedFilter,
+            {
+                $pull: { seats: { $in: transfer.seats } },
+                $inc: {
+                    seatsAmount: -moved.seatsAmount,
+                    discount: -moved.discount,
+                    platformFee: -moved.platformFee,
+                    amount: -moved.amount,
+                },
+            },
+            { new: true }
+        );
+        if (!remaining) return abandon(transfer._id, "Booking changed before the transfer completed");
+
+        received = await Booking.create({
+            user: recipient._id,
+            userSnapshot,
+            show: source.show,
+            seats: transfer.seats,
+            ...moved,
+            couponCode: moved.discount > 0 ? source.couponCode : "",
+            isPaid: true,
+            paidAt: source.paidAt,
+            status: "confirmed",
+            transferredFrom: transfer.fromUser,
+            transferredAt: now,
+        });
+        await reissueTicket(remaining);
+    }
+
+    const reassigned = await reassignOccupiedSeats({
+        showId: show._id,
+        seats: transfer.seats,
+        fromUserId: transfer.fromUser,
+        toUserId: recipient._id,
+    });
+    if (!reassigned) console.error(`acceptTransfer: seat owner mismatch for transfer ${transfer._id}`);
+
+    await TicketTransfer.updateOne({ _id: transfer._id }, { $set: { resultBooking: received._id } });
+    await reissueTicket(received);
+
+    try {
+        await inngest.send({ name: "app/show.booked", data: { bookingId: String(received._id) } });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+
+    transfer.resultBooking = received._id;
+    return { transfer, booking: received };
+};
+
+// Recipient declines, or owner withdraws, a pending transfer. Returns true if it changed.
+export const closeTransfer = async (transferId, { userId, as }) => {
+    const filter = { _id: transferId, status: "pending" };
+    filter[as === "recipient" ? "toUser" : "fromUser"] = userId;
+
+    const result = await TicketTransfer.updateOne(filter, {
+        $set: { status: as === "recipient" ? "declined" : "cancelled", respondedAt: new Date() },
+    });
+    return result.modifiedCount === 1;
+};
@@ -0,0 +1,51 @@
+// services/walletService.js - Wallet passes (Apple + Google): which are available, and queuing their updates
+import Booking from "../models/Booking.js";
+import { inngest } from "../inngest/index.js";
+import { isAppleWalletConfigured, pushApplePassUpdates } from "./appleWalletService.js";
+import { isGoogleWalletConfigured, pushGooglePassUpdates } from "./googleWalletService.js";
+
+// Wallets the server has credentials for.
+export const walletProviders = () => ({
+    apple: isAppleWalletConfigured(),
+    google: isGoogleWalletConfigured(),
+});
+
+// Booking with what a pass shows.
+export const loadPassBooking = (bookingId) =>
+    Booking.findById(bookingId).populate({
+        path: "show",
+        populate: ["movie", "theater"],
+    });
+
+/**
+ * Queues pass updates for bookings whose ticket, status or show changed.
+ * Failures are logged — the change itself already happened.
+ */
+export const queuePassUpdates = async (bookingIds) => {
+    const { apple, google } = walletProviders();
+    if ((!apple && !google) || !bookingIds.length) return;
+    try {
+        await inngest.send({
+            name: "app/wallet.passes.changed",
+            data: { bookingIds: bookingIds.map(String) },
+        });
+    } catch (e) {
+        console.error("inngest send failed:", e?.message || e);
+    }
+};
+
+// Queues updates for the passes of every confirmed booking of a show.
+export const queueShowPassUpdates = async (showId) => {
+    const bookings = await Booking.find({ show: String(showId), status: "confirmed", isPaid: true }).select("_id").lean();
+    await queuePassUpdates(bookings.map((b) => b._id));
+};
+
+// Pushes the current state of these bookings' passes to Apple and Google.
+export const pushPassUpdates = async (bookingIds) => {
+    const bookings = (await Promise.all(bookingIds.map(loadPassBooking))).filter((b) => b?.show);
+    const [apple, google] = await Promise.all([
+        pushApplePassUpdates(bookings.map((b) => String(b._id))),
+        pushGooglePassUpdates(bookings),
+    ]);
+    return { apple, google };
+};
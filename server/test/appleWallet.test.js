@@ -0,0 +1,215 @@
+// test/appleWallet.test.js - Round trips for the hand-written pass encoders (utils/zip.js, utils/pkcs7.js, pass icons)
+//
+// The archives and signatures are read back independently of the code that
+// wrote them: ZIP entries are parsed and checked against a table-driven
+// CRC-32 here, and `unzip -t` / `openssl cms -verify` check them as Wallet
+// would. Tests needing those tools are skipped where they aren't installed.
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { after, before, describe, test } from "node:test";
+
+const { createZip } = await import("../utils/zip.js");
+const { signDetached } = await import("../utils/pkcs7.js");
+const { buildApplePass } = await import("../services/appleWalletService.js");
+
+const hasTool = (cmd, args) => spawnSync(cmd, args, { stdio: "ignore" }).status === 0;
+const HAS_OPENSSL = hasTool("openssl", ["version"]);
+const HAS_UNZIP = hasTool("unzip", ["-v"]);
+
+/* ---------------- independent readers ---------------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (buf) => {
+    let c = 0xffffffff;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+// Entries of a ZIP via its central directory: { name: Buffer }. Checks each CRC.
+const readZip = (zip) => {
+    const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end >= 0, "end of central directory record");
+    const count = zip.readUInt16LE(end + 10);
+    let pos = zip.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        assert.equal(zip.readUInt32LE(pos), 0x02014b50, "central directory header");
+        const crc = zip.readUInt32LE(pos + 16);
+        const compressedSize = zip.readUInt32LE(pos + 20);
+        const size = zip.readUInt32LE(pos + 24);
+        const nameLength = zip.readUInt16LE(pos + 28);
+        const local = zip.readUInt32LE(pos + 42);
+        const name = zip.subarray(pos + 46, pos + 46 + nameLength).toString("utf8");
+
+        assert.equal(zip.readUInt32LE(local), 0x04034b50, `local header of ${name}`);
+        const dataStart = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+        const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+        assert.equal(data.length, size, `size of ${name}`);
+        assert.equal(crc32(data), crc, `CRC of ${name}`);
+        entries[name] = data;
+        pos += 46 + nameLength;
+    }
+    return entries;
+};
+
+// Chunks of a PNG, each CRC checked: [{ type, data }].
+const readPng = (png) => {
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const chunks = [];
+    for (let pos = 8; pos < png.length;) {
+        const length = png.readUInt32BE(pos);
+        const typeAndData = png.subarray(pos + 4, pos + 8 + length);
+        assert.equal(crc32(typeAndData), png.readUInt32BE(pos + 8 + length), "chunk CRC");
+        chunks.push({ type: typeAndData.subarray(0, 4).toString("ascii"), data: typeAndData.subarray(4) });
+        pos += 12 + length;
+    }
+    return chunks;
+};
+
+/* ---------------- certificates (openssl) ---------------- */
+
+let dir;
+const file = (name) => path.join(dir, name);
+const openssl = (...args) => execFileSync("openssl", args, { cwd: dir, stdio: ["ignore", "pipe", "pipe"] });
+
+// A CA, and a leaf certificate it issued with the given key type.
+const issueCertificates = () => {
+    openssl("req", "-x509", "-newkey", "rsa:2048", "-nodes", "-keyout", "ca.key", "-out", "ca.pem", "-days", "1", "-subj", "/CN=Test WWDR");
+    for (const [name, keyArgs] of [
+        ["rsa", ["-newkey", "rsa:2048"]],
+        ["ec", ["-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:prime256v1"]],
+    ]) {
+        openssl("req", ...keyArgs, "-nodes", "-keyout", `${name}.key`, "-out", `${name}.csr`, "-subj", `/CN=pass.test.${name}`);
+        openssl("x509", "-req", "-in", `${name}.csr`, "-CA", "ca.pem", "-CAkey", "ca.key", "-CAcreateserial", "-days", "1", "-out", `${name}.pem`);
+    }
+};
+
+// Whether openssl accepts `signature` as a detached CMS signature of `content`.
+const cmsVerifies = (signature, content) => {
+    fs.writeFileSync(file("signature"), signature);
+    fs.writeFileSync(file("content"), content);
+    const result = spawnSync(
+        "openssl",
+        ["cms", "-verify", "-binary", "-inform", "DER", "-in", "signature", "-content", "content", "-CAfile", "ca.pem", "-purpose", "any", "-out", os.devNull],
+        { cwd: dir, encoding: "utf8" }
+    );
+    return result.status === 0 || result.stderr;
+};
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "moviemint-wallet-"));
+    if (HAS_OPENSSL) issueCertificates();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/* ---------------- tests ---------------- */
+
+describe("createZip", () => {
+    const files = [
+        { name: "pass.json", data: Buffer.from(JSON.stringify({ hello: "wallet" })) },
+        { name: "icon@2x.png", data: crypto.randomBytes(4096) },
+        { name: "empty", data: Buffer.alloc(0) },
+    ];
+
+    test("reads back every entry with its CRC and size", () => {
+        const entries = readZip(createZip(files));
+        assert.deepEqual(Object.keys(entries), files.map((f) => f.name));
+        for (const { name, data } of files) assert.ok(entries[name].equals(data), name);
+    });
+
+    test("passes unzip's integrity check", { skip: !HAS_UNZIP && "unzip not installed" }, () => {
+        fs.writeFileSync(file("test.zip"), createZip(files));
+        const result = spawnSync("unzip", ["-t", "test.zip"], { cwd: dir, encoding: "utf8" });
+        assert.equal(result.status, 0, result.stdout + result.stderr);
+    });
+});
+
+describe("signDetached", { skip: !HAS_OPENSSL && "openssl not installed" }, () => {
+    const content = Buffer.from(JSON.stringify({ "pass.json": "0123456789abcdef" }));
+
+    for (const keyType of ["rsa", "ec"]) {
+        test(`makes a CMS signature openssl verifies (${keyType} key, with chain)`, () => {
+            const signature = signDetached(content, {
+                certPem: fs.readFileSync(file(`${keyType}.pem`), "utf8"),
+                keyPem: fs.readFileSync(file(`${keyType}.key`), "utf8"),
+                chainPems: [fs.readFileSync(file("ca.pem"), "utf8")],
+            });
+            assert.equal(cmsVerifies(signature, content), true);
+        });
+    }
+
+    test("doesn't verify against other content", () => {
+        const signature = signDetached(content, {
+            certPem: fs.readFileSync(file("rsa.pem"), "utf8"),
+            keyPem: fs.readFileSync(file("rsa.key"), "utf8"),
+            chainPems: [fs.readFileSync(file("ca.pem"), "utf8")],
+        });
+        assert.notEqual(cmsVerifies(signature, Buffer.from("tampered")), true);
+    });
+});
+
+describe("buildApplePass", { skip: !HAS_OPENSSL && "openssl not installed" }, () => {
+    const booking = {
+        _id: "665f00000000000000000002",
+        user: "user_owner",
+        status: "confirmed",
+        isPaid: true,
+        seats: ["F7", "F8"],
+        amount: 760,
+        ticketVersion: 1,
+        userSnapshot: { name: "Aarav Sharma" },
+        show: {
+            _id: "665f00000000000000000001",
+            showDateTime: new Date("2026-11-01T14:00:00Z"),
+            movie: { title: "Dune: Part Two", runtime: 166 },
+            theater: { name: "PVR Phoenix Palladium", city: "Mumbai" },
+        },
+    };
+
+    before(() => {
+        process.env.APPLE_PASS_TYPE_ID = "pass.test.moviemint";
+        process.env.APPLE_TEAM_ID = "TEAMID1234";
+        process.env.APPLE_PASS_CERT = fs.readFileSync(file("rsa.pem"), "utf8");
+        process.env.APPLE_PASS_KEY = fs.readFileSync(file("rsa.key"), "utf8");
+        process.env.APPLE_WWDR_CERT = fs.readFileSync(file("ca.pem"), "utf8");
+    });
+
+    test("bundles pass.json, icons, a matching manifest and a valid signature", async () => {
+        const entries = readZip(await buildApplePass(booking));
+        assert.deepEqual(Object.keys(entries).sort(), [
+            "icon.png", "icon@2x.png", "icon@3x.png", "manifest.json", "pass.json", "signature",
+        ]);
+
+        const pass = JSON.parse(entries["pass.json"]);
+        assert.equal(pass.serialNumber, booking._id);
+        assert.equal(pass.passTypeIdentifier, "pass.test.moviemint");
+
+        const manifest = JSON.parse(entries["manifest.json"]);
+        for (const [name, sha1] of Object.entries(manifest)) {
+            assert.equal(crypto.createHash("sha1").update(entries[name]).digest("hex"), sha1, name);
+        }
+        assert.equal(cmsVerifies(entries.signature, entries["manifest.json"]), true);
+    });
+
+    test("draws icons as valid PNGs of the right size", async () => {
+        const entries = readZip(await buildApplePass(booking));
+        for (const [name, size] of [["icon.png", 29], ["icon@2x.png", 58], ["icon@3x.png", 87]]) {
+            const chunks = readPng(entries[name]);
+            assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "IEND"], name);
+            const [ihdr, idat] = chunks;
+            assert.equal(ihdr.data.readUInt32BE(0), size);
+            assert.equal(ihdr.data.readUInt32BE(4), size);
+            // One filter byte plus RGB per pixel, per row.
+            assert.equal(zlib.inflateSync(idat.data).length, size * (1 + size * 3), name);
+        }
+    });
+});
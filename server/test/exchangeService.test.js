@@ -0,0 +1,219 @@
+// test/exchangeService.test.js - Pricing and applying booking exchanges (services/exchangeService.js)
+//
+// No database or Stripe: model methods and the Stripe refunds resource are
+// replaced with node:test mocks. Run with `npm test`.
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+
+// Modules below build a Stripe client when loaded.
+process.env.STRIPE_SECRET_KEY ||= "sk_test_unit";
+
+const { default: Stripe } = await import("stripe");
+const { default: Booking } = await import("../models/Booking.js");
+const { default: BookingExchange } = await import("../models/BookingExchange.js");
+const { default: SeatHold } = await import("../models/SeatHold.js");
+const { default: Show } = await import("../models/Show.js");
+const { default: TicketTransfer } = await import("../models/TicketTransfer.js");
+const { inngest } = await import("../inngest/index.js");
+const { confirmPaidExchange, exchangeRefundAmount, priceExchange, startExchange } = await import(
+    "../services/exchangeService.js"
+);
+
+// Every Stripe client shares its resources' prototypes.
+const stripeRefunds = Object.getPrototypeOf(new Stripe("sk_test_unit").refunds);
+
+const FROM_SHOW = "665f00000000000000000001";
+const TO_SHOW = "665f00000000000000000005";
+const BOOKING_ID = "665f00000000000000000002";
+const EXCHANGE_ID = "665f00000000000000000006";
+const USER_ID = "user_owner";
+
+// Laser seats at ₹200 base: rows A-B +0, C-J +50, K-L +100.
+const booking = (overrides = {}) => ({
+    _id: BOOKING_ID,
+    user: USER_ID,
+    show: FROM_SHOW,
+    seats: ["C1", "C2"],
+    seatsAmount: 500,
+    discount: 100,
+    platformFee: 50,
+    addonAmount: 120,
+    amount: 570,
+    status: "confirmed",
+    isPaid: true,
+    paymentIntentId: "pi_original",
+    ...overrides,
+});
+const toShow = { _id: TO_SHOW, showPrice: 200 };
+const exchange = (overrides = {}) => ({
+    _id: EXCHANGE_ID,
+    booking: BOOKING_ID,
+    user: USER_ID,
+    fromShow: FROM_SHOW,
+    fromSeats: ["C1", "C2"],
+    toShow: TO_SHOW,
+    toSeats: ["K1", "K2"],
+    after: { seatsAmount: 600, discount: 100, platformFee: 50, amount: 670 },
+    difference: 100,
+    refundAmount: 0,
+    status: "awaiting_payment",
+    paymentIntentId: "",
+    ...overrides,
+});
+
+// Mongoose query chains the service builds on BookingExchange.find.
+const findChain = (result = []) => {
+    const chain = { sort: () => chain, select: () => chain, lean: async () => result };
+    return chain;
+};
+
+// Seats, ticket and event stubs shared by the apply path.
+const stubApply = ({ moved = booking({ show: TO_SHOW, seats: ["K1", "K2"] }) } = {}) => ({
+    heldByOthers: mock.method(SeatHold, "exists", async () => null),
+    occupy: mock.method(Show, "updateOne", async () => ({ matchedCount: 1 })),
+    releaseHolds: mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 2 })),
+    freeSeats: mock.method(Show, "bulkWrite", async () => ({})),
+    moveBooking: mock.method(Booking, "findOneAndUpdate", async () => moved),
+    exchangeUpdate: mock.method(BookingExchange, "updateOne", async () => ({ modifiedCount: 1 })),
+    payments: mock.method(BookingExchange, "find", () => findChain([])),
+    reissue: mock.method(Booking, "findByIdAndUpdate", async () => ({ ticketVersion: 2 })),
+    send: mock.method(inngest, "send", async () => ({ ids: [] })),
+    refund: mock.method(stripeRefunds, "create", async () => ({ id: "re_1", status: "pending" })),
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("priceExchange", () => {
+    test("prices the new seats at the new show's zones, keeping coupon, fee and snacks", async () => {
+        const { before, after, difference } = await priceExchange({ booking: booking(), toShow, seats: ["K1", "K2"] });
+        assert.deepEqual(before, { seatsAmount: 500, discount: 100, platformFee: 50, amount: 570 });
+        assert.deepEqual(after, { seatsAmount: 600, discount: 100, platformFee: 50, amount: 670 });
+        assert.equal(difference, 100);
+    });
+
+    test("never lets the kept discount exceed the new seats' price", async () => {
+        const { after, difference } = await priceExchange({
+            booking: booking({ discount: 450, amount: 220 }),
+            toShow,
+            seats: ["A1", "A2"],
+        });
+        assert.equal(after.discount, 400);
+        assert.equal(after.amount, 170);
+        assert.equal(difference, -50);
+    });
+});
+
+describe("exchangeRefundAmount", () => {
+    test("gives back a price drop at the policy's percent, and nothing for a rise", () => {
+        assert.equal(exchangeRefundAmount(-50, { percent: 90 }), 45);
+        assert.equal(exchangeRefundAmount(-50, null), 0);
+        assert.equal(exchangeRefundAmount(100, { percent: 100 }), 0);
+    });
+});
+
+describe("confirmPaidExchange", () => {
+    test("claims an exchange awaiting payment and moves the booking only if it is unchanged", async () => {
+        mock.method(BookingExchange, "findById", async () => exchange());
+        const claim = mock.method(BookingExchange, "findOneAndUpdate", async () => exchange({ status: "processing", paymentIntentId: "pi_topup" }));
+        const { moveBooking, freeSeats, refund } = stubApply();
+
+        const result = await confirmPaidExchange(EXCHANGE_ID, { paymentIntentId: "pi_topup" });
+        assert.equal(result.completed, true);
+        assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [
+            { _id: EXCHANGE_ID, status: "awaiting_payment" },
+            { $set: { status: "processing", paymentIntentId: "pi_topup" } },
+        ]);
+        const [filter, update] = moveBooking.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            _id: BOOKING_ID,
+            user: USER_ID,
+            status: "confirmed",
+            show: FROM_SHOW,
+            seats: { $all: ["C1", "C2"], $size: 2 },
+        });
+        assert.equal(update.$set.amount, 670);
+        // The old seats are freed only after the booking moved.
+        assert.deepEqual(freeSeats.mock.calls[0].arguments[0].map((op) => op.updateOne.filter._id), [FROM_SHOW, FROM_SHOW]);
+        assert.equal(refund.mock.callCount(), 0);
+    });
+
+    test("frees the new seats and refunds the difference under the top-up key when the booking changed", async () => {
+        mock.method(BookingExchange, "findById", async () => exchange());
+        mock.method(BookingExchange, "findOneAndUpdate", async () => exchange({ status: "processing", paymentIntentId: "pi_topup" }));
+        const { freeSeats, exchangeUpdate, refund } = stubApply({ moved: null });
+        mock.method(console, "error", () => {});
+
+        const result = await confirmPaidExchange(EXCHANGE_ID, { paymentIntentId: "pi_topup" });
+        assert.equal(result.completed, false);
+        assert.equal(freeSeats.mock.calls[0].arguments[0][0].updateOne.filter._id, TO_SHOW);
+        const [params, options] = refund.mock.calls[0].arguments;
+        assert.equal(params.payment_intent, "pi_topup");
+        assert.equal(params.amount, undefined);
+        assert.deepEqual(options, { idempotencyKey: `exchange-topup-${EXCHANGE_ID}` });
+        const [filter, update] = exchangeUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: EXCHANGE_ID, status: { $ne: "completed" } });
+        assert.equal(update.$set.status, "failed");
+        assert.equal(update.$set.refundId, "re_1");
+    });
+
+    test("leaves an exchange the other confirmation path is applying alone", async () => {
+        let reads = 0;
+        mock.method(BookingExchange, "findById", async () => (reads++ ? exchange({ status: "processing" }) : exchange()));
+        mock.method(BookingExchange, "findOneAndUpdate", async () => null);
+        const { moveBooking, refund } = stubApply();
+
+        const result = await confirmPaidExchange(EXCHANGE_ID, { paymentIntentId: "pi_topup" });
+        assert.deepEqual(result, { completed: false, reason: "This change is still being applied" });
+        assert.equal(moveBooking.mock.callCount(), 0);
+        assert.equal(refund.mock.callCount(), 0);
+    });
+
+    test("refunds a payment that lands after the exchange was closed", async () => {
+        let reads = 0;
+        mock.method(BookingExchange, "findById", async () => (reads++ ? exchange({ status: "expired" }) : exchange()));
+        mock.method(BookingExchange, "findOneAndUpdate", async () => null);
+        const { moveBooking, refund } = stubApply();
+        mock.method(console, "error", () => {});
+
+        const result = await confirmPaidExchange(EXCHANGE_ID, { paymentIntentId: "pi_late" });
+        assert.equal(result.completed, false);
+        assert.equal(moveBooking.mock.callCount(), 0);
+        assert.equal(refund.mock.calls[0].arguments[0].payment_intent, "pi_late");
+        assert.deepEqual(refund.mock.calls[0].arguments[1], { idempotencyKey: `exchange-topup-${EXCHANGE_ID}` });
+    });
+});
+
+describe("startExchange", () => {
+    test("applies a cheaper exchange right away and refunds the drop under the exchange's key", async () => {
+        const created = [];
+        mock.method(BookingExchange, "exists", async () => null);
+        mock.method(SeatHold, "insertMany", async (docs) => docs);
+        mock.method(Show, "exists", async () => null);
+        mock.method(TicketTransfer, "updateMany", async () => ({ modifiedCount: 0 }));
+        mock.method(BookingExchange, "create", async (doc) => {
+            created.push(doc);
+            return { ...doc };
+        });
+        mock.method(BookingExchange, "findById", async () => ({ ...created[0], status: "completed" }));
+        const { refund } = stubApply({ moved: booking({ show: TO_SHOW, seats: ["A1", "A2"] }) });
+
+        // C1+C2 (500) → A1+A2 (400): ₹100 less, 90% back under the policy's tier.
+        const result = await startExchange({
+            booking: booking(),
+            fromShow: { _id: FROM_SHOW },
+            toShow,
+            seats: ["A1", "A2"],
+            quote: { percent: 90 },
+        });
+
+        assert.equal(result.error, undefined);
+        assert.equal(created[0].difference, -100);
+        assert.equal(created[0].refundAmount, 90);
+        assert.equal(created[0].status, "processing");
+        const [params, options] = refund.mock.calls[0].arguments;
+        assert.equal(params.payment_intent, "pi_original");
+        assert.equal(params.amount, 9000);
+        assert.equal(params.metadata.exchangeId, String(created[0]._id));
+        assert.deepEqual(options, { idempotencyKey: `exchange-refund-${created[0]._id}` });
+    });
+});
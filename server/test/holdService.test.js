@@ -0,0 +1,237 @@
+// test/holdService.test.js - Seat hold lifecycle rules (services/holdService.js) against stubbed models
+//
+// No database: each test replaces the Mongoose model methods holdService
+// calls with node:test mocks and checks what it asked for and what it
+// decided. Run with `npm test`.
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+
+// Modules below build a Stripe client when loaded.
+process.env.STRIPE_SECRET_KEY ||= "sk_test_unit";
+
+const { default: Booking } = await import("../models/Booking.js");
+const { default: Coupon } = await import("../models/Coupon.js");
+const { default: CouponRedemption } = await import("../models/CouponRedemption.js");
+const { default: SeatHold } = await import("../models/SeatHold.js");
+const { default: Show } = await import("../models/Show.js");
+const { inngest } = await import("../inngest/index.js");
+const { confirmHeldSeats, expireBooking, expireStaleBookings, extendHolds, holdSeats } = await import(
+    "../services/holdService.js"
+);
+
+const SHOW_ID = "665f00000000000000000001";
+const BOOKING_ID = "665f00000000000000000002";
+const USER_ID = "user_owner";
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+afterEach(() => mock.restoreAll());
+
+describe("holdSeats", () => {
+    const request = { showId: SHOW_ID, seats: ["A1", "A2"], bookingId: BOOKING_ID, userId: USER_ID, expiresAt: new Date() };
+
+    test("holds every seat when none is held or sold", async () => {
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        const insertMany = mock.method(SeatHold, "insertMany", async (docs) => docs);
+        mock.method(Show, "exists", async () => null);
+
+        assert.equal(await holdSeats(request), true);
+        assert.deepEqual(insertMany.mock.calls[0].arguments[0].map((d) => d.seat), ["A1", "A2"]);
+        // Only the lapsed-hold cleanup ran; nothing of this booking was released.
+        assert.equal(deleteMany.mock.callCount(), 1);
+        assert.ok(deleteMany.mock.calls[0].arguments[0].expiresAt);
+    });
+
+    test("returns false and releases its partial holds when a seat is already held", async () => {
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        mock.method(SeatHold, "insertMany", async () => {
+            throw duplicateKeyError();
+        });
+        const showExists = mock.method(Show, "exists", async () => null);
+
+        assert.equal(await holdSeats(request), false);
+        assert.deepEqual(deleteMany.mock.calls.at(-1).arguments[0], { booking: BOOKING_ID });
+        assert.equal(showExists.mock.callCount(), 0);
+    });
+
+    test("treats a bulk write error with a duplicate key as a conflict", async () => {
+        mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        mock.method(SeatHold, "insertMany", async () => {
+            throw Object.assign(new Error("bulk write"), { writeErrors: [{ code: 11000 }] });
+        });
+
+        assert.equal(await holdSeats(request), false);
+    });
+
+    test("rethrows other insert errors after releasing its holds", async () => {
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        mock.method(SeatHold, "insertMany", async () => {
+            throw new Error("connection lost");
+        });
+
+        await assert.rejects(holdSeats(request), /connection lost/);
+        assert.deepEqual(deleteMany.mock.calls.at(-1).arguments[0], { booking: BOOKING_ID });
+    });
+
+    test("returns false and releases its holds when a seat is already sold", async () => {
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        mock.method(SeatHold, "insertMany", async (docs) => docs);
+        mock.method(Show, "exists", async () => ({ _id: SHOW_ID }));
+
+        assert.equal(await holdSeats(request), false);
+        assert.deepEqual(deleteMany.mock.calls.at(-1).arguments[0], { booking: BOOKING_ID });
+    });
+});
+
+describe("confirmHeldSeats", () => {
+    const booking = { _id: BOOKING_ID, show: SHOW_ID, user: USER_ID, seats: ["A1", "A2"] };
+
+    test("refuses when another booking actively holds one of the seats", async () => {
+        const heldByOthers = mock.method(SeatHold, "exists", async () => ({ _id: "other-hold" }));
+        const updateOne = mock.method(Show, "updateOne", async () => ({ matchedCount: 1 }));
+
+        assert.equal(await confirmHeldSeats(booking), false);
+        const filter = heldByOthers.mock.calls[0].arguments[0];
+        assert.deepEqual(filter.booking, { $ne: BOOKING_ID });
+        assert.deepEqual(filter.seat, { $in: ["A1", "A2"] });
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    test("refuses when a seat is occupied by another user", async () => {
+        mock.method(SeatHold, "exists", async () => null);
+        const updateOne = mock.method(Show, "updateOne", async () => ({ matchedCount: 0 }));
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+
+        assert.equal(await confirmHeldSeats(booking), false);
+        // Each seat must be free or already this owner's.
+        const [filter] = updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter.$and[0], {
+            $or: [{ "occupiedSeats.A1": { $exists: false } }, { "occupiedSeats.A1": USER_ID }],
+        });
+        // The holds stay, so the booking keeps its claim while the caller sorts it out.
+        assert.equal(deleteMany.mock.callCount(), 0);
+    });
+
+    test("occupies the seats for the owner, then drops the holds", async () => {
+        const calls = [];
+        mock.method(SeatHold, "exists", async () => null);
+        const updateOne = mock.method(Show, "updateOne", async () => {
+            calls.push("occupy");
+            return { matchedCount: 1 };
+        });
+        const deleteMany = mock.method(SeatHold, "deleteMany", async () => {
+            calls.push("release");
+            return { deletedCount: 2 };
+        });
+
+        assert.equal(await confirmHeldSeats(booking), true);
+        assert.deepEqual(updateOne.mock.calls[0].arguments[1], {
+            $set: { "occupiedSeats.A1": USER_ID, "occupiedSeats.A2": USER_ID },
+        });
+        assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { booking: BOOKING_ID, seat: { $in: ["A1", "A2"] } });
+        assert.deepEqual(calls, ["occupy", "release"]);
+    });
+
+    test("confirms only the given seats of a split booking", async () => {
+        mock.method(SeatHold, "exists", async () => null);
+        const updateOne = mock.method(Show, "updateOne", async () => ({ matchedCount: 1 }));
+        mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 1 }));
+
+        assert.equal(await confirmHeldSeats(booking, { seats: ["A2"] }), true);
+        assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { "occupiedSeats.A2": USER_ID } });
+    });
+});
+
+describe("extendHolds", () => {
+    test("moves every live hold to the new expiry", async () => {
+        const expiresAt = new Date(Date.now() + 60 * 1000);
+        const updateMany = mock.method(SeatHold, "updateMany", async () => ({ matchedCount: 2 }));
+
+        assert.equal(await extendHolds(BOOKING_ID, expiresAt, 2), true);
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.equal(filter.booking, BOOKING_ID);
+        assert.ok(filter.expiresAt.$gt instanceof Date);
+        assert.deepEqual(update, { $set: { expiresAt } });
+    });
+
+    test("returns false when one of the holds had already lapsed", async () => {
+        mock.method(SeatHold, "updateMany", async () => ({ matchedCount: 1 }));
+
+        assert.equal(await extendHolds(BOOKING_ID, new Date(), 2), false);
+    });
+});
+
+describe("expireBooking", () => {
+    const stubRelease = () => ({
+        deleteMany: mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 2 })),
+        findOneAndDelete: mock.method(CouponRedemption, "findOneAndDelete", async () => ({ coupon: "coupon-1" })),
+        couponUpdate: mock.method(Coupon, "updateOne", async () => ({ modifiedCount: 1 })),
+        send: mock.method(inngest, "send", async () => ({ ids: [] })),
+    });
+
+    test("cancels a lapsed unpaid booking, frees its holds and coupon, and queues the email", async () => {
+        const findOneAndUpdate = mock.method(Booking, "findOneAndUpdate", async () => ({ _id: BOOKING_ID }));
+        const { deleteMany, couponUpdate, send } = stubRelease();
+
+        assert.equal(await expireBooking(BOOKING_ID), true);
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.equal(filter.status, "pending");
+        assert.deepEqual(filter.isPaid, { $ne: true });
+        assert.deepEqual(filter.splitPayment, { $ne: true });
+        assert.ok(filter.expiresAt.$lte instanceof Date);
+        assert.deepEqual(update, { $set: { status: "cancelled" } });
+        assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { booking: BOOKING_ID });
+        assert.deepEqual(couponUpdate.mock.calls[0].arguments[1], { $inc: { usedCount: -1 } });
+        assert.deepEqual(send.mock.calls[0].arguments[0], {
+            name: "app/booking.hold.expired",
+            data: { bookingId: BOOKING_ID },
+        });
+    });
+
+    test("skips the hold-window check with beforeHoldEnds", async () => {
+        const findOneAndUpdate = mock.method(Booking, "findOneAndUpdate", async () => ({ _id: BOOKING_ID }));
+        stubRelease();
+
+        assert.equal(await expireBooking(BOOKING_ID, { beforeHoldEnds: true }), true);
+        assert.equal("expiresAt" in findOneAndUpdate.mock.calls[0].arguments[0], false);
+    });
+
+    test("leaves a booking that was paid or is still inside its hold alone", async () => {
+        mock.method(Booking, "findOneAndUpdate", async () => null);
+        const { deleteMany, findOneAndDelete, send } = stubRelease();
+
+        assert.equal(await expireBooking(BOOKING_ID), false);
+        assert.equal(deleteMany.mock.callCount(), 0);
+        assert.equal(findOneAndDelete.mock.callCount(), 0);
+        assert.equal(send.mock.callCount(), 0);
+    });
+
+    test("still expires the booking when the email can't be queued", async () => {
+        mock.method(Booking, "findOneAndUpdate", async () => ({ _id: BOOKING_ID }));
+        stubRelease();
+        mock.method(inngest, "send", async () => {
+            throw new Error("inngest down");
+        });
+        mock.method(console, "error", () => {});
+
+        assert.equal(await expireBooking(BOOKING_ID), true);
+    });
+});
+
+describe("expireStaleBookings", () => {
+    test("expires each stale pending booking and counts the ones it won", async () => {
+        const stale = [{ _id: "b1" }, { _id: "b2" }, { _id: "b3" }];
+        const find = mock.method(Booking, "find", () => ({ select: async () => stale }));
+        // b2 was paid in the meantime, so its conditional update matches nothing.
+        mock.method(Booking, "findOneAndUpdate", async (filter) => (filter._id === "b2" ? null : { _id: filter._id }));
+        mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 1 }));
+        mock.method(CouponRedemption, "findOneAndDelete", async () => null);
+        mock.method(inngest, "send", async () => ({ ids: [] }));
+
+        assert.equal(await expireStaleBookings(), 2);
+        const [filter] = find.mock.calls[0].arguments;
+        assert.equal(filter.status, "pending");
+        assert.deepEqual(filter.splitPayment, { $ne: true });
+        assert.ok(filter.expiresAt.$lte instanceof Date);
+    });
+});
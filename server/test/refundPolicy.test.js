@@ -0,0 +1,206 @@
+// test/refundPolicy.test.js - Refund quotes (services/refundPolicyService.js) and the cancellation claim in cancelBooking
+//
+// No database or Stripe: model methods and the Stripe refunds resource are
+// replaced with node:test mocks. Run with `npm test`.
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+
+// Modules below build a Stripe client when loaded.
+process.env.STRIPE_SECRET_KEY ||= "sk_test_unit";
+
+const { default: Stripe } = await import("stripe");
+const { default: Booking } = await import("../models/Booking.js");
+const { default: BookingExchange } = await import("../models/BookingExchange.js");
+const { default: CouponRedemption } = await import("../models/CouponRedemption.js");
+const { default: RefundPolicy } = await import("../models/RefundPolicy.js");
+const { default: SeatHold } = await import("../models/SeatHold.js");
+const { default: Show } = await import("../models/Show.js");
+const { default: TicketTransfer } = await import("../models/TicketTransfer.js");
+const { inngest } = await import("../inngest/index.js");
+const { quoteRefund, shareRefundAmount } = await import("../services/refundPolicyService.js");
+const { cancelBooking } = await import("../controllers/bookingController.js");
+
+// Every Stripe client shares its resources' prototypes.
+const stripeRefunds = Object.getPrototypeOf(new Stripe("sk_test_unit").refunds);
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-11-01T10:00:00Z").getTime();
+const BOOKING_ID = "665f00000000000000000002";
+const USER_ID = "user_owner";
+
+const stubPolicies = (policies) =>
+    mock.method(RefundPolicy, "find", () => ({ sort: () => ({ lean: async () => policies }) }));
+
+// Two Laser seats at ₹200 base: A1 (executive, +0) and C1 (club, +50).
+const show = (hoursAhead, now = NOW) => ({
+    _id: "665f00000000000000000001",
+    showDateTime: new Date(now + hoursAhead * HOUR_MS),
+    showPrice: 200,
+    format: "2D",
+});
+const booking = (overrides = {}) => ({
+    _id: BOOKING_ID,
+    user: USER_ID,
+    show: "665f00000000000000000001",
+    seats: ["A1", "C1"],
+    seatsAmount: 450,
+    discount: 45,
+    platformFee: 50,
+    addonAmount: 120,
+    amount: 575,
+    status: "confirmed",
+    isPaid: true,
+    paymentIntentId: "pi_original",
+    seatCancellations: [],
+    exchangeCount: 0,
+    ...overrides,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("quoteRefund", () => {
+    test("refunds everything paid under the built-in policy", async () => {
+        stubPolicies([]);
+        const quote = await quoteRefund({ booking: booking(), show: show(5), now: NOW });
+
+        assert.equal(quote.allowed, true);
+        assert.equal(quote.policy.name, "Standard cancellation");
+        assert.equal(quote.percent, 100);
+        assert.equal(quote.paid, 575);
+        assert.equal(quote.refundAmount, 575);
+        assert.equal(quote.retainedAmount, 0);
+    });
+
+    test("applies the tier for the time left, without fee or snacks when the policy keeps them", async () => {
+        stubPolicies([{
+            _id: "policy-1",
+            name: "Weekend",
+            tiers: [{ hoursBefore: 2, percent: 50 }, { hoursBefore: 24, percent: 100 }],
+            cutoffMinutes: 60,
+            refundPlatformFee: false,
+            refundSnacks: false,
+        }]);
+        const quote = await quoteRefund({ booking: booking(), show: show(10), now: NOW });
+
+        assert.equal(quote.percent, 50);
+        // (450 - 45) tickets at 50%; the fee and snacks are kept.
+        assert.equal(quote.refundAmount, 203);
+        assert.equal(quote.retainedAmount, 575 - 203);
+        assert.equal(quote.nextChangeAt.getTime(), NOW + 8 * HOUR_MS);
+        assert.equal(quote.nextPercent, 0);
+    });
+
+    test("closes inside the cutoff and once the show has started", async () => {
+        stubPolicies([]);
+        const late = await quoteRefund({ booking: booking(), show: show(0.1), now: NOW });
+        assert.equal(late.allowed, false);
+        assert.match(late.message, /within 15 minutes/);
+
+        const started = await quoteRefund({ booking: booking(), show: show(-1), now: NOW });
+        assert.equal(started.allowed, false);
+        assert.equal(started.message, "This show has already started");
+    });
+
+    test("prorates some seats by zone price, leaving the snacks with the booking", async () => {
+        stubPolicies([]);
+        const quote = await quoteRefund({ booking: booking(), show: show(5), seats: ["C1"], now: NOW });
+
+        // C1 is 250 of the 450 ticket value: 250 tickets, 25 of the coupon, half the fee.
+        assert.equal(quote.paid, 250);
+        assert.equal(quote.refundAmount, 250);
+    });
+
+    test("prefers the most specific policy", async () => {
+        stubPolicies([
+            { name: "Chain", theater: null, format: "", tiers: [{ hoursBefore: 0, percent: 100 }], cutoffMinutes: 0 },
+            { name: "Theater 2D", theater: "t1", format: "2D", tiers: [{ hoursBefore: 0, percent: 25 }], cutoffMinutes: 0 },
+            { name: "Theater", theater: "t1", format: "", tiers: [{ hoursBefore: 0, percent: 50 }], cutoffMinutes: 0 },
+        ]);
+        const quote = await quoteRefund({ booking: booking(), show: { ...show(5), theater: "t1" }, now: NOW });
+        assert.equal(quote.policy.name, "Theater 2D");
+        assert.equal(quote.percent, 25);
+    });
+});
+
+describe("shareRefundAmount", () => {
+    test("applies the quote's percent and fee rule to one share, capped at what it paid", () => {
+        const share = { seatsAmount: 200, platformFee: 25, addonAmount: 0, amount: 225 };
+        const quote = { percent: 50, policy: { refundPlatformFee: false, refundSnacks: true } };
+        assert.equal(shareRefundAmount(share, quote), 100);
+        assert.equal(shareRefundAmount(share, { percent: 100, policy: { refundPlatformFee: true, refundSnacks: true } }), 225);
+    });
+});
+
+describe("cancelBooking", () => {
+    const call = async () => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                return this;
+            },
+        };
+        await cancelBooking({ auth: () => ({ userId: USER_ID }), params: { bookingId: BOOKING_ID } }, res);
+        return res;
+    };
+
+    const stubCancellation = ({ claimed = booking({ status: "cancelled" }), policies = [] } = {}) => {
+        mock.method(Booking, "findById", async () => booking());
+        mock.method(Show, "findById", async () => show(5, Date.now()));
+        stubPolicies(policies);
+        mock.method(TicketTransfer, "updateMany", async () => ({ modifiedCount: 0 }));
+        mock.method(TicketTransfer, "exists", async () => null);
+        mock.method(BookingExchange, "find", () => ({ sort: () => ({ select: () => ({ lean: async () => [] }) }) }));
+        mock.method(Show, "bulkWrite", async () => ({}));
+        mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 0 }));
+        mock.method(CouponRedemption, "findOneAndDelete", async () => null);
+        mock.method(inngest, "send", async () => ({ ids: [] }));
+        return {
+            claim: mock.method(Booking, "findOneAndUpdate", async () => claimed),
+            updateOne: mock.method(Booking, "updateOne", async () => ({ modifiedCount: 1 })),
+            refund: mock.method(stripeRefunds, "create", async () => ({ id: "re_1", status: "succeeded" })),
+        };
+    };
+
+    test("refunds nothing when another request claimed the cancellation first", async () => {
+        const { claim, refund } = stubCancellation({ claimed: null });
+
+        const res = await call();
+        assert.equal(res.statusCode, 409);
+        assert.equal(refund.mock.callCount(), 0);
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: BOOKING_ID, user: USER_ID, status: "confirmed" });
+        assert.equal(update.$set.status, "cancelled");
+    });
+
+    test("refunds the whole payment once, under the booking's idempotency key", async () => {
+        const { refund, updateOne } = stubCancellation();
+
+        const res = await call();
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.refundAmount, 575);
+        assert.equal(refund.mock.callCount(), 1);
+        const [params, options] = refund.mock.calls[0].arguments;
+        assert.deepEqual(params, { payment_intent: "pi_original" });
+        assert.deepEqual(options, { idempotencyKey: `cancel-${BOOKING_ID}` });
+        // Recorded only where a webhook hasn't already.
+        assert.deepEqual(updateOne.mock.calls.map((c) => c.arguments[0]), [
+            { _id: BOOKING_ID, refundId: "" },
+            { _id: BOOKING_ID, refundStatus: "" },
+        ]);
+    });
+
+    test("refunds the policy's share of the payment in paise", async () => {
+        const { refund } = stubCancellation({
+            policies: [{ name: "Half", tiers: [{ hoursBefore: 0, percent: 50 }], cutoffMinutes: 0, refundPlatformFee: true, refundSnacks: true }],
+        });
+
+        const res = await call();
+        assert.equal(res.body.refundAmount, 288);
+        assert.equal(refund.mock.calls[0].arguments[0].amount, 28800);
+    });
+});
@@ -0,0 +1,182 @@
+// test/splitPayment.test.js - Confirming and refunding split-payment shares (services/splitPaymentService.js)
+//
+// No database or Stripe: model methods and the Stripe refunds resource are
+// replaced with node:test mocks. Run with `npm test`.
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+
+// Modules below build a Stripe client when loaded.
+process.env.STRIPE_SECRET_KEY ||= "sk_test_unit";
+
+const { default: Stripe } = await import("stripe");
+const { default: Booking } = await import("../models/Booking.js");
+const { default: BookingShare } = await import("../models/BookingShare.js");
+const { default: SeatHold } = await import("../models/SeatHold.js");
+const { default: Show } = await import("../models/Show.js");
+const { confirmPaidShare, refundPaidShares } = await import("../services/splitPaymentService.js");
+
+// Every Stripe client shares its resources' prototypes.
+const stripeRefunds = Object.getPrototypeOf(new Stripe("sk_test_unit").refunds);
+
+const SHOW_ID = "665f00000000000000000001";
+const BOOKING_ID = "665f00000000000000000002";
+const SHARE_ID = "665f00000000000000000003";
+const HOST_ID = "user_host";
+
+const share = (overrides = {}) => ({ _id: SHARE_ID, booking: BOOKING_ID, seats: ["F9"], status: "pending", ...overrides });
+const booking = (overrides = {}) => ({ _id: BOOKING_ID, show: SHOW_ID, user: HOST_ID, status: "pending", ...overrides });
+
+// findById answers in turn: the share as first read, then as re-read after a lost claim.
+const stubShareReads = (...reads) => {
+    let i = 0;
+    return mock.method(BookingShare, "findById", async () => reads[Math.min(i++, reads.length - 1)]);
+};
+
+const stubSeats = ({ free = true } = {}) => ({
+    heldByOthers: mock.method(SeatHold, "exists", async () => null),
+    occupy: mock.method(Show, "updateOne", async () => ({ matchedCount: free ? 1 : 0 })),
+    releaseHolds: mock.method(SeatHold, "deleteMany", async () => ({ deletedCount: 1 })),
+    freeSeats: mock.method(Show, "bulkWrite", async () => ({})),
+});
+
+const stubRefund = () => ({
+    refund: mock.method(stripeRefunds, "create", async () => ({ id: "re_late", status: "pending" })),
+    markRefunded: mock.method(BookingShare, "updateOne", async () => ({ modifiedCount: 1 })),
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("confirmPaidShare", () => {
+    test("claims a pending share for its payer and occupies its seats", async () => {
+        stubShareReads(share());
+        mock.method(Booking, "findById", async () => booking());
+        const { occupy } = stubSeats();
+        const claim = mock.method(BookingShare, "findOneAndUpdate", async () => share({ status: "paid" }));
+        // Other shares are still open, so the booking isn't settled yet.
+        mock.method(Booking, "findOne", async () => null);
+        const { refund } = stubRefund();
+
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_1", paidBy: "user_friend" });
+        assert.equal(result.confirmed, true);
+        assert.deepEqual(occupy.mock.calls[0].arguments[1], { $set: { "occupiedSeats.F9": HOST_ID } });
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: SHARE_ID, status: "pending" });
+        assert.equal(update.$set.status, "paid");
+        assert.equal(update.$set.paymentIntentId, "pi_1");
+        assert.equal(update.$set.paidBy, "user_friend");
+        assert.equal(refund.mock.callCount(), 0);
+    });
+
+    test("reports an already-paid share without refunding when the other path won the claim", async () => {
+        stubShareReads(share(), share({ status: "paid" }));
+        mock.method(Booking, "findById", async () => booking());
+        const { freeSeats } = stubSeats();
+        mock.method(BookingShare, "findOneAndUpdate", async () => null);
+        const { refund } = stubRefund();
+
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_1" });
+        assert.equal(result.confirmed, true);
+        assert.equal(result.reason, "already_paid");
+        assert.equal(refund.mock.callCount(), 0);
+        assert.equal(freeSeats.mock.callCount(), 0);
+    });
+
+    test("frees the seats and refunds when the hold ended between the checks and the claim", async () => {
+        stubShareReads(share(), share({ status: "expired" }));
+        mock.method(Booking, "findById", async () => booking());
+        const { freeSeats } = stubSeats();
+        mock.method(BookingShare, "findOneAndUpdate", async () => null);
+        const { refund, markRefunded } = stubRefund();
+
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_late" });
+        assert.equal(result.confirmed, false);
+        assert.equal(result.reason, "closed");
+        assert.equal(freeSeats.mock.calls[0].arguments[0][0].updateOne.filter["occupiedSeats.F9"], HOST_ID);
+        assert.deepEqual(refund.mock.calls[0].arguments, [{ payment_intent: "pi_late" }, { idempotencyKey: "late-share-pi_late" }]);
+        const [filter, update] = markRefunded.mock.calls[0].arguments;
+        assert.deepEqual(filter.status, { $in: ["pending", "expired"] });
+        assert.equal(update.$set.status, "refunded");
+        assert.equal(update.$set.refundId, "re_late");
+    });
+
+    test("refunds a payment for a closed booking under the same key from both confirmation paths", async () => {
+        stubShareReads(share());
+        mock.method(Booking, "findById", async () => booking({ status: "cancelled" }));
+        const { occupy } = stubSeats();
+        const { refund } = stubRefund();
+
+        // The webhook and the share page both get here for the same payment.
+        await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_late" });
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_late" });
+        assert.equal(result.reason, "closed");
+        assert.equal(occupy.mock.callCount(), 0);
+        const keys = refund.mock.calls.map((c) => c.arguments[1].idempotencyKey);
+        assert.deepEqual(keys, ["late-share-pi_late", "late-share-pi_late"]);
+    });
+
+    test("refunds when one of the share's seats went to someone else", async () => {
+        stubShareReads(share());
+        mock.method(Booking, "findById", async () => booking());
+        stubSeats({ free: false });
+        const claim = mock.method(BookingShare, "findOneAndUpdate", async () => share({ status: "paid" }));
+        const { refund } = stubRefund();
+        mock.method(console, "error", () => {});
+
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_1" });
+        assert.equal(result.reason, "seat_conflict");
+        assert.equal(claim.mock.callCount(), 0);
+        assert.equal(refund.mock.callCount(), 1);
+    });
+
+    test("leaves a refunded share alone", async () => {
+        stubShareReads(share({ status: "refunded" }));
+        const { refund } = stubRefund();
+
+        const result = await confirmPaidShare(SHARE_ID, { paymentIntentId: "pi_1" });
+        assert.equal(result.reason, "refunded");
+        assert.equal(refund.mock.callCount(), 0);
+    });
+});
+
+describe("refundPaidShares", () => {
+    const paid = [
+        { _id: "s-host", paymentIntentId: "pi_host", amount: 500 },
+        { _id: "s-friend", paymentIntentId: "pi_friend", amount: 225 },
+        { _id: "s-free", paymentIntentId: "pi_free", amount: 100 },
+        { _id: "s-unpaid", paymentIntentId: "", amount: 225 },
+    ];
+
+    test("refunds each paid share its amount under a per-share idempotency key", async () => {
+        mock.method(BookingShare, "find", async (filter) => (filter.status === "paid" ? paid : []));
+        const refund = mock.method(stripeRefunds, "create", async (params) => ({ id: `re_${params.payment_intent}`, status: "pending" }));
+        const markRefunded = mock.method(BookingShare, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        const amounts = { "s-host": 500, "s-friend": 100, "s-free": 0 };
+        const started = await refundPaidShares(BOOKING_ID, {
+            amountFor: (s) => amounts[s._id] ?? s.amount,
+            idempotencyKey: `cancel-${BOOKING_ID}`,
+        });
+
+        assert.equal(started, 2);
+        assert.deepEqual(refund.mock.calls.map((c) => c.arguments), [
+            // A full refund leaves the amount to Stripe; a partial one is in paise.
+            [{ payment_intent: "pi_host" }, { idempotencyKey: `cancel-${BOOKING_ID}-s-host` }],
+            [{ payment_intent: "pi_friend", amount: 10000 }, { idempotencyKey: `cancel-${BOOKING_ID}-s-friend` }],
+        ]);
+        assert.deepEqual(markRefunded.mock.calls.map((c) => c.arguments[1].$set.refundId), ["re_pi_host", "re_pi_friend"]);
+    });
+
+    test("rolls the shares' refunds up onto the booking", async () => {
+        const refunded = [
+            { refundId: "re_a", refundStatus: "succeeded", refundedAmount: 500 },
+            { refundId: "re_b", refundStatus: "pending", refundedAmount: 100 },
+        ];
+        mock.method(BookingShare, "find", async (filter) => (filter.status === "paid" ? [] : refunded));
+        const rollUp = mock.method(Booking, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        assert.equal(await refundPaidShares(BOOKING_ID), 0);
+        assert.deepEqual(rollUp.mock.calls[0].arguments[1], {
+            $set: { refundId: "re_a", refundStatus: "pending", refundedAmount: 600 },
+        });
+    });
+});
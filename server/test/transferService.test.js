@@ -0,0 +1,143 @@
+// test/transferService.test.js - Accepting ticket transfers (services/transferService.js) against stubbed models
+//
+// No database: model methods are replaced with node:test mocks, and each test
+// checks which conditional updates acceptTransfer made and what it decided.
+// Run with `npm test`.
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+
+// Modules below build a Stripe client when loaded.
+process.env.STRIPE_SECRET_KEY ||= "sk_test_unit";
+
+const { default: Booking } = await import("../models/Booking.js");
+const { default: Show } = await import("../models/Show.js");
+const { default: TicketTransfer } = await import("../models/TicketTransfer.js");
+const { inngest } = await import("../inngest/index.js");
+const { acceptTransfer } = await import("../services/transferService.js");
+
+const SHOW_ID = "665f00000000000000000001";
+const BOOKING_ID = "665f00000000000000000002";
+const TRANSFER_ID = "665f00000000000000000004";
+const OWNER_ID = "user_owner";
+const recipient = { _id: "user_friend", name: "Diya Patel", email: "diya@example.com" };
+
+// Two Laser seats at ₹200 base: A1 (executive, +0) and C1 (club, +50).
+const source = (overrides = {}) => ({
+    _id: BOOKING_ID,
+    user: OWNER_ID,
+    show: SHOW_ID,
+    seats: ["A1", "C1"],
+    seatsAmount: 450,
+    discount: 45,
+    platformFee: 50,
+    amount: 455,
+    couponCode: "FLAT100",
+    status: "confirmed",
+    isPaid: true,
+    paidAt: new Date("2026-10-01T10:00:00Z"),
+    ...overrides,
+});
+const transfer = (overrides = {}) => ({
+    _id: TRANSFER_ID,
+    booking: BOOKING_ID,
+    show: SHOW_ID,
+    seats: ["A1", "C1"],
+    wholeBooking: true,
+    fromUser: OWNER_ID,
+    ...overrides,
+});
+
+// Everything after the claim: `booking` is the source as read, `moved` answers the conditional booking update.
+const stubAccept = ({ claimed = transfer(), booking = source(), moved = { _id: BOOKING_ID } } = {}) => ({
+    claim: mock.method(TicketTransfer, "findOneAndUpdate", async () => claimed),
+    transferUpdate: mock.method(TicketTransfer, "updateOne", async () => ({ modifiedCount: 1 })),
+    findBooking: mock.method(Booking, "findById", async () => booking),
+    findShow: mock.method(Show, "findById", async () => ({ _id: SHOW_ID, showPrice: 200 })),
+    moveBooking: mock.method(Booking, "findOneAndUpdate", async () => moved),
+    create: mock.method(Booking, "create", async (doc) => ({ _id: "665f00000000000000000009", ...doc })),
+    reassign: mock.method(Show, "updateOne", async () => ({ matchedCount: 1 })),
+    reissue: mock.method(Booking, "findByIdAndUpdate", async () => ({ ticketVersion: 1 })),
+    send: mock.method(inngest, "send", async () => ({ ids: [] })),
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("acceptTransfer", () => {
+    test("claims only a pending, unexpired offer made to this recipient", async () => {
+        const { claim, findBooking } = stubAccept({ claimed: null });
+
+        assert.deepEqual(await acceptTransfer(TRANSFER_ID, recipient), { error: "This transfer is no longer pending" });
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.equal(filter.toUser, recipient._id);
+        assert.equal(filter.status, "pending");
+        assert.ok(filter.expiresAt.$gt instanceof Date);
+        assert.equal(update.$set.status, "accepted");
+        // Whoever lost the claim never touches the booking.
+        assert.equal(findBooking.mock.callCount(), 0);
+    });
+
+    test("hands the whole booking over only if it still has exactly those seats", async () => {
+        const { moveBooking, reassign, create } = stubAccept();
+
+        const result = await acceptTransfer(TRANSFER_ID, recipient);
+        assert.equal(result.error, undefined);
+        const [filter, update] = moveBooking.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            _id: BOOKING_ID,
+            user: OWNER_ID,
+            status: "confirmed",
+            seats: { $all: ["A1", "C1"], $size: 2 },
+        });
+        assert.equal(update.$set.user, recipient._id);
+        assert.equal(update.$set.transferredFrom, OWNER_ID);
+        assert.equal(create.mock.callCount(), 0);
+        // Seats change owner only after the booking did, and only from the sender.
+        assert.deepEqual(reassign.mock.calls[0].arguments, [
+            { _id: SHOW_ID, $and: [{ "occupiedSeats.A1": OWNER_ID }, { "occupiedSeats.C1": OWNER_ID }] },
+            { $set: { "occupiedSeats.A1": recipient._id, "occupiedSeats.C1": recipient._id } },
+        ]);
+    });
+
+    test("splits some seats off with their prorated share of the money", async () => {
+        const { moveBooking, create } = stubAccept({
+            claimed: transfer({ seats: ["C1"], wholeBooking: false }),
+            moved: source({ seats: ["A1"] }),
+        });
+
+        const result = await acceptTransfer(TRANSFER_ID, recipient);
+        assert.equal(result.error, undefined);
+        // C1 is 250 of the 450 ticket value: 250 tickets, 25 of the coupon, half the fee.
+        const [filter, update] = moveBooking.mock.calls[0].arguments;
+        assert.deepEqual(filter.seats, { $all: ["C1"] });
+        assert.deepEqual(update, {
+            $pull: { seats: { $in: ["C1"] } },
+            $inc: { seatsAmount: -250, discount: -25, platformFee: -25, amount: -250 },
+        });
+        const received = create.mock.calls[0].arguments[0];
+        assert.equal(received.user, recipient._id);
+        assert.deepEqual(received.seats, ["C1"]);
+        assert.equal(received.amount, 250);
+        assert.equal(received.couponCode, "FLAT100");
+        assert.equal(received.isPaid, true);
+    });
+
+    test("abandons the offer when the booking changed after the claim", async () => {
+        const { transferUpdate, create, reassign } = stubAccept({ moved: null });
+
+        assert.deepEqual(await acceptTransfer(TRANSFER_ID, recipient), {
+            error: "These tickets are no longer available to transfer",
+        });
+        assert.equal(transferUpdate.mock.calls[0].arguments[1].$set.status, "cancelled");
+        assert.equal(create.mock.callCount(), 0);
+        assert.equal(reassign.mock.callCount(), 0);
+    });
+
+    test("abandons the offer when the seats already left the booking", async () => {
+        const { transferUpdate, moveBooking } = stubAccept({ booking: source({ seats: ["A1"] }) });
+
+        const result = await acceptTransfer(TRANSFER_ID, recipient);
+        assert.equal(result.error, "These tickets are no longer available to transfer");
+        assert.equal(transferUpdate.mock.calls[0].arguments[1].$set.note, "Seats no longer in the booking");
+        assert.equal(moveBooking.mock.callCount(), 0);
+    });
+});
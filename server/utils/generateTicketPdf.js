@@ -1,26 +1,23 @@
 // utils/generateTicketPdf.js - Generates a branded PDF ticket with QR code for confirmed bookings
 import PDFDocument from "pdfkit";
 import QRCode from "qrcode";
-import fs from "fs";
-import path from "path";
+import { ticketCode } from "../services/ticketCodeService.js";
+import { formatShowDate, formatShowTime, theaterTimeZone } from "./timeZone.js";
 
-// Creates a PDF ticket for the given booking and saves it to /uploads/tickets/
-// Returns { url, path } for the generated file
+// Renders the PDF ticket for a booking (show, movie and theater populated)
+// straight from its data — nothing is written to disk. Resolves to a Buffer.
 export const generateTicketPdf = async (booking) => {
     const doc = new PDFDocument({
         size: "A4",
         margin: 40,
     });
 
-    const dir = path.join("uploads", "tickets");
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-    const fileName = `${booking._id}.pdf`;
-    const filePath = path.join(dir, fileName);
-    const publicUrl = `/uploads/tickets/${fileName}`;
-
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const rendered = new Promise((resolve, reject) => {
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", (err) => reject(new Error(`Ticket PDF generation failed: ${err.message}`)));
+    });
 
     /* ---------------- COLORS ---------------- */
     const TEXT = "#111111";
@@ -84,32 +81,24 @@ export const generateTicketPdf = async (booking) => {
 
     y += 25;
 
-    const showDate = new Date(booking.show.showDateTime);
+    // In the theater's time zone, not the server's.
+    const timeZone = theaterTimeZone(booking.show.theater);
 
     doc
         .font("Helvetica")
         .fontSize(12)
         .fillColor(TEXT)
-        .text(
-            `Date: ${showDate.toLocaleDateString("en-IN", {
-                day: "2-digit",
-                month: "short",
-                year: "numeric",
-            })}`,
-            leftX,
-            y
-        );
+        .text(`Date: ${formatShowDate(booking.show.showDateTime, timeZone)}`, leftX, y);
+
+    y += 18;
+
+    doc.text(`Time: ${formatShowTime(booking.show.showDateTime, timeZone)}`, leftX, y);
 
     y += 18;
 
-    doc.text(
-        `Time: ${showDate.toLocaleTimeString([], {
-            hour: "2-digit",
-            minute: "2-digit",
-        })}`,
-        leftX,
-        y
-    );
+    const language = booking.show.language || "English";
+    const subtitles = booking.show.subtitles ? ` (${booking.show.subtitles} subtitles)` : "";
+    doc.text(`Language: ${language}${subtitles}`, leftX, y);
 
     y += 18;
 
@@ -128,7 +117,8 @@ export const generateTicketPdf = async (booking) => {
     const qrX = boxX + boxW - qrSize - 20;
     const qrY = boxY + 40;
 
-    const qrDataUrl = await QRCode.toDataURL(publicUrl);
+    // Signed admission code (checked in by staff at the door), not a link.
+    const qrDataUrl = await QRCode.toDataURL(ticketCode(booking), { errorCorrectionLevel: "M" });
 
     doc.image(qrDataUrl, qrX, qrY, {
         width: qrSize,
@@ -138,14 +128,45 @@ export const generateTicketPdf = async (booking) => {
     doc
         .fontSize(10)
         .fillColor(MUTED)
-        .text("Scan for ticket", qrX, qrY + qrSize + 6, {
+        .text("Scan at entry", qrX, qrY + qrSize + 6, {
             width: qrSize,
             align: "center",
         });
 
-    /* ---------------- FOOTER ---------------- */
-    doc.moveDown(6);
+    /* ---------------- SNACKS ---------------- */
+    const snacks = booking.snacks || [];
+    if (snacks.length > 0) {
+        let sy = boxY + boxH + 20;
+
+        doc
+            .font("Helvetica-Bold")
+            .fontSize(12)
+            .fillColor(TEXT)
+            .text("Snacks & Beverages (collect at the counter)", boxX, sy);
+
+        sy += 20;
+        doc.font("Helvetica").fontSize(11);
+
+        for (const snack of snacks) {
+            doc
+                .fillColor(TEXT)
+                .text(`${snack.quantity} × ${snack.name}`, boxX, sy, { width: boxW - 120 })
+                .text(`₹ ${snack.total}`, boxX + boxW - 110, sy, { width: 110, align: "right" });
+            sy += 16;
+        }
+
+        doc
+            .font("Helvetica-Bold")
+            .text("Snacks total", boxX, sy + 4)
+            .text(`₹ ${booking.addonAmount}`, boxX + boxW - 110, sy + 4, { width: 110, align: "right" });
+
+        doc.x = boxX;
+        doc.moveDown(2);
+    } else {
+        doc.moveDown(6);
+    }
 
+    /* ---------------- FOOTER ---------------- */
     doc
         .fontSize(9)
         .fillColor(MUTED)
@@ -156,18 +177,5 @@ export const generateTicketPdf = async (booking) => {
 
     doc.end();
 
-    return new Promise((resolve, reject) => {
-        stream.on("finish", () => {
-            resolve({
-                url: publicUrl,
-                path: filePath,
-            });
-        });
-        stream.on("error", (err) => {
-            reject(new Error(`Ticket PDF write failed: ${err.message}`));
-        });
-        doc.on("error", (err) => {
-            reject(new Error(`Ticket PDF generation failed: ${err.message}`));
-        });
-    });
+    return rendered;
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+// utils/ics.js - iCalendar (.ics) file for one event, e.g. a showtime attached to the confirmation email
+//
+// Times are written in UTC, so calendar apps show them in the reader's own
+// zone without needing a VTIMEZONE block. Lines are folded at 75 octets as
+// RFC 5545 requires.
+
+const utcStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+    String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Splits a content line into 75-octet pieces without cutting a UTF-8 character.
+const fold = (line) => {
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75; // continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+/**
+ * Builds a single-event calendar.
+ * { uid, start, end, summary, location, description, url, geo: { lat, lng } }
+ * Returns the file contents as a string.
+ */
+export const createCalendarEvent = ({ uid, start, end, summary, location, description, url, geo }) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//MovieMint//Tickets//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `DTSTAMP:${utcStamp(Date.now())}`,
+        `DTSTART:${utcStamp(start)}`,
+        `DTEND:${utcStamp(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+    ];
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (Number.isFinite(geo?.lat) && Number.isFinite(geo?.lng)) lines.push(`GEO:${geo.lat};${geo.lng}`);
+    lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(summary)}`,
+        "TRIGGER:-PT1H",
+        "END:VALARM",
+        "END:VEVENT",
+        "END:VCALENDAR"
+    );
+    return `${lines.map(fold).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,129 @@
+// utils/pkcs7.js - Detached PKCS#7 (CMS SignedData) signatures, as Apple Wallet passes need
+//
+// Node's crypto can sign bytes but can't build a CMS envelope, so this
+// encodes the few DER structures involved by hand: the signer's certificate
+// (plus the chain, e.g. Apple's WWDR certificate), signed attributes with the
+// content's SHA-256 digest, and the signature over those attributes.
+import crypto from "crypto";
+
+const OID = {
+    data: "1.2.840.113549.1.7.1",
+    signedData: "1.2.840.113549.1.7.2",
+    contentType: "1.2.840.113549.1.9.3",
+    messageDigest: "1.2.840.113549.1.9.4",
+    signingTime: "1.2.840.113549.1.9.5",
+    sha256: "2.16.840.1.101.3.4.2.1",
+    rsaEncryption: "1.2.840.113549.1.1.1",
+    ecdsaWithSha256: "1.2.840.10045.4.3.2",
+};
+
+/* ---------------- DER encoding ---------------- */
+
+const length = (n) => {
+    if (n < 0x80) return Buffer.from([n]);
+    const bytes = [];
+    for (let v = n; v > 0; v >>= 8) bytes.unshift(v & 0xff);
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const tlv = (tag, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([tag]), length(body.length), body]);
+};
+
+const sequence = (...parts) => tlv(0x30, ...parts);
+const set = (...parts) => tlv(0x31, ...parts);
+const integer = (n) => tlv(0x02, Buffer.from([n]));
+const octetString = (buf) => tlv(0x04, buf);
+const nul = () => Buffer.from([0x05, 0x00]);
+const explicit = (n, ...parts) => tlv(0xa0 + n, ...parts);
+
+const oid = (dotted) => {
+    const [a, b, ...rest] = dotted.split(".").map(Number);
+    const bytes = [40 * a + b];
+    for (const part of rest) {
+        const chunk = [part & 0x7f];
+        for (let v = part >> 7; v > 0; v >>= 7) chunk.unshift((v & 0x7f) | 0x80);
+        bytes.push(...chunk);
+    }
+    return tlv(0x06, Buffer.from(bytes));
+};
+
+const utcTime = (date) => {
+    const iso = date.toISOString(); // 2026-10-19T12:34:56.789Z
+    const text = `${iso.slice(2, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`;
+    return tlv(0x17, Buffer.from(text, "ascii"));
+};
+
+// SET OF members are sorted by their encodings in DER.
+const setOf = (members) => set(...[...members].sort(Buffer.compare));
+
+/* ---------------- DER reading ---------------- */
+
+// Reads the element at `offset`: { start, contentStart, end }.
+const readElement = (buf, offset) => {
+    let pos = offset + 1;
+    let len = buf[pos++];
+    if (len & 0x80) {
+        const count = len & 0x7f;
+        len = 0;
+        for (let i = 0; i < count; i++) len = len * 256 + buf[pos++];
+    }
+    return { start: offset, contentStart: pos, end: pos + len };
+};
+
+// The raw issuer Name and serialNumber INTEGER of a DER certificate.
+const issuerAndSerial = (certDer) => {
+    const cert = readElement(certDer, 0);
+    const tbs = readElement(certDer, cert.contentStart);
+    let el = readElement(certDer, tbs.contentStart);
+    if (certDer[el.start] === 0xa0) el = readElement(certDer, el.end); // skip [0] version
+    const serial = certDer.subarray(el.start, el.end);
+    const sigAlg = readElement(certDer, el.end);
+    const issuer = readElement(certDer, sigAlg.end);
+    return sequence(certDer.subarray(issuer.start, issuer.end), serial);
+};
+
+const pemToDer = (pem) => new crypto.X509Certificate(pem).raw;
+
+/**
+ * Detached SignedData over `content`, DER-encoded.
+ * certPem / keyPem: the signing certificate and its private key (RSA or EC);
+ * chainPems: intermediate certificates to include.
+ */
+export const signDetached = (content, { certPem, keyPem, passphrase, chainPems = [] }) => {
+    const key = crypto.createPrivateKey({ key: keyPem, passphrase: passphrase || undefined });
+    const certDer = pemToDer(certPem);
+    const digestAlgorithm = sequence(oid(OID.sha256), nul());
+    const signatureAlgorithm = key.asymmetricKeyType === "ec"
+        ? sequence(oid(OID.ecdsaWithSha256))
+        : sequence(oid(OID.rsaEncryption), nul());
+
+    const attributes = [
+        sequence(oid(OID.contentType), set(oid(OID.data))),
+        sequence(oid(OID.signingTime), set(utcTime(new Date()))),
+        sequence(oid(OID.messageDigest), set(octetString(crypto.createHash("sha256").update(content).digest()))),
+    ];
+    // The signature covers the attributes encoded as a SET; they're stored as [0] IMPLICIT.
+    const signedAttrs = setOf(attributes);
+    const signature = crypto.sign("sha256", signedAttrs, key);
+
+    const signerInfo = sequence(
+        integer(1),
+        issuerAndSerial(certDer),
+        digestAlgorithm,
+        Buffer.concat([Buffer.from([0xa0]), signedAttrs.subarray(1)]),
+        signatureAlgorithm,
+        octetString(signature)
+    );
+
+    const signedData = sequence(
+        integer(1),
+        set(digestAlgorithm),
+        sequence(oid(OID.data)),
+        tlv(0xa0, certDer, ...chainPems.map(pemToDer)),
+        set(signerInfo)
+    );
+
+    return sequence(oid(OID.signedData), explicit(0, signedData));
+};
@@ -0,0 +1,16 @@
+// utils/timeZone.js - Showtimes in the theater's own time zone (emails, tickets)
+
+// A theater's IANA time zone, or the app default (APP_TIMEZONE, Asia/Kolkata).
+export const theaterTimeZone = (theater) =>
+    theater?.timezone || process.env.APP_TIMEZONE || "Asia/Kolkata";
+
+const format = (value, timeZone, options) =>
+    value ? new Date(value).toLocaleString("en-US", { timeZone, ...options }) : "TBA";
+
+// "Sat, Oct 24, 2026"
+export const formatShowDate = (value, timeZone) =>
+    format(value, timeZone, { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+
+// "7:30 PM GMT+5:30" — the zone is named so nobody reads it as their own local time.
+export const formatShowTime = (value, timeZone) =>
+    format(value, timeZone, { hour: "numeric", minute: "2-digit", timeZoneName: "short" });
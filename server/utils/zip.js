@@ -0,0 +1,64 @@
+// utils/zip.js - Minimal ZIP writer (deflated entries, no directories) for Wallet pass bundles
+import zlib from "zlib";
+
+// 1980-01-01 00:00 in DOS date/time; entry times don't matter for passes.
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Builds a ZIP archive in memory.
+ * files: [{ name, data: Buffer }] — returns a Buffer.
+ */
+export const createZip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const fileName = Buffer.from(name, "utf8");
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0); // local file header signature
+        local.writeUInt16LE(20, 4);         // version needed (2.0)
+        local.writeUInt16LE(0x0800, 6);     // flags: UTF-8 names
+        local.writeUInt16LE(8, 8);          // method: deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);         // extra field length
+        locals.push(local, fileName, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        // extra / comment length, disk number, attributes: all zero
+        central.writeUInt32LE(offset, 42);    // where the local header starts
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+};